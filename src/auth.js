@@ -0,0 +1,456 @@
+/**
+ * Optional authentication and per-route scopes
+ *
+ * Off unless `config.auth` configures at least one method:
+ *
+ *   apiKeys  - static keys, sent as `X-API-Key`, `Authorization: Bearer <key>`
+ *              or `?api_key=` (for EventSource and WebSocket clients)
+ *   basic    - HTTP basic auth users (also works for the Storybook UI in a browser)
+ *   jwt      - bearer JWTs verified against a local JWKS file; scopes are read
+ *              from the `scope`/`scp` claim
+ *
+ * Every request then needs a credential with the scope of its route: `render`
+ * for `/api/render` and `/api/screenshot`, `read` for everything else
+ * (including the proxied Storybook). Credentials without configured scopes
+ * get all of them. The health checks (`/api/health`, `/api/ready`) stay
+ * public for load balancers. Paths are matched decoded and normalized;
+ * encoded slashes and `..` segments are refused.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCOPES = ['read', 'render'];
+
+const DEFAULT_ROUTE_SCOPES = {
+  '/api/render': 'render',
+  '/api/screenshot': 'render',
+};
+
+const DEFAULT_PUBLIC_PATHS = ['/api/health', '/api/ready'];
+
+const CLOCK_TOLERANCE = 30;
+
+class AuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - 401 (no or bad credentials), 403 (missing scope)
+   *   or 400 (a path that can't be matched safely)
+   */
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Compare secrets in constant time
+ */
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function toScopes(scopes) {
+  if (!scopes) return [...SCOPES];
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(/[\s,]+/);
+  return list.includes('*') ? [...SCOPES] : list.filter(Boolean);
+}
+
+/**
+ * `['key', { key, scopes, name }]` -> `[{ key, scopes, name }]`
+ */
+function normalizeApiKeys(apiKeys = []) {
+  return apiKeys.map((item, index) => {
+    const entry = typeof item === 'string' ? { key: item } : item;
+    if (!entry.key) throw new Error(`API key #${index + 1} is empty`);
+    return { key: entry.key, name: entry.name || `key-${index + 1}`, scopes: toScopes(entry.scopes) };
+  });
+}
+
+/**
+ * `{ alice: 'secret' }`, `{ alice: { password, scopes } }` or `[{ username, password, scopes }]`
+ */
+function normalizeUsers(users = {}) {
+  const list = Array.isArray(users)
+    ? users
+    : Object.entries(users).map(([username, value]) => (typeof value === 'string'
+      ? { username, password: value }
+      : { username, ...value }));
+  return list.map((user) => {
+    if (!user.username || !user.password) throw new Error('Basic auth users need a username and a password');
+    return { username: user.username, password: user.password, scopes: toScopes(user.scopes) };
+  });
+}
+
+// ============================================
+// JWT
+// ============================================
+
+const JWT_ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  RS384: { kty: 'RSA', hash: 'sha384' },
+  RS512: { kty: 'RSA', hash: 'sha512' },
+  PS256: { kty: 'RSA', hash: 'sha256', pss: true },
+  PS384: { kty: 'RSA', hash: 'sha384', pss: true },
+  PS512: { kty: 'RSA', hash: 'sha512', pss: true },
+  ES256: { kty: 'EC', hash: 'sha256' },
+  ES384: { kty: 'EC', hash: 'sha384' },
+  ES512: { kty: 'EC', hash: 'sha512' },
+  EdDSA: { kty: 'OKP', hash: null },
+  HS256: { kty: 'oct', hash: 'sha256' },
+  HS384: { kty: 'oct', hash: 'sha384' },
+  HS512: { kty: 'oct', hash: 'sha512' },
+};
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+}
+
+/**
+ * Keys of a JWKS, read from a file (re-read when it changes) or given as an object
+ */
+class JwksKeys {
+  constructor(jwks) {
+    this.source = jwks;
+    this.mtime = null;
+    this.keys = typeof jwks === 'string' ? null : this.parse(jwks);
+  }
+
+  parse(jwks) {
+    if (!jwks || !Array.isArray(jwks.keys)) {
+      throw new Error('JWKS must be an object with a "keys" array');
+    }
+    return jwks.keys.map(jwk => ({
+      jwk,
+      key: jwk.kty === 'oct'
+        ? crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'))
+        : crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    }));
+  }
+
+  get() {
+    if (typeof this.source === 'string') {
+      const { mtimeMs } = fs.statSync(this.source);
+      if (mtimeMs !== this.mtime) {
+        this.keys = this.parse(JSON.parse(fs.readFileSync(this.source, 'utf8')));
+        this.mtime = mtimeMs;
+      }
+    }
+    return this.keys;
+  }
+}
+
+function verifySignature(alg, data, signature, key) {
+  const { hash, pss, kty } = JWT_ALGORITHMS[alg];
+  if (kty === 'oct') {
+    const expected = crypto.createHmac(hash, key).update(data).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  const options = { key };
+  if (pss) {
+    options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (kty === 'EC') {
+    options.dsaEncoding = 'ieee-p1363';
+  }
+  return crypto.verify(hash, Buffer.from(data), options, signature);
+}
+
+/**
+ * Verify a JWT and return its payload
+ *
+ * @param {string} token
+ * @param {object} options
+ * @param {JwksKeys} options.keys
+ * @param {string|string[]} [options.issuer]
+ * @param {string|string[]} [options.audience]
+ * @param {string[]} [options.algorithms] - Accepted `alg` values (default: all asymmetric ones and HS*)
+ * @throws {AuthError}
+ */
+function verifyJwt(token, { keys, issuer, audience, algorithms = Object.keys(JWT_ALGORITHMS) }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed token');
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+
+  if (!JWT_ALGORITHMS[header.alg] || !algorithms.includes(header.alg)) {
+    throw new AuthError(`Token algorithm "${header.alg}" is not accepted`);
+  }
+
+  const candidates = keys.get().filter(({ jwk }) => jwk.kty === JWT_ALGORITHMS[header.alg].kty
+    && (!jwk.alg || jwk.alg === header.alg)
+    && (!jwk.use || jwk.use === 'sig')
+    && (header.kid === undefined || jwk.kid === header.kid));
+  if (!candidates.length) throw new AuthError('No key of the JWKS matches the token');
+
+  const data = `${headerSegment}.${payloadSegment}`;
+  const signature = Buffer.from(signatureSegment, 'base64url');
+  if (!candidates.some(({ key }) => verifySignature(header.alg, data, signature, key))) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_TOLERANCE) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_TOLERANCE) {
+    throw new AuthError('Token not yet valid');
+  }
+  if (issuer && ![].concat(issuer).includes(payload.iss)) {
+    throw new AuthError('Token issuer is not accepted');
+  }
+  if (audience) {
+    const audiences = [].concat(payload.aud || []);
+    if (![].concat(audience).some(item => audiences.includes(item))) {
+      throw new AuthError('Token audience is not accepted');
+    }
+  }
+  return payload;
+}
+
+// ============================================
+// Authenticator
+// ============================================
+
+/**
+ * Checks the credentials and scopes of requests
+ */
+class Authenticator {
+  /**
+   * @param {object} options
+   * @param {Array<string|object>} [options.apiKeys] - Keys, or `{ key, scopes, name }`
+   * @param {object|object[]} [options.basic] - Users: `{ name: password }`, `{ name: { password, scopes } }`
+   * @param {object} [options.jwt] - `{ jwks, issuer, audience, algorithms }`; `jwks` is a file path or a JWKS object
+   * @param {object} [options.routes] - Scope per path prefix, merged with the defaults
+   * @param {string[]} [options.public] - Path prefixes that need no credentials, besides the health checks
+   * @param {string} [options.realm='Storybook']
+   */
+  constructor({ apiKeys, basic, jwt, routes = {}, public: publicPaths = [], realm = 'Storybook' } = {}) {
+    this.apiKeys = normalizeApiKeys(apiKeys);
+    this.users = basic ? normalizeUsers(basic) : [];
+    this.jwt = jwt && jwt.jwks ? { ...jwt, keys: new JwksKeys(jwt.jwks) } : null;
+    this.routes = Object.entries({ ...DEFAULT_ROUTE_SCOPES, ...routes })
+      // Longest prefix wins
+      .sort(([a], [b]) => b.length - a.length);
+    this.publicPaths = [...DEFAULT_PUBLIC_PATHS, ...publicPaths];
+    this.realm = realm;
+  }
+
+  get enabled() {
+    return this.apiKeys.length > 0 || this.users.length > 0 || Boolean(this.jwt);
+  }
+
+  /**
+   * Scope a path requires, or null when it is public
+   */
+  scopeFor(pathname) {
+    if (this.publicPaths.some(prefix => matchesPrefix(pathname, prefix))) return null;
+    const route = this.routes.find(([prefix]) => matchesPrefix(pathname, prefix));
+    return route ? route[1] : 'read';
+  }
+
+  /**
+   * Identify the client of a request
+   *
+   * @param {import('http').IncomingMessage} req
+   * @returns {{ method: string, subject: string, scopes: string[] }}
+   * @throws {AuthError} 401 when the credentials are missing or invalid
+   */
+  authenticate(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const authorization = req.headers.authorization || '';
+    const [scheme, value = ''] = authorization.split(/\s+/, 2);
+    const apiKey = req.headers['x-api-key'] || url.searchParams.get('api_key')
+      || (/^bearer$/i.test(scheme) && this.apiKeys.length && !this.looksLikeJwt(value) ? value : null);
+
+    if (apiKey) {
+      const match = this.apiKeys.find(entry => safeEqual(entry.key, apiKey));
+      if (!match) throw new AuthError('Invalid API key');
+      return { method: 'api-key', subject: match.name, scopes: match.scopes };
+    }
+
+    if (/^basic$/i.test(scheme) && this.users.length) {
+      const decoded = Buffer.from(value, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const username = decoded.slice(0, separator);
+      const password = decoded.slice(separator + 1);
+      const user = this.users.find(item => safeEqual(item.username, username));
+      // Compare a password either way so unknown users take as long as wrong passwords
+      if (separator < 0 || !safeEqual(user ? user.password : '', password) || !user) {
+        throw new AuthError('Invalid username or password');
+      }
+      return { method: 'basic', subject: user.username, scopes: user.scopes };
+    }
+
+    if (/^bearer$/i.test(scheme) && this.jwt) {
+      const payload = verifyJwt(value, this.jwt);
+      const claim = payload.scope || payload.scp || payload.scopes;
+      return { method: 'jwt', subject: payload.sub || 'jwt', scopes: toScopes(claim), claims: payload };
+    }
+
+    throw new AuthError('Authentication required');
+  }
+
+  looksLikeJwt(token) {
+    return Boolean(this.jwt) && /^[\w-]+\.[\w-]+\.[\w-]*$/.test(token);
+  }
+
+  /**
+   * Authenticate a request and check the scope of its path
+   *
+   * @returns {object|null} The client, or null for public paths
+   * @throws {AuthError}
+   */
+  authorize(req) {
+    const scope = this.scopeFor(requestPath(req.url));
+    if (!scope) return null;
+    const client = this.authenticate(req);
+    if (!client.scopes.includes(scope)) {
+      throw new AuthError(`Missing scope "${scope}"`, 403);
+    }
+    return client;
+  }
+
+  /**
+   * OpenAPI security schemes of the configured methods
+   */
+  securitySchemes() {
+    if (!this.enabled) return [];
+    return [
+      this.apiKeys.length && 'apiKey',
+      (this.apiKeys.length || this.jwt) && 'bearerAuth',
+      this.users.length && 'basicAuth',
+    ].filter(Boolean);
+  }
+
+  /**
+   * `WWW-Authenticate` challenges of the configured methods
+   */
+  challenges() {
+    const challenges = [];
+    if (this.users.length) challenges.push(`Basic realm="${this.realm}", charset="UTF-8"`);
+    if (this.jwt || this.apiKeys.length) challenges.push(`Bearer realm="${this.realm}"`);
+    return challenges;
+  }
+}
+
+/**
+ * Decoded and normalized path of a request URL, so that
+ * `/api/health/..%2f..%2fsecret.txt` does not pass for a public path once
+ * the static handler decodes it
+ *
+ * @throws {AuthError} 400 for encoded separators, `..` segments and bad escapes
+ */
+function requestPath(url) {
+  const { pathname } = new URL(url, 'http://localhost');
+  if (/%2f|%5c/i.test(pathname)) {
+    throw new AuthError('Encoded path separators are not allowed', 400);
+  }
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    throw new AuthError('Malformed path', 400);
+  }
+  if (decoded.includes('\\') || decoded.split('/').includes('..')) {
+    throw new AuthError('Path traversal is not allowed', 400);
+  }
+  return path.posix.normalize(decoded);
+}
+
+// Express routes are case-insensitive, so `/API/Render` must need the scope of `/api/render`
+function matchesPrefix(pathname, prefix) {
+  const path = pathname.toLowerCase();
+  const lowerPrefix = prefix.toLowerCase();
+  return path === lowerPrefix || path.startsWith(lowerPrefix.endsWith('/') ? lowerPrefix : `${lowerPrefix}/`);
+}
+
+/**
+ * Express middleware enforcing an `Authenticator`; CORS preflights pass through
+ */
+function requireAuth(authenticator) {
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      return next();
+    }
+    try {
+      req.auth = authenticator.authorize(req);
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      if (error.status === 401) {
+        res.set('WWW-Authenticate', authenticator.challenges());
+      }
+      res.status(error.status).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Route middleware checking the scope of `route` again, whatever the case or
+ * encoding of the request path
+ *
+ * `requireAuth` checks every request by its path; this guards the routes that
+ * need more than `read` in case a path variant slips through the prefix match.
+ *
+ * @param {Authenticator} authenticator
+ * @param {string} route - Canonical path prefix of the route, e.g. `/api/render`
+ */
+function requireRouteScope(authenticator, route) {
+  return (req, res, next) => {
+    const scope = authenticator.scopeFor(route);
+    if (!authenticator.enabled || !scope) return next();
+    try {
+      const client = req.auth || authenticator.authenticate(req);
+      if (!client.scopes.includes(scope)) {
+        throw new AuthError(`Missing scope "${scope}"`, 403);
+      }
+      req.auth = client;
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      if (error.status === 401) {
+        res.set('WWW-Authenticate', authenticator.challenges());
+      }
+      res.status(error.status).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Check a WebSocket upgrade, answering and closing the socket when it is refused
+ *
+ * @returns {boolean} Whether the upgrade may proceed
+ */
+function authorizeUpgrade(authenticator, req, socket) {
+  if (!authenticator || !authenticator.enabled) return true;
+  try {
+    req.auth = authenticator.authorize(req);
+    return true;
+  } catch (error) {
+    const status = error.status || 500;
+    const reasons = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden' };
+    const reason = reasons[status] || 'Internal Server Error';
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    return false;
+  }
+}
+
+module.exports = {
+  Authenticator,
+  AuthError,
+  requireAuth,
+  requireRouteScope,
+  authorizeUpgrade,
+  verifyJwt,
+  SCOPES,
+};
@@ -0,0 +1,266 @@
+/**
+ * Shared Storybook index and docs cache
+ *
+ * The index is fetched from Storybook once and reused until it expires or a
+ * watched file changes. Parsed story/docs payloads are memoized per key and
+ * dropped whenever a story/component file or the index itself changes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const fetch = require('node-fetch');
+
+/**
+ * Files whose changes invalidate cached docs
+ */
+const WATCHED_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mdx', '.md', '.vue', '.svelte', '.html', '.json'];
+
+/**
+ * Directories that are never watched
+ */
+const IGNORED_DIRS = ['node_modules', '.git', '.angular', '.cache', 'dist', 'coverage', 'storybook-static'];
+
+/**
+ * Error thrown when Storybook answers but the index is not available yet
+ */
+class StorybookNotReadyError extends Error {
+  constructor(hint, status) {
+    super('Storybook is not ready');
+    this.name = 'StorybookNotReadyError';
+    this.hint = hint;
+    this.status = status;
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+class StoryCache extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} [options.storybookUrl] - Storybook URL serving `/index.json`
+   * @param {string} [options.indexFile] - index.json of a `storybook build`, used instead of `storybookUrl`
+   * @param {string} [options.projectDir] - Project to watch for changes
+   * @param {boolean} [options.watch=true] - Watch story/component files
+   * @param {number} [options.indexTtl=10000] - Max age of the cached index in ms
+   */
+  constructor({ storybookUrl, indexFile, projectDir, watch = true, indexTtl = 10000 } = {}) {
+    super();
+    this.storybookUrl = storybookUrl;
+    this.indexFile = indexFile;
+    this.projectDir = projectDir;
+    this.indexTtl = indexTtl;
+    this.index = null;
+    this.indexHash = null;
+    this.indexFetchedAt = 0;
+    this.pending = null;
+    this.entries = new Map();
+    this.generation = 0;
+    this.lastModified = new Date();
+    this.watcher = null;
+
+    if (watch && projectDir) {
+      this.watch();
+    }
+  }
+
+  /**
+   * Get the Storybook index, fetching it when missing or expired
+   *
+   * @throws {StorybookNotReadyError} when Storybook answers with an error status
+   */
+  async getIndex() {
+    if (this.index && Date.now() - this.indexFetchedAt < this.indexTtl) {
+      return this.index;
+    }
+
+    // Share a single in-flight request between concurrent callers
+    if (!this.pending) {
+      this.pending = this.fetchIndex().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async fetchIndex() {
+    let text;
+
+    if (this.indexFile) {
+      try {
+        text = await fs.promises.readFile(this.indexFile, 'utf8');
+      } catch (error) {
+        throw new StorybookNotReadyError(`Make sure ${this.indexFile} exists (run \`storybook build\`)`, 404);
+      }
+    } else {
+      const response = await fetch(`${this.storybookUrl}/index.json`);
+      if (!response.ok) {
+        throw new StorybookNotReadyError(`Make sure Storybook is running at ${this.storybookUrl}`, response.status);
+      }
+      text = await response.text();
+    }
+
+    const data = JSON.parse(text);
+    this.setIndex(data, hash(text));
+    return data;
+  }
+
+  /**
+   * Replace the cached index. Drops memoized docs when the content changed.
+   */
+  setIndex(data, contentHash = hash(JSON.stringify(data))) {
+    const previous = this.index;
+    this.index = data;
+    this.indexFetchedAt = Date.now();
+
+    if (contentHash !== this.indexHash) {
+      this.indexHash = contentHash;
+      if (previous) {
+        this.invalidate({ reason: 'index', previousIndex: previous });
+      } else {
+        this.lastModified = new Date();
+      }
+    }
+  }
+
+  /**
+   * Get a memoized value, computing it on first access
+   *
+   * Failed computations are not kept, so the next call retries.
+   */
+  async memo(key, compute) {
+    if (this.entries.has(key)) {
+      return this.entries.get(key);
+    }
+    // The pending computation is cached so concurrent callers share it
+    const generation = this.generation;
+    const pending = Promise.resolve().then(compute);
+    this.entries.set(key, pending);
+    try {
+      const value = await pending;
+      // Computed from data an invalidation replaced meanwhile: returned, not kept
+      if (this.generation !== generation && this.entries.get(key) === pending) {
+        this.entries.delete(key);
+      }
+      return value;
+    } catch (error) {
+      if (this.entries.get(key) === pending) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop all memoized values and force the index to be refetched
+   */
+  invalidate(details = {}) {
+    this.entries.clear();
+    this.generation += 1;
+    this.lastModified = new Date();
+    if (details.reason !== 'index') {
+      this.indexFetchedAt = 0;
+    }
+    this.emit('invalidate', details);
+  }
+
+  /**
+   * Version of the cached data, used to build ETags
+   */
+  getVersion() {
+    return `${this.indexHash || 'none'}:${this.generation}`;
+  }
+
+  /**
+   * Watch story and component files of the project
+   */
+  watch() {
+    const chokidar = require('chokidar');
+
+    // The index of a static build is watched explicitly, even inside `storybook-static`
+    const watched = [this.projectDir, this.indexFile].filter(Boolean);
+
+    this.watcher = chokidar.watch(watched, {
+      ignoreInitial: true,
+      ignored: (filePath, stats) => {
+        if (filePath === this.indexFile) return false;
+        const relative = path.relative(this.projectDir, filePath);
+        if (relative.split(path.sep).some(part => IGNORED_DIRS.includes(part))) return true;
+        if (stats && stats.isFile()) return !WATCHED_EXTENSIONS.includes(path.extname(filePath));
+        return false;
+      },
+      awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 },
+    });
+
+    let changed = new Set();
+    let timer = null;
+    const onChange = (event) => (filePath) => {
+      if (!WATCHED_EXTENSIONS.includes(path.extname(filePath))) return;
+      if (filePath === this.indexFile) {
+        // A new `storybook build` was written: refetch right away
+        this.indexFetchedAt = 0;
+      }
+      changed.add(JSON.stringify([event, path.relative(this.projectDir, filePath)]));
+
+      // Batch bursts of changes (editor saves, git checkouts) into one invalidation
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const files = [...changed].map(item => {
+          const [type, file] = JSON.parse(item);
+          return { type, file };
+        });
+        changed = new Set();
+        this.invalidate({ reason: 'files', files });
+      }, 100);
+    };
+
+    this.watcher.on('add', onChange('add'));
+    this.watcher.on('change', onChange('change'));
+    this.watcher.on('unlink', onChange('unlink'));
+    this.watcher.on('error', () => {});
+  }
+
+  async close() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+/**
+ * Express middleware adding ETag/Last-Modified headers based on the cache
+ * version and answering 304 to matching conditional requests
+ */
+function conditionalGet(cache) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    try {
+      await cache.getIndex();
+    } catch (error) {
+      // Let the route report Storybook errors
+      return next();
+    }
+
+    res.set('ETag', `W/"${hash(`${cache.getVersion()}:${req.originalUrl}`)}"`);
+    res.set('Last-Modified', cache.lastModified.toUTCString());
+    res.set('Cache-Control', 'no-cache');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    next();
+  };
+}
+
+module.exports = {
+  StoryCache,
+  StorybookNotReadyError,
+  conditionalGet,
+};
@@ -7,25 +7,156 @@
  *   npx storybook-api [options]
  *   npx storybook-api --port 6006
  *   npx storybook-api --storybook-port 6010
+ *   npx storybook-api --static-dir storybook-static
+ *   npx storybook-api --source forms=http://localhost:6007 --source buttons=../buttons
+ *   npx storybook-api --mcp --storybook-url http://localhost:6006 --no-proxy
+ *   npx storybook-api --config ./storybook-rest-api.config.js
+ *   npx storybook-api export --out storybook-static/api
  */
 
-const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { Command, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const { startServer } = require('./server');
+const { exportApi } = require('./export');
+const { captureBaseline, compareWithBaseline } = require('./visual');
+const { reserveStdout } = require('./mcp');
+const { loadConfig } = require('./config');
+const { normalizeCorsOptions } = require('./cors');
+const packageJson = require('../package.json');
 const { detectStorybookVersion, findStorybookConfig, detectFramework } = require('./utils');
 
 const program = new Command();
 
+/**
+ * Collect repeated `--source name=location` options
+ */
+function collectSource(value, sources) {
+  const separator = value.indexOf('=');
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Expected name=url or name=dir.');
+  }
+  return { ...sources, [value.slice(0, separator)]: value.slice(separator + 1) };
+}
+
+/**
+ * Split a trailing `:read,render` scope list off a credential option
+ */
+function splitScopes(value) {
+  const separator = value.lastIndexOf(':');
+  const suffix = value.slice(separator + 1);
+  if (separator > 0 && /^(read|render|\*)(,(read|render|\*))*$/.test(suffix)) {
+    return { value: value.slice(0, separator), scopes: suffix.split(',') };
+  }
+  return { value, scopes: undefined };
+}
+
+/**
+ * Collect repeated `--api-key key[:scopes]` options
+ */
+function collectApiKey(value, keys) {
+  const { value: key, scopes } = splitScopes(value);
+  return [...keys, { key, scopes }];
+}
+
+/**
+ * Collect repeated `--basic-auth user:password[:scopes]` options
+ */
+function collectUser(value, users) {
+  const { value: credentials, scopes } = splitScopes(value);
+  const separator = credentials.indexOf(':');
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Expected user:password.');
+  }
+  return [...users, { username: credentials.slice(0, separator), password: credentials.slice(separator + 1), scopes }];
+}
+
+/**
+ * Server settings from the options and the config file
+ *
+ * Flags given on the command line win over the config file, which wins over
+ * the option defaults.
+ */
+function mergeSettings(options, command, fileConfig = {}) {
+  const fromCli = name => command.getOptionValueSource(name) === 'cli';
+  const pick = name => (fromCli(name) || fileConfig[name] === undefined ? options[name] : fileConfig[name]);
+
+  const render = { ...fileConfig.render };
+  if (fromCli('renderPoolSize') || render.size === undefined) {
+    render.size = parseInt(options.renderPoolSize, 10);
+  }
+  if (fromCli('renderTimeout') || render.timeout === undefined) {
+    render.timeout = parseInt(options.renderTimeout, 10);
+  }
+
+  const auth = { ...fileConfig.auth };
+  if (options.apiKey.length) {
+    auth.apiKeys = options.apiKey;
+  }
+  if (options.basicAuth.length) {
+    auth.basic = options.basicAuth;
+  }
+  if (options.jwks) {
+    auth.jwt = { jwks: path.resolve(options.jwks), issuer: options.jwtIssuer, audience: options.jwtAudience };
+  } else if (typeof auth.jwt?.jwks === 'string') {
+    auth.jwt = { ...auth.jwt, jwks: path.resolve(options.dir, auth.jwt.jwks) };
+  }
+
+  const storybookPort = parseInt(pick('storybookPort'), 10);
+  return {
+    port: parseInt(pick('port'), 10),
+    storybookPort,
+    storybookUrl: pick('storybookUrl') || `http://localhost:${storybookPort}`,
+    storybookCommand: pick('storybookCommand'),
+    angularProject: pick('angularProject'),
+    proxy: pick('proxy') !== false,
+    watch: pick('watch') !== false,
+    staticDir: pick('staticDir') && path.resolve(options.dir, pick('staticDir')),
+    sources: Object.keys(options.source).length ? options.source : fileConfig.sources,
+    render,
+    events: fileConfig.events,
+    indexTtl: fileConfig.indexTtl,
+    supervisor: fileConfig.supervisor,
+    auth,
+    cors: options.cors
+      ? { origin: options.cors === true ? '*' : options.cors, credentials: Boolean(options.corsCredentials) }
+      : fileConfig.cors,
+    plugins: fileConfig.plugins || [],
+  };
+}
+
 program
   .name('storybook-rest-api')
   .description('Expose Storybook stories via REST API')
-  .version('1.0.0')
+  .version(packageJson.version)
+  // Options after a command name belong to the command (`export -d <dir>`)
+  .enablePositionalOptions()
   .option('-p, --port <number>', 'Port to run the API server on', '6006')
   .option('-s, --storybook-port <number>', 'Internal port for Storybook', '6010')
   .option('--no-proxy', 'Run API only (don\'t start/proxy Storybook)')
   .option('--storybook-url <url>', 'URL of running Storybook instance')
+  .option('--storybook-command <command>', 'Command starting Storybook ({port} is replaced by the Storybook port)')
+  .option('--angular-project <project[:target]>', 'Angular project whose Storybook target to run')
   .option('-d, --dir <path>', 'Project directory (default: current directory)', process.cwd())
-  .action(async (options) => {
+  .option('--no-watch', 'Don\'t watch story/component files to refresh the cache')
+  .option('--static-dir <path>', 'Serve a `storybook build` output instead of starting Storybook')
+  .option('--source <name=url|dir>', 'Compose a Storybook by URL or project directory (repeatable)', collectSource, {})
+  .option('--render-pool-size <number>', 'Browser pages rendering stories at once (/api/render)', '2')
+  .option('--render-timeout <ms>', 'Timeout of a story render in ms (/api/render)', '15000')
+  .option('--mcp', 'Also serve MCP on stdio for AI assistants (logs go to stderr)')
+  .option('--api-key <key[:scopes]>', 'Require an API key; scopes: read, render (repeatable)', collectApiKey, [])
+  .option('--basic-auth <user:password[:scopes]>', 'Require basic auth (repeatable)', collectUser, [])
+  .option('--jwks <path>', 'Accept bearer JWTs signed by a key of this JWKS file')
+  .option('--jwt-issuer <iss>', 'Required JWT issuer')
+  .option('--jwt-audience <aud>', 'Required JWT audience')
+  .option('--cors [origins]', 'Send CORS headers for these origins (comma-separated, default: any)')
+  .option('--cors-credentials', 'Allow credentialed CORS requests (needs explicit --cors origins)')
+  .option('-c, --config <path>', 'Config file (default: <dir>/storybook-rest-api.config.{js,cjs,mjs,json})')
+  .action(async (options, command) => {
+    // stdout carries the MCP messages from here on
+    const mcpStdout = options.mcp ? reserveStdout() : null;
+
     console.log('');
     console.log(chalk.cyan('╔════════════════════════════════════════════════════════╗'));
     console.log(chalk.cyan('║') + chalk.bold.white('           Storybook API Server                        ') + chalk.cyan('║'));
@@ -33,6 +164,21 @@ program
     console.log('');
 
     const projectDir = options.dir;
+
+    // Config file and plugins
+    let file;
+    try {
+      file = await loadConfig(projectDir, { configFile: options.config });
+    } catch (error) {
+      console.error(chalk.red('Error loading config:'), error.message);
+      process.exit(1);
+    }
+    const settings = mergeSettings(options, command, file?.config);
+    if (file) {
+      const pluginNames = settings.plugins.map(plugin => plugin.name);
+      console.log(chalk.green('✓') + ` Loaded config: ${chalk.dim(file.filePath)}`
+        + (pluginNames.length ? ` (plugins: ${chalk.bold(pluginNames.join(', '))})` : ''));
+    }
     
     // Detect Storybook version
     const version = detectStorybookVersion(projectDir);
@@ -56,17 +202,51 @@ program
       console.log(chalk.yellow('⚠') + ' Could not find .storybook directory');
     }
 
+    const sourceNames = Object.keys(settings.sources || {});
+    if (sourceNames.length) {
+      console.log(chalk.green('✓') + ` Composing ${sourceNames.length} Storybooks: ${chalk.bold(sourceNames.join(', '))}`);
+    }
+
+    const { auth } = settings;
+    const apiKeyCount = auth.apiKeys?.length || 0;
+    const authMethods = [
+      apiKeyCount && `${apiKeyCount} API key${apiKeyCount > 1 ? 's' : ''}`,
+      auth.basic && 'basic auth',
+      auth.jwt && 'JWT',
+    ].filter(Boolean);
+    if (typeof auth.jwt?.jwks === 'string' && !fs.existsSync(auth.jwt.jwks)) {
+      console.error(chalk.red('Error:'), `JWKS file not found: ${auth.jwt.jwks}`);
+      process.exit(1);
+    }
+    if (authMethods.length) {
+      console.log(chalk.green('✓') + ` Authentication: ${chalk.bold(authMethods.join(', '))}`);
+    }
+    try {
+      normalizeCorsOptions(settings.cors);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+
+    // Static build
+    const { staticDir } = settings;
+    if (staticDir) {
+      if (!fs.existsSync(path.join(staticDir, 'index.json'))) {
+        console.error(chalk.red('Error:'), `No index.json found in ${staticDir}. Run \`storybook build\` first.`);
+        process.exit(1);
+      }
+      console.log(chalk.green('✓') + ` Serving static build: ${chalk.dim(staticDir)}`);
+    }
+
     console.log('');
 
     const config = {
-      port: parseInt(options.port, 10),
-      storybookPort: parseInt(options.storybookPort, 10),
-      storybookUrl: options.storybookUrl || `http://localhost:${options.storybookPort}`,
+      ...settings,
       projectDir,
       configDir,
-      proxy: options.proxy !== false,
       version,
       framework,
+      mcp: mcpStdout ? { stdout: mcpStdout } : undefined,
     };
 
     try {
@@ -77,5 +257,136 @@ program
     }
   });
 
+program
+  .command('export')
+  .description('Write the whole API to static JSON files (for a `storybook build` without a Node server)')
+  .option('-o, --out <path>', 'Output directory', 'storybook-static/api')
+  .option('-d, --dir <path>', 'Project directory (default: current directory)', process.cwd())
+  .option('--static-dir <path>', 'Storybook build output containing index.json (default: <dir>/storybook-static)')
+  .option('--index <path>', 'Path to a Storybook index.json')
+  .option('--storybook-url <url>', 'Read index.json from a running Storybook instead')
+  .option('-c, --config <path>', 'Config file with the plugins (default: <dir>/storybook-rest-api.config.{js,cjs,mjs,json})')
+  .action(async (options) => {
+    const projectDir = path.resolve(options.dir);
+    const outDir = path.resolve(projectDir, options.out);
+
+    try {
+      const file = await loadConfig(projectDir, { configFile: options.config });
+      const result = await exportApi({
+        projectDir,
+        outDir,
+        staticDir: options.staticDir && path.resolve(projectDir, options.staticDir),
+        indexFile: options.index && path.resolve(projectDir, options.index),
+        storybookUrl: options.storybookUrl,
+        plugins: file?.config.plugins,
+      });
+      console.log(chalk.green('✓') + ` Exported ${chalk.bold(result.stories)} stories (${result.files} files) to ${chalk.dim(result.outDir)}`);
+    } catch (error) {
+      console.error(chalk.red('Error exporting API:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Add the options shared by the visual regression commands
+ */
+function withCaptureOptions(command) {
+  return command
+    .option('-d, --dir <path>', 'Project directory (default: current directory)', process.cwd())
+    .option('--storybook-url <url>', 'Capture from a running Storybook')
+    .option('--static-dir <path>', 'Or from a Storybook build output (default: <dir>/storybook-static)')
+    .option('--width <number>', 'Viewport width')
+    .option('--height <number>', 'Viewport height')
+    .option('--scale <number>', 'Device scale factor')
+    .option('--globals <globals>', 'Storybook globals, e.g. theme:dark;locale:fr')
+    .option('--timeout <ms>', 'Timeout per story in ms', '15000')
+    .option('--concurrency <number>', 'Stories captured at once', '2');
+}
+
+/**
+ * Capture settings from the parsed options
+ */
+function readCaptureOptions(options) {
+  const projectDir = path.resolve(options.dir);
+  const viewport = {};
+  if (options.width) viewport.width = parseInt(options.width, 10);
+  if (options.height) viewport.height = parseInt(options.height, 10);
+  if (options.scale) viewport.deviceScaleFactor = parseFloat(options.scale);
+
+  return {
+    projectDir,
+    storybookUrl: options.storybookUrl,
+    staticDir: path.resolve(projectDir, options.staticDir || 'storybook-static'),
+    viewport,
+    globals: options.globals,
+    timeout: parseInt(options.timeout, 10),
+    concurrency: parseInt(options.concurrency, 10),
+    onCapture: ({ entry, error }) => {
+      if (error) {
+        console.log(chalk.red('✗') + ` ${entry.id} ${chalk.dim(error)}`);
+      } else {
+        console.log(chalk.green('✓') + ` ${entry.id}`);
+      }
+    },
+  };
+}
+
+withCaptureOptions(program
+  .command('baseline')
+  .description('Capture a screenshot of every story into a baseline folder')
+  .option('-o, --out <path>', 'Baseline directory', '.storybook-baseline'))
+  .action(async (options) => {
+    const captureOptions = readCaptureOptions(options);
+
+    try {
+      const result = await captureBaseline({
+        ...captureOptions,
+        outDir: path.resolve(captureOptions.projectDir, options.out),
+      });
+      console.log('');
+      console.log(chalk.green('✓') + ` Captured ${chalk.bold(result.captured)} stories to ${chalk.dim(result.outDir)}`);
+      if (result.failed.length) {
+        console.log(chalk.yellow('⚠') + ` ${result.failed.length} stories failed to render`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error capturing baseline:'), error.message);
+      process.exit(1);
+    }
+  });
+
+withCaptureOptions(program
+  .command('compare')
+  .description('Compare the current stories with the baseline and write a JSON/HTML report')
+  .option('-b, --baseline <path>', 'Baseline directory', '.storybook-baseline')
+  .option('-o, --out <path>', 'Report directory', '.storybook-visual-report')
+  .option('--threshold <number>', 'Color difference (0-1) under which pixels are equal', '0.1')
+  .option('--max-diff-pixels <number>', 'Different pixels tolerated per story', '0'))
+  .action(async (options) => {
+    const captureOptions = readCaptureOptions(options);
+    const outDir = path.resolve(captureOptions.projectDir, options.out);
+
+    try {
+      const report = await compareWithBaseline({
+        ...captureOptions,
+        baselineDir: path.resolve(captureOptions.projectDir, options.baseline),
+        outDir,
+        threshold: parseFloat(options.threshold),
+        maxDiffPixels: parseInt(options.maxDiffPixels, 10),
+      });
+      const { summary } = report;
+      console.log('');
+      console.log(`${summary.unchanged} unchanged, ${summary.changed} changed, ${summary.added} added, ${summary.removed} removed, ${summary.failed} failed`);
+      console.log(`Report: ${chalk.dim(path.join(outDir, 'report.html'))}`);
+      if (!report.passed) {
+        console.log(chalk.red('✗') + ' Visual changes found');
+        process.exit(1);
+      }
+      console.log(chalk.green('✓') + ' No visual changes');
+    } catch (error) {
+      console.error(chalk.red('Error comparing with baseline:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
 
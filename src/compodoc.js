@@ -0,0 +1,277 @@
+/**
+ * Compodoc documentation.json ingestion (Angular)
+ *
+ * Angular Storybook projects usually generate Compodoc output with
+ * `compodocArgs: ["-e", "json", "-d", "."]`. When that file exists it is a far
+ * better source of truth than scraping decorators: it knows about signal
+ * inputs, inherited members, resolved types and JSDoc tags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const cache = new Map();
+
+/**
+ * Find documentation.json candidates for a project
+ */
+function findCompodocFiles(projectDir) {
+  const candidates = [path.join(projectDir, 'documentation.json')];
+
+  // Honour `-d <dir>` / `--output <dir>` in angular.json storybook targets
+  const angularJsonPath = path.join(projectDir, 'angular.json');
+  if (fs.existsSync(angularJsonPath)) {
+    try {
+      const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
+      for (const project of Object.values(angularJson.projects || {})) {
+        for (const target of Object.values(project.architect || {})) {
+          const compodocArgs = target.options?.compodocArgs;
+          if (!Array.isArray(compodocArgs)) continue;
+          const outputIdx = compodocArgs.findIndex(arg => arg === '-d' || arg === '--output');
+          const outputDir = outputIdx !== -1 ? compodocArgs[outputIdx + 1] : '.';
+          candidates.push(path.join(projectDir, project.root || '', outputDir || '.', 'documentation.json'));
+        }
+      }
+    } catch (error) {
+      // Ignore invalid angular.json, fall back to the project root
+    }
+  }
+
+  return [...new Set(candidates.map(candidate => path.resolve(candidate)))].filter(candidate => fs.existsSync(candidate));
+}
+
+/**
+ * Load (and cache by mtime) the Compodoc documentation for a project
+ */
+function loadCompodoc(projectDir) {
+  if (!projectDir) return null;
+
+  for (const filePath of findCompodocFiles(projectDir)) {
+    try {
+      const { mtimeMs } = fs.statSync(filePath);
+      const cached = cache.get(filePath);
+      if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.data;
+      }
+
+      const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const data = { filePath, json };
+      cache.set(filePath, { mtimeMs, data });
+      return data;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Strip JSDoc artifacts from a Compodoc raw description
+ */
+function cleanDescription(member) {
+  const raw = member.rawdescription !== undefined
+    ? member.rawdescription
+    : (member.description || '').replace(/<[^>]+>/g, '');
+  return raw.replace(/@required/g, '').trim();
+}
+
+/**
+ * Get the JSDoc tag names of a member (`@required`, `@deprecated`...)
+ */
+function getJsdocTags(member) {
+  return (member.jsdoctags || [])
+    .map(tag => tag.tagName?.escapedText || tag.tagName?.text)
+    .filter(Boolean);
+}
+
+/**
+ * Unwrap signal types (`InputSignal<string>` -> `string`)
+ */
+function unwrapSignalType(type) {
+  if (!type) return type;
+  const match = type.match(/^(?:InputSignal|InputSignalWithTransform|ModelSignal)<\s*([\s\S]+?)\s*(?:,[^<>]*)?>$/);
+  return match ? match[1] : type;
+}
+
+/**
+ * Convert a Compodoc input/output entry to an API member
+ */
+function toMember(member, kind, inheritedFrom) {
+  const defaultValue = member.defaultValue;
+  const isSignal = typeof defaultValue === 'string' && /^(?:input|model|output)(?:\.required)?\s*[<(]/.test(defaultValue);
+  const isModel = typeof defaultValue === 'string' && /^model(?:\.required)?\s*[<(]/.test(defaultValue);
+  const tags = getJsdocTags(member);
+
+  const result = {
+    name: member.name,
+    kind: isModel ? 'model' : kind,
+    tsType: kind === 'input' ? unwrapSignalType(member.type) : member.type,
+    description: cleanDescription(member),
+    required: !!member.required
+      || tags.includes('required')
+      || (typeof defaultValue === 'string' && /^(?:input|model)\.required\b/.test(defaultValue)),
+    optional: !!member.optional,
+    signal: isSignal,
+  };
+
+  if (defaultValue !== undefined && !(isSignal && /^(?:input|model)\.required\b/.test(defaultValue))) {
+    result.defaultValue = defaultValue;
+  }
+  if (member.alias) result.alias = member.alias;
+  if (member.deprecated) {
+    result.deprecated = true;
+    result.deprecationMessage = member.deprecationMessage || '';
+  }
+  if (tags.length) result.jsdocTags = tags;
+  if (inheritedFrom) result.inheritedFrom = inheritedFrom;
+
+  return result;
+}
+
+/**
+ * Convert a Compodoc method entry
+ */
+function toMethod(method, inheritedFrom) {
+  const result = {
+    name: method.name,
+    args: (method.args || []).map(arg => ({
+      name: arg.name,
+      type: arg.type,
+      optional: !!arg.optional,
+      ...(arg.defaultValue !== undefined ? { defaultValue: arg.defaultValue } : {}),
+    })),
+    returnType: method.returnType,
+    description: cleanDescription(method),
+  };
+  if (method.deprecated) result.deprecated = true;
+  if (inheritedFrom) result.inheritedFrom = inheritedFrom;
+  return result;
+}
+
+/**
+ * Find a documented class (component, directive or plain class) by name
+ */
+function findDeclaration(json, name) {
+  for (const group of ['components', 'directives', 'classes', 'injectables']) {
+    const found = (json[group] || []).find(item => item.name === name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Find a component in documentation.json by source file and/or class name
+ */
+function findCompodocComponent(compodoc, { componentFilePath, componentName, projectDir } = {}) {
+  if (!compodoc) return null;
+  const components = [...(compodoc.json.components || []), ...(compodoc.json.directives || [])];
+  const docDir = path.dirname(compodoc.filePath);
+
+  const matchesFile = (item) => {
+    if (!componentFilePath || !item.file) return false;
+    return [docDir, projectDir].filter(Boolean)
+      .some(baseDir => path.resolve(baseDir, item.file) === path.resolve(componentFilePath));
+  };
+
+  return components.find(item => matchesFile(item) && (!componentName || item.name === componentName))
+    || components.find(item => componentName && item.name === componentName)
+    || components.find(matchesFile)
+    || null;
+}
+
+/**
+ * Collect members of a class and the classes it extends
+ */
+function collectInherited(json, declaration, key, seen = new Set()) {
+  const own = declaration[key] || [];
+  const parents = [].concat(declaration.extends || []).map(parent => (typeof parent === 'string' ? parent : parent?.name));
+  const inherited = [];
+
+  for (const parentName of parents) {
+    if (!parentName || seen.has(parentName)) continue;
+    seen.add(parentName);
+    const parent = findDeclaration(json, parentName);
+    if (!parent) continue;
+    for (const { member, from } of collectInherited(json, parent, key, seen)) {
+      inherited.push({ member, from: from || parentName });
+    }
+  }
+
+  const ownNames = new Set(own.map(member => member.name));
+  return [
+    ...own.map(member => ({ member, from: member.inheritance?.file || null })),
+    ...inherited.filter(({ member }) => !ownNames.has(member.name)),
+  ];
+}
+
+/**
+ * Build component docs from Compodoc output, in the same shape as
+ * `extractComponentDocs`, plus the richer Compodoc-only sections
+ */
+function getCompodocComponentDocs(projectDir, { componentFilePath, componentName } = {}) {
+  const compodoc = loadCompodoc(projectDir);
+  const component = findCompodocComponent(compodoc, { componentFilePath, componentName, projectDir });
+  if (!component) return null;
+
+  const { json } = compodoc;
+  const inputs = collectInherited(json, component, 'inputsClass').map(({ member, from }) => toMember(member, 'input', from));
+  const outputs = collectInherited(json, component, 'outputsClass').map(({ member, from }) => toMember(member, 'output', from));
+  const methods = collectInherited(json, component, 'methodsClass').map(({ member, from }) => toMethod(member, from));
+
+  const docs = {
+    source: 'compodoc',
+    name: component.name,
+    description: cleanDescription(component),
+    selector: component.selector,
+    properties: {},
+    inputs,
+    outputs,
+    methods,
+    hostBindings: (component.hostBindings || []).map(binding => ({
+      name: binding.name,
+      type: binding.type,
+      defaultValue: binding.defaultValue,
+      description: cleanDescription(binding),
+    })),
+    hostListeners: (component.hostListeners || []).map(listener => ({
+      name: listener.name,
+      args: (listener.args || []).map(arg => ({ name: arg.name, type: arg.type })),
+      argsDecorator: listener.argsDecorator || [],
+      description: cleanDescription(listener),
+    })),
+    standalone: component.standalone,
+    documentationFile: compodoc.filePath,
+  };
+
+  if (component.template) {
+    docs.template = component.template.trim();
+  } else if (component.templateData) {
+    docs.template = component.templateData.trim();
+  }
+  if (Array.isArray(component.templateUrl) && component.templateUrl.length) {
+    docs.templateUrl = component.templateUrl[0];
+  }
+  if (component.sourceCode) {
+    docs.componentCode = component.sourceCode;
+  }
+
+  for (const member of [...inputs, ...outputs]) {
+    const { name, kind, ...rest } = member;
+    // model() signals are listed as both input and output
+    if (docs.properties[name]) continue;
+    docs.properties[name] = {
+      ...rest,
+      type: kind === 'output' ? 'output' : 'input',
+      ...(kind === 'model' ? { twoWayBinding: true } : {}),
+    };
+  }
+
+  return docs;
+}
+
+module.exports = {
+  loadCompodoc,
+  findCompodocComponent,
+  getCompodocComponentDocs,
+};
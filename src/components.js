@@ -0,0 +1,173 @@
+/**
+ * Components of the Storybook, grouped from the index
+ *
+ * Story files name the component they document in their meta (`component`).
+ * Grouping the index by it gives one record per component: its file, props,
+ * events and description, every story that uses it (with its args) and the
+ * docs pages written for it.
+ */
+
+const path = require('path');
+
+const { resolveComponentFile, resolveComponentDocs } = require('./parsers');
+const { parseCsfFile } = require('./csf');
+
+const isCsf = entry => Boolean(entry.importPath) && !entry.importPath.endsWith('.mdx');
+
+/**
+ * Component a story entry's file documents, or null when its meta has none
+ *
+ * @param {object} entry - Index entry
+ * @param {string} projectDir - Project the entry's `importPath` is relative to
+ * @param {object} [options]
+ * @param {function[]} [options.extractors] - Plugin component docs extractors
+ * @returns {{ name: string, filePath: string|null, docs: object|null }|null}
+ */
+function readStoryComponent(entry, projectDir, { extractors } = {}) {
+  if (!projectDir || !isCsf(entry)) return null;
+
+  const storyFilePath = path.join(projectDir, entry.importPath.replace(/^\.\//, ''));
+  const csf = parseCsfFile(storyFilePath);
+  const name = csf?.meta?.component;
+  if (!name) return null;
+
+  const componentFilePath = resolveComponentFile(storyFilePath, csf);
+  return {
+    name,
+    filePath: componentFilePath
+      ? path.relative(projectDir, componentFilePath).split(path.sep).join('/')
+      : null,
+    docs: resolveComponentDocs(componentFilePath, { projectDir, componentName: name, extractors }),
+  };
+}
+
+/**
+ * Events of a component: declared outputs, and `onX` callback props (React)
+ */
+function listEvents(properties) {
+  return Object.entries(properties)
+    .filter(([name, prop]) => prop.type === 'output'
+      || (!prop.type && /^on[A-Z]/.test(name) && /=>|Function|Handler/.test(prop.tsType || '')))
+    .map(([name, prop]) => ({
+      name,
+      description: prop.description || '',
+      ...(prop.tsType ? { tsType: prop.tsType } : {}),
+    }));
+}
+
+/**
+ * Component payload, as returned by `/api/components/:name`
+ */
+function toComponentPayload(group) {
+  const docs = group.docs || {};
+  const properties = docs.properties || {};
+  const events = listEvents(properties);
+  const eventNames = new Set(events.map(event => event.name));
+
+  const component = {
+    name: group.name,
+    filePath: group.filePath,
+    selector: docs.selector || null,
+    description: docs.description || '',
+    docsSource: docs.source || null,
+    props: Object.fromEntries(Object.entries(properties).filter(([name]) => !eventNames.has(name))),
+    events,
+    titles: group.titles,
+    stories: group.stories,
+    docs: group.docsPages,
+  };
+  if (docs.tagName) {
+    component.tagName = docs.tagName;
+  }
+  if (group.source) {
+    component.source = group.source;
+  }
+  return component;
+}
+
+/**
+ * Group index entries by their component
+ *
+ * Stories of different files share a component when they resolve to the same
+ * component file (or, when it cannot be resolved, the same name). Docs pages
+ * are the autodocs of those files and the MDX files attached to them.
+ *
+ * @param {object[]} entries - Index entries
+ * @param {object} options
+ * @param {function} options.getComponent - `readStoryComponent` of an entry (may be async/memoized)
+ * @param {function} options.getStory - Story payload of an entry, for its `exportName` and `args`
+ * @returns {Promise<object[]>} Components sorted by name
+ */
+async function buildComponents(entries, { getComponent, getStory }) {
+  const groups = new Map();
+  const byFile = new Map();
+
+  for (const entry of entries) {
+    if (entry.type === 'docs' || !isCsf(entry)) continue;
+    const found = await getComponent(entry);
+    if (!found) continue;
+
+    const key = `${entry.source || ''}:${found.filePath || found.name}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ...found,
+        source: entry.source || null,
+        importPaths: new Set(),
+        titles: [],
+        stories: [],
+        docsPages: [],
+      });
+    }
+    const group = groups.get(key);
+    group.importPaths.add(entry.importPath);
+    byFile.set(`${entry.source || ''}:${entry.importPath}`, group);
+    if (!group.titles.includes(entry.title)) group.titles.push(entry.title);
+
+    const story = await getStory(entry);
+    group.stories.push({
+      id: entry.id,
+      name: entry.name,
+      title: entry.title,
+      importPath: entry.importPath,
+      exportName: story?.exportName || null,
+      args: story?.args || {},
+      tags: entry.tags || [],
+    });
+  }
+
+  for (const entry of entries) {
+    if (entry.type !== 'docs') continue;
+    const files = [entry.importPath, ...(entry.storiesImports || [])];
+    const attached = new Set(files.map(file => byFile.get(`${entry.source || ''}:${file}`)).filter(Boolean));
+    for (const group of attached) {
+      group.docsPages.push({
+        id: entry.id,
+        name: entry.name,
+        title: entry.title,
+        importPath: entry.importPath,
+        type: entry.importPath?.endsWith('.mdx') ? 'mdx' : 'autodocs',
+      });
+    }
+  }
+
+  return [...groups.values()]
+    .map(toComponentPayload)
+    .sort((a, b) => a.name.localeCompare(b.name) || (a.source || '').localeCompare(b.source || ''));
+}
+
+/**
+ * Components matching a name: the component name, its selector or tag name (case-insensitive)
+ */
+function findComponents(components, name) {
+  const exact = components.filter(component => component.name === name);
+  if (exact.length) return exact;
+  const lower = name.toLowerCase();
+  return components.filter(component => [component.name, component.selector, component.tagName]
+    .some(value => value && value.toLowerCase() === lower));
+}
+
+module.exports = {
+  readStoryComponent,
+  buildComponents,
+  findComponents,
+};
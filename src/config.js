@@ -0,0 +1,114 @@
+/**
+ * Project config file
+ *
+ * `storybook-rest-api.config.{js,cjs,mjs,json}` in the project directory holds
+ * the server options that would otherwise be CLI flags, and the plugins
+ * (see `plugins.js`):
+ *
+ *   module.exports = {
+ *     port: 6006,
+ *     staticDir: 'storybook-static',
+ *     auth: { apiKeys: [process.env.STORYBOOK_API_KEY] },
+ *     plugins: ['./tools/owners-plugin.js', ['storybook-api-figma', { token: process.env.FIGMA_TOKEN }]],
+ *   };
+ *
+ * The file may also export a function, sync or async, returning the options.
+ * Paths are relative to the project directory, plugin modules to the file.
+ * Flags given on the command line override the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { importModule, loadPlugins } = require('./plugins');
+
+const CONFIG_FILES = [
+  'storybook-rest-api.config.js',
+  'storybook-rest-api.config.cjs',
+  'storybook-rest-api.config.mjs',
+  'storybook-rest-api.config.json',
+];
+
+const CONFIG_KEYS = [
+  'port',
+  'storybookPort',
+  'storybookUrl',
+  'storybookCommand',
+  'angularProject',
+  'proxy',
+  'watch',
+  'staticDir',
+  'sources',
+  'render',
+  'events',
+  'auth',
+  'cors',
+  'indexTtl',
+  'supervisor',
+  'plugins',
+];
+
+/**
+ * Path of the config file in a project directory, or null
+ */
+function findConfigFile(projectDir) {
+  for (const fileName of CONFIG_FILES) {
+    const filePath = path.join(projectDir, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the config file of a project, with its plugins resolved
+ *
+ * @param {string} projectDir
+ * @param {object} [options]
+ * @param {string} [options.configFile] - Explicit file instead of the discovered one
+ * @returns {Promise<{ filePath: string, config: object }|null>} Null without a config file
+ */
+async function loadConfig(projectDir, { configFile } = {}) {
+  const filePath = configFile ? path.resolve(projectDir, configFile) : findConfigFile(projectDir);
+  if (!filePath) return null;
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  let config;
+  if (filePath.endsWith('.json')) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  } else {
+    config = await importModule(filePath);
+  }
+  if (typeof config === 'function') {
+    config = await config();
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${filePath} must export an object of options`);
+  }
+  const unknown = Object.keys(config).filter(key => !CONFIG_KEYS.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown options in ${path.basename(filePath)}: ${unknown.join(', ')}. Known options: ${CONFIG_KEYS.join(', ')}`);
+  }
+
+  return {
+    filePath,
+    config: {
+      ...config,
+      plugins: await loadPlugins(config.plugins, { baseDir: path.dirname(filePath) }),
+    },
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadConfig,
+};
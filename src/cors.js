@@ -0,0 +1,101 @@
+/**
+ * Configurable CORS
+ *
+ * Off by default. `config.cors` allows browser apps on other origins to call
+ * the API:
+ *
+ *   true | '*'                    any origin
+ *   'https://a.example'           one origin (or a comma-separated list)
+ *   ['https://*.corp.example']    origins, `*` matching one or more subdomain labels
+ *   { origin, credentials, methods, allowedHeaders, exposedHeaders, maxAge }
+ *
+ * Credentials need explicit origins: allowing them for any origin would let
+ * every site read the API with the cookies or basic auth of its visitors.
+ */
+
+const DEFAULTS = {
+  methods: ['GET', 'HEAD', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Authorization', 'Content-Type', 'X-API-Key', 'Last-Event-ID', 'Mcp-Session-Id', 'Mcp-Protocol-Version'],
+  exposedHeaders: ['ETag', 'Last-Modified', 'WWW-Authenticate', 'Mcp-Session-Id'],
+  maxAge: 600,
+  credentials: false,
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize the `cors` option, or null when CORS is off
+ *
+ * @throws {Error} When credentials are allowed for any origin
+ */
+function normalizeCorsOptions(options) {
+  if (!options) return null;
+  const config = typeof options === 'object' && !Array.isArray(options) ? options : { origin: options };
+  const origin = config.origin === undefined ? '*' : config.origin;
+
+  let origins;
+  if (origin === true || origin === '*') {
+    origins = '*';
+  } else {
+    origins = [].concat(origin)
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim().replace(/\/$/, ''))
+      .filter(Boolean);
+    if (!origins.length) return null;
+  }
+  if (origins === '*' && config.credentials) {
+    throw new Error('CORS credentials need explicit origins, not "*"');
+  }
+
+  return {
+    ...DEFAULTS,
+    ...config,
+    origins,
+    patterns: origins === '*' ? null : origins.map(item => new RegExp(`^${escapeRegExp(item).replace(/\\\*/g, '[^/]+')}$`)),
+  };
+}
+
+/**
+ * Express middleware adding CORS headers and answering preflight requests
+ *
+ * @param {*} options - See the module documentation
+ * @returns {function|null} Null when CORS is off
+ */
+function cors(options) {
+  const config = normalizeCorsOptions(options);
+  if (!config) return null;
+
+  return (req, res, next) => {
+    const { origin } = req.headers;
+    if (config.origins !== '*') {
+      res.vary('Origin');
+    }
+    if (!origin) return next();
+
+    const allowed = config.origins === '*' || config.patterns.some(pattern => pattern.test(origin));
+    if (!allowed) return next();
+
+    res.set('Access-Control-Allow-Origin', config.origins === '*' ? '*' : origin);
+    if (config.credentials) {
+      res.set('Access-Control-Allow-Credentials', 'true');
+    }
+    if (config.exposedHeaders.length) {
+      res.set('Access-Control-Expose-Headers', config.exposedHeaders.join(', '));
+    }
+
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      res.set('Access-Control-Allow-Methods', config.methods.join(', '));
+      res.set('Access-Control-Allow-Headers', config.allowedHeaders.join(', '));
+      res.set('Access-Control-Max-Age', String(config.maxAge));
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+module.exports = {
+  cors,
+  normalizeCorsOptions,
+};
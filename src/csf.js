@@ -0,0 +1,544 @@
+/**
+ * CSF (Component Story Format) parser
+ *
+ * Parses story files with the TypeScript compiler API and returns the
+ * default export (meta) and every named story export as structured JSON.
+ * Supports CSF 3 objects, CSF 2 functions with `Story.args = {...}`
+ * assignments, `satisfies`/`as` wrappers, spreads and references to other
+ * top-level constants of the same file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+/**
+ * Story annotations that are copied from the AST into the parsed output
+ */
+const ANNOTATIONS = ['args', 'argTypes', 'parameters', 'decorators', 'tags', 'play', 'loaders', 'render'];
+
+/**
+ * Marker key used for values that cannot be statically evaluated
+ * (function calls, arrow functions, identifiers from other modules...)
+ */
+const EXPRESSION_KEY = '__expression';
+
+/**
+ * Check whether a parsed value is an unevaluated expression
+ */
+function isExpression(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value[EXPRESSION_KEY] === 'string';
+}
+
+/**
+ * Sanitize a string the same way Storybook does when building story IDs
+ */
+function sanitize(string) {
+  return string
+    .toLowerCase()
+    .replace(/[ ’–—―′¿'`~!@#$%^&*()_|+\-=?;:'",.<>{}[\]\\/]/gi, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+/, '')
+    .replace(/-+$/, '');
+}
+
+/**
+ * Build a story ID from a title and export name (`Example/Button` + `Primary`)
+ */
+function toId(title, exportName) {
+  return `${sanitize(title)}--${sanitize(storyNameFromExport(exportName))}`;
+}
+
+/**
+ * Convert an export name to a display name (`LoggedIn` -> `Logged In`)
+ */
+function storyNameFromExport(exportName) {
+  return exportName
+    .replace(/_/g, ' ')
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^./, (c) => c.toUpperCase());
+}
+
+/**
+ * Get the script kind to use for a file name
+ */
+function getScriptKind(fileName) {
+  switch (path.extname(fileName || '').toLowerCase()) {
+    case '.tsx': return ts.ScriptKind.TSX;
+    case '.jsx': return ts.ScriptKind.JSX;
+    case '.js':
+    case '.mjs':
+    case '.cjs': return ts.ScriptKind.JS;
+    default: return ts.ScriptKind.TS;
+  }
+}
+
+/**
+ * Create a TypeScript source file from source text
+ */
+function createSourceFile(content, fileName = 'story.ts') {
+  return ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true, getScriptKind(fileName));
+}
+
+/**
+ * Remove type-only wrappers around an expression
+ * (`{...} satisfies Meta`, `{...} as Meta`, `<Meta>{...}`, `({...})`)
+ */
+function unwrap(node) {
+  while (node) {
+    if (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isTypeAssertionExpression(node) || ts.isNonNullExpression(node)) {
+      node = node.expression;
+    } else if (ts.isSatisfiesExpression && ts.isSatisfiesExpression(node)) {
+      node = node.expression;
+    } else {
+      break;
+    }
+  }
+  return node;
+}
+
+/**
+ * Get the static name of a property
+ */
+function getPropertyName(name) {
+  if (!name) return null;
+  if (ts.isIdentifier(name) || ts.isPrivateIdentifier(name)) return name.text;
+  if (ts.isStringLiteral(name) || ts.isNumericLiteral(name) || ts.isNoSubstitutionTemplateLiteral(name)) return name.text;
+  if (ts.isComputedPropertyName(name)) {
+    const expression = unwrap(name.expression);
+    if (ts.isStringLiteralLike(expression) || ts.isNumericLiteral(expression)) return expression.text;
+  }
+  return null;
+}
+
+/**
+ * Parser state for a single source file
+ */
+class CsfFile {
+  constructor(content, fileName) {
+    this.content = content;
+    this.fileName = fileName;
+    this.sourceFile = createSourceFile(content, fileName);
+    this.declarations = new Map();
+    this.assignments = new Map();
+    this.imports = [];
+    this.exports = [];
+    this.metaNode = null;
+    this.metaStatement = null;
+    this.collect();
+  }
+
+  getText(node) {
+    return node.getText(this.sourceFile);
+  }
+
+  /**
+   * Walk top-level statements once and index everything the parser needs
+   */
+  collect() {
+    for (const statement of this.sourceFile.statements) {
+      if (ts.isImportDeclaration(statement)) {
+        this.collectImport(statement);
+        continue;
+      }
+
+      if (ts.isVariableStatement(statement)) {
+        const isExported = (statement.modifiers || []).some((m) => m.kind === ts.SyntaxKind.ExportKeyword);
+        for (const declaration of statement.declarationList.declarations) {
+          if (!ts.isIdentifier(declaration.name)) continue;
+          const name = declaration.name.text;
+          this.declarations.set(name, { node: declaration.initializer, statement });
+          if (isExported) this.exports.push(name);
+        }
+        continue;
+      }
+
+      if (ts.isFunctionDeclaration(statement) && statement.name) {
+        const isExported = (statement.modifiers || []).some((m) => m.kind === ts.SyntaxKind.ExportKeyword);
+        const isDefault = (statement.modifiers || []).some((m) => m.kind === ts.SyntaxKind.DefaultKeyword);
+        this.declarations.set(statement.name.text, { node: statement, statement });
+        if (isExported && !isDefault) this.exports.push(statement.name.text);
+        continue;
+      }
+
+      if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+        this.metaStatement = statement;
+        this.metaNode = statement.expression;
+        continue;
+      }
+
+      if (ts.isExportDeclaration(statement) && !statement.moduleSpecifier && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          const local = (element.propertyName || element.name).text;
+          const exported = element.name.text;
+          if (exported === 'default') {
+            this.metaStatement = statement;
+            this.metaNode = ts.factory.createIdentifier(local);
+          } else if (local === exported) {
+            this.exports.push(exported);
+          }
+        }
+        continue;
+      }
+
+      // CSF 2 style: `Primary.args = { ... };`
+      if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression)
+        && statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+        const left = statement.expression.left;
+        if (ts.isPropertyAccessExpression(left) && ts.isIdentifier(left.expression)) {
+          const target = left.expression.text;
+          if (!this.assignments.has(target)) this.assignments.set(target, []);
+          this.assignments.get(target).push({ key: left.name.text, node: statement.expression.right, statement });
+        }
+      }
+    }
+  }
+
+  collectImport(statement) {
+    const source = statement.moduleSpecifier.text;
+    const specifiers = [];
+    const clause = statement.importClause;
+    if (clause) {
+      if (clause.name) {
+        specifiers.push({ imported: 'default', local: clause.name.text });
+      }
+      if (clause.namedBindings) {
+        if (ts.isNamespaceImport(clause.namedBindings)) {
+          specifiers.push({ imported: '*', local: clause.namedBindings.name.text });
+        } else {
+          for (const element of clause.namedBindings.elements) {
+            specifiers.push({
+              imported: (element.propertyName || element.name).text,
+              local: element.name.text,
+            });
+          }
+        }
+      }
+    }
+    this.imports.push({
+      source,
+      specifiers,
+      typeOnly: !!(clause && clause.isTypeOnly),
+      code: this.getText(statement),
+    });
+  }
+
+  /**
+   * Resolve an identifier or member access to the AST node it refers to
+   */
+  resolveNode(node, seen = new Set()) {
+    node = unwrap(node);
+    if (!node) return node;
+
+    if (ts.isIdentifier(node)) {
+      const name = node.text;
+      if (seen.has(name)) return node;
+      const declaration = this.declarations.get(name);
+      if (declaration && declaration.node) {
+        seen.add(name);
+        return this.resolveNode(declaration.node, seen);
+      }
+      return node;
+    }
+
+    if (ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node)) {
+      const argument = ts.isElementAccessExpression(node) ? unwrap(node.argumentExpression) : null;
+      const key = ts.isPropertyAccessExpression(node)
+        ? node.name.text
+        : (ts.isStringLiteralLike(argument) || ts.isNumericLiteral(argument) ? argument.text : null);
+      if (key === null) return node;
+
+      // `Primary.args` may come from a CSF 2 assignment
+      if (ts.isIdentifier(unwrap(node.expression))) {
+        const assigned = (this.assignments.get(unwrap(node.expression).text) || []).filter((a) => a.key === key).pop();
+        if (assigned) return this.resolveNode(assigned.node, seen);
+      }
+
+      const target = this.unwrapFactory(this.resolveNode(node.expression, seen));
+      if (target && ts.isObjectLiteralExpression(target)) {
+        const property = this.findProperty(target, key, seen);
+        if (property) return this.resolveNode(property, seen);
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * CSF factories: `preview.meta({...})` and `meta.story({...})`
+   */
+  unwrapFactory(node) {
+    node = unwrap(node);
+    if (node && ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression)
+      && ['meta', 'story'].includes(node.expression.name.text)) {
+      const [arg] = node.arguments;
+      if (!arg) return ts.factory.createObjectLiteralExpression([]);
+      const resolved = this.resolveNode(arg);
+      if (resolved && ts.isObjectLiteralExpression(resolved)) return resolved;
+    }
+    return node;
+  }
+
+  /**
+   * Find a property initializer in an object literal, following spreads
+   */
+  findProperty(objectNode, key, seen = new Set()) {
+    let found = null;
+    for (const property of objectNode.properties) {
+      if (ts.isSpreadAssignment(property)) {
+        const spread = this.unwrapFactory(this.resolveNode(property.expression, new Set(seen)));
+        if (spread && ts.isObjectLiteralExpression(spread)) {
+          const inner = this.findProperty(spread, key, seen);
+          if (inner) found = inner;
+        }
+        continue;
+      }
+      if (getPropertyName(property.name) !== key) continue;
+      if (ts.isPropertyAssignment(property)) found = property.initializer;
+      else if (ts.isShorthandPropertyAssignment(property)) found = property.name;
+      else if (ts.isMethodDeclaration(property)) found = property;
+    }
+    return found;
+  }
+
+  /**
+   * Convert an expression to a JSON value. Anything that cannot be evaluated
+   * statically is returned as `{ __expression: '<source>' }`.
+   */
+  evaluate(node, seen = new Set()) {
+    node = this.resolveNode(node, new Set(seen));
+    if (!node) return undefined;
+
+    switch (node.kind) {
+      case ts.SyntaxKind.StringLiteral:
+      case ts.SyntaxKind.NoSubstitutionTemplateLiteral:
+        return node.text;
+      case ts.SyntaxKind.NumericLiteral:
+        return Number(node.text);
+      case ts.SyntaxKind.TrueKeyword:
+        return true;
+      case ts.SyntaxKind.FalseKeyword:
+        return false;
+      case ts.SyntaxKind.NullKeyword:
+        return null;
+      default:
+        break;
+    }
+
+    if (ts.isIdentifier(node) && node.text === 'undefined') return undefined;
+
+    if (ts.isPrefixUnaryExpression(node) && ts.isNumericLiteral(unwrap(node.operand))) {
+      const value = Number(unwrap(node.operand).text);
+      if (node.operator === ts.SyntaxKind.MinusToken) return -value;
+      if (node.operator === ts.SyntaxKind.PlusToken) return value;
+    }
+
+    if (ts.isArrayLiteralExpression(node)) {
+      const result = [];
+      for (const element of node.elements) {
+        if (ts.isSpreadElement(element)) {
+          const spread = this.evaluate(element.expression, seen);
+          if (Array.isArray(spread)) result.push(...spread);
+          else result.push({ [EXPRESSION_KEY]: this.getText(element) });
+        } else if (!ts.isOmittedExpression(element)) {
+          result.push(this.evaluate(element, seen));
+        }
+      }
+      return result;
+    }
+
+    if (ts.isObjectLiteralExpression(node)) {
+      const result = {};
+      for (const property of node.properties) {
+        if (ts.isSpreadAssignment(property)) {
+          const spread = this.evaluate(property.expression, seen);
+          if (spread && typeof spread === 'object' && !Array.isArray(spread) && !isExpression(spread)) {
+            Object.assign(result, spread);
+          }
+          continue;
+        }
+        const key = getPropertyName(property.name);
+        if (key === null) continue;
+        if (ts.isPropertyAssignment(property)) {
+          result[key] = this.evaluate(property.initializer, seen);
+        } else if (ts.isShorthandPropertyAssignment(property)) {
+          result[key] = this.evaluate(property.name, seen);
+        } else {
+          result[key] = { [EXPRESSION_KEY]: this.getText(property) };
+        }
+      }
+      return result;
+    }
+
+    return { [EXPRESSION_KEY]: this.getText(node) };
+  }
+
+  /**
+   * Read the annotations (args, argTypes, parameters...) of a meta/story object
+   */
+  readAnnotations(objectNode) {
+    const result = {};
+    for (const key of ['title', 'name', 'id', 'component', 'subcomponents', 'includeStories', 'excludeStories', ...ANNOTATIONS]) {
+      const valueNode = this.findProperty(objectNode, key);
+      if (!valueNode) continue;
+
+      if (key === 'component') {
+        // Web components reference the element by tag name (`component: 'my-button'`)
+        const component = unwrap(valueNode);
+        result.component = ts.isStringLiteralLike(component) ? component.text : this.getText(component);
+      } else if (key === 'decorators' || key === 'loaders') {
+        const list = this.resolveNode(valueNode);
+        result[key] = list && ts.isArrayLiteralExpression(list)
+          ? list.elements.map((element) => this.getText(element))
+          : [this.getText(valueNode)];
+      } else if (key === 'play' || key === 'render') {
+        result[key] = this.getText(this.resolveNode(valueNode));
+      } else if (key === 'subcomponents') {
+        const value = this.resolveNode(valueNode);
+        result.subcomponents = value && ts.isObjectLiteralExpression(value)
+          ? value.properties.map((p) => getPropertyName(p.name)).filter(Boolean)
+          : [];
+      } else {
+        result[key] = this.evaluate(valueNode);
+      }
+    }
+    return result;
+  }
+
+  parseMeta() {
+    if (!this.metaNode) return null;
+    const metaObject = this.unwrapFactory(this.resolveNode(this.metaNode));
+    if (!metaObject || !ts.isObjectLiteralExpression(metaObject)) return null;
+
+    const meta = this.readAnnotations(metaObject);
+    let codeNode = this.metaStatement;
+    if (ts.isIdentifier(unwrap(this.metaNode))) {
+      const declaration = this.declarations.get(unwrap(this.metaNode).text);
+      if (declaration) codeNode = declaration.statement;
+    }
+    meta.code = this.getText(codeNode);
+    return meta;
+  }
+
+  isStoryExport(name, meta) {
+    const matches = (pattern) => {
+      if (Array.isArray(pattern)) return pattern.includes(name);
+      if (isExpression(pattern)) {
+        const regex = pattern[EXPRESSION_KEY].match(/^\/(.*)\/([gimsuy]*)$/);
+        return regex ? new RegExp(regex[1], regex[2]).test(name) : false;
+      }
+      return false;
+    };
+    if (meta && meta.includeStories && !matches(meta.includeStories)) return false;
+    if (meta && meta.excludeStories && matches(meta.excludeStories)) return false;
+    return name !== '__namedExportsOrder';
+  }
+
+  parseStory(exportName, meta) {
+    const declaration = this.declarations.get(exportName);
+    if (!declaration) return null;
+
+    const story = { exportName };
+    const node = this.unwrapFactory(this.resolveNode(declaration.node || declaration.statement));
+
+    if (node && ts.isObjectLiteralExpression(node)) {
+      Object.assign(story, this.readAnnotations(node));
+    } else if (node && (ts.isArrowFunction(node) || ts.isFunctionExpression(node) || ts.isFunctionDeclaration(node)
+      || ts.isCallExpression(node))) {
+      // CSF 2 function story (`() => ...` or `Template.bind({})`)
+      story.render = this.getText(node);
+    }
+
+    // CSF 2 assignments override object properties
+    const assignments = this.assignments.get(exportName) || [];
+    for (const assignment of assignments) {
+      const key = assignment.key === 'storyName' ? 'name' : assignment.key;
+      if (key === 'decorators' || key === 'loaders') {
+        const list = this.resolveNode(assignment.node);
+        story[key] = list && ts.isArrayLiteralExpression(list)
+          ? list.elements.map((element) => this.getText(element))
+          : [this.getText(assignment.node)];
+      } else if (key === 'play' || key === 'render') {
+        story[key] = this.getText(assignment.node);
+      } else if (key === 'name' || ANNOTATIONS.includes(key)) {
+        story[key] = this.evaluate(assignment.node);
+      }
+    }
+
+    story.name = typeof story.name === 'string' ? story.name : storyNameFromExport(exportName);
+    if (meta && typeof meta.title === 'string') {
+      story.id = typeof story.id === 'string' ? story.id : toId(meta.id || meta.title, exportName);
+    }
+
+    story.code = [declaration.statement, ...assignments.map((a) => a.statement)]
+      .map((statement) => this.getText(statement))
+      .join('\n');
+
+    return story;
+  }
+
+  parse() {
+    const meta = this.parseMeta();
+    const stories = {};
+    for (const exportName of this.exports) {
+      if (!this.isStoryExport(exportName, meta)) continue;
+      const story = this.parseStory(exportName, meta);
+      if (story) stories[exportName] = story;
+    }
+    return { meta, stories, imports: this.imports };
+  }
+}
+
+/**
+ * Parse CSF source code
+ *
+ * @param {string} content - Story file source
+ * @param {string} [fileName] - File name, used to pick the TS/JS/JSX dialect
+ * @returns {{ meta: object|null, stories: Object<string, object>, imports: object[] }}
+ */
+function parseCsf(content, fileName) {
+  return new CsfFile(content, fileName).parse();
+}
+
+/**
+ * Parse a CSF story file from disk
+ */
+function parseCsfFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return parseCsf(fs.readFileSync(filePath, 'utf8'), filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the story matching a Storybook story ID in a parsed CSF file
+ */
+function findStory(csf, storyId) {
+  if (!csf || !storyId) return null;
+  const stories = Object.values(csf.stories);
+  const byId = stories.find((story) => story.id === storyId);
+  if (byId) return byId;
+
+  const storyPart = storyId.split('--')[1];
+  if (!storyPart) return null;
+  return stories.find((story) => sanitize(storyNameFromExport(story.exportName)) === storyPart) || null;
+}
+
+module.exports = {
+  parseCsf,
+  parseCsfFile,
+  findStory,
+  isExpression,
+  sanitize,
+  toId,
+  storyNameFromExport,
+  createSourceFile,
+  unwrap,
+  getPropertyName,
+  EXPRESSION_KEY,
+};
@@ -0,0 +1,235 @@
+/**
+ * Custom Elements Manifest ingestion (Web Components)
+ *
+ * Lit, Stencil and other web component projects generate a
+ * `custom-elements.json` (https://github.com/webcomponents/custom-elements-manifest)
+ * describing every element: attributes, properties, events, slots, CSS parts
+ * and CSS custom properties. Web component stories usually reference the
+ * element by tag name (`component: 'my-button'`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const cache = new Map();
+
+/**
+ * Find custom-elements.json candidates: package.json `customElements`, then the project root
+ */
+function findManifestFiles(projectDir) {
+  const candidates = [];
+
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+    if (typeof packageJson.customElements === 'string') {
+      candidates.push(path.join(projectDir, packageJson.customElements));
+    }
+  } catch (error) {
+    // No or invalid package.json
+  }
+  candidates.push(path.join(projectDir, 'custom-elements.json'));
+
+  return [...new Set(candidates.map(candidate => path.resolve(candidate)))].filter(candidate => fs.existsSync(candidate));
+}
+
+/**
+ * Load (and cache by mtime) the Custom Elements Manifest of a project
+ */
+function loadCustomElementsManifest(projectDir) {
+  if (!projectDir) return null;
+
+  for (const filePath of findManifestFiles(projectDir)) {
+    try {
+      const { mtimeMs } = fs.statSync(filePath);
+      const cached = cache.get(filePath);
+      if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.data;
+      }
+
+      const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const data = { filePath, json, elements: collectElements(json) };
+      cache.set(filePath, { mtimeMs, data });
+      return data;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the custom element declarations of a manifest with their tag names
+ */
+function collectElements(json) {
+  const elements = [];
+  const tagsByDeclaration = new Map();
+
+  // `customElements.define('my-button', MyButton)` is recorded as an export
+  for (const module of json.modules || []) {
+    for (const item of module.exports || []) {
+      if (item.kind === 'custom-element-definition' && item.declaration?.name) {
+        tagsByDeclaration.set(`${item.declaration.module || module.path}:${item.declaration.name}`, item.name);
+        tagsByDeclaration.set(item.declaration.name, tagsByDeclaration.get(item.declaration.name) || item.name);
+      }
+    }
+  }
+
+  for (const module of json.modules || []) {
+    for (const declaration of module.declarations || []) {
+      if (declaration.kind !== 'class' || !(declaration.customElement || declaration.tagName)) continue;
+      const tagName = declaration.tagName
+        || tagsByDeclaration.get(`${module.path}:${declaration.name}`)
+        || tagsByDeclaration.get(declaration.name);
+      elements.push({ modulePath: module.path, tagName, declaration });
+    }
+  }
+
+  return elements;
+}
+
+function describe(item) {
+  return [item.summary, item.description].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Find an element by tag name, class name or source file
+ */
+function findCustomElement(manifest, { tagName, componentName, componentFilePath, projectDir } = {}) {
+  if (!manifest) return null;
+  const { elements } = manifest;
+  const manifestDir = path.dirname(manifest.filePath);
+
+  const matchesFile = (element) => {
+    if (!componentFilePath || !element.modulePath) return false;
+    const wanted = path.resolve(componentFilePath).replace(/\.[jt]sx?$/, '');
+    return [manifestDir, projectDir].filter(Boolean)
+      .some(baseDir => path.resolve(baseDir, element.modulePath).replace(/\.[jt]sx?$/, '') === wanted);
+  };
+
+  return elements.find(element => tagName && element.tagName === tagName)
+    || elements.find(element => componentName && element.declaration.name === componentName)
+    || elements.find(matchesFile)
+    || null;
+}
+
+/**
+ * Build component docs from the manifest, in the same shape as
+ * `extractComponentDocs`, plus the manifest-only sections
+ *
+ * @param {string} projectDir
+ * @param {object} options
+ * @param {string} [options.componentName] - Story `component`: a tag name or class name
+ * @param {string} [options.componentFilePath]
+ */
+function getCustomElementDocs(projectDir, { componentName, componentFilePath } = {}) {
+  const manifest = loadCustomElementsManifest(projectDir);
+  const isTagName = typeof componentName === 'string' && componentName.includes('-');
+  const element = findCustomElement(manifest, {
+    tagName: isTagName ? componentName : undefined,
+    componentName: isTagName ? undefined : componentName,
+    componentFilePath,
+    projectDir,
+  });
+  if (!element) return null;
+
+  const { declaration, tagName } = element;
+  const attributes = (declaration.attributes || []).map(attribute => ({
+    name: attribute.name,
+    ...(attribute.fieldName ? { fieldName: attribute.fieldName } : {}),
+    tsType: attribute.type?.text,
+    ...(attribute.default !== undefined ? { defaultValue: attribute.default } : {}),
+    description: describe(attribute),
+    ...(attribute.deprecated ? { deprecated: attribute.deprecated } : {}),
+  }));
+  const fields = (declaration.members || [])
+    .filter(member => member.kind === 'field' && !member.static && (!member.privacy || member.privacy === 'public'))
+    .map(member => ({
+      name: member.name,
+      ...(member.attribute ? { attribute: member.attribute } : {}),
+      ...(member.reflects ? { reflects: true } : {}),
+      ...(member.readonly ? { readonly: true } : {}),
+      tsType: member.type?.text,
+      ...(member.default !== undefined ? { defaultValue: member.default } : {}),
+      description: describe(member),
+      ...(member.inheritedFrom ? { inheritedFrom: member.inheritedFrom.name } : {}),
+      ...(member.deprecated ? { deprecated: member.deprecated } : {}),
+    }));
+  const methods = (declaration.members || [])
+    .filter(member => member.kind === 'method' && !member.static && (!member.privacy || member.privacy === 'public'))
+    .map(member => ({
+      name: member.name,
+      args: (member.parameters || []).map(param => ({
+        name: param.name,
+        type: param.type?.text,
+        optional: !!param.optional,
+      })),
+      returnType: member.return?.type?.text,
+      description: describe(member),
+    }));
+  const events = (declaration.events || []).map(event => ({
+    name: event.name,
+    tsType: event.type?.text,
+    description: describe(event),
+  }));
+  const slots = (declaration.slots || []).map(slot => ({ name: slot.name || 'default', description: describe(slot) }));
+  const cssParts = (declaration.cssParts || []).map(part => ({ name: part.name, description: describe(part) }));
+  const cssProperties = (declaration.cssProperties || []).map(property => ({
+    name: property.name,
+    ...(property.syntax ? { syntax: property.syntax } : {}),
+    ...(property.default !== undefined ? { defaultValue: property.default } : {}),
+    description: describe(property),
+  }));
+
+  const docs = {
+    source: 'custom-elements',
+    name: declaration.name,
+    tagName,
+    selector: tagName,
+    description: describe(declaration),
+    properties: {},
+    attributes,
+    members: fields,
+    methods,
+    events,
+    slots,
+    cssParts,
+    cssProperties,
+    manifestFile: manifest.filePath,
+    modulePath: element.modulePath,
+  };
+
+  // Properties are keyed by field name; attribute-only entries by attribute name
+  for (const field of fields) {
+    const { name, ...rest } = field;
+    const attribute = attributes.find(item => item.fieldName === name || item.name === field.attribute);
+    docs.properties[name] = {
+      ...rest,
+      type: 'input',
+      required: false,
+      ...(attribute ? { attribute: attribute.name } : {}),
+    };
+  }
+  for (const attribute of attributes) {
+    const covered = Object.values(docs.properties).some(property => property.attribute === attribute.name);
+    if (covered) continue;
+    const { name, fieldName, ...rest } = attribute;
+    docs.properties[fieldName || name] = { ...rest, type: 'input', required: false, attribute: name };
+  }
+  for (const event of events) {
+    const { name, ...rest } = event;
+    docs.properties[name] = { ...rest, type: 'output', required: false };
+  }
+  for (const slot of slots) {
+    const { name, ...rest } = slot;
+    if (!docs.properties[name]) docs.properties[name] = { ...rest, type: 'slot', required: false };
+  }
+
+  return docs;
+}
+
+module.exports = {
+  loadCustomElementsManifest,
+  findCustomElement,
+  getCustomElementDocs,
+};
@@ -0,0 +1,326 @@
+/**
+ * Live story events
+ *
+ * Clients subscribe to `/api/events` (Server-Sent Events, or a WebSocket on
+ * the same path) instead of polling `/api/stories`. While at least one client
+ * is connected, every cache invalidation (a watched story/component file
+ * changed, or the content of Storybook's index.json changed) re-reads the
+ * index and the story and docs payloads, and diffs them with the previous
+ * snapshot:
+ *
+ *   story-added     { storyId, story }                            entry added to the index
+ *   story-removed   { storyId, story }                            entry removed from the index
+ *   story-updated   { storyId, changes }                          index entry or parsed story changed
+ *   docs-updated    { importPath, storyIds, component, changes }  docs of a story or MDX file changed
+ *
+ * Every event also has a sequence `id`, its `type` and a `timestamp`.
+ * `changes` maps each changed field to `{ before, after }`; docs changes list
+ * the added, removed and changed properties and the other changed fields.
+ */
+
+const { EventEmitter } = require('events');
+
+const { toStorySummary } = require('./payloads');
+const { authorizeUpgrade } = require('./auth');
+
+const EVENT_TYPES = ['story-added', 'story-removed', 'story-updated', 'docs-updated'];
+
+/**
+ * Docs fields that belong to the entry the docs were built for, not to the file
+ */
+const ENTRY_FIELDS = ['storyId', 'title', 'name', 'type', 'source'];
+
+/**
+ * Changed top-level fields as `{ field: { before, after } }`
+ */
+function diffFields(before = {}, after = {}, ignore = []) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (ignore.includes(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { before: before[key], after: after[key] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diff two docs payloads, or null when they document the same thing
+ */
+function diffDocs(before = {}, after = {}) {
+  const beforeProps = before.properties || {};
+  const afterProps = after.properties || {};
+  const properties = {
+    added: Object.keys(afterProps).filter(name => !(name in beforeProps)),
+    removed: Object.keys(beforeProps).filter(name => !(name in afterProps)),
+    changed: Object.keys(afterProps).filter(name => name in beforeProps
+      && JSON.stringify(beforeProps[name]) !== JSON.stringify(afterProps[name])),
+  };
+  const fields = Object.keys(diffFields(before, after, ['properties', ...ENTRY_FIELDS]));
+
+  const changed = fields.length || Object.values(properties).some(names => names.length);
+  return changed ? { properties, fields } : null;
+}
+
+async function safely(compute) {
+  try {
+    return await compute();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Diffs the index, stories and docs on every cache invalidation and emits the changes
+ */
+class StoryEvents extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.cache - `StoryCache` or `FederatedCache`
+   * @param {function} options.getStory - Story payload of an index entry (memoized)
+   * @param {function} options.getDocs - Docs payload of an index entry (memoized)
+   * @param {number} [options.pollInterval=5000] - How often the index is re-checked while clients are connected
+   * @param {number} [options.historySize=100] - Events kept for clients reconnecting with `Last-Event-ID`
+   */
+  constructor({ cache, getStory, getDocs, pollInterval = 5000, historySize = 100 }) {
+    super();
+    this.setMaxListeners(0);
+    this.cache = cache;
+    this.getStory = getStory;
+    this.getDocs = getDocs;
+    this.pollInterval = pollInterval;
+    this.historySize = historySize;
+    this.history = [];
+    this.lastEventId = 0;
+    this.snapshot = null;
+    this.subscribers = 0;
+    this.running = null;
+    this.rerun = false;
+    this.poller = null;
+
+    this.onInvalidate = () => {
+      if (this.subscribers > 0) this.schedule();
+    };
+    cache.on('invalidate', this.onInvalidate);
+  }
+
+  /**
+   * Listen to events. The first subscriber starts tracking changes, the last one stops it.
+   *
+   * @param {function} listener - Called with `{ id, type, timestamp, ...data }`
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.on('event', listener);
+    this.subscribers += 1;
+    if (this.subscribers === 1) {
+      this.schedule();
+      // Storybook rewrites index.json on its own, re-check it while someone listens
+      // (and take the first snapshot once Storybook is up, if it was not)
+      this.poller = setInterval(() => {
+        if (this.snapshot) this.cache.getIndex().catch(() => {});
+        else this.schedule();
+      }, this.pollInterval);
+      this.poller.unref();
+    }
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      this.off('event', listener);
+      this.subscribers -= 1;
+      if (this.subscribers === 0) {
+        clearInterval(this.poller);
+        this.poller = null;
+        this.snapshot = null;
+      }
+    };
+  }
+
+  /**
+   * Events after `lastEventId` still in the history
+   */
+  since(lastEventId) {
+    return this.history.filter(event => event.id > lastEventId);
+  }
+
+  /**
+   * Refresh the snapshot, coalescing invalidations that arrive while one is running
+   */
+  schedule() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+    this.running = (async () => {
+      do {
+        this.rerun = false;
+        await this.refresh();
+      } while (this.rerun && this.subscribers > 0);
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async refresh() {
+    let index;
+    try {
+      index = await this.cache.getIndex();
+    } catch (error) {
+      // Storybook is down: keep the last snapshot and diff once it is back
+      return;
+    }
+
+    const snapshot = await this.takeSnapshot(index.entries || {});
+    if (this.subscribers === 0) return;
+    if (this.snapshot) {
+      this.diff(this.snapshot, snapshot);
+    }
+    this.snapshot = snapshot;
+  }
+
+  /**
+   * Story payload of every entry, and docs payload of every story/MDX file
+   */
+  async takeSnapshot(entries) {
+    const stories = new Map();
+    const docs = new Map();
+
+    for (const entry of Object.values(entries)) {
+      stories.set(entry.id, await safely(() => this.getStory(entry)));
+
+      if (!entry.importPath) continue;
+      const key = `${entry.source || ''}:${entry.importPath}`;
+      if (!docs.has(key)) {
+        docs.set(key, { entry, storyIds: [], docs: await safely(() => this.getDocs(entry)) });
+      }
+      docs.get(key).storyIds.push(entry.id);
+    }
+
+    return { entries, stories, docs };
+  }
+
+  diff(previous, next) {
+    for (const [id, entry] of Object.entries(next.entries)) {
+      if (!previous.entries[id]) {
+        this.publish('story-added', { storyId: id, story: toStorySummary(entry) });
+      }
+    }
+    for (const [id, entry] of Object.entries(previous.entries)) {
+      if (!next.entries[id]) {
+        this.publish('story-removed', { storyId: id, story: toStorySummary(entry) });
+      }
+    }
+
+    for (const [id, entry] of Object.entries(next.entries)) {
+      if (!previous.entries[id]) continue;
+      const before = previous.stories.get(id) || toStorySummary(previous.entries[id]);
+      const after = next.stories.get(id) || toStorySummary(entry);
+      // Component docs embedded in the story are reported by docs-updated
+      const changes = diffFields(before, after, ['docs']);
+      if (Object.keys(changes).length) {
+        this.publish('story-updated', { storyId: id, changes });
+      }
+    }
+
+    for (const [key, file] of next.docs) {
+      const known = previous.docs.get(key);
+      if (!known || !known.docs || !file.docs) continue;
+      const changes = diffDocs(known.docs, file.docs);
+      if (changes) {
+        this.publish('docs-updated', {
+          importPath: file.entry.importPath,
+          ...(file.entry.source ? { source: file.entry.source } : {}),
+          storyIds: file.storyIds,
+          component: file.docs.component || null,
+          changes,
+        });
+      }
+    }
+  }
+
+  publish(type, data) {
+    this.lastEventId += 1;
+    const event = { ...data, id: this.lastEventId, type, timestamp: new Date().toISOString() };
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    this.emit('event', event);
+  }
+
+  close() {
+    this.cache.off('invalidate', this.onInvalidate);
+    clearInterval(this.poller);
+    this.removeAllListeners('event');
+    this.subscribers = 0;
+  }
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ */
+function toSseMessage(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Serve the events over WebSocket on an HTTP server, on the same path as the SSE stream
+ *
+ * Each event is sent as a JSON text message; `?type=` filters like for SSE, and
+ * unknown types close the socket with code 1008. Upgrades to other paths are
+ * left to the other `upgrade` listeners, or refused when there are none.
+ *
+ * @param {import('http').Server} server
+ * @param {StoryEvents} events
+ * @param {object} [options]
+ * @param {string} [options.path='/api/events']
+ * @param {import('./auth').Authenticator} [options.authenticator] - Checks the upgrade request when auth is on
+ * @returns {import('ws').WebSocketServer}
+ */
+function attachEventSocket(server, events, { path = '/api/events', authenticator } = {}) {
+  const { WebSocketServer } = require('ws');
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      // Without a Storybook proxy nobody else answers, and the socket would stay open
+      if (server.listenerCount('upgrade') === 1) {
+        socket.destroy();
+      }
+      return;
+    }
+    if (!authorizeUpgrade(authenticator, req, socket)) return;
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const types = (url.searchParams.get('type') || '').split(',').map(type => type.trim()).filter(Boolean);
+      if (types.some(type => !EVENT_TYPES.includes(type))) {
+        ws.close(1008, `Unknown event type. Types: ${EVENT_TYPES.join(', ')}`);
+        return;
+      }
+      const unsubscribe = events.subscribe((event) => {
+        if (!types.length || types.includes(event.type)) {
+          ws.send(JSON.stringify(event));
+        }
+      });
+      // Keep the connection open through idle proxies
+      const heartbeat = setInterval(() => ws.ping(), 30000);
+      ws.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  StoryEvents,
+  attachEventSocket,
+  toSseMessage,
+  EVENT_TYPES,
+};
@@ -0,0 +1,177 @@
+/**
+ * Self-hosted API explorer page
+ *
+ * A dependency-free page (no CDN assets) that reads the OpenAPI document and
+ * lets you try every operation from the browser.
+ */
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the explorer HTML
+ *
+ * @param {object} options
+ * @param {string} options.specUrl - URL of the OpenAPI document
+ * @param {string} [options.title]
+ */
+function renderExplorerPage({ specUrl, title = 'Storybook REST API Explorer' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2933; background: #f5f7fa; }
+    header { background: #1ea7fd; color: #fff; padding: 16px 32px; }
+    header h1 { margin: 0; font-size: 20px; }
+    header p { margin: 4px 0 0; opacity: .85; font-size: 13px; }
+    main { max-width: 1000px; margin: 0 auto; padding: 24px 32px; }
+    h2 { font-size: 16px; margin: 24px 0 8px; text-transform: uppercase; letter-spacing: .05em; color: #52606d; }
+    details { background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; margin-bottom: 8px; }
+    summary { cursor: pointer; padding: 10px 14px; display: flex; gap: 12px; align-items: center; }
+    .method { font-weight: 700; font-size: 12px; padding: 3px 8px; border-radius: 4px; background: #61affe; color: #fff; min-width: 44px; text-align: center; }
+    .method.post { background: #49cc90; }
+    .method.delete { background: #f93e3e; }
+    .path { font-family: monospace; font-size: 14px; }
+    .summary { color: #52606d; font-size: 13px; }
+    .body { padding: 0 14px 14px; }
+    .param { display: grid; grid-template-columns: 160px 1fr; gap: 8px; align-items: center; margin: 6px 0; font-size: 13px; }
+    .param input, textarea { font-family: monospace; padding: 6px; border: 1px solid #bcccdc; border-radius: 4px; width: 100%; box-sizing: border-box; }
+    .required { color: #d64545; }
+    button { background: #1ea7fd; color: #fff; border: 0; border-radius: 4px; padding: 8px 16px; cursor: pointer; margin-top: 8px; }
+    pre { background: #102a43; color: #f0f4f8; padding: 12px; border-radius: 4px; overflow: auto; max-height: 480px; font-size: 12px; }
+    .status { font-size: 12px; margin-top: 8px; color: #52606d; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1 id="title">${escapeHtml(title)}</h1>
+    <p>OpenAPI document: <a href="${escapeHtml(specUrl)}" style="color:#fff">${escapeHtml(specUrl)}</a></p>
+  </header>
+  <main id="operations">Loading…</main>
+  <script>
+  (function () {
+    var specUrl = ${JSON.stringify(specUrl)};
+
+    function el(tag, attrs, children) {
+      var node = document.createElement(tag);
+      Object.keys(attrs || {}).forEach(function (key) {
+        if (key === 'text') node.textContent = attrs[key];
+        else node.setAttribute(key, attrs[key]);
+      });
+      (children || []).forEach(function (child) { node.appendChild(child); });
+      return node;
+    }
+
+    function renderOperation(path, method, operation) {
+      var params = operation.parameters || [];
+      var inputs = {};
+      var body = el('div', { class: 'body' });
+
+      if (operation.description) body.appendChild(el('p', { text: operation.description }));
+
+      params.forEach(function (param) {
+        var input = el('input', { placeholder: param.example !== undefined ? String(param.example) : '' });
+        if (param.in === 'path' && param.example !== undefined) input.value = param.example;
+        inputs[param.name] = { param: param, input: input };
+        var label = el('label', { text: param.name + ' (' + param.in + ')' });
+        if (param.required) label.appendChild(el('span', { class: 'required', text: ' *' }));
+        body.appendChild(el('div', { class: 'param' }, [label, input]));
+      });
+
+      var requestBody = null;
+      if (operation.requestBody) {
+        requestBody = el('textarea', { rows: '6', placeholder: '{ }' });
+        body.appendChild(el('div', { class: 'param' }, [el('label', { text: 'body (json)' }), requestBody]));
+      }
+
+      var status = el('div', { class: 'status' });
+      var output = el('pre', { hidden: 'hidden' });
+      var send = el('button', { type: 'button', text: 'Send request' });
+
+      send.addEventListener('click', function () {
+        var url = path;
+        var query = new URLSearchParams();
+        Object.keys(inputs).forEach(function (name) {
+          var item = inputs[name];
+          var value = item.input.value;
+          if (!value) return;
+          if (item.param.in === 'path') {
+            var encoded = name === 'path' ? value.split('/').map(encodeURIComponent).join('/') : encodeURIComponent(value);
+            url = url.replace('{' + name + '}', encoded);
+          } else if (item.param.in === 'query') {
+            query.append(name, value);
+          }
+        });
+        var queryString = query.toString();
+        if (queryString) url += '?' + queryString;
+
+        var options = { method: method.toUpperCase(), headers: {} };
+        if (requestBody && requestBody.value) {
+          options.headers['Content-Type'] = 'application/json';
+          options.body = requestBody.value;
+        }
+
+        var started = Date.now();
+        status.textContent = 'Loading ' + url + '…';
+        fetch(url, options).then(function (response) {
+          var type = response.headers.get('content-type') || '';
+          return (type.indexOf('json') !== -1 ? response.json().then(function (json) {
+            return JSON.stringify(json, null, 2);
+          }) : response.text()).then(function (text) {
+            status.textContent = options.method + ' ' + url + ' → ' + response.status + ' (' + (Date.now() - started) + ' ms)';
+            output.textContent = text;
+            output.removeAttribute('hidden');
+          });
+        }).catch(function (error) {
+          status.textContent = 'Request failed: ' + error.message;
+        });
+      });
+
+      body.appendChild(send);
+      body.appendChild(status);
+      body.appendChild(output);
+
+      return el('details', {}, [
+        el('summary', {}, [
+          el('span', { class: 'method ' + method, text: method.toUpperCase() }),
+          el('span', { class: 'path', text: path }),
+          el('span', { class: 'summary', text: operation.summary || '' }),
+        ]),
+        body,
+      ]);
+    }
+
+    fetch(specUrl).then(function (response) { return response.json(); }).then(function (spec) {
+      var container = document.getElementById('operations');
+      container.textContent = '';
+      document.getElementById('title').textContent = spec.info.title + ' ' + spec.info.version;
+
+      var groups = {};
+      Object.keys(spec.paths).forEach(function (path) {
+        Object.keys(spec.paths[path]).forEach(function (method) {
+          var operation = spec.paths[path][method];
+          var tag = (operation.tags && operation.tags[0]) || 'Other';
+          (groups[tag] = groups[tag] || []).push(renderOperation(path, method, operation));
+        });
+      });
+
+      Object.keys(groups).forEach(function (tag) {
+        container.appendChild(el('h2', { text: tag }));
+        groups[tag].forEach(function (node) { container.appendChild(node); });
+      });
+    }).catch(function (error) {
+      document.getElementById('operations').textContent = 'Could not load ' + specUrl + ': ' + error.message;
+    });
+  })();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderExplorerPage,
+};
@@ -0,0 +1,124 @@
+/**
+ * Static export: write the whole API to JSON files
+ *
+ * Mirrors the live routes so the output can be served from a CDN next to a
+ * `storybook build`:
+ *
+ *   stories.json            GET /api/stories
+ *   stories/<id>.json       GET /api/stories/:storyId
+ *   docs/<id>.json          GET /api/docs/:storyId
+ *   kinds/<kind>.json       GET /api/stories/kind/:kind (kind sanitized, e.g. example-button)
+ *   components.json         GET /api/components
+ *   components/<name>.json  GET /api/components/:name
+ *   tree.json               GET /api/tree
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const { toStorySummary, buildStory, buildDocs, buildKindPayload } = require('./payloads');
+const { buildTree } = require('./tree');
+const { readStoryComponent, buildComponents } = require('./components');
+const { sanitize } = require('./csf');
+const { detectFramework } = require('./utils');
+const { PluginHost } = require('./plugins');
+
+/**
+ * Read a Storybook index from a file, a build directory or a running Storybook
+ */
+async function readIndex({ indexFile, staticDir, storybookUrl }) {
+  if (storybookUrl) {
+    const response = await fetch(`${storybookUrl}/index.json`);
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${storybookUrl}/index.json (${response.status})`);
+    }
+    return response.json();
+  }
+
+  const filePath = indexFile || path.join(staticDir, 'index.json');
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Storybook index not found at ${filePath}. Run \`storybook build\` first.`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(outDir, relativePath, data) {
+  const filePath = path.join(outDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+/**
+ * Export the API as static JSON files
+ *
+ * @param {object} options
+ * @param {string} options.projectDir - Project with the story and component sources
+ * @param {string} options.outDir - Output directory
+ * @param {string} [options.staticDir] - `storybook build` output containing index.json
+ * @param {string} [options.indexFile] - Explicit path to index.json
+ * @param {string} [options.storybookUrl] - Read the index from a running Storybook instead
+ * @param {string} [options.framework] - Framework, detected from the project by default
+ * @param {object[]} [options.plugins] - Plugins extending the story and docs payloads
+ * @returns {Promise<{ outDir: string, files: number, stories: number }>}
+ */
+async function exportApi(options) {
+  const { projectDir, outDir } = options;
+  const framework = options.framework || detectFramework(projectDir);
+  const plugins = new PluginHost(options.plugins);
+  const { extractors } = plugins;
+  const index = await readIndex({
+    indexFile: options.indexFile,
+    staticDir: options.staticDir || path.join(projectDir, 'storybook-static'),
+    storybookUrl: options.storybookUrl,
+  });
+  const entries = Object.values(index.entries || {});
+  let files = 0;
+
+  const write = (relativePath, data) => {
+    writeJson(outDir, relativePath, data);
+    files += 1;
+  };
+
+  const stories = entries.map(toStorySummary);
+  write('stories.json', { success: true, count: stories.length, total: stories.length, stories });
+
+  const storyPayloads = new Map();
+  for (const entry of entries) {
+    const fileName = `${encodeURIComponent(entry.id)}.json`;
+    const story = await plugins.extendStory(buildStory(entry, projectDir, { extractors }), { entry, projectDir });
+    const docs = await plugins.extendDocs(buildDocs(entry, projectDir, framework, { extractors }), { entry, projectDir, framework });
+    storyPayloads.set(entry.id, story);
+    write(path.join('stories', fileName), { success: true, story });
+    write(path.join('docs', fileName), { success: true, docs });
+  }
+
+  const componentsByFile = new Map();
+  const components = await buildComponents(entries, {
+    getComponent: (entry) => {
+      if (!componentsByFile.has(entry.importPath)) {
+        componentsByFile.set(entry.importPath, readStoryComponent(entry, projectDir, { extractors }));
+      }
+      return componentsByFile.get(entry.importPath);
+    },
+    getStory: entry => storyPayloads.get(entry.id),
+  });
+  write('components.json', { success: true, count: components.length, components });
+  for (const component of components) {
+    write(path.join('components', `${encodeURIComponent(component.name)}.json`), { success: true, component });
+  }
+
+  const kinds = [...new Set(entries.map(entry => entry.kind || entry.title).filter(Boolean))];
+  for (const kind of kinds) {
+    write(path.join('kinds', `${sanitize(kind)}.json`), buildKindPayload(index.entries, kind));
+  }
+
+  write('tree.json', { success: true, tree: buildTree(index.entries) });
+
+  return { outDir, files, stories: entries.length };
+}
+
+module.exports = {
+  exportApi,
+  readIndex,
+};
@@ -0,0 +1,219 @@
+/**
+ * Self-hosted GraphQL playground
+ *
+ * A dependency-free page (no CDN assets, works offline) in the spirit of
+ * GraphiQL: a query and variables editor, the result, and a schema reference
+ * built from introspection.
+ */
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const DEFAULT_QUERY = `# Ctrl+Enter (Cmd+Enter) runs the query
+{
+  components {
+    name
+    description
+    props(required: true) {
+      name
+      tsType
+    }
+    stories(name: "Primary") {
+      id
+      usageExample
+    }
+  }
+}
+`;
+
+/**
+ * Render the playground HTML
+ *
+ * @param {object} options
+ * @param {string} options.endpoint - URL of the GraphQL endpoint
+ * @param {string} [options.title]
+ */
+function renderGraphiqlPage({ endpoint, title = 'Storybook GraphQL' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2933; background: #f5f7fa; height: 100vh; display: flex; flex-direction: column; }
+    header { background: #e535ab; color: #fff; padding: 12px 24px; display: flex; align-items: center; gap: 16px; }
+    header h1 { margin: 0; font-size: 18px; flex: 1; }
+    button { background: #fff; color: #e535ab; border: 0; border-radius: 4px; padding: 8px 16px; cursor: pointer; font-weight: 600; }
+    main { flex: 1; display: grid; grid-template-columns: 1fr 1fr 320px; min-height: 0; }
+    section { display: flex; flex-direction: column; min-height: 0; border-right: 1px solid #d9e2ec; }
+    label { font-size: 11px; text-transform: uppercase; letter-spacing: .05em; color: #52606d; padding: 8px 12px 4px; }
+    textarea { flex: 1; font-family: monospace; font-size: 13px; border: 0; padding: 8px 12px; resize: none; outline: none; tab-size: 2; }
+    #variables { flex: 0 0 120px; border-top: 1px solid #d9e2ec; }
+    pre { flex: 1; margin: 0; padding: 8px 12px; overflow: auto; font-size: 12px; background: #102a43; color: #f0f4f8; }
+    #status { font-size: 12px; opacity: .85; }
+    #schema { overflow: auto; padding: 8px 12px; font-size: 13px; background: #fff; }
+    #schema h3 { font-size: 14px; margin: 12px 0 4px; }
+    #schema .field { font-family: monospace; font-size: 12px; margin: 2px 0; }
+    #schema .desc { color: #52606d; font-size: 12px; margin: 0 0 4px; }
+    #schema a { color: #e535ab; cursor: pointer; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <span id="status"></span>
+    <button type="button" id="run">Run ▶</button>
+  </header>
+  <main>
+    <section>
+      <label for="query">Query</label>
+      <textarea id="query" spellcheck="false"></textarea>
+      <label for="variables">Variables (JSON)</label>
+      <textarea id="variables" spellcheck="false" placeholder="{ }"></textarea>
+    </section>
+    <section>
+      <label>Result</label>
+      <pre id="result"></pre>
+    </section>
+    <section id="schema">Loading schema…</section>
+  </main>
+  <script>
+  (function () {
+    var endpoint = ${JSON.stringify(endpoint)};
+    var queryInput = document.getElementById('query');
+    var variablesInput = document.getElementById('variables');
+    var result = document.getElementById('result');
+    var status = document.getElementById('status');
+    var params = new URLSearchParams(location.search);
+
+    queryInput.value = params.get('query') || localStorage.getItem('sb-graphql-query') || ${JSON.stringify(DEFAULT_QUERY)};
+    variablesInput.value = params.get('variables') || localStorage.getItem('sb-graphql-variables') || '';
+
+    function request(query, variables) {
+      return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ query: query, variables: variables }),
+      }).then(function (response) { return response.json(); });
+    }
+
+    function run() {
+      var variables;
+      try {
+        variables = variablesInput.value.trim() ? JSON.parse(variablesInput.value) : undefined;
+      } catch (error) {
+        result.textContent = 'Invalid variables: ' + error.message;
+        return;
+      }
+      localStorage.setItem('sb-graphql-query', queryInput.value);
+      localStorage.setItem('sb-graphql-variables', variablesInput.value);
+
+      var started = Date.now();
+      status.textContent = 'Running…';
+      request(queryInput.value, variables).then(function (body) {
+        status.textContent = (Date.now() - started) + ' ms';
+        result.textContent = JSON.stringify(body, null, 2);
+      }).catch(function (error) {
+        status.textContent = '';
+        result.textContent = String(error);
+      });
+    }
+
+    document.getElementById('run').addEventListener('click', run);
+    document.addEventListener('keydown', function (event) {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        run();
+      }
+    });
+    queryInput.addEventListener('keydown', function (event) {
+      if (event.key !== 'Tab') return;
+      event.preventDefault();
+      var start = queryInput.selectionStart;
+      queryInput.setRangeText('  ', start, queryInput.selectionEnd, 'end');
+    });
+
+    // Schema reference from introspection
+    var typeRef = 'kind name ofType { kind name ofType { kind name ofType { kind name } } }';
+    var introspection = '{ __schema { queryType { name } types { name kind description '
+      + 'fields { name description args { name type { ' + typeRef + ' } } type { ' + typeRef + ' } } '
+      + 'enumValues { name } } } }';
+
+    function typeName(type) {
+      if (type.kind === 'NON_NULL') return typeName(type.ofType) + '!';
+      if (type.kind === 'LIST') return '[' + typeName(type.ofType) + ']';
+      return type.name;
+    }
+
+    function namedType(type) {
+      return type.ofType ? namedType(type.ofType) : type.name;
+    }
+
+    request(introspection).then(function (body) {
+      var schema = document.getElementById('schema');
+      schema.textContent = '';
+      var types = body.data.__schema.types.filter(function (type) {
+        return type.name.indexOf('__') !== 0 && ['OBJECT', 'ENUM', 'SCALAR'].indexOf(type.kind) !== -1
+          && ['String', 'Boolean', 'Int', 'Float', 'ID'].indexOf(type.name) === -1;
+      });
+      var known = {};
+      types.forEach(function (type) { known[type.name] = true; });
+
+      function link(type) {
+        var span = document.createElement('span');
+        var name = namedType(type);
+        if (!known[name]) {
+          span.textContent = typeName(type);
+          return span;
+        }
+        var anchor = document.createElement('a');
+        anchor.textContent = typeName(type);
+        anchor.addEventListener('click', function () {
+          document.getElementById('type-' + name).scrollIntoView();
+        });
+        return anchor;
+      }
+
+      types.forEach(function (type) {
+        var heading = document.createElement('h3');
+        heading.id = 'type-' + type.name;
+        heading.textContent = type.name;
+        schema.appendChild(heading);
+        if (type.description) {
+          var description = document.createElement('p');
+          description.className = 'desc';
+          description.textContent = type.description;
+          schema.appendChild(description);
+        }
+        (type.fields || []).forEach(function (field) {
+          var line = document.createElement('div');
+          line.className = 'field';
+          var args = field.args.length
+            ? '(' + field.args.map(function (arg) { return arg.name + ': ' + typeName(arg.type); }).join(', ') + ')'
+            : '';
+          line.appendChild(document.createTextNode(field.name + args + ': '));
+          line.appendChild(link(field.type));
+          if (field.description) line.title = field.description;
+          schema.appendChild(line);
+        });
+        (type.enumValues || []).forEach(function (value) {
+          var line = document.createElement('div');
+          line.className = 'field';
+          line.textContent = value.name;
+          schema.appendChild(line);
+        });
+      });
+    }).catch(function (error) {
+      document.getElementById('schema').textContent = 'Could not load the schema: ' + error;
+    });
+  })();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderGraphiqlPage,
+};
@@ -0,0 +1,489 @@
+/**
+ * GraphQL API over stories, components and docs
+ *
+ * Lets clients fetch in one round trip what takes several REST calls, e.g.
+ * every component under `Forms` with its required props and the usage
+ * example of its Primary story:
+ *
+ *   {
+ *     components(kind: "Forms") {
+ *       name
+ *       props(required: true) { name tsType }
+ *       stories(name: "Primary") { usageExample }
+ *     }
+ *   }
+ *
+ * Fields resolve through the same parsers as the REST routes. Every request
+ * gets its own DataLoaders, so each story file is parsed (and each component
+ * documented) once per request, however many fields of it the query touches.
+ * Stories, components and kinds link to each other, so queries nested deeper
+ * than `MAX_DEPTH` fields are rejected before they run.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const DataLoader = require('dataloader');
+const { buildSchema, parse, validate, specifiedRules, execute, valueFromASTUntyped, GraphQLError, Kind } = require('graphql');
+
+const { parseCsfFile } = require('./csf');
+const { parseStoryFile, extractStoryExamples, resolveComponentFile, resolveComponentDocs } = require('./parsers');
+const { generateSnippet } = require('./snippets');
+
+/**
+ * Deepest field nesting a query may have (introspection fields not counted)
+ */
+const MAX_DEPTH = 10;
+
+const typeDefs = `
+"Any JSON value (args, argTypes, parameters, default values)"
+scalar JSON
+
+enum EntryType {
+  story
+  docs
+}
+
+type Query {
+  "Entries of the Storybook index"
+  stories(kind: String, component: String, name: String, type: EntryType, tag: String, source: String): [Story!]!
+  story(id: ID!): Story
+  "Components referenced by the \`component\` of story files"
+  components(kind: String, name: String, source: String): [Component!]!
+  component(name: String!, source: String): Component
+  "Story titles, e.g. \`Forms/Input\`. \`kind\` also matches nested titles."
+  kinds(kind: String, source: String): [Kind!]!
+  docs(id: ID!): DocsPage
+}
+
+type Story {
+  id: ID!
+  name: String!
+  title: String!
+  kind: Kind!
+  type: EntryType!
+  importPath: String
+  tags: [String!]!
+  "Composed Storybook (federated mode)"
+  source: String
+  exportName: String
+  args: JSON
+  argTypes: JSON
+  parameters: JSON
+  "Source code of the story export"
+  code: String
+  component: Component
+  "Usage snippet of the story args in the framework's syntax"
+  usageExample: String
+  "Docs entry of the story file, or the story itself when the file has none"
+  docs: DocsPage
+}
+
+type Component {
+  name: String!
+  selector: String
+  tagName: String
+  description: String
+  "Where the docs come from: compodoc, custom-elements, react-docgen or source"
+  docsSource: String
+  "Component file, relative to the project"
+  filePath: String
+  source: String
+  props(required: Boolean, type: String): [Prop!]!
+  stories(name: String): [Story!]!
+  kinds: [Kind!]!
+  code: String
+}
+
+type Prop {
+  name: String!
+  "input, output or slot"
+  type: String
+  tsType: String
+  required: Boolean!
+  defaultValue: JSON
+  description: String
+  options: [JSON!]
+  twoWayBinding: Boolean
+  attribute: String
+}
+
+type DocsPage {
+  id: ID!
+  title: String!
+  name: String
+  type: EntryType!
+  importPath: String
+  source: String
+  component: Component
+  mdxContent: String
+  imports: [String!]
+  metaCode: String
+  storyExamples: JSON
+  usageExamples: JSON
+}
+
+type Kind {
+  title: String!
+  "Title segments, e.g. [\\"Forms\\", \\"Input\\"]"
+  path: [String!]!
+  source: String
+  stories(name: String): [Story!]!
+  docs: [DocsPage!]!
+  components: [Component!]!
+}
+`;
+
+const isCsf = entry => Boolean(entry.importPath) && !entry.importPath.endsWith('.mdx');
+
+function matchesKind(title, kind) {
+  return !kind || title === kind || title.startsWith(`${kind}/`);
+}
+
+function matchesSource(entry, source) {
+  return !source || entry.source === source;
+}
+
+/**
+ * Per-request state: the index, how to locate an entry's files, and the loaders
+ */
+function createContext({ index, resolveEntry, extractors }) {
+  const entries = Object.values(index.entries || {});
+
+  // Absolute story file, project and framework of an entry (its own source when federated)
+  const locate = (entry) => {
+    const { local, projectDir, framework } = resolveEntry(entry);
+    const filePath = projectDir && entry.importPath
+      ? path.join(projectDir, entry.importPath.replace(/^\.\//, ''))
+      : null;
+    return { local, projectDir, framework, filePath };
+  };
+
+  const csf = new DataLoader(async filePaths => filePaths.map(filePath => parseCsfFile(filePath)));
+
+  const examples = new DataLoader(async filePaths => Promise.all(filePaths.map(async filePath => (
+    extractStoryExamples(filePath, { csf: await csf.load(filePath) })
+  ))));
+
+  const componentDocs = new DataLoader(
+    async keys => keys.map(({ componentFilePath, projectDir, componentName }) => (
+      resolveComponentDocs(componentFilePath, { projectDir, componentName, extractors })
+    )),
+    { cacheKeyFn: key => JSON.stringify(key) },
+  );
+
+  // The component of a story file: name, file and docs
+  const fileComponent = new DataLoader(
+    async keys => Promise.all(keys.map(async ({ filePath, projectDir, source }) => {
+      const parsed = await csf.load(filePath);
+      const name = parsed?.meta?.component;
+      if (!name) return null;
+      const componentFilePath = resolveComponentFile(filePath, parsed);
+      return {
+        key: `${source || ''}:${componentFilePath || name}`,
+        name,
+        source: source || null,
+        projectDir,
+        componentFilePath,
+        docs: await componentDocs.load({ componentFilePath, projectDir, componentName: name }),
+      };
+    })),
+    { cacheKeyFn: key => key.filePath },
+  );
+
+  const story = new DataLoader(
+    async storyEntries => Promise.all(storyEntries.map(async (entry) => {
+      const { local, projectDir, filePath } = locate(entry);
+      if (!filePath || !isCsf(entry)) return null;
+      const component = await fileComponent.load({ filePath, projectDir, source: entry.source });
+      return parseStoryFile(filePath, local.id, projectDir, {
+        csf: await csf.load(filePath),
+        componentDocs: component ? component.docs : null,
+      });
+    })),
+    { cacheKeyFn: entry => entry.id },
+  );
+
+  const componentOf = async (entry) => {
+    const { projectDir, filePath } = locate(entry);
+    if (!filePath || !isCsf(entry)) return null;
+    return fileComponent.load({ filePath, projectDir, source: entry.source });
+  };
+
+  // All components, with the entries of the story files that reference them
+  let components = null;
+  const allComponents = () => {
+    if (!components) {
+      components = Promise.all(entries.map(async entry => ({ entry, component: await componentOf(entry) })))
+        .then((results) => {
+          const byKey = new Map();
+          for (const { entry, component } of results) {
+            if (!component) continue;
+            if (!byKey.has(component.key)) byKey.set(component.key, { ...component, entries: [] });
+            byKey.get(component.key).entries.push(entry);
+          }
+          return [...byKey.values()];
+        });
+    }
+    return components;
+  };
+
+  const kinds = () => {
+    const byTitle = new Map();
+    for (const entry of entries) {
+      const key = `${entry.source || ''}:${entry.title}`;
+      if (!byTitle.has(key)) byTitle.set(key, { title: entry.title, source: entry.source || null, entries: [] });
+      byTitle.get(key).entries.push(entry);
+    }
+    return [...byTitle.values()];
+  };
+
+  return {
+    entries,
+    getEntry: id => index.entries?.[id] || null,
+    locate,
+    loaders: { csf, examples, story, componentOf },
+    allComponents,
+    kinds,
+  };
+}
+
+const resolvers = {
+  Query: {
+    stories: async (root, { kind, component, name, type, tag, source }, context) => {
+      let entries = context.entries.filter(entry => matchesKind(entry.title, kind)
+        && matchesSource(entry, source)
+        && (!name || entry.name === name)
+        && (!type || entry.type === type)
+        && (!tag || (entry.tags || []).includes(tag)));
+      if (component) {
+        const components = await Promise.all(entries.map(entry => context.loaders.componentOf(entry)));
+        entries = entries.filter((entry, idx) => components[idx]?.name === component);
+      }
+      return entries;
+    },
+    story: (root, { id }, context) => context.getEntry(id),
+    components: async (root, { kind, name, source }, context) => (await context.allComponents())
+      .filter(component => (!name || component.name === name)
+        && (!source || component.source === source)
+        && component.entries.some(entry => matchesKind(entry.title, kind))),
+    component: async (root, { name, source }, context) => (await context.allComponents())
+      .find(component => component.name === name && (!source || component.source === source)) || null,
+    kinds: (root, { kind, source }, context) => context.kinds()
+      .filter(item => matchesKind(item.title, kind) && (!source || item.source === source)),
+    docs: (root, { id }, context) => context.getEntry(id),
+  },
+
+  Story: {
+    tags: entry => entry.tags || [],
+    kind: (entry, args, context) => context.kinds()
+      .find(item => item.title === entry.title && item.source === (entry.source || null)),
+    exportName: async (entry, args, context) => (await context.loaders.story.load(entry))?.exportName || null,
+    args: async (entry, args, context) => (await context.loaders.story.load(entry))?.args || null,
+    argTypes: async (entry, args, context) => (await context.loaders.story.load(entry))?.argTypes || null,
+    parameters: async (entry, args, context) => (await context.loaders.story.load(entry))?.parameters || null,
+    code: async (entry, args, context) => (await context.loaders.story.load(entry))?.code || null,
+    component: componentResolver,
+    usageExample: async (entry, args, context) => {
+      const parsed = await context.loaders.story.load(entry);
+      if (!parsed?.exportName) return null;
+      const { framework, filePath } = context.locate(entry);
+      const examples = await context.loaders.examples.load(filePath);
+      const component = await context.loaders.componentOf(entry);
+      return generateSnippet({
+        framework,
+        args: examples?.stories?.[parsed.exportName]?.args,
+        component: component?.name,
+        selector: component?.docs?.selector,
+        componentDocs: component?.docs,
+      });
+    },
+    docs: (entry, args, context) => context.entries.find(item => item.type === 'docs'
+      && item.importPath === entry.importPath && item.source === entry.source) || entry,
+  },
+
+  Component: {
+    selector: component => component.docs?.selector || null,
+    tagName: component => component.docs?.tagName || null,
+    description: component => component.docs?.description || null,
+    docsSource: component => component.docs?.source || null,
+    filePath: component => (component.componentFilePath && component.projectDir
+      ? path.relative(component.projectDir, component.componentFilePath).split(path.sep).join('/')
+      : null),
+    code: component => component.docs?.componentCode || null,
+    props: (component, { required, type }) => Object.entries(component.docs?.properties || {})
+      .map(([name, prop]) => ({ ...prop, name, required: Boolean(prop.required) }))
+      .filter(prop => (required === undefined || required === null || prop.required === required)
+        && (!type || prop.type === type)),
+    stories: (component, { name }) => component.entries
+      .filter(entry => entry.type === 'story' && (!name || entry.name === name)),
+    kinds: (component, args, context) => {
+      const titles = new Set(component.entries.map(entry => entry.title));
+      return context.kinds().filter(item => titles.has(item.title) && item.source === component.source);
+    },
+  },
+
+  DocsPage: {
+    component: componentResolver,
+    mdxContent: (entry, args, context) => {
+      const { filePath } = context.locate(entry);
+      if (!filePath || isCsf(entry) || !fs.existsSync(filePath)) return null;
+      return fs.readFileSync(filePath, 'utf8');
+    },
+    imports: async (entry, args, context) => (await docsExamples(entry, context))?.imports || null,
+    metaCode: async (entry, args, context) => (await docsExamples(entry, context))?.meta || null,
+    storyExamples: async (entry, args, context) => (await docsExamples(entry, context))?.stories || null,
+    usageExamples: async (entry, args, context) => {
+      const examples = await docsExamples(entry, context);
+      if (!examples?.stories) return null;
+      const { framework } = context.locate(entry);
+      const component = await context.loaders.componentOf(entry);
+      const usageExamples = {};
+      for (const [name, story] of Object.entries(examples.stories)) {
+        const snippet = generateSnippet({
+          framework,
+          args: story.args,
+          component: component?.name,
+          selector: component?.docs?.selector,
+          componentDocs: component?.docs,
+        });
+        if (snippet) usageExamples[name] = snippet;
+      }
+      return Object.keys(usageExamples).length ? usageExamples : null;
+    },
+  },
+
+  Kind: {
+    path: kind => kind.title.split('/'),
+    stories: (kind, { name }) => kind.entries
+      .filter(entry => entry.type === 'story' && (!name || entry.name === name)),
+    docs: kind => kind.entries.filter(entry => entry.type === 'docs'),
+    components: async (kind, args, context) => (await context.allComponents())
+      .filter(component => component.source === kind.source
+        && component.entries.some(entry => entry.title === kind.title)),
+  },
+};
+
+async function componentResolver(entry, args, context) {
+  const component = await context.loaders.componentOf(entry);
+  if (!component) return null;
+  return (await context.allComponents()).find(item => item.key === component.key) || null;
+}
+
+async function docsExamples(entry, context) {
+  const { filePath } = context.locate(entry);
+  if (!filePath || !isCsf(entry)) return null;
+  return context.loaders.examples.load(filePath);
+}
+
+/**
+ * Build the executable schema
+ */
+function createSchema() {
+  const schema = buildSchema(typeDefs);
+
+  const json = schema.getType('JSON');
+  json.serialize = value => value;
+  json.parseValue = value => value;
+  json.parseLiteral = (ast, variables) => valueFromASTUntyped(ast, variables);
+
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than `maxDepth` fields,
+ * following fragment spreads
+ */
+function depthLimit(maxDepth) {
+  return (context) => {
+    const fragments = new Map(context.getDocument().definitions
+      .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map(definition => [definition.name.value, definition]));
+
+    const depthOf = (selectionSet, visited) => Math.max(0, ...selectionSet.selections.map((selection) => {
+      if (selection.kind === Kind.FIELD) {
+        if (selection.name.value.startsWith('__')) return 0;
+        return selection.selectionSet ? 1 + depthOf(selection.selectionSet, visited) : 1;
+      }
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        return depthOf(selection.selectionSet, visited);
+      }
+      // Unknown and cyclic fragments are reported by the standard rules
+      const fragment = fragments.get(selection.name.value);
+      if (!fragment || visited.has(fragment)) return 0;
+      return depthOf(fragment.selectionSet, new Set([...visited, fragment]));
+    }));
+
+    return {
+      OperationDefinition(operation) {
+        const depth = depthOf(operation.selectionSet, new Set());
+        if (depth > maxDepth) {
+          context.reportError(new GraphQLError(
+            `Query is nested ${depth} fields deep, the maximum is ${maxDepth}`,
+            { nodes: [operation] },
+          ));
+        }
+        return false;
+      },
+    };
+  };
+}
+
+/**
+ * Run a GraphQL request
+ *
+ * Syntax and validation errors, including queries deeper than `maxDepth`, are
+ * request errors (`status: 400`); resolver errors are reported in `errors`
+ * next to the partial `data`.
+ *
+ * @param {object} options
+ * @param {import('graphql').GraphQLSchema} options.schema
+ * @param {object} options.index - Storybook index
+ * @param {function} options.resolveEntry - Project directory and framework of an entry
+ * @param {string} options.query
+ * @param {object} [options.variables]
+ * @param {string} [options.operationName]
+ * @param {function[]} [options.extractors] - Plugin component docs extractors
+ * @param {number} [options.maxDepth=MAX_DEPTH] - Deepest field nesting allowed
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function runQuery({ schema, index, resolveEntry, query, variables, operationName, extractors, maxDepth = MAX_DEPTH }) {
+  if (!query) {
+    return { status: 400, body: { errors: [{ message: 'Missing "query"' }] } };
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { status: 400, body: { errors: [error.toJSON()] } };
+  }
+
+  const errors = validate(schema, document, [...specifiedRules, depthLimit(maxDepth)]);
+  if (errors.length) {
+    return { status: 400, body: { errors: errors.map(error => error.toJSON()) } };
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName,
+    contextValue: createContext({ index, resolveEntry, extractors }),
+  });
+  return {
+    status: 200,
+    body: result.errors ? { ...result, errors: result.errors.map(error => error.toJSON()) } : result,
+  };
+}
+
+module.exports = {
+  createSchema,
+  runQuery,
+  typeDefs,
+};
@@ -6,24 +6,74 @@
  */
 
 const { createApp, startServer, startStorybookProcess } = require('./server');
+const { resolveStorybookCommand } = require('./launcher');
+const { StorybookSupervisor } = require('./supervisor');
+const { StoryCache } = require('./cache');
+const { SearchIndex } = require('./search');
+const { FederatedCache } = require('./sources');
 const { detectStorybookVersion, findStorybookConfig, detectFramework } = require('./utils');
 const { extractComponentDocs, extractStoryExamples, parseStoryFile, generateUsageExample } = require('./parsers');
+const { parseCsf, parseCsfFile } = require('./csf');
+const { loadCompodoc, getCompodocComponentDocs } = require('./compodoc');
+const { loadCustomElementsManifest, getCustomElementDocs } = require('./custom-elements');
+const { RenderPool } = require('./render');
+const { StoryEvents, attachEventSocket } = require('./events');
+const { createSchema: createGraphqlSchema, runQuery: runGraphqlQuery } = require('./graphql');
+const { captureBaseline, compareWithBaseline, comparePngs } = require('./visual');
+const { validateArgs } = require('./validate');
+const { createMcpServer, mountMcp, startMcpStdio } = require('./mcp');
+const { Authenticator, requireAuth } = require('./auth');
+const { cors } = require('./cors');
+const { PluginHost, loadPlugins } = require('./plugins');
+const { loadConfig, findConfigFile } = require('./config');
 
 module.exports = {
   // Server
   createApp,
   startServer,
   startStorybookProcess,
+  resolveStorybookCommand,
+  StorybookSupervisor,
+  StoryCache,
+  SearchIndex,
+  FederatedCache,
+  RenderPool,
+  StoryEvents,
+  attachEventSocket,
+  createGraphqlSchema,
+  runGraphqlQuery,
+  createMcpServer,
+  mountMcp,
+  startMcpStdio,
+  Authenticator,
+  requireAuth,
+  cors,
+  PluginHost,
+  loadPlugins,
+  loadConfig,
+  findConfigFile,
+  
+  // Visual regression
+  captureBaseline,
+  compareWithBaseline,
+  comparePngs,
   
   // Utils
   detectStorybookVersion,
   findStorybookConfig,
   detectFramework,
+  validateArgs,
   
   // Parsers
   extractComponentDocs,
   extractStoryExamples,
   parseStoryFile,
   generateUsageExample,
+  parseCsf,
+  parseCsfFile,
+  loadCompodoc,
+  getCompodocComponentDocs,
+  loadCustomElementsManifest,
+  getCustomElementDocs,
 };
 
@@ -0,0 +1,131 @@
+/**
+ * How to start the internal Storybook
+ *
+ * The project files are never modified: the port is passed on the command
+ * line. In order of preference:
+ *
+ * 1. `storybookCommand`, run as given (`{port}` is replaced by the Storybook port)
+ * 2. Angular with Storybook 8+: `ng run <project>:<target> --port <port>`, with
+ *    the target using the `@storybook/angular:start-storybook` builder
+ * 3. `storybook dev -p <port> --no-open`
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ANGULAR_BUILDER = /^@storybook\/angular:start-storybook$/;
+
+/**
+ * Storybook targets of an Angular workspace
+ *
+ * @param {string} projectDir
+ * @returns {{ project: string, target: string, isDefault: boolean }[]|null} Null without angular.json
+ */
+function findAngularStorybookTargets(projectDir) {
+  const angularJsonPath = path.join(projectDir, 'angular.json');
+  if (!fs.existsSync(angularJsonPath)) return null;
+
+  const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
+  const targets = [];
+  for (const [project, definition] of Object.entries(angularJson.projects || {})) {
+    const projectTargets = definition.architect || definition.targets || {};
+    for (const [target, options] of Object.entries(projectTargets)) {
+      if (ANGULAR_BUILDER.test(options.builder || '')) {
+        targets.push({ project, target, isDefault: project === angularJson.defaultProject });
+      }
+    }
+  }
+  return targets;
+}
+
+/**
+ * Pick the Angular Storybook target to run
+ *
+ * @param {object[]} targets - From `findAngularStorybookTargets`
+ * @param {string} [angularProject] - Project name, or `project:target`
+ * @returns {{ project: string, target: string, others: string[] }}
+ */
+function selectAngularTarget(targets, angularProject) {
+  const label = item => `${item.project}:${item.target}`;
+
+  if (angularProject) {
+    const [project, target] = angularProject.split(':');
+    const matches = targets.filter(item => item.project === project && (!target || item.target === target));
+    if (!matches.length) {
+      const known = targets.length ? targets.map(label).join(', ') : 'none';
+      throw new Error(`No Storybook target for Angular project "${angularProject}" (found: ${known})`);
+    }
+    return { ...matches[0], others: matches.slice(1).map(label) };
+  }
+
+  const [selected] = [...targets].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  return { ...selected, others: targets.filter(item => item !== selected).map(label) };
+}
+
+/**
+ * Command starting Storybook for a project
+ *
+ * @param {object} config
+ * @param {number} config.storybookPort
+ * @param {string} config.projectDir
+ * @param {number} [config.version] - Storybook major version
+ * @param {string} [config.framework]
+ * @param {string} [config.storybookCommand] - Explicit command line
+ * @param {string} [config.angularProject] - Angular project (or `project:target`) with the Storybook target
+ * @returns {{ command: string, args: string[], description: string, notes: string[] }}
+ */
+function resolveStorybookCommand(config) {
+  const { storybookPort, projectDir, version, framework, storybookCommand, angularProject } = config;
+  const port = String(storybookPort);
+
+  if (storybookCommand) {
+    return {
+      command: storybookCommand.replace(/\{port\}/g, port),
+      args: [],
+      description: 'custom command',
+      notes: /\{port\}/.test(storybookCommand) ? [] : [`Make sure the command serves Storybook on port ${port}`],
+    };
+  }
+
+  if (angularProject || (framework === 'angular' && version >= 8)) {
+    let targets;
+    try {
+      targets = findAngularStorybookTargets(projectDir);
+    } catch (error) {
+      if (angularProject) throw new Error(`Could not read angular.json: ${error.message}`);
+    }
+    if (angularProject && !targets) {
+      throw new Error(`No angular.json found in ${projectDir}`);
+    }
+    if (targets && (targets.length || angularProject)) {
+      const { project, target, others } = selectAngularTarget(targets, angularProject);
+      return {
+        command: 'npx',
+        args: ['ng', 'run', `${project}:${target}`, `--port=${port}`],
+        description: `Angular builder (${project}:${target})`,
+        notes: others.length ? [`Other Storybook targets: ${others.join(', ')}. Pick one with --angular-project`] : [],
+      };
+    }
+    return {
+      command: 'npx',
+      args: ['storybook', 'dev', '-p', port, '--no-open'],
+      description: 'Storybook CLI',
+      notes: [targets
+        ? 'No target with the @storybook/angular:start-storybook builder in angular.json, using the Storybook CLI'
+        : 'No readable angular.json, using the Storybook CLI'],
+    };
+  }
+
+  return {
+    command: 'npx',
+    args: ['storybook', 'dev', '-p', port, '--no-open'],
+    description: 'Storybook CLI',
+    notes: [],
+  };
+}
+
+module.exports = {
+  findAngularStorybookTargets,
+  selectAngularTarget,
+  resolveStorybookCommand,
+};
@@ -0,0 +1,343 @@
+/**
+ * Model Context Protocol server
+ *
+ * Exposes the stories, components and docs to AI coding assistants as MCP
+ * tools, so they look up real components and props instead of inventing them.
+ * The tools run the same operations as the REST routes (`/api/stories`,
+ * `/api/docs/:storyId`, `/api/components`, `/api/search`).
+ *
+ * Two transports:
+ * - streamable HTTP on `POST /mcp` of the API server (stateless, one server per request)
+ * - stdio (`storybook-rest-api --mcp`), for assistants that spawn the server themselves
+ *
+ * The MCP SDK needs Node.js 18 or later. It is loaded on first use, so the
+ * rest of the package still works on Node.js 16, without `/mcp`.
+ */
+
+const { Writable } = require('stream');
+
+const { findComponents } = require('./components');
+const { generateSnippet } = require('./snippets');
+const { validateArgs } = require('./validate');
+const { MAX_LIMIT: SEARCH_MAX_LIMIT } = require('./search');
+const packageJson = require('../package.json');
+
+const INSTRUCTIONS = 'Look up the components of this Storybook before writing UI code: '
+  + 'search_components to find a component, get_component_docs for its props, events and selector, '
+  + 'get_usage_example for a working snippet, and validate_args to check props before using them.';
+
+let sdk = null;
+
+/**
+ * Load the MCP SDK and zod
+ *
+ * @throws {Error} When they cannot be loaded, e.g. on Node.js 16
+ */
+function loadSdk() {
+  if (!sdk) {
+    try {
+      sdk = {
+        McpServer: require('@modelcontextprotocol/sdk/server/mcp.js').McpServer,
+        StdioServerTransport: require('@modelcontextprotocol/sdk/server/stdio.js').StdioServerTransport,
+        StreamableHTTPServerTransport: require('@modelcontextprotocol/sdk/server/streamableHttp.js').StreamableHTTPServerTransport,
+        z: require('zod').z,
+      };
+    } catch (error) {
+      throw new Error(`MCP is not available on Node.js ${process.versions.node}, it needs Node.js 18 or later (${error.message})`);
+    }
+  }
+  return sdk;
+}
+
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+/**
+ * Run a tool handler, returning its result as JSON text or the error as a tool error
+ */
+function toolHandler(handler) {
+  return async (input) => {
+    try {
+      const result = await handler(input);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { isError: true, content: [{ type: 'text', text: error.message }] };
+    }
+  };
+}
+
+/**
+ * Index entry of a story ID, or a tool error
+ */
+async function findEntry(operations, storyId) {
+  const data = await operations.getIndex();
+  const entry = data.entries?.[storyId];
+  if (!entry) {
+    throw new ToolError(`Story "${storyId}" not found. Use list_stories or search_components to find story IDs.`);
+  }
+  return entry;
+}
+
+/**
+ * The one component matching a name, or a tool error
+ */
+async function findComponent(operations, name, source) {
+  const matches = findComponents(await operations.getComponents(), name)
+    .filter(component => !source || component.source === source);
+  if (!matches.length) {
+    throw new ToolError(`Component "${name}" not found. Use search_components to list components.`);
+  }
+  if (matches.length > 1) {
+    throw new ToolError(`Component "${name}" is ambiguous (${matches.map(item => item.source || item.filePath).join(', ')})`);
+  }
+  return matches[0];
+}
+
+/**
+ * Create an MCP server over the API operations
+ *
+ * @param {object} operations - `app.locals.operations` of `createApp`
+ * @returns {McpServer}
+ */
+function createMcpServer(operations) {
+  const { McpServer, z } = loadSdk();
+  const server = new McpServer(
+    { name: packageJson.name, version: packageJson.version },
+    { instructions: INSTRUCTIONS },
+  );
+  const readOnly = { readOnlyHint: true, openWorldHint: false };
+
+  server.registerTool('list_stories', {
+    title: 'List stories',
+    description: 'List the stories and docs entries of the Storybook index, with the filters of GET /api/stories.',
+    inputSchema: {
+      title: z.string().optional().describe('Title glob, e.g. "Forms/*"'),
+      component: z.string().optional().describe('Component name'),
+      tag: z.string().optional().describe('Tags, comma-separated; prefix with ! to exclude'),
+      type: z.enum(['story', 'docs']).optional(),
+      query: z.string().optional().describe('Words to match in the ID, title, name or component'),
+      source: z.string().optional().describe('Composed Storybook name (federated mode)'),
+      limit: z.number().int().min(1).max(100).optional(),
+      cursor: z.string().optional().describe('nextCursor of the previous page'),
+    },
+    annotations: readOnly,
+  }, toolHandler(async ({ query, ...filters }) => {
+    const result = await operations.listStories({ ...filters, q: query });
+    return { count: result.stories.length, total: result.total, stories: result.stories, nextCursor: result.nextCursor };
+  }));
+
+  server.registerTool('get_story', {
+    title: 'Get a story',
+    description: 'Details of a story: its component, args, argTypes, parameters and the component docs (GET /api/stories/:storyId).',
+    inputSchema: {
+      storyId: z.string().describe('Story ID, e.g. "example-button--primary"'),
+    },
+    annotations: readOnly,
+  }, toolHandler(async ({ storyId }) => operations.getStory(await findEntry(operations, storyId))));
+
+  server.registerTool('get_component_docs', {
+    title: 'Get component docs',
+    description: 'Documentation of a component: selector, props with types and defaults, events, story examples '
+      + 'and usage snippets (GET /api/docs/:storyId). Pass a component name or selector, or a story ID.',
+    inputSchema: {
+      component: z.string().optional().describe('Component name, selector or tag name'),
+      storyId: z.string().optional().describe('Any story or docs ID of the component'),
+      source: z.string().optional().describe('Composed Storybook name (federated mode)'),
+    },
+    annotations: readOnly,
+  }, toolHandler(async ({ component, storyId, source }) => {
+    if (!component && !storyId) {
+      throw new ToolError('Pass "component" or "storyId"');
+    }
+    if (storyId) {
+      return operations.getDocs(await findEntry(operations, storyId));
+    }
+
+    const found = await findComponent(operations, component, source);
+    const id = found.docs[0]?.id || found.stories[0].id;
+    const docs = await operations.getDocs(await findEntry(operations, id));
+    return {
+      ...docs,
+      events: found.events,
+      stories: found.stories.map(story => ({ id: story.id, name: story.name, args: story.args })),
+    };
+  }));
+
+  server.registerTool('search_components', {
+    title: 'Search components',
+    description: 'Find components by name, description or prop names. Without a query, lists every component.',
+    inputSchema: {
+      query: z.string().optional().describe('Words to search for, e.g. "date picker"'),
+      limit: z.number().int().min(1).max(SEARCH_MAX_LIMIT).optional(),
+    },
+    annotations: readOnly,
+  }, toolHandler(async ({ query, limit }) => {
+    const components = await operations.getComponents();
+    const summarize = component => ({
+      name: component.name,
+      selector: component.selector,
+      description: component.description,
+      filePath: component.filePath,
+      titles: component.titles,
+      props: Object.keys(component.props),
+      stories: component.stories.map(story => story.id),
+      ...(component.source ? { source: component.source } : {}),
+    });
+
+    if (!query || !query.trim()) {
+      return { count: components.length, components: components.slice(0, limit).map(summarize) };
+    }
+
+    await operations.search.ensure();
+    const { results } = operations.search.search(query, { types: ['component', 'prop'], limit: SEARCH_MAX_LIMIT });
+    // Prop matches point to their component
+    const names = [...new Set(results.map(result => (result.type === 'prop' ? result.component : result.name)))];
+    const matches = names
+      .flatMap(name => findComponents(components, name))
+      .filter((component, index, all) => all.indexOf(component) === index)
+      .slice(0, limit);
+    return { count: matches.length, components: matches.map(summarize) };
+  }));
+
+  server.registerTool('get_usage_example', {
+    title: 'Get a usage example',
+    description: 'Code snippet using the component of a story in the project framework (Angular, JSX, Vue, Svelte '
+      + 'or HTML), with the story args overridden by "args".',
+    inputSchema: {
+      storyId: z.string().describe('Story ID, e.g. "example-button--primary"'),
+      args: z.record(z.string(), z.any()).optional().describe('Args to set on top of the story args'),
+    },
+    annotations: readOnly,
+  }, toolHandler(async ({ storyId, args }) => {
+    const entry = await findEntry(operations, storyId);
+    const [story, docs] = await Promise.all([operations.getStory(entry), operations.getDocs(entry)]);
+    const exampleArgs = docs.storyExamples?.[story.exportName]?.args || {};
+    const snippet = generateSnippet({
+      framework: docs.framework,
+      args: { ...exampleArgs, ...args },
+      component: docs.component,
+      selector: docs.selector,
+      componentDocs: story.docs,
+    });
+    if (!snippet) {
+      throw new ToolError(`No usage example for "${storyId}": its component or framework is unknown`);
+    }
+    return { storyId, framework: docs.framework, component: docs.component || null, snippet };
+  }));
+
+  server.registerTool('validate_args', {
+    title: 'Validate args',
+    description: 'Check args against the story argTypes and the component prop types (POST /api/stories/:storyId/validate).',
+    inputSchema: {
+      storyId: z.string(),
+      args: z.record(z.string(), z.any()),
+    },
+    annotations: readOnly,
+  }, toolHandler(async ({ storyId, args }) => {
+    const story = await operations.getStory(await findEntry(operations, storyId));
+    return {
+      storyId,
+      ...validateArgs(args, { argTypes: story.argTypes, properties: story.docs?.properties, storyArgs: story.args }),
+    };
+  }));
+
+  return server;
+}
+
+/**
+ * Serve MCP over streamable HTTP on an Express app
+ *
+ * Stateless: every POST gets its own server and transport, and responses are
+ * plain JSON. GET (server-initiated streams) and DELETE (sessions) are not supported.
+ * Nothing is mounted when the MCP SDK cannot be loaded.
+ *
+ * @param {import('express').Application} app
+ * @param {object} operations
+ * @param {object} [options]
+ * @param {string} [options.path='/mcp']
+ */
+function mountMcp(app, operations, { path = '/mcp' } = {}) {
+  let StreamableHTTPServerTransport;
+  try {
+    ({ StreamableHTTPServerTransport } = loadSdk());
+  } catch (error) {
+    console.warn(`${path} is disabled: ${error.message}`);
+    return;
+  }
+
+  app.post(path, async (req, res) => {
+    const server = createMcpServer(operations);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined, enableJsonResponse: true });
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: error.message }, id: null });
+      }
+    }
+  });
+
+  app.all(path, (req, res) => {
+    res.status(405).set('Allow', 'POST').json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message: 'Method not allowed: this MCP endpoint is stateless, use POST' },
+      id: null,
+    });
+  });
+}
+
+/**
+ * Reserve stdout for MCP messages
+ *
+ * Everything else written to stdout (server logs, Storybook output) is sent
+ * to stderr instead. Call it before anything is logged.
+ *
+ * @returns {Writable} Stream writing to the real stdout
+ */
+function reserveStdout() {
+  const write = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk, encoding, callback) => process.stderr.write(chunk, encoding, callback);
+  return new Writable({
+    write(chunk, encoding, callback) {
+      write(chunk, callback);
+    },
+  });
+}
+
+/**
+ * Serve MCP over stdio
+ *
+ * @param {object} operations
+ * @param {object} [options]
+ * @param {Writable} [options.stdout] - From `reserveStdout()`
+ * @param {function} [options.onClose] - Called when the client closes stdin
+ * @returns {Promise<McpServer>}
+ * @throws {Error} When the MCP SDK cannot be loaded
+ */
+async function startMcpStdio(operations, { stdout = process.stdout, onClose } = {}) {
+  const { StdioServerTransport } = loadSdk();
+  const server = createMcpServer(operations);
+  const transport = new StdioServerTransport(process.stdin, stdout);
+  await server.connect(transport);
+  if (onClose) {
+    process.stdin.on('end', onClose);
+  }
+  return server;
+}
+
+module.exports = {
+  createMcpServer,
+  mountMcp,
+  reserveStdout,
+  startMcpStdio,
+};
@@ -0,0 +1,921 @@
+/**
+ * OpenAPI 3.1 description of the REST API
+ *
+ * This is the single source of truth for the list of endpoints: `/api`
+ * derives its `endpoints` map from it, so keep it in sync with the routes
+ * registered in `createApp`.
+ */
+
+const packageJson = require('../package.json');
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+const storyIdParam = {
+  name: 'storyId',
+  in: 'path',
+  required: true,
+  description: 'Storybook story or docs ID',
+  schema: { type: 'string' },
+  example: 'example-button--primary',
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string' },
+      hint: { type: 'string' },
+      details: { type: 'string', description: 'Error stack of a story that failed to render' },
+    },
+  },
+  StoryEvent: {
+    type: 'object',
+    required: ['id', 'type', 'timestamp'],
+    properties: {
+      id: { type: 'integer', description: 'Sequence number, also the SSE event ID' },
+      type: { type: 'string', enum: ['story-added', 'story-removed', 'story-updated', 'docs-updated'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      storyId: { type: 'string', description: 'story-added, story-removed and story-updated' },
+      story: { $ref: '#/components/schemas/StorySummary' },
+      importPath: { type: 'string', description: 'docs-updated: story or MDX file' },
+      source: { type: 'string', description: 'docs-updated: composed Storybook (federated mode)' },
+      storyIds: { type: 'array', items: { type: 'string' }, description: 'docs-updated: entries of the file' },
+      component: { type: ['string', 'null'] },
+      changes: {
+        type: 'object',
+        description: 'story-updated: `{ field: { before, after } }`; docs-updated: `{ properties: { added, removed, changed }, fields }`',
+        additionalProperties: true,
+      },
+    },
+  },
+  GraphqlResult: {
+    type: 'object',
+    properties: {
+      data: { type: ['object', 'null'] },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            locations: { type: 'array', items: { type: 'object' } },
+            path: { type: 'array', items: { type: ['string', 'integer'] } },
+          },
+        },
+      },
+    },
+  },
+  Render: {
+    type: 'object',
+    properties: {
+      storyId: { type: 'string' },
+      url: { type: 'string', description: 'Preview iframe URL that was rendered' },
+      html: { type: 'string', description: 'Inner HTML of the story root' },
+      css: { type: 'string', description: 'CSS rules matching the rendered elements (`css=true`)' },
+      durationMs: { type: 'integer' },
+    },
+  },
+  StorySummary: {
+    type: 'object',
+    required: ['id', 'name', 'title'],
+    properties: {
+      id: { type: 'string', example: 'example-button--primary' },
+      name: { type: 'string', example: 'Primary' },
+      title: { type: 'string', example: 'Example/Button' },
+      kind: { type: 'string', example: 'Example/Button' },
+      importPath: { type: 'string', example: './src/stories/button.stories.ts' },
+      componentPath: { type: 'string' },
+      component: { type: ['string', 'null'] },
+      tags: { type: 'array', items: { type: 'string' } },
+      type: { type: 'string', enum: ['story', 'docs'] },
+      source: { type: 'string', description: 'Composed Storybook the story comes from (federated mode)' },
+    },
+  },
+  StoryList: {
+    type: 'object',
+    required: ['success', 'count', 'stories'],
+    properties: {
+      success: { type: 'boolean', const: true },
+      count: { type: 'integer', description: 'Number of stories in this page' },
+      total: { type: 'integer', description: 'Number of stories matching the filters' },
+      stories: { type: 'array', items: { $ref: '#/components/schemas/StorySummary' } },
+      nextCursor: { type: ['string', 'null'] },
+      links: {
+        type: 'object',
+        properties: { next: { type: ['string', 'null'] } },
+      },
+    },
+  },
+  Expression: {
+    type: 'object',
+    description: 'A value that could not be evaluated statically, e.g. `fn()`',
+    required: ['__expression'],
+    properties: { __expression: { type: 'string' } },
+  },
+  Property: {
+    type: 'object',
+    description: 'Component input, output or prop',
+    properties: {
+      type: { type: 'string', description: '`input` or `output` for Angular components' },
+      tsType: { type: 'string' },
+      description: { type: 'string' },
+      required: { type: 'boolean' },
+      defaultValue: { type: 'string' },
+      options: { type: 'array', items: { type: ['string', 'number', 'boolean'] }, description: 'Values of a literal union or enum type' },
+      jsDocTags: { type: 'object', additionalProperties: { type: 'string' } },
+    },
+    additionalProperties: true,
+  },
+  ComponentDocs: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', enum: ['compodoc', 'custom-elements', 'react-docgen', 'source'] },
+      description: { type: 'string' },
+      selector: { type: 'string' },
+      template: { type: 'string' },
+      componentCode: { type: 'string' },
+      properties: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Property' } },
+    },
+    additionalProperties: true,
+  },
+  StoryDetails: {
+    allOf: [
+      { $ref: '#/components/schemas/StorySummary' },
+      {
+        type: 'object',
+        properties: {
+          component: { type: 'string' },
+          exportName: { type: 'string' },
+          args: { type: 'object', additionalProperties: true },
+          argTypes: { type: 'object', additionalProperties: true },
+          parameters: { type: 'object', additionalProperties: true },
+          decorators: { type: 'array', items: { type: 'string' } },
+          play: { type: ['string', 'null'] },
+          meta: { type: 'object', additionalProperties: true },
+          docs: { $ref: '#/components/schemas/ComponentDocs' },
+        },
+      },
+    ],
+  },
+  StoryExample: {
+    type: 'object',
+    properties: {
+      exportName: { type: 'string' },
+      id: { type: 'string' },
+      name: { type: 'string' },
+      code: { type: 'string' },
+      args: { type: 'object', additionalProperties: true },
+    },
+    additionalProperties: true,
+  },
+  Docs: {
+    type: 'object',
+    required: ['storyId', 'title', 'name', 'type'],
+    properties: {
+      storyId: { type: 'string' },
+      title: { type: 'string' },
+      name: { type: 'string' },
+      type: { type: 'string', enum: ['story', 'docs'] },
+      framework: { type: 'string' },
+      component: { type: 'string' },
+      selector: { type: 'string' },
+      template: { type: 'string' },
+      componentCode: { type: 'string' },
+      componentDescription: { type: 'string' },
+      docsSource: { type: 'string', enum: ['compodoc', 'custom-elements', 'react-docgen', 'source'] },
+      properties: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Property' } },
+      inputs: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      outputs: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      methods: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      hostBindings: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      hostListeners: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      tagName: { type: 'string', description: 'Custom element tag (web components)' },
+      attributes: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      members: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      events: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      slots: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      cssParts: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      cssProperties: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      imports: { type: 'array', items: { type: 'string' } },
+      metaCode: { type: ['string', 'null'] },
+      meta: { type: ['object', 'null'], additionalProperties: true },
+      storyExamples: { type: 'object', additionalProperties: { $ref: '#/components/schemas/StoryExample' } },
+      usageExamples: {
+        type: 'object',
+        description: 'Usage snippet per story, in the syntax of the project framework (Angular, JSX, Vue, Svelte or HTML)',
+        additionalProperties: { type: 'string' },
+      },
+      mdxContent: { type: 'string' },
+    },
+  },
+  ArgIssue: {
+    type: 'object',
+    required: ['field', 'code', 'message'],
+    properties: {
+      field: { type: 'string' },
+      code: { type: 'string', enum: ['required', 'type', 'enum', 'range', 'unknown'] },
+      message: { type: 'string' },
+      expected: { description: 'Expected type, options or bounds' },
+      received: { description: 'Type of the value, or the invalid value' },
+    },
+  },
+  Component: {
+    type: 'object',
+    required: ['name', 'props', 'events', 'stories', 'docs'],
+    properties: {
+      name: { type: 'string', example: 'ButtonComponent' },
+      filePath: { type: ['string', 'null'], description: 'Component file, relative to the project' },
+      selector: { type: ['string', 'null'] },
+      tagName: { type: 'string', description: 'Custom element tag (web components)' },
+      description: { type: 'string' },
+      docsSource: { type: ['string', 'null'], enum: ['compodoc', 'custom-elements', 'react-docgen', 'source', null] },
+      source: { type: 'string', description: 'Composed Storybook (federated mode)' },
+      props: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Property' } },
+      events: {
+        type: 'array',
+        description: 'Declared outputs, and `onX` callback props',
+        items: {
+          type: 'object',
+          properties: { name: { type: 'string' }, description: { type: 'string' }, tsType: { type: 'string' } },
+        },
+      },
+      titles: { type: 'array', items: { type: 'string' }, description: 'Story titles the component appears under' },
+      stories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            title: { type: 'string' },
+            importPath: { type: 'string' },
+            exportName: { type: ['string', 'null'] },
+            args: { type: 'object', additionalProperties: true },
+            tags: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      docs: {
+        type: 'array',
+        description: 'Autodocs of the story files and MDX pages attached to them',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            title: { type: 'string' },
+            importPath: { type: 'string' },
+            type: { type: 'string', enum: ['autodocs', 'mdx'] },
+          },
+        },
+      },
+    },
+  },
+  TreeNode: {
+    type: 'object',
+    required: ['type', 'id', 'name'],
+    properties: {
+      type: { type: 'string', enum: ['root', 'source', 'group', 'component', 'story', 'docs'] },
+      id: { type: 'string' },
+      name: { type: 'string' },
+      path: { type: 'string' },
+      title: { type: 'string' },
+      importPath: { type: 'string' },
+      componentPath: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      counts: {
+        type: 'object',
+        properties: {
+          groups: { type: 'integer' },
+          components: { type: 'integer' },
+          stories: { type: 'integer' },
+          docs: { type: 'integer' },
+        },
+      },
+      children: { type: 'array', items: { $ref: '#/components/schemas/TreeNode' } },
+    },
+  },
+  Source: {
+    type: 'object',
+    required: ['name', 'status'],
+    properties: {
+      name: { type: 'string', example: 'forms' },
+      url: { type: ['string', 'null'] },
+      projectDir: { type: ['string', 'null'] },
+      staticDir: { type: ['string', 'null'] },
+      framework: { type: 'string' },
+      status: { type: 'string', enum: ['unknown', 'ready', 'error'] },
+      error: { type: ['string', 'null'] },
+      stale: { type: 'boolean', description: 'The last known index is still served' },
+      storyCount: { type: 'integer' },
+      lastChecked: { type: ['string', 'null'], format: 'date-time' },
+    },
+  },
+  Health: {
+    type: 'object',
+    required: ['success', 'ready', 'status', 'mode', 'uptime', 'storybook', 'index'],
+    properties: {
+      success: { type: 'boolean' },
+      error: { type: 'string' },
+      ready: { type: 'boolean', description: 'The index has entries and the Storybook process (if any) is ready' },
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      mode: { type: 'string', enum: ['dev', 'static', 'federated'] },
+      uptime: { type: 'integer', description: 'API server uptime in seconds' },
+      storybook: {
+        type: ['object', 'null'],
+        description: 'Storybook process started by the server; null when it is not managed here',
+        properties: {
+          state: { type: 'string', enum: ['starting', 'ready', 'restarting', 'failed', 'stopped'] },
+          pid: { type: ['integer', 'null'] },
+          startedAt: { type: ['string', 'null'], format: 'date-time' },
+          uptime: { type: ['integer', 'null'], description: 'Seconds since the current process started' },
+          readyAt: { type: ['string', 'null'], format: 'date-time' },
+          restarts: { type: 'integer' },
+          nextRestartAt: { type: ['string', 'null'], format: 'date-time' },
+          lastExit: {
+            type: ['object', 'null'],
+            properties: {
+              code: { type: ['integer', 'null'] },
+              signal: { type: ['string', 'null'] },
+              time: { type: 'string', format: 'date-time' },
+            },
+          },
+          lastError: {
+            type: ['object', 'null'],
+            description: 'Last error line Storybook printed, or how it exited',
+            properties: {
+              message: { type: 'string' },
+              time: { type: 'string', format: 'date-time' },
+            },
+          },
+        },
+      },
+      index: {
+        type: 'object',
+        properties: {
+          entries: { type: ['integer', 'null'] },
+          error: { type: ['string', 'null'] },
+        },
+      },
+    },
+  },
+  SearchResult: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['story', 'docs', 'component', 'prop', 'mdx'] },
+      id: { type: 'string', description: 'Story or docs ID to open' },
+      title: { type: 'string' },
+      name: { type: 'string' },
+      component: { type: 'string' },
+      source: { type: 'string' },
+      score: { type: 'number' },
+      highlights: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            snippet: { type: 'string', description: 'HTML-escaped text with matches wrapped in <mark>' },
+          },
+        },
+      },
+    },
+  },
+};
+
+const paths = {
+  '/api': {
+    get: {
+      operationId: 'getApiInfo',
+      summary: 'API information and list of endpoints',
+      tags: ['Meta'],
+      responses: {
+        200: jsonResponse('API information', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            name: { type: 'string' },
+            version: { type: 'string' },
+            storybookVersion: { type: ['integer', 'string'] },
+            framework: { type: 'string' },
+            mode: { type: 'string', enum: ['dev', 'static', 'federated'] },
+            endpoints: { type: 'object', additionalProperties: { type: 'string' } },
+          },
+        }),
+      },
+    },
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApiSpec',
+      summary: 'This OpenAPI document',
+      tags: ['Meta'],
+      responses: { 200: jsonResponse('OpenAPI 3.1 document', { type: 'object' }) },
+    },
+  },
+  '/api/explorer': {
+    get: {
+      operationId: 'getExplorer',
+      summary: 'Interactive API explorer (HTML, works offline)',
+      tags: ['Meta'],
+      responses: { 200: { description: 'Explorer page', content: { 'text/html': { schema: { type: 'string' } } } } },
+    },
+  },
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      security: [],
+      summary: 'Health of the server, the Storybook process and the index (no credentials needed)',
+      tags: ['Meta'],
+      responses: {
+        200: jsonResponse('Health, also while Storybook is down', { $ref: '#/components/schemas/Health' }),
+      },
+    },
+  },
+  '/api/ready': {
+    get: {
+      operationId: 'getReadiness',
+      security: [],
+      summary: 'Readiness check: 200 once stories are served, 503 before (no credentials needed)',
+      tags: ['Meta'],
+      responses: {
+        200: jsonResponse('Ready', { $ref: '#/components/schemas/Health' }),
+        503: jsonResponse('Not ready', { $ref: '#/components/schemas/Health' }),
+      },
+    },
+  },
+  '/api/sources': {
+    get: {
+      operationId: 'listSources',
+      summary: 'Health of each composed Storybook (federated mode)',
+      tags: ['Meta'],
+      responses: {
+        200: jsonResponse('Sources', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer' },
+            sources: { type: 'array', items: { $ref: '#/components/schemas/Source' } },
+          },
+        }),
+      },
+    },
+  },
+  '/api/stories': {
+    get: {
+      operationId: 'listStories',
+      summary: 'Get all stories, with filtering, sorting and pagination',
+      tags: ['Stories'],
+      parameters: [
+        { name: 'tag', in: 'query', description: 'Required tag(s); prefix with `!` to exclude', schema: { type: 'array', items: { type: 'string' } }, style: 'form', explode: true },
+        { name: 'type', in: 'query', schema: { type: 'string', enum: ['story', 'docs'] } },
+        { name: 'source', in: 'query', description: 'Composed Storybook name(s), comma-separated (federated mode)', schema: { type: 'string' } },
+        { name: 'title', in: 'query', description: 'Title prefix or glob (`Example/*`)', schema: { type: 'string' } },
+        { name: 'component', in: 'query', description: 'Component name or file name', schema: { type: 'string' } },
+        { name: 'q', in: 'query', description: 'Full-text filter', schema: { type: 'string' } },
+        { name: 'sort', in: 'query', description: 'Comma-separated fields, `-` for descending', schema: { type: 'string' }, example: 'title,-name' },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000 } },
+        { name: 'cursor', in: 'query', description: '`nextCursor` of the previous page', schema: { type: 'string' } },
+        { name: 'fields', in: 'query', description: 'Comma-separated fields to return', schema: { type: 'string' }, example: 'id,name' },
+      ],
+      responses: {
+        200: jsonResponse('Stories', { $ref: '#/components/schemas/StoryList' }),
+        304: { description: 'Not modified' },
+        400: errorResponse('Invalid query parameters'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/stories/{storyId}': {
+    get: {
+      operationId: 'getStory',
+      summary: 'Get a specific story with details',
+      tags: ['Stories'],
+      parameters: [storyIdParam],
+      responses: {
+        200: jsonResponse('Story details', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, story: { $ref: '#/components/schemas/StoryDetails' } },
+        }),
+        304: { description: 'Not modified' },
+        404: errorResponse('Story not found'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/stories/{storyId}/validate': {
+    post: {
+      operationId: 'validateArgs',
+      summary: 'Validate args against the story argTypes and component prop types',
+      description: 'Checks each arg against the story `argTypes` (options, controls, `type`) and the component properties '
+        + '(`tsType`, literal options, `required`). Invalid args are reported in `errors`, args the story and component '
+        + 'do not declare in `warnings`. Required props are satisfied by the story\'s own args.',
+      tags: ['Stories'],
+      parameters: [storyIdParam],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['args'],
+              properties: { args: { type: 'object', additionalProperties: true } },
+            },
+            example: { args: { label: 'Save', size: 'huge' } },
+          },
+        },
+      },
+      responses: {
+        200: jsonResponse('Validation result', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            storyId: { type: 'string' },
+            valid: { type: 'boolean' },
+            errors: { type: 'array', items: { $ref: '#/components/schemas/ArgIssue' } },
+            warnings: { type: 'array', items: { $ref: '#/components/schemas/ArgIssue' } },
+          },
+        }),
+        400: errorResponse('Missing or invalid args, or a docs entry'),
+        404: errorResponse('Story not found'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/stories/kind/{kind}': {
+    get: {
+      operationId: 'listStoriesByKind',
+      summary: 'Get stories filtered by kind/category',
+      tags: ['Stories'],
+      parameters: [{ name: 'kind', in: 'path', required: true, schema: { type: 'string' }, example: 'Example/Button' }],
+      responses: {
+        200: jsonResponse('Stories of the kind', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer' },
+            kind: { type: 'string' },
+            stories: { type: 'array', items: { $ref: '#/components/schemas/StorySummary' } },
+          },
+        }),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/docs/{storyId}': {
+    get: {
+      operationId: 'getDocs',
+      summary: 'Get full documentation with code examples',
+      tags: ['Docs'],
+      parameters: [{ ...storyIdParam, example: 'example-button--docs' }],
+      responses: {
+        200: jsonResponse('Documentation', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, docs: { $ref: '#/components/schemas/Docs' } },
+        }),
+        304: { description: 'Not modified' },
+        404: errorResponse('Story not found'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/components': {
+    get: {
+      operationId: 'listComponents',
+      summary: 'List components with their props, events, stories and docs pages',
+      description: 'Stories are grouped by the `component` of their story file.',
+      tags: ['Components'],
+      parameters: [
+        { name: 'source', in: 'query', description: 'Composed Storybook name(s), comma-separated (federated mode)', schema: { type: 'string' } },
+      ],
+      responses: {
+        200: jsonResponse('Components', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer' },
+            components: { type: 'array', items: { $ref: '#/components/schemas/Component' } },
+          },
+        }),
+        304: { description: 'Not modified' },
+        400: errorResponse('Unknown source'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/components/{name}': {
+    get: {
+      operationId: 'getComponent',
+      summary: 'Get a component by name, selector or tag name',
+      tags: ['Components'],
+      parameters: [
+        { name: 'name', in: 'path', required: true, schema: { type: 'string' }, example: 'ButtonComponent' },
+        { name: 'source', in: 'query', description: 'Composed Storybook name (federated mode)', schema: { type: 'string' } },
+      ],
+      responses: {
+        200: jsonResponse('Component', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, component: { $ref: '#/components/schemas/Component' } },
+        }),
+        304: { description: 'Not modified' },
+        404: errorResponse('Component not found'),
+        409: errorResponse('Several components match the name'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/events': {
+    get: {
+      operationId: 'streamEvents',
+      summary: 'Stream story index and docs changes (SSE or WebSocket)',
+      description: 'Server-Sent Events stream of `story-added`, `story-removed`, `story-updated` and `docs-updated` events. '
+        + 'A WebSocket upgrade on the same path sends the events as JSON messages. '
+        + 'Reconnecting SSE clients get the events they missed via `Last-Event-ID`.',
+      tags: ['Stories'],
+      parameters: [
+        { name: 'type', in: 'query', description: 'Comma-separated event types to receive', schema: { type: 'string' }, example: 'story-added,story-removed' },
+        { name: 'Last-Event-ID', in: 'header', description: 'Replay events after this ID', schema: { type: 'integer' } },
+      ],
+      responses: {
+        200: {
+          description: 'Event stream',
+          content: { 'text/event-stream': { schema: { $ref: '#/components/schemas/StoryEvent' } } },
+        },
+        400: errorResponse('Unknown event type'),
+      },
+    },
+  },
+  '/api/render/{storyId}': {
+    get: {
+      operationId: 'renderStory',
+      summary: 'Render a story to HTML in a headless browser',
+      description: 'Loads the story from Storybook\'s `iframe.html` with puppeteer (optional dependency) and returns the rendered DOM.',
+      tags: ['Render'],
+      parameters: [
+        storyIdParam,
+        { name: 'args', in: 'query', description: 'Args as JSON or in Storybook\'s URL format', schema: { type: 'string' }, example: 'label:Hello;primary:!true' },
+        { name: 'globals', in: 'query', description: 'Globals as JSON or in Storybook\'s URL format', schema: { type: 'string' }, example: 'theme:dark' },
+        { name: 'theme', in: 'query', description: 'Shortcut for the `theme` global', schema: { type: 'string' } },
+        { name: 'css', in: 'query', description: 'Also return the CSS rules used by the story', schema: { type: 'boolean', default: false } },
+        { name: 'format', in: 'query', description: '`html` returns the markup as `text/html`', schema: { type: 'string', enum: ['json', 'html'], default: 'json' } },
+        { name: 'timeout', in: 'query', description: 'Render timeout in ms', schema: { type: 'integer', minimum: 1, maximum: 60000 } },
+      ],
+      responses: {
+        200: {
+          description: 'Rendered story',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { success: { type: 'boolean' }, render: { $ref: '#/components/schemas/Render' } },
+              },
+            },
+            'text/html': { schema: { type: 'string' } },
+          },
+        },
+        400: errorResponse('Invalid parameters'),
+        404: errorResponse('Story not found'),
+        422: errorResponse('The story threw while rendering'),
+        501: errorResponse('puppeteer is not installed'),
+        502: errorResponse('The browser failed to load the story'),
+        503: errorResponse('Storybook is not ready or the render queue is full'),
+        504: errorResponse('Render timed out'),
+      },
+    },
+  },
+  '/api/screenshot/{storyId}': {
+    get: {
+      operationId: 'screenshotStory',
+      summary: 'Take a PNG screenshot of a story',
+      description: 'Captures the story root element (or the whole page with `fullPage=true`) with puppeteer (optional dependency).',
+      tags: ['Render'],
+      parameters: [
+        storyIdParam,
+        { name: 'args', in: 'query', description: 'Args as JSON or in Storybook\'s URL format', schema: { type: 'string' }, example: 'label:Hello;primary:!true' },
+        { name: 'globals', in: 'query', description: 'Globals as JSON or in Storybook\'s URL format', schema: { type: 'string' }, example: 'theme:dark' },
+        { name: 'theme', in: 'query', description: 'Shortcut for the `theme` global', schema: { type: 'string' } },
+        { name: 'width', in: 'query', description: 'Viewport width', schema: { type: 'integer', minimum: 1, maximum: 4096, default: 1280 } },
+        { name: 'height', in: 'query', description: 'Viewport height', schema: { type: 'integer', minimum: 1, maximum: 4096, default: 720 } },
+        { name: 'scale', in: 'query', description: 'Device scale factor', schema: { type: 'integer', minimum: 1, maximum: 4, default: 1 } },
+        { name: 'fullPage', in: 'query', description: 'Capture the whole page instead of the story root', schema: { type: 'boolean', default: false } },
+        { name: 'timeout', in: 'query', description: 'Render timeout in ms', schema: { type: 'integer', minimum: 1, maximum: 60000 } },
+      ],
+      responses: {
+        200: { description: 'Screenshot', content: { 'image/png': { schema: { type: 'string', contentMediaType: 'image/png' } } } },
+        400: errorResponse('Invalid parameters'),
+        404: errorResponse('Story not found'),
+        422: errorResponse('The story threw while rendering'),
+        501: errorResponse('puppeteer is not installed'),
+        502: errorResponse('The browser failed to load the story'),
+        503: errorResponse('Storybook is not ready or the render queue is full'),
+        504: errorResponse('Render timed out'),
+      },
+    },
+  },
+  '/api/search': {
+    get: {
+      operationId: 'search',
+      summary: 'Search stories, components, props and MDX docs',
+      tags: ['Docs'],
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string' }, example: 'background' },
+        { name: 'type', in: 'query', description: 'Comma-separated result types', schema: { type: 'string' }, example: 'prop,component' },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+      ],
+      responses: {
+        200: jsonResponse('Search results', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            query: { type: 'string' },
+            count: { type: 'integer' },
+            total: { type: 'integer' },
+            results: { type: 'array', items: { $ref: '#/components/schemas/SearchResult' } },
+          },
+        }),
+        400: errorResponse('Missing or invalid parameters'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/tree': {
+    get: {
+      operationId: 'getTree',
+      summary: 'Get the sidebar tree of groups, components and stories',
+      tags: ['Stories'],
+      parameters: [{ name: 'depth', in: 'query', schema: { type: 'integer', minimum: 0 } }],
+      responses: {
+        200: jsonResponse('Tree', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, tree: { $ref: '#/components/schemas/TreeNode' } },
+        }),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/api/tree/{path}': {
+    get: {
+      operationId: 'getSubtree',
+      summary: 'Get a subtree by title path',
+      description: 'The path may contain slashes, e.g. `/api/tree/Example/Button`.',
+      tags: ['Stories'],
+      parameters: [
+        { name: 'path', in: 'path', required: true, schema: { type: 'string' }, example: 'Example/Button' },
+        { name: 'depth', in: 'query', schema: { type: 'integer', minimum: 0 } },
+      ],
+      responses: {
+        200: jsonResponse('Subtree', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, tree: { $ref: '#/components/schemas/TreeNode' } },
+        }),
+        404: errorResponse('Tree node not found'),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/graphql': {
+    get: {
+      operationId: 'graphqlQuery',
+      summary: 'GraphQL query (playground page in a browser)',
+      description: 'Without `query`, browsers get an offline GraphQL playground. The schema has `Story`, `Component`, `Prop`, `DocsPage` and `Kind` types.',
+      tags: ['GraphQL'],
+      parameters: [
+        { name: 'query', in: 'query', schema: { type: 'string' }, example: '{ components { name } }' },
+        { name: 'variables', in: 'query', description: 'JSON object', schema: { type: 'string' } },
+        { name: 'operationName', in: 'query', schema: { type: 'string' } },
+      ],
+      responses: {
+        200: {
+          description: 'GraphQL result, or the playground page',
+          content: {
+            'application/json': { schema: { $ref: '#/components/schemas/GraphqlResult' } },
+            'text/html': { schema: { type: 'string' } },
+          },
+        },
+        400: jsonResponse('Missing query, syntax or validation errors', { $ref: '#/components/schemas/GraphqlResult' }),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+    post: {
+      operationId: 'graphqlRequest',
+      summary: 'GraphQL query',
+      tags: ['GraphQL'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['query'],
+              properties: {
+                query: { type: 'string' },
+                variables: { type: 'object' },
+                operationName: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: jsonResponse('GraphQL result', { $ref: '#/components/schemas/GraphqlResult' }),
+        400: jsonResponse('Missing query, syntax or validation errors', { $ref: '#/components/schemas/GraphqlResult' }),
+        503: errorResponse('Storybook is not ready'),
+      },
+    },
+  },
+  '/mcp': {
+    post: {
+      operationId: 'mcpRequest',
+      summary: 'Model Context Protocol endpoint for AI assistants',
+      description: 'Stateless MCP streamable HTTP transport. Tools: `list_stories`, `get_story`, `get_component_docs`, '
+        + '`search_components`, `get_usage_example` and `validate_args`.',
+      tags: ['MCP'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { type: 'object', description: 'JSON-RPC 2.0 request', additionalProperties: true },
+            example: { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'search_components', arguments: { query: 'button' } } },
+          },
+        },
+      },
+      responses: {
+        200: jsonResponse('JSON-RPC 2.0 response', { type: 'object', additionalProperties: true }),
+        202: { description: 'Notification accepted' },
+        406: jsonResponse('Client does not accept application/json and text/event-stream', { type: 'object', additionalProperties: true }),
+      },
+    },
+  },
+};
+
+/**
+ * Credentials accepted when authentication is on
+ */
+const securitySchemes = {
+  apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or JWT' },
+  basicAuth: { type: 'http', scheme: 'basic' },
+};
+
+/**
+ * Build the OpenAPI document
+ *
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - Base URL advertised in `servers`
+ * @param {string[]} [options.security] - Names of the `securitySchemes` the server requires (any one of them)
+ * @param {object} [options.extraPaths] - Path items of plugin routes
+ */
+function buildOpenApiSpec({ serverUrl, security = [], extraPaths = {} } = {}) {
+  const schemes = Object.fromEntries(security.map(name => [name, securitySchemes[name]]));
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Storybook REST API',
+      version: packageJson.version,
+      description: packageJson.description,
+      license: { name: packageJson.license, identifier: packageJson.license },
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    tags: [
+      { name: 'Meta', description: 'API information' },
+      { name: 'Stories', description: 'Stories from the Storybook index' },
+      { name: 'Docs', description: 'Component and story documentation' },
+      { name: 'Components', description: 'Components with their stories and docs pages' },
+      { name: 'Render', description: 'Stories rendered and captured in a headless browser' },
+      { name: 'GraphQL', description: 'GraphQL API over stories, components and docs' },
+      { name: 'MCP', description: 'Model Context Protocol server for AI assistants' },
+    ],
+    paths: { ...paths, ...extraPaths },
+    components: security.length ? { schemas, securitySchemes: schemes } : { schemas },
+    ...(security.length ? { security: security.map(name => ({ [name]: [] })) } : {}),
+  };
+}
+
+/**
+ * Summarize the document as `{ 'GET /api/stories': 'Get all stories' }`
+ */
+function listEndpoints(spec = buildOpenApiSpec()) {
+  const endpoints = {};
+  for (const [route, operations] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const expressPath = route.replace(/\{(\w+)\}/g, ':$1');
+      endpoints[`${method.toUpperCase()} ${expressPath}`] = operation.summary;
+    }
+  }
+  return endpoints;
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  listEndpoints,
+};
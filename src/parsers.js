@@ -4,6 +4,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseCsfFile, findStory, isExpression } = require('./csf');
+const { formatValue } = require('./snippets');
+const { getCompodocComponentDocs } = require('./compodoc');
+const { getCustomElementDocs } = require('./custom-elements');
+const { getReactComponentDocs } = require('./react-docgen');
+const { extractSfcComponentDocs } = require('./sfc');
 
 /**
  * Extract JSDoc comments and metadata from component file
@@ -14,6 +20,12 @@ function extractComponentDocs(componentFilePath) {
       return null;
     }
 
+    // Vue and Svelte single-file components
+    const sfcDocs = extractSfcComponentDocs(componentFilePath);
+    if (sfcDocs) {
+      return sfcDocs;
+    }
+
     const content = fs.readFileSync(componentFilePath, 'utf8');
     const docs = {
       properties: {},
@@ -116,66 +128,117 @@ function extractComponentDocs(componentFilePath) {
   }
 }
 
+/**
+ * Get component docs, preferring generated docs (Compodoc output for Angular,
+ * a Custom Elements Manifest for web components) and the type checker for
+ * React components, falling back to scraping the component source.
+ *
+ * `componentFilePath` may be null for web components referenced by tag name.
+ * Plugin `extractors` are tried first, in order; the first result wins. One
+ * that throws is logged and skipped.
+ */
+function resolveComponentDocs(componentFilePath, { projectDir, componentName, extractors = [] } = {}) {
+  for (const extract of extractors) {
+    let pluginDocs;
+    try {
+      pluginDocs = extract(componentFilePath, { projectDir, componentName });
+    } catch (error) {
+      // Plugin extractors name their plugin in the message (see `PluginHost#call`)
+      console.warn(`Component docs extractor skipped: ${error.message}`);
+      continue;
+    }
+    if (pluginDocs) {
+      return pluginDocs;
+    }
+  }
+
+  if (projectDir) {
+    const compodocDocs = getCompodocComponentDocs(projectDir, { componentFilePath, componentName });
+    if (compodocDocs) {
+      return compodocDocs;
+    }
+
+    const manifestDocs = getCustomElementDocs(projectDir, { componentFilePath, componentName });
+    if (manifestDocs) {
+      return manifestDocs;
+    }
+  }
+
+  if (!componentFilePath) {
+    return null;
+  }
+
+  const reactDocs = getReactComponentDocs(componentFilePath, { componentName });
+  if (reactDocs) {
+    return reactDocs;
+  }
+
+  const docs = extractComponentDocs(componentFilePath);
+  if (docs) {
+    docs.source = 'source';
+  }
+  return docs;
+}
+
+/**
+ * Resolve the file a story's `component` is imported from
+ */
+function resolveComponentFile(storyFilePath, csf) {
+  if (!csf || !csf.meta || !csf.meta.component) return null;
+
+  // `component: Forms.Input` is imported as `Forms`
+  const localName = csf.meta.component.split('.')[0];
+  const componentImport = csf.imports.find(imp => imp.specifiers.some(spec => spec.local === localName));
+  if (!componentImport || !componentImport.source.startsWith('.')) return null;
+
+  const basePath = path.resolve(path.dirname(storyFilePath), componentImport.source);
+  const extensions = ['', '.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
+  const candidates = [
+    ...extensions.map(ext => basePath + ext),
+    ...extensions.filter(Boolean).map(ext => path.join(basePath, `index${ext}`)),
+  ];
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
 /**
  * Extract story examples from story file
+ *
+ * @param {string} storyFilePath
+ * @param {object} [options]
+ * @param {object} [options.csf] - Already parsed CSF of the file
  */
-function extractStoryExamples(storyFilePath) {
+function extractStoryExamples(storyFilePath, { csf = parseCsfFile(storyFilePath) } = {}) {
   try {
-    if (!fs.existsSync(storyFilePath)) {
+    if (!csf) {
       return null;
     }
 
-    const content = fs.readFileSync(storyFilePath, 'utf8');
     const examples = {
       stories: {},
-      imports: [],
-      meta: null,
+      imports: csf.imports.map(imp => imp.code),
+      meta: csf.meta ? csf.meta.code : null,
+      parsedMeta: null,
     };
 
-    // Extract imports
-    const importMatches = content.match(/^import\s+.*?;$/gm);
-    if (importMatches) {
-      examples.imports = importMatches;
-    }
-
-    // Extract meta/default export
-    const metaMatch = content.match(/const\s+meta[^=]*=\s*\{[\s\S]*?\};?\s*export\s+default\s+meta/);
-    if (metaMatch) {
-      examples.meta = metaMatch[0];
-    } else {
-      const altMetaMatch = content.match(/export\s+default\s+\{[\s\S]*?\}\s*(?:as|;)/);
-      if (altMetaMatch) {
-        examples.meta = altMetaMatch[0];
-      }
+    if (csf.meta) {
+      const { code, ...meta } = csf.meta;
+      examples.parsedMeta = meta;
     }
 
-    // Extract each story export
-    const storyRegex = /export\s+const\s+(\w+)(?::\s*\w+)?\s*=\s*\{([\s\S]*?)\};/g;
-    let match;
-    while ((match = storyRegex.exec(content)) !== null) {
-      const storyName = match[1];
-      const storyContent = match[2];
-
-      const argsMatch = storyContent.match(/args:\s*\{([\s\S]*?)\}/);
-      let args = {};
-      if (argsMatch) {
-        const argsStr = argsMatch[1];
-        const argLines = argsStr.split(',');
-        argLines.forEach(line => {
-          const colonIdx = line.indexOf(':');
-          if (colonIdx > 0) {
-            const key = line.substring(0, colonIdx).trim();
-            let value = line.substring(colonIdx + 1).trim().replace(/,\s*$/, '');
-            if (key) args[key] = value;
-          }
-        });
-      }
-
-      examples.stories[storyName] = {
-        code: `export const ${storyName} = {${storyContent}};`,
-        args,
+    Object.entries(csf.stories).forEach(([exportName, story]) => {
+      const { code, ...annotations } = story;
+      examples.stories[exportName] = {
+        code,
+        args: story.args || {},
+        ...annotations,
       };
-    }
+    });
 
     return examples;
   } catch (error) {
@@ -185,76 +248,59 @@ function extractStoryExamples(storyFilePath) {
 
 /**
  * Parse story file and extract metadata
+ *
+ * @param {string} filePath
+ * @param {string} storyId
+ * @param {string} [projectDir]
+ * @param {object} [options] - Results callers already have, to avoid parsing twice
+ * @param {object} [options.csf] - Parsed CSF of the file
+ * @param {object|null} [options.componentDocs] - Docs of the story's component
+ * @param {function[]} [options.extractors] - Plugin component docs extractors
  */
-function parseStoryFile(filePath, storyId, projectDir) {
+function parseStoryFile(filePath, storyId, projectDir, options = {}) {
   try {
-    if (!fs.existsSync(filePath)) return null;
+    const csf = options.csf || parseCsfFile(filePath);
+    if (!csf) return null;
 
-    const content = fs.readFileSync(filePath, 'utf8');
     const storyData = { id: storyId, filePath };
+    const meta = csf.meta || {};
 
-    // Extract component reference
-    const componentMatch = content.match(/component:\s*(\w+)/);
-    if (componentMatch) {
-      storyData.component = componentMatch[1];
-
-      // Find component file
-      const importMatch = content.match(new RegExp(`import\\s*\\{[^}]*${componentMatch[1]}[^}]*\\}\\s*from\\s*['"]([^'"]+)['"]`));
-      if (importMatch) {
-        const storyDir = path.dirname(filePath);
-        let componentFilePath = path.resolve(storyDir, importMatch[1]);
-        
-        // Try different extensions
-        const extensions = ['.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
-        for (const ext of extensions) {
-          const fullPath = componentFilePath.endsWith(ext) ? componentFilePath : componentFilePath + ext;
-          if (fs.existsSync(fullPath)) {
-            const componentDocs = extractComponentDocs(fullPath);
-            if (componentDocs) {
-              storyData.componentDocs = componentDocs;
-            }
-            break;
-          }
-        }
+    if (meta.component) {
+      storyData.component = meta.component;
+
+      const componentFilePath = resolveComponentFile(filePath, csf);
+      if (componentFilePath) {
+        storyData.componentFilePath = componentFilePath;
+      }
+      const componentDocs = 'componentDocs' in options
+        ? options.componentDocs
+        : resolveComponentDocs(componentFilePath, { projectDir, componentName: meta.component, extractors: options.extractors });
+      if (componentDocs) {
+        storyData.componentDocs = componentDocs;
       }
     }
 
-    // Extract argTypes
-    const argTypesBlockMatch = content.match(/argTypes:\s*\{([\s\S]*?)\},?\s*(?:\/\/|args:|tags:|$)/);
-    if (argTypesBlockMatch) {
-      storyData.argTypes = {};
-      const propRegex = /(\w+):\s*\{([^{}]*)\}/g;
-      let match;
-      while ((match = propRegex.exec(argTypesBlockMatch[1])) !== null) {
-        const controlMatch = match[2].match(/control:\s*['"]([^'"]+)['"]/);
-        if (controlMatch) {
-          storyData.argTypes[match[1]] = { control: controlMatch[1] };
-        }
-      }
+    if (meta.argTypes) {
+      storyData.argTypes = { ...meta.argTypes };
     }
 
-    // Extract story-specific args
-    const storyName = storyId.split('--')[1];
-    if (storyName && storyName !== 'docs') {
-      const pascalName = storyName.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1).toLowerCase()).join('');
-      const storyPattern = new RegExp(`export\\s+const\\s+${pascalName}[^=]*=\\s*\\{[^}]*args:\\s*\\{([^}]+)\\}`, 's');
-      const storyMatch = content.match(storyPattern);
-
-      if (storyMatch) {
-        storyData.args = {};
-        const argLines = storyMatch[1].split(',');
-        argLines.forEach(line => {
-          const colonIdx = line.indexOf(':');
-          if (colonIdx > 0) {
-            const key = line.substring(0, colonIdx).trim();
-            let value = line.substring(colonIdx + 1).trim().replace(/,\s*$/, '').replace(/^['"]|['"]$/g, '');
-            if (value === 'true') value = true;
-            else if (value === 'false') value = false;
-            else if (!isNaN(value) && value !== '') value = Number(value);
-            if (key) storyData.args[key] = value;
-          }
-        });
+    const { code, ...metaAnnotations } = meta;
+    storyData.meta = metaAnnotations;
+
+    // Story-specific annotations
+    const story = findStory(csf, storyId);
+    if (story) {
+      storyData.exportName = story.exportName;
+      storyData.storyName = story.name;
+      storyData.args = story.args || {};
+      if (story.argTypes) {
+        storyData.argTypes = { ...storyData.argTypes, ...story.argTypes };
       }
+      storyData.parameters = { ...meta.parameters, ...story.parameters };
+      storyData.decorators = [...(story.decorators || []), ...(meta.decorators || [])];
+      storyData.play = story.play || meta.play || null;
+      storyData.storyTags = story.tags || [];
+      storyData.code = story.code;
     }
 
     return storyData;
@@ -263,12 +309,51 @@ function parseStoryFile(filePath, storyId, projectDir) {
   }
 }
 
+/**
+ * Web component usage: primitives become attributes (named as in the
+ * manifest), everything else a lit-html property binding (`.items=${...}`)
+ */
+function formatWebComponentAttribute(key, value, properties = {}) {
+  // onPress -> @press when the element dispatches `press`
+  const eventName = /^on[A-Z]/.test(key) ? key.charAt(2).toLowerCase() + key.slice(3) : null;
+  if (eventName && properties[eventName]?.type === 'output') {
+    return `@${eventName}=\${${formatValue(value)}}`;
+  }
+
+  const property = properties[key];
+  const attribute = property ? property.attribute : key.replace(/([a-z\d])([A-Z])/g, '$1-$2').toLowerCase();
+
+  if (attribute && !isExpression(value)) {
+    if (value === true) return attribute;
+    if (value === false || value === null || value === undefined) return null;
+    if (typeof value === 'string' || typeof value === 'number') {
+      return `${attribute}="${String(value).replace(/"/g, '&quot;')}"`;
+    }
+  }
+  return `.${key}=\${${formatValue(value)}}`;
+}
+
 /**
  * Generate HTML usage example
+ *
+ * Kept for the programmatic API with the output it had before the per-framework
+ * snippets: strings as HTML-escaped attributes, other values as JS literals,
+ * web components through their manifest. The API payloads use the snippets of
+ * `snippets.js` (`generateSnippet`) instead.
+ *
+ * @param {object} [componentDocs] - Component docs, used to map web component args to attributes
  */
-function generateUsageExample(selector, args, storyName, framework = 'angular') {
+function generateUsageExample(selector, args, storyName, framework = 'angular', componentDocs = null) {
   if (!selector) return null;
 
+  if (framework === 'web-components' || componentDocs?.source === 'custom-elements') {
+    const attrs = Object.entries(args || {})
+      .map(([key, value]) => formatWebComponentAttribute(key, value, componentDocs?.properties))
+      .filter(Boolean)
+      .join('\n    ');
+    return `<!-- ${storyName} Example -->\n<${selector}\n    ${attrs}>\n</${selector}>`;
+  }
+
   const attrs = Object.entries(args || {})
     .map(([key, value]) => {
       if (value === 'true' || value === true) {
@@ -278,12 +363,10 @@ function generateUsageExample(selector, args, storyName, framework = 'angular')
         return framework === 'angular' ? `[${key}]="false"` : `${key}={false}`;
       }
       if (typeof value === 'string') {
-        if (value.startsWith("'") || value.startsWith('"')) {
-          return `${key}=${value}`;
-        }
-        return `${key}="${value}"`;
+        return `${key}="${value.replace(/"/g, '&quot;')}"`;
       }
-      return framework === 'angular' ? `[${key}]="${value}"` : `${key}={${value}}`;
+      const code = formatValue(value).replace(/"/g, '&quot;');
+      return framework === 'angular' ? `[${key}]="${code}"` : `${key}={${code}}`;
     })
     .join('\n    ');
 
@@ -295,5 +378,8 @@ module.exports = {
   extractStoryExamples,
   parseStoryFile,
   generateUsageExample,
+  resolveComponentFile,
+  resolveComponentDocs,
+  formatValue,
 };
 
@@ -0,0 +1,193 @@
+/**
+ * Response payloads shared by the live routes and the static export
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { extractStoryExamples, parseStoryFile, resolveComponentFile, resolveComponentDocs } = require('./parsers');
+const { generateSnippet } = require('./snippets');
+const { parseCsfFile } = require('./csf');
+
+/**
+ * Summary of an index entry, as listed by `/api/stories`
+ */
+function toStorySummary(entry) {
+  const story = {
+    id: entry.id,
+    name: entry.name,
+    title: entry.title,
+    kind: entry.kind || entry.title,
+    importPath: entry.importPath,
+    tags: entry.tags || [],
+    type: entry.type,
+  };
+  if (entry.componentPath) {
+    story.componentPath = entry.componentPath;
+  }
+  if (entry.source) {
+    story.source = entry.source;
+  }
+  return story;
+}
+
+/**
+ * Build the story details payload for an index entry
+ *
+ * Without a project directory (a composed Storybook known only by URL) only
+ * the index data is returned.
+ *
+ * @param {object} [options]
+ * @param {function[]} [options.extractors] - Plugin component docs extractors
+ */
+function buildStory(entry, projectDir, { extractors } = {}) {
+  const story = toStorySummary(entry);
+
+  // Parse story file for additional details
+  if (entry.importPath && projectDir) {
+    const cleanPath = entry.importPath.replace(/^\.\//, '');
+    const storyFilePath = path.join(projectDir, cleanPath);
+    const parsed = parseStoryFile(storyFilePath, entry.id, projectDir, { extractors });
+    if (parsed) {
+      story.component = parsed.component;
+      story.exportName = parsed.exportName;
+      story.args = parsed.args || {};
+      story.argTypes = parsed.argTypes || {};
+      story.parameters = parsed.parameters || {};
+      story.decorators = parsed.decorators || [];
+      story.play = parsed.play || null;
+      story.meta = parsed.meta;
+      if (parsed.componentDocs) {
+        story.docs = parsed.componentDocs;
+      }
+    }
+  }
+
+  return story;
+}
+
+/**
+ * Build the documentation payload for an index entry
+ *
+ * @param {object} [options]
+ * @param {function[]} [options.extractors] - Plugin component docs extractors
+ */
+function buildDocs(entry, projectDir, framework, { extractors } = {}) {
+  const docs = {
+    storyId: entry.id,
+    title: entry.title,
+    name: entry.name,
+    type: entry.type,
+    framework,
+  };
+
+  if (!projectDir) {
+    return docs;
+  }
+
+  if (entry.importPath && !entry.importPath.endsWith('.mdx')) {
+    const cleanPath = entry.importPath.replace(/^\.\//, '');
+    const storyFilePath = path.join(projectDir, cleanPath);
+
+    const csf = parseCsfFile(storyFilePath);
+
+    if (csf) {
+      let componentDocs = null;
+
+      // Get component info
+      if (csf.meta && csf.meta.component) {
+        docs.component = csf.meta.component;
+
+        // Web components may reference their tag name instead of an imported class
+        const componentFilePath = resolveComponentFile(storyFilePath, csf);
+        componentDocs = resolveComponentDocs(componentFilePath, { projectDir, componentName: docs.component, extractors });
+        if (componentDocs) {
+          docs.selector = componentDocs.selector;
+          docs.template = componentDocs.template;
+          docs.componentCode = componentDocs.componentCode;
+          docs.properties = componentDocs.properties;
+          docs.componentDescription = componentDocs.description;
+          docs.docsSource = componentDocs.source;
+
+          if (componentDocs.source === 'compodoc') {
+            docs.inputs = componentDocs.inputs;
+            docs.outputs = componentDocs.outputs;
+            docs.methods = componentDocs.methods;
+            docs.hostBindings = componentDocs.hostBindings;
+            docs.hostListeners = componentDocs.hostListeners;
+          }
+
+          if (componentDocs.source === 'custom-elements') {
+            docs.tagName = componentDocs.tagName;
+            docs.attributes = componentDocs.attributes;
+            docs.members = componentDocs.members;
+            docs.methods = componentDocs.methods;
+            docs.events = componentDocs.events;
+            docs.slots = componentDocs.slots;
+            docs.cssParts = componentDocs.cssParts;
+            docs.cssProperties = componentDocs.cssProperties;
+          }
+        }
+      }
+
+      // Get story examples
+      const storyExamples = extractStoryExamples(storyFilePath);
+      if (storyExamples) {
+        docs.imports = storyExamples.imports;
+        docs.metaCode = storyExamples.meta;
+        docs.meta = storyExamples.parsedMeta;
+        docs.storyExamples = storyExamples.stories;
+
+        if (storyExamples.stories) {
+          const usageExamples = {};
+          Object.entries(storyExamples.stories).forEach(([name, story]) => {
+            const snippet = generateSnippet({
+              framework,
+              args: story.args,
+              component: docs.component,
+              selector: docs.selector,
+              componentDocs,
+            });
+            if (snippet) usageExamples[name] = snippet;
+          });
+          if (Object.keys(usageExamples).length) {
+            docs.usageExamples = usageExamples;
+          }
+        }
+      }
+    }
+  } else if (entry.importPath && entry.importPath.endsWith('.mdx')) {
+    // MDX documentation file
+    const cleanPath = entry.importPath.replace(/^\.\//, '');
+    const mdxPath = path.join(projectDir, cleanPath);
+    if (fs.existsSync(mdxPath)) {
+      docs.mdxContent = fs.readFileSync(mdxPath, 'utf8');
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Stories of one kind/category, as returned by `/api/stories/kind/:kind`
+ */
+function buildKindPayload(entries, kind) {
+  const stories = Object.values(entries || {})
+    .filter(entry => entry.kind === kind || entry.title === kind)
+    .map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      title: entry.title,
+      kind: entry.kind || entry.title,
+      type: entry.type,
+    }));
+
+  return { success: true, count: stories.length, kind, stories };
+}
+
+module.exports = {
+  toStorySummary,
+  buildStory,
+  buildDocs,
+  buildKindPayload,
+};
@@ -0,0 +1,164 @@
+/**
+ * Plugin API
+ *
+ * A plugin is an object with a `name` and any of these hooks:
+ *
+ *   extractComponentDocs(componentFilePath, { projectDir, componentName })
+ *       Component docs (`{ source, description, properties, ... }`) or null.
+ *       Tried in order before the built-in extractors (Compodoc, Custom
+ *       Elements Manifest, react-docgen, source). Synchronous. Errors are
+ *       logged and the next extractor is tried.
+ *   extendStory(story, { entry, projectDir })
+ *       Add to the `/api/stories/:storyId` payload; return a new payload or
+ *       change it in place. May be async.
+ *   extendDocs(docs, { entry, projectDir, framework })
+ *       Same for `/api/docs/:storyId` (and the search index built from it).
+ *   routes(app, { config, cache, operations })
+ *       Register Express routes. They are behind the same auth as the API.
+ *   paths
+ *       OpenAPI path items of those routes, listed in `/api` and `/api/openapi.json`.
+ *   onStart({ app, server, config, url })
+ *       Called by `startServer` once the server listens. May be async.
+ *
+ * In a config file, a plugin can also be a module path (resolved from the
+ * config file) or `[modulePath, options]`. The module exports the plugin, or
+ * a function taking the options and returning it.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const HOOKS = ['extractComponentDocs', 'extendStory', 'extendDocs', 'routes', 'onStart'];
+
+/**
+ * Import a CommonJS or ES module
+ */
+async function importModule(specifier) {
+  if (/\.mjs$/.test(specifier)) {
+    return (await import(pathToFileURL(specifier).href)).default;
+  }
+  const exported = require(specifier);
+  return exported && exported.__esModule ? exported.default : exported;
+}
+
+/**
+ * Resolve the `plugins` of a config file to plugin objects
+ *
+ * @param {Array<object|function|string|Array>} [specs]
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - Directory relative module paths are resolved from
+ * @returns {Promise<object[]>}
+ */
+async function loadPlugins(specs = [], { baseDir = process.cwd() } = {}) {
+  const plugins = [];
+  for (const spec of specs) {
+    let [plugin, options] = Array.isArray(spec) ? spec : [spec, undefined];
+
+    if (typeof plugin === 'string') {
+      const specifier = plugin.startsWith('.') || path.isAbsolute(plugin)
+        ? path.resolve(baseDir, plugin)
+        : require.resolve(plugin, { paths: [baseDir] });
+      plugin = await importModule(specifier);
+    }
+    if (typeof plugin === 'function') {
+      plugin = await plugin(options);
+    }
+    plugins.push(plugin);
+  }
+  return plugins;
+}
+
+/**
+ * Runs the hooks of a list of plugins
+ */
+class PluginHost {
+  /**
+   * @param {object[]} [plugins]
+   */
+  constructor(plugins = []) {
+    plugins.forEach((plugin, index) => {
+      if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Plugin #${index + 1} is not an object`);
+      }
+      if (!plugin.name) {
+        throw new Error(`Plugin #${index + 1} has no name`);
+      }
+      const unknown = Object.keys(plugin).filter(key => typeof plugin[key] === 'function' && !HOOKS.includes(key));
+      if (unknown.length) {
+        throw new Error(`Plugin "${plugin.name}" has unknown hooks: ${unknown.join(', ')}. Known hooks: ${HOOKS.join(', ')}`);
+      }
+    });
+    this.plugins = plugins;
+  }
+
+  /**
+   * Component docs extractors, for `resolveComponentDocs`
+   */
+  get extractors() {
+    return this.plugins
+      .filter(plugin => plugin.extractComponentDocs)
+      .map(plugin => (componentFilePath, options) => this.call(plugin, 'extractComponentDocs', componentFilePath, options));
+  }
+
+  /**
+   * OpenAPI path items contributed by the plugins
+   */
+  get paths() {
+    return Object.assign({}, ...this.plugins.map(plugin => plugin.paths || {}));
+  }
+
+  /**
+   * Call a hook, naming the plugin in its errors
+   */
+  call(plugin, hook, ...args) {
+    const fail = (error) => {
+      error.message = `Plugin "${plugin.name}" failed in ${hook}: ${error.message}`;
+      throw error;
+    };
+    try {
+      const result = plugin[hook](...args);
+      return result && typeof result.then === 'function' ? result.catch(fail) : result;
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  /**
+   * Pass a payload through the `hook` of every plugin, in order
+   */
+  async reduce(hook, payload, context) {
+    let result = payload;
+    for (const plugin of this.plugins) {
+      if (!plugin[hook]) continue;
+      const returned = await this.call(plugin, hook, result, context);
+      if (returned !== undefined) result = returned;
+    }
+    return result;
+  }
+
+  extendStory(story, context) {
+    return this.reduce('extendStory', story, context);
+  }
+
+  extendDocs(docs, context) {
+    return this.reduce('extendDocs', docs, context);
+  }
+
+  routes(app, context) {
+    for (const plugin of this.plugins) {
+      if (plugin.routes) this.call(plugin, 'routes', app, context);
+    }
+  }
+
+  async onStart(context) {
+    for (const plugin of this.plugins) {
+      if (plugin.onStart) await this.call(plugin, 'onStart', context);
+    }
+  }
+}
+
+module.exports = {
+  PluginHost,
+  loadPlugins,
+  importModule,
+};
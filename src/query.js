@@ -0,0 +1,199 @@
+/**
+ * Filtering, sorting, pagination and projection for story lists
+ *
+ * Used by `GET /api/stories`:
+ *   ?tag=autodocs&tag=!deprecated  stories having all tags (`!` excludes)
+ *   ?type=story|docs               entry type
+ *   ?source=forms                  composed Storybook (federated mode)
+ *   ?title=Example/*               title prefix, or glob when it contains `*`
+ *   ?component=ButtonComponent     component name or file
+ *   ?q=button                      full-text over id, name, title, tags and paths
+ *   ?sort=title,-name              sort fields (`-` for descending)
+ *   ?limit=20&cursor=...           cursor pagination
+ *   ?fields=id,name                projection
+ */
+
+const SORTABLE_FIELDS = ['id', 'name', 'title', 'kind', 'type', 'importPath', 'component', 'source'];
+const MAX_LIMIT = 1000;
+
+/**
+ * Error for invalid query parameters (answered with 400)
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * Read a query parameter as a list (`?tag=a&tag=b` or `?tag=a,b`)
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a glob (`Example/*`, `**\/Button`) to a regular expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split(/(\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesTitle(title, pattern) {
+  if (!title) return false;
+  if (/[*?]/.test(pattern)) return globToRegExp(pattern).test(title);
+  return title.toLowerCase().startsWith(pattern.toLowerCase());
+}
+
+function matchesComponent(story, names) {
+  const candidates = [story.component, story.componentPath]
+    .filter(Boolean)
+    .flatMap(value => [value, value.split('/').pop().replace(/\.[^.]+$/, '')])
+    .map(value => value.toLowerCase());
+  return names.some(name => candidates.includes(name.toLowerCase()));
+}
+
+function matchesText(story, terms) {
+  const haystack = [story.id, story.name, story.title, story.importPath, story.component, ...(story.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return terms.every(term => haystack.includes(term));
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new QueryError(`Invalid cursor "${cursor}"`);
+}
+
+/**
+ * Whether a query needs component names to be resolved
+ */
+function needsComponent(query) {
+  const sortFields = toList(query.sort).map(field => field.replace(/^[-+]/, ''));
+  return toList(query.component).length > 0
+    || sortFields.includes('component')
+    || toList(query.fields).includes('component')
+    || !!query.q;
+}
+
+/**
+ * Filter, sort, paginate and project a list of stories
+ *
+ * @param {object[]} stories - Story summaries
+ * @param {object} query - Express `req.query`
+ * @returns {{ total: number, stories: object[], nextCursor: string|null, offset: number, limit: number|null }}
+ * @throws {QueryError} on invalid parameters
+ */
+function queryStories(stories, query = {}) {
+  let result = stories;
+
+  // Filters
+  const tags = toList(query.tag || query.tags);
+  if (tags.length) {
+    const include = tags.filter(tag => !tag.startsWith('!'));
+    const exclude = tags.filter(tag => tag.startsWith('!')).map(tag => tag.slice(1));
+    result = result.filter(story => {
+      const storyTags = story.tags || [];
+      return include.every(tag => storyTags.includes(tag)) && !exclude.some(tag => storyTags.includes(tag));
+    });
+  }
+
+  const sources = toList(query.source);
+  if (sources.length) {
+    result = result.filter(story => sources.includes(story.source));
+  }
+
+  const types = toList(query.type);
+  if (types.length) {
+    result = result.filter(story => types.includes(story.type));
+  }
+
+  const titles = toList(query.title);
+  if (titles.length) {
+    result = result.filter(story => titles.some(pattern => matchesTitle(story.title, pattern)));
+  }
+
+  const components = toList(query.component);
+  if (components.length) {
+    result = result.filter(story => matchesComponent(story, components));
+  }
+
+  if (query.q) {
+    const terms = String(query.q).toLowerCase().split(/\s+/).filter(Boolean);
+    result = result.filter(story => matchesText(story, terms));
+  }
+
+  // Sort
+  const sortFields = toList(query.sort).map(field => ({
+    field: field.replace(/^[-+]/, ''),
+    direction: field.startsWith('-') ? -1 : 1,
+  }));
+  for (const { field } of sortFields) {
+    if (!SORTABLE_FIELDS.includes(field)) {
+      throw new QueryError(`Cannot sort by "${field}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+  }
+  if (sortFields.length) {
+    result = [...result].sort((a, b) => {
+      for (const { field, direction } of sortFields) {
+        const compared = String(a[field] ?? '').localeCompare(String(b[field] ?? ''), undefined, { numeric: true });
+        if (compared !== 0) return compared * direction;
+      }
+      return 0;
+    });
+  }
+
+  // Paginate
+  const total = result.length;
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new QueryError(`"limit" must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+  const offset = query.cursor ? decodeCursor(String(query.cursor)) : 0;
+  const end = limit === null ? total : offset + limit;
+  result = result.slice(offset, end);
+  const nextCursor = end < total ? encodeCursor(end) : null;
+
+  // Project
+  const fields = toList(query.fields);
+  if (fields.length) {
+    result = result.map(story => Object.fromEntries(fields.filter(field => field in story).map(field => [field, story[field]])));
+  }
+
+  return { total, stories: result, nextCursor, offset, limit };
+}
+
+module.exports = {
+  queryStories,
+  needsComponent,
+  globToRegExp,
+  toList,
+  QueryError,
+};
@@ -0,0 +1,373 @@
+/**
+ * React component docs through the TypeScript compiler API
+ *
+ * Follows the semantics of react-docgen-typescript: the props type of a
+ * component is resolved with the type checker, so `type Props = {...}`,
+ * interfaces with `extends`, intersections, `React.FC<Props>`, `forwardRef`
+ * and `memo` all work. Defaults come from parameter destructuring,
+ * `Component.defaultProps` or a `@default` JSDoc tag. Props declared in
+ * `node_modules` (e.g. inherited HTML attributes) are left out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const { unwrap } = require('./csf');
+
+const COMPILER_OPTIONS = {
+  allowJs: true,
+  jsx: ts.JsxEmit.Preserve,
+  target: ts.ScriptTarget.Latest,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Node10,
+  esModuleInterop: true,
+  skipLibCheck: true,
+  noEmit: true,
+  // Keep optional props as `string` instead of `string | undefined`
+  strictNullChecks: false,
+  types: [],
+};
+
+/**
+ * Wrappers whose first argument is the actual component
+ */
+const WRAPPERS = ['forwardRef', 'memo'];
+
+/**
+ * Type names of function component annotations (`React.FC<Props>`)
+ */
+const FUNCTION_COMPONENT_TYPES = ['FC', 'FunctionComponent', 'VFC', 'VoidFunctionComponent'];
+
+/**
+ * Base classes of class components
+ */
+const CLASS_COMPONENT_TYPES = ['Component', 'PureComponent'];
+
+const cache = new Map();
+let lastProgram = null;
+
+function isComponentName(name) {
+  return /^[A-Z]/.test(name || '');
+}
+
+/**
+ * Last segment of an entity name (`React.forwardRef` -> `forwardRef`)
+ */
+function getRightmostName(node) {
+  if (!node) return null;
+  if (ts.isIdentifier(node)) return node.text;
+  if (ts.isPropertyAccessExpression(node)) return node.name.text;
+  if (ts.isQualifiedName(node)) return node.right.text;
+  return null;
+}
+
+function hasModifier(node, kind) {
+  return (ts.canHaveModifiers(node) ? ts.getModifiers(node) || [] : []).some(modifier => modifier.kind === kind);
+}
+
+/**
+ * Find the props parameter and props type node of a component expression
+ */
+function analyzeComponentExpression(node, typeNode = null) {
+  node = unwrap(node);
+  if (!node) return null;
+
+  if (ts.isArrowFunction(node) || ts.isFunctionExpression(node)) {
+    const param = node.parameters[0] || null;
+    return { param, typeNode: param?.type || typeNode };
+  }
+
+  if (ts.isCallExpression(node) && WRAPPERS.includes(getRightmostName(node.expression))) {
+    // forwardRef<Ref, Props>(...) declares the props as second type argument
+    const wrapper = getRightmostName(node.expression);
+    const typeArgument = wrapper === 'forwardRef' ? node.typeArguments?.[1] : node.typeArguments?.[0];
+    return analyzeComponentExpression(node.arguments[0], typeArgument || typeNode);
+  }
+
+  return null;
+}
+
+/**
+ * Collect the components declared at the top level of a file
+ */
+function findComponents(sourceFile) {
+  const components = [];
+  let defaultExportName = null;
+
+  for (const statement of sourceFile.statements) {
+    const exported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+    const isDefault = hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+
+    if (ts.isFunctionDeclaration(statement) && statement.name && isComponentName(statement.name.text)) {
+      const param = statement.parameters[0] || null;
+      components.push({ name: statement.name.text, statement, nameNode: statement.name, param, typeNode: param?.type, exported, isDefault });
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (!ts.isIdentifier(declaration.name) || !isComponentName(declaration.name.text)) continue;
+
+        // const Button: React.FC<ButtonProps> = (...) => ...
+        let annotated = null;
+        if (declaration.type && ts.isTypeReferenceNode(declaration.type)
+          && FUNCTION_COMPONENT_TYPES.includes(getRightmostName(declaration.type.typeName))) {
+          annotated = declaration.type.typeArguments?.[0] || null;
+        }
+
+        const analyzed = analyzeComponentExpression(declaration.initializer, annotated);
+        if (!analyzed) continue;
+        components.push({ name: declaration.name.text, statement, nameNode: declaration.name, ...analyzed, exported, isDefault: false });
+      }
+    } else if (ts.isClassDeclaration(statement) && statement.name && isComponentName(statement.name.text)) {
+      const heritage = (statement.heritageClauses || []).find(clause => clause.token === ts.SyntaxKind.ExtendsKeyword);
+      const base = heritage?.types[0];
+      if (!base || !CLASS_COMPONENT_TYPES.includes(getRightmostName(base.expression))) continue;
+      components.push({ name: statement.name.text, statement, nameNode: statement.name, param: null, typeNode: base.typeArguments?.[0], exported, isDefault });
+    } else if (ts.isExportAssignment(statement) && ts.isIdentifier(unwrap(statement.expression))) {
+      defaultExportName = unwrap(statement.expression).text;
+    }
+  }
+
+  if (defaultExportName) {
+    components.forEach(component => {
+      if (component.name === defaultExportName) component.isDefault = true;
+    });
+  }
+  return components;
+}
+
+/**
+ * Defaults from `({ size = 'medium' }: Props)` and `Component.defaultProps = {...}`
+ */
+function collectDefaults(sourceFile, component) {
+  const defaults = {};
+
+  for (const statement of sourceFile.statements) {
+    if (!ts.isExpressionStatement(statement) || !ts.isBinaryExpression(statement.expression)) continue;
+    const { left, right, operatorToken } = statement.expression;
+    if (operatorToken.kind !== ts.SyntaxKind.EqualsToken || !ts.isPropertyAccessExpression(left)) continue;
+    if (left.name.text !== 'defaultProps' || getRightmostName(left.expression) !== component.name) continue;
+
+    const value = unwrap(right);
+    if (!ts.isObjectLiteralExpression(value)) continue;
+    for (const property of value.properties) {
+      if (ts.isPropertyAssignment(property) && property.name) {
+        defaults[property.name.getText(sourceFile).replace(/^['"]|['"]$/g, '')] = property.initializer.getText(sourceFile);
+      }
+    }
+  }
+
+  // static defaultProps = {...} on class components
+  if (ts.isClassDeclaration(component.statement)) {
+    for (const member of component.statement.members) {
+      if (ts.isPropertyDeclaration(member) && getRightmostName(member.name) === 'defaultProps'
+        && member.initializer && ts.isObjectLiteralExpression(unwrap(member.initializer))) {
+        for (const property of unwrap(member.initializer).properties) {
+          if (ts.isPropertyAssignment(property)) {
+            defaults[property.name.getText(sourceFile)] = property.initializer.getText(sourceFile);
+          }
+        }
+      }
+    }
+  }
+
+  const pattern = component.param?.name;
+  if (pattern && ts.isObjectBindingPattern(pattern)) {
+    for (const element of pattern.elements) {
+      if (element.dotDotDotToken || !element.initializer) continue;
+      const name = getRightmostName(element.propertyName || element.name);
+      if (name) defaults[name] = element.initializer.getText(sourceFile);
+    }
+  }
+
+  return defaults;
+}
+
+/**
+ * Literal options of a union type (`'small' | 'medium'`, enums), or null
+ */
+function getUnionOptions(type) {
+  if (!type.isUnion()) return null;
+  const members = type.types.filter(member => !(member.flags & (ts.TypeFlags.Undefined | ts.TypeFlags.Null)));
+  if (!members.length) return null;
+
+  // `boolean` is the union `true | false`, not an options list
+  if (members.every(member => member.flags & ts.TypeFlags.BooleanLiteral)) return null;
+
+  const options = [];
+  for (const member of members) {
+    if (member.isStringLiteral() || member.isNumberLiteral()) {
+      options.push(member.value);
+    } else if (member.flags & ts.TypeFlags.BooleanLiteral) {
+      options.push(member.intrinsicName === 'true');
+    } else {
+      return null;
+    }
+  }
+  return options;
+}
+
+/**
+ * Modification times of the project files a program read (props types may be imported)
+ */
+function getLocalFileTimes(program) {
+  const times = {};
+  for (const file of program.getSourceFiles()) {
+    if (file.fileName.includes('/node_modules/') || program.isSourceFileDefaultLibrary(file)) continue;
+    try {
+      times[file.fileName] = fs.statSync(file.fileName).mtimeMs;
+    } catch (error) {
+      // Virtual or deleted file
+    }
+  }
+  return times;
+}
+
+function isUnchanged(times) {
+  return Object.entries(times).every(([fileName, mtimeMs]) => {
+    try {
+      return fs.statSync(fileName).mtimeMs === mtimeMs;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+function isExternalDeclaration(declaration) {
+  const fileName = declaration.getSourceFile().fileName;
+  // TypeScript file names always use forward slashes
+  return fileName.includes('/node_modules/');
+}
+
+/**
+ * Describe every prop of a component
+ */
+function getProperties(checker, sourceFile, component) {
+  const defaults = collectDefaults(sourceFile, component);
+  const properties = {};
+
+  if (component.typeNode) {
+    const propsType = checker.getTypeFromTypeNode(component.typeNode);
+
+    for (const symbol of checker.getPropertiesOfType(propsType)) {
+      const declarations = symbol.getDeclarations() || [];
+      if (declarations.length && declarations.every(isExternalDeclaration)) continue;
+
+      const declaration = declarations[0];
+      const type = declaration
+        ? checker.getTypeOfSymbolAtLocation(symbol, declaration)
+        : checker.getTypeOfSymbol(symbol);
+      const tags = {};
+      for (const tag of symbol.getJsDocTags(checker)) {
+        tags[tag.name] = ts.displayPartsToString(tag.text || []).trim();
+      }
+
+      const prop = {
+        description: ts.displayPartsToString(symbol.getDocumentationComment(checker)).trim(),
+        // Keep the type as written (`Size`, `'small' | 'large'`), resolve it otherwise
+        tsType: declaration?.type ? declaration.type.getText() : checker.typeToString(type, undefined, ts.TypeFormatFlags.NoTruncation),
+        required: !(symbol.flags & ts.SymbolFlags.Optional),
+      };
+
+      const options = getUnionOptions(type);
+      if (options) prop.options = options;
+
+      const defaultValue = defaults[symbol.name] ?? tags.default ?? tags.defaultValue;
+      if (defaultValue !== undefined) prop.defaultValue = defaultValue;
+
+      const otherTags = Object.keys(tags).filter(name => name !== 'default' && name !== 'defaultValue');
+      if (otherTags.length) {
+        prop.jsDocTags = Object.fromEntries(otherTags.map(name => [name, tags[name]]));
+      }
+
+      properties[symbol.name] = prop;
+    }
+  }
+
+  // Untyped components (plain JSX): props are only known from destructuring
+  const pattern = component.param?.name;
+  if (pattern && ts.isObjectBindingPattern(pattern)) {
+    for (const element of pattern.elements) {
+      const name = element.dotDotDotToken ? null : getRightmostName(element.propertyName || element.name);
+      if (!name || properties[name]) continue;
+      properties[name] = { description: '', tsType: 'any', required: false };
+      if (defaults[name] !== undefined) properties[name].defaultValue = defaults[name];
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Pick the documented component: by name, then the default export, then the first export
+ */
+function pickComponent(components, componentName) {
+  const wanted = componentName ? componentName.split('.').pop() : null;
+  return components.find(component => component.name === wanted)
+    || components.find(component => component.isDefault)
+    || components.find(component => component.exported)
+    || null;
+}
+
+/**
+ * Check whether a file may contain React components
+ */
+function isReactFile(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.tsx' || ext === '.jsx') return true;
+  return ['.ts', '.js', '.mjs'].includes(ext) && /from\s+['"]react['"]|require\(['"]react['"]\)/.test(content);
+}
+
+/**
+ * Get React component docs for a component file
+ *
+ * @param {string} componentFilePath
+ * @param {object} [options]
+ * @param {string} [options.componentName] - `component` of the story meta
+ * @returns {object|null} `{ source: 'react-docgen', name, description, properties, componentCode }`
+ */
+function getReactComponentDocs(componentFilePath, { componentName } = {}) {
+  try {
+    if (!fs.existsSync(componentFilePath)) return null;
+
+    const cacheKey = `${componentFilePath}:${componentName || ''}`;
+    const cached = cache.get(cacheKey);
+    if (cached && isUnchanged(cached.times)) {
+      return cached.docs;
+    }
+
+    const content = fs.readFileSync(componentFilePath, 'utf8');
+    let docs = null;
+    let times = { [componentFilePath]: fs.statSync(componentFilePath).mtimeMs };
+
+    if (isReactFile(componentFilePath, content)) {
+      // Reuse the previous program so lib and shared type files are parsed once
+      const program = ts.createProgram([componentFilePath], COMPILER_OPTIONS, undefined, lastProgram || undefined);
+      lastProgram = program;
+      times = getLocalFileTimes(program);
+      const checker = program.getTypeChecker();
+      const sourceFile = program.getSourceFile(componentFilePath);
+      const component = sourceFile && pickComponent(findComponents(sourceFile), componentName);
+
+      if (component) {
+        const symbol = checker.getSymbolAtLocation(component.nameNode);
+        docs = {
+          source: 'react-docgen',
+          name: component.name,
+          description: symbol ? ts.displayPartsToString(symbol.getDocumentationComment(checker)).trim() : '',
+          properties: getProperties(checker, sourceFile, component),
+          componentCode: component.statement.getText(sourceFile),
+        };
+      }
+    }
+
+    cache.set(cacheKey, { times, docs });
+    return docs;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getReactComponentDocs,
+  findComponents,
+};
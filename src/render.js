@@ -0,0 +1,411 @@
+/**
+ * Server-side story rendering
+ *
+ * Stories are loaded in headless Chrome from Storybook's
+ * `iframe.html?id=<story>&args=<args>&globals=<globals>` and the rendered DOM
+ * of the story root is returned as HTML (optionally with the CSS rules that
+ * apply to it) or captured as a PNG screenshot.
+ *
+ * `puppeteer` is an optional peer dependency, required on first use. A small
+ * pool of pages is shared by all requests; renders beyond the pool size wait
+ * in a bounded queue, and every render is limited by a timeout.
+ */
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_MAX_QUEUE = 20;
+const MAX_TIMEOUT = 60000;
+const DEFAULT_VIEWPORT = { width: 1280, height: 720, deviceScaleFactor: 1 };
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class RenderError extends Error {
+  constructor(message, status = 500, details) {
+    super(message);
+    this.name = 'RenderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Require puppeteer, or return null when it is not installed
+ */
+function loadPuppeteer() {
+  try {
+    return require('puppeteer');
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('\'puppeteer\'')) return null;
+    throw error;
+  }
+}
+
+function encodeArgValue(value) {
+  if (value === null) return '!null';
+  if (value === undefined) return '!undefined';
+  if (typeof value === 'boolean') return `!${value}`;
+  return String(value);
+}
+
+/**
+ * Serialize args or globals to Storybook's URL format: `label:Hello;size:large;disabled:!true`
+ *
+ * Nested objects use dots and arrays brackets (`user.name:Ann;tags[0]:new`).
+ * A string is assumed to be already serialized and is passed through.
+ */
+function toArgsParam(args, prefix = '') {
+  if (typeof args === 'string') return args;
+  const pairs = [];
+  for (const [key, value] of Object.entries(args || {})) {
+    const name = prefix ? (Array.isArray(args) ? `${prefix}[${key}]` : `${prefix}.${key}`) : key;
+    if (value && typeof value === 'object') {
+      pairs.push(toArgsParam(value, name));
+    } else {
+      pairs.push(`${name}:${encodeArgValue(value)}`);
+    }
+  }
+  return pairs.filter(Boolean).join(';');
+}
+
+/**
+ * URL of a story in Storybook's preview iframe
+ *
+ * @param {string} storybookUrl
+ * @param {string} storyId
+ * @param {object} [options]
+ * @param {object|string} [options.args]
+ * @param {object|string} [options.globals] - e.g. `{ theme: 'dark' }`
+ */
+function buildIframeUrl(storybookUrl, storyId, { args, globals } = {}) {
+  const params = new URLSearchParams({ id: storyId, viewMode: 'story' });
+  const argsParam = toArgsParam(args);
+  if (argsParam) params.set('args', argsParam);
+  const globalsParam = toArgsParam(globals);
+  if (globalsParam) params.set('globals', globalsParam);
+  return `${storybookUrl.replace(/\/$/, '')}/iframe.html?${params.toString()}`;
+}
+
+/**
+ * Runs in the page: wait until Storybook shows the story, an error or "no preview"
+ */
+function isStoryDone() {
+  const classes = document.body && document.body.classList;
+  return Boolean(classes) && ['sb-show-main', 'sb-show-errordisplay', 'sb-show-nopreview']
+    .some(name => classes.contains(name));
+}
+
+/**
+ * Runs in the page: the error Storybook displays instead of the story, if any
+ */
+function readStoryError() {
+  const classes = document.body.classList;
+  if (classes.contains('sb-show-errordisplay')) {
+    const message = document.querySelector('#error-message');
+    const stack = document.querySelector('#error-stack');
+    return { error: (message && message.textContent.trim()) || 'Story failed to render', stack: stack ? stack.textContent : undefined };
+  }
+  if (classes.contains('sb-show-nopreview')) {
+    return { error: 'No preview: the story was not found in this Storybook' };
+  }
+  return null;
+}
+
+/**
+ * Runs in the page: read the story root, and the CSS rules matching its elements
+ */
+function extractStory(withCss) {
+  const root = document.querySelector('#storybook-root') || document.querySelector('#root');
+  if (!root) return { error: 'Story root element not found' };
+  if (!withCss) return { html: root.innerHTML };
+
+  // Match without pseudo-classes/elements so `:hover` or `::before` rules are kept
+  const matches = (selectorText) => selectorText.split(',').some(selector => {
+    const plain = selector.replace(/::?[a-zA-Z-]+(\([^)]*\))?/g, '').trim() || '*';
+    try {
+      return root.matches(plain) || Boolean(root.querySelector(plain));
+    } catch (error) {
+      return false;
+    }
+  });
+
+  const collect = (rules) => {
+    const used = [];
+    for (const rule of Array.from(rules)) {
+      if (rule.selectorText !== undefined) {
+        if (matches(rule.selectorText)) used.push(rule.cssText);
+      } else if (rule.cssRules && /^@(media|supports|layer|container)/.test(rule.cssText)) {
+        const inner = collect(rule.cssRules);
+        if (inner.length) used.push(`${rule.cssText.slice(0, rule.cssText.indexOf('{'))}{\n${inner.join('\n')}\n}`);
+      } else if (/^@(font-face|keyframes|property)/.test(rule.cssText)) {
+        used.push(rule.cssText);
+      }
+    }
+    return used;
+  };
+
+  const css = [];
+  for (const sheet of Array.from(document.styleSheets)) {
+    try {
+      css.push(...collect(sheet.cssRules));
+    } catch (error) {
+      // Cross-origin stylesheets cannot be read
+    }
+  }
+  return { html: root.innerHTML, css: css.join('\n') };
+}
+
+/**
+ * Pool of headless browser pages rendering stories
+ */
+class RenderPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.size=2] - Max number of pages rendering at once
+   * @param {number} [options.timeout=15000] - Default render timeout in ms
+   * @param {number} [options.maxQueue=20] - Max renders waiting for a page
+   * @param {object} [options.launchOptions] - Passed to `puppeteer.launch()`
+   */
+  constructor({ size = DEFAULT_POOL_SIZE, timeout = DEFAULT_TIMEOUT, maxQueue = DEFAULT_MAX_QUEUE, launchOptions } = {}) {
+    this.size = size;
+    this.timeout = timeout;
+    this.maxQueue = maxQueue;
+    this.launchOptions = launchOptions;
+    this.browserPromise = null;
+    this.idle = [];
+    // Open pages, and pages being opened
+    this.pages = new Set();
+    this.opening = 0;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Pages counted against `size`
+   */
+  get pageCount() {
+    return this.pages.size + this.opening;
+  }
+
+  /**
+   * Launch the headless browser
+   */
+  launchBrowser() {
+    const puppeteer = loadPuppeteer();
+    if (!puppeteer) {
+      throw new RenderError('Rendering needs puppeteer. Install it with `npm install puppeteer`.', 501);
+    }
+    return puppeteer.launch({ headless: true, ...this.launchOptions });
+  }
+
+  async getBrowser() {
+    if (!this.browserPromise) {
+      this.browserPromise = this.launchBrowser().then((browser) => {
+        browser.on('disconnected', () => {
+          this.browserPromise = null;
+          // Pages of the old browser are gone; the renders using them fail and release them
+          this.idle = [];
+          this.pages.clear();
+        });
+        return browser;
+      });
+      this.browserPromise.catch(() => {
+        this.browserPromise = null;
+      });
+    }
+    return this.browserPromise;
+  }
+
+  /**
+   * Open a page, counted in the pool size from the start
+   */
+  async openPage() {
+    this.opening += 1;
+    try {
+      const browser = await this.getBrowser();
+      const page = await browser.newPage();
+      this.pages.add(page);
+      page.once('close', () => {
+        this.pages.delete(page);
+        this.idle = this.idle.filter(item => item !== page);
+      });
+      return page;
+    } finally {
+      this.opening -= 1;
+    }
+  }
+
+  /**
+   * Take an idle page, open a new one, or wait in the queue until `deadline`
+   */
+  async acquire(deadline) {
+    if (this.idle.length) return this.idle.pop();
+    if (this.pageCount < this.size) {
+      return this.openPage();
+    }
+    if (this.waiting.length >= this.maxQueue) {
+      throw new RenderError('Too many renders in progress, try again later', 503);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(new RenderError('Timed out waiting for a free render page', 503));
+      }, Math.max(deadline - Date.now(), 0));
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Hand a page to the next waiting render, or keep it idle. Pages that failed
+   * (timeouts, crashes) or belong to a disconnected browser are closed and
+   * their slot reopened.
+   */
+  release(page, broken = false) {
+    if (broken || this.closed || !this.pages.has(page)) {
+      this.pages.delete(page);
+      page.close().catch(() => {});
+      const waiter = this.waiting.shift();
+      if (waiter && !this.closed) {
+        clearTimeout(waiter.timer);
+        this.openPage().then(waiter.resolve, waiter.reject);
+      }
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  /**
+   * Load a story in a pooled page and run `fn(page, url)` once it has rendered
+   *
+   * @throws {RenderError} 422 when the story throws, 504 on timeout, 502 when the page fails
+   */
+  async withStory(storybookUrl, storyId, { args, globals, viewport, timeout = this.timeout } = {}, fn) {
+    if (this.closed) throw new RenderError('Renderer is closed', 503);
+    const deadline = Date.now() + timeout;
+    const url = buildIframeUrl(storybookUrl, storyId, { args, globals });
+
+    const page = await this.acquire(deadline);
+    let broken = false;
+    let timer;
+    try {
+      const remaining = () => Math.max(deadline - Date.now(), 1);
+      const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('Render timed out'), { name: 'TimeoutError' })), remaining());
+      });
+
+      const work = (async () => {
+        // Pages are reused, so the viewport is always reset
+        await page.setViewport({ ...DEFAULT_VIEWPORT, ...viewport });
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: remaining() });
+        await page.waitForFunction(isStoryDone, { timeout: remaining(), polling: 50 });
+
+        const failure = await page.evaluate(readStoryError);
+        if (failure) {
+          throw new RenderError(failure.error, 422, failure.stack);
+        }
+        return fn(page, url);
+      })();
+      // The page is closed after a timeout, so the work left behind fails quietly
+      work.catch(() => {});
+      return await Promise.race([expired, work]);
+    } catch (error) {
+      if (error instanceof RenderError) throw error;
+      broken = true;
+      if (error.name === 'TimeoutError') {
+        throw new RenderError(`Rendering "${storyId}" timed out after ${timeout}ms`, 504);
+      }
+      throw new RenderError(`Rendering "${storyId}" failed: ${error.message}`, 502);
+    } finally {
+      clearTimeout(timer);
+      this.release(page, broken);
+    }
+  }
+
+  /**
+   * Render a story
+   *
+   * @param {string} storybookUrl - Base URL of the Storybook serving `iframe.html`
+   * @param {string} storyId
+   * @param {object} [options]
+   * @param {object|string} [options.args] - Args object, or Storybook's `key:value;...` string
+   * @param {object|string} [options.globals] - Globals, e.g. `{ theme: 'dark' }`
+   * @param {boolean} [options.css=false] - Also return the CSS rules used by the story
+   * @param {number} [options.timeout] - Render timeout in ms
+   * @returns {Promise<{ storyId: string, url: string, html: string, css?: string, durationMs: number }>}
+   * @throws {RenderError}
+   */
+  async render(storybookUrl, storyId, { css = false, ...options } = {}) {
+    const started = Date.now();
+    return this.withStory(storybookUrl, storyId, options, async (page, url) => {
+      const result = await page.evaluate(extractStory, css);
+      if (result.error) {
+        throw new RenderError(result.error, 422);
+      }
+      return {
+        storyId,
+        url,
+        html: result.html,
+        ...(css ? { css: result.css } : {}),
+        durationMs: Date.now() - started,
+      };
+    });
+  }
+
+  /**
+   * Take a PNG screenshot of a story: the story root element, or the whole page
+   *
+   * @param {string} storybookUrl
+   * @param {string} storyId
+   * @param {object} [options] - Same as `render`, plus:
+   * @param {{ width?: number, height?: number, deviceScaleFactor?: number }} [options.viewport]
+   * @param {boolean} [options.fullPage=false] - Capture the page instead of the story root
+   * @returns {Promise<Buffer>}
+   * @throws {RenderError}
+   */
+  async screenshot(storybookUrl, storyId, { fullPage = false, ...options } = {}) {
+    return this.withStory(storybookUrl, storyId, options, async (page) => {
+      // Web fonts change the layout, wait for them before capturing
+      await page.evaluate(() => (document.fonts ? document.fonts.ready.then(() => true) : true));
+
+      if (!fullPage) {
+        const root = (await page.$('#storybook-root')) || (await page.$('#root'));
+        const box = root && (await root.boundingBox());
+        if (box && box.width > 0 && box.height > 0) {
+          return Buffer.from(await root.screenshot({ type: 'png' }));
+        }
+      }
+      return Buffer.from(await page.screenshot({ type: 'png', fullPage: true }));
+    });
+  }
+
+  async close() {
+    this.closed = true;
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new RenderError('Renderer is closed', 503));
+    }
+    if (this.browserPromise) {
+      const browser = await this.browserPromise.catch(() => null);
+      if (browser) await browser.close().catch(() => {});
+      this.browserPromise = null;
+    }
+  }
+}
+
+module.exports = {
+  RenderPool,
+  RenderError,
+  toArgsParam,
+  buildIframeUrl,
+  MAX_TIMEOUT,
+  DEFAULT_VIEWPORT,
+};
@@ -0,0 +1,288 @@
+/**
+ * Full-text search over stories, component docs, props and MDX
+ *
+ * The index is rebuilt lazily: it is marked stale whenever the story cache is
+ * invalidated and rebuilt on the next search (or on `ensure()` at startup).
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Field weights used for ranking
+ */
+const WEIGHTS = {
+  name: 3,
+  title: 2,
+  component: 2.5,
+  prop: 2.5,
+  id: 1,
+  tags: 1,
+  description: 1.5,
+  content: 1,
+};
+
+function tokenize(text) {
+  return String(text || '')
+    // Split camelCase and PascalCase (`backgroundColor` -> `background Color`)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Strip MDX/JSX syntax so only readable text gets indexed
+ */
+function stripMdx(content) {
+  let text = String(content || '')
+    .replace(/^\s*(?:import|export)\s.*$/gm, '')
+    .replace(/```[\s\S]*?```/g, ' ');
+
+  // JSX expressions can nest (`style={{ ... }}`), strip them innermost first
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\{[^{}]*\}/g, ' ');
+  } while (text !== previous);
+
+  return text
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#*_`>[\]()!-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a highlighted snippet (`<mark>` around matches, HTML-escaped)
+ */
+function highlight(text, terms) {
+  const source = String(text || '');
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'i');
+  const match = pattern.exec(source);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(source.length, match.index + match[0].length + SNIPPET_RADIUS);
+  const excerpt = source.slice(start, end);
+
+  const marked = excerpt
+    .split(new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi'))
+    .map((part, idx) => (idx % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${marked}${end < source.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+  /**
+   * @param {object} options
+   * @param {import('./cache').StoryCache} options.cache - Shared story cache
+   * @param {function(object): Promise<object>} options.getDocs - Docs payload for an index entry
+   */
+  constructor({ cache, getDocs }) {
+    this.cache = cache;
+    this.getDocs = getDocs;
+    this.documents = [];
+    this.stale = true;
+    this.building = null;
+    this.builtAt = null;
+
+    cache.on('invalidate', () => {
+      this.stale = true;
+    });
+  }
+
+  /**
+   * Make sure the index is up to date, rebuilding it if needed
+   */
+  async ensure() {
+    // The index may have changed upstream; this also refreshes `stale`
+    await this.cache.getIndex();
+    if (!this.stale && !this.building) return this;
+
+    if (!this.building) {
+      this.stale = false;
+      this.building = this.build().finally(() => {
+        this.building = null;
+      });
+    }
+    await this.building;
+    return this;
+  }
+
+  async build() {
+    const index = await this.cache.getIndex();
+    const entries = Object.values(index.entries || {});
+    const documents = [];
+    const documentedFiles = new Set();
+
+    for (const entry of entries) {
+      documents.push({
+        type: entry.type === 'docs' ? 'docs' : 'story',
+        id: entry.id,
+        source: entry.source,
+        storyId: entry.id,
+        title: entry.title,
+        name: entry.name,
+        fields: {
+          name: entry.name,
+          title: entry.title,
+          id: entry.id,
+          tags: (entry.tags || []).join(' '),
+        },
+      });
+
+      // The same path can exist in several composed Storybooks
+      const fileKey = `${entry.source || ''}:${entry.importPath}`;
+      if (!entry.importPath || documentedFiles.has(fileKey)) continue;
+      documentedFiles.add(fileKey);
+
+      let docs;
+      try {
+        docs = await this.getDocs(entry);
+      } catch (error) {
+        continue;
+      }
+      if (!docs) continue;
+
+      if (docs.mdxContent) {
+        documents.push({
+          type: 'mdx',
+          id: `${entry.id}:mdx`,
+          source: entry.source,
+          storyId: entry.id,
+          title: entry.title,
+          name: entry.name,
+          fields: { title: entry.title, content: stripMdx(docs.mdxContent) },
+        });
+      }
+
+      if (docs.component) {
+        documents.push({
+          type: 'component',
+          id: `${entry.source || ''}:${entry.title}:component`,
+          source: entry.source,
+          storyId: entry.id,
+          title: entry.title,
+          name: docs.component,
+          fields: {
+            component: docs.component,
+            title: entry.title,
+            description: docs.componentDescription,
+            prop: Object.keys(docs.properties || {}).join(' '),
+          },
+        });
+
+        for (const [propName, prop] of Object.entries(docs.properties || {})) {
+          documents.push({
+            type: 'prop',
+            id: `${entry.source || ''}:${entry.title}:prop:${propName}`,
+            source: entry.source,
+            storyId: entry.id,
+            title: entry.title,
+            name: propName,
+            component: docs.component,
+            fields: {
+              prop: propName,
+              description: prop.description,
+              component: docs.component,
+            },
+          });
+        }
+      }
+    }
+
+    for (const document of documents) {
+      document.tokens = {};
+      for (const [field, text] of Object.entries(document.fields)) {
+        document.tokens[field] = tokenize(text);
+      }
+    }
+
+    this.documents = documents;
+    this.builtAt = new Date();
+    return this;
+  }
+
+  /**
+   * Search the index
+   *
+   * @param {string} query - Search terms (all must match)
+   * @param {object} [options]
+   * @param {string[]} [options.types] - Restrict to result types (story, docs, component, prop, mdx)
+   * @param {number} [options.limit=20]
+   */
+  search(query, { types = [], limit = DEFAULT_LIMIT } = {}) {
+    const terms = tokenize(query);
+    if (!terms.length) return { total: 0, results: [] };
+
+    const candidates = types.length
+      ? this.documents.filter(document => types.includes(document.type))
+      : this.documents;
+
+    // Inverse document frequency per term
+    const idf = {};
+    for (const term of terms) {
+      const matching = candidates.filter(document => Object.values(document.tokens)
+        .some(tokens => tokens.some(token => token.startsWith(term)))).length;
+      idf[term] = Math.log(1 + (candidates.length + 1) / (matching + 1));
+    }
+
+    const results = [];
+    for (const document of candidates) {
+      let score = 0;
+      const matchedFields = new Set();
+
+      const allTermsMatch = terms.every(term => {
+        let best = 0;
+        for (const [field, tokens] of Object.entries(document.tokens)) {
+          for (const token of tokens) {
+            if (!token.startsWith(term)) continue;
+            const weight = (WEIGHTS[field] || 1) * (token === term ? 1 : 0.5);
+            if (weight > best) best = weight;
+            matchedFields.add(field);
+          }
+        }
+        score += best * idf[term];
+        return best > 0;
+      });
+
+      if (!allTermsMatch) continue;
+
+      const highlights = [...matchedFields]
+        .map(field => ({ field, snippet: highlight(document.fields[field], terms) }))
+        .filter(item => item.snippet);
+
+      results.push({
+        type: document.type,
+        id: document.storyId,
+        title: document.title,
+        name: document.name,
+        ...(document.component ? { component: document.component } : {}),
+        ...(document.source ? { source: document.source } : {}),
+        score: Math.round(score * 1000) / 1000,
+        highlights,
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return { total: results.length, results: results.slice(0, Math.min(limit, MAX_LIMIT)) };
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  highlight,
+  MAX_LIMIT,
+};
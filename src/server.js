@@ -10,21 +10,255 @@ const { createProxyMiddleware } = require('http-proxy-middleware');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const fetch = require('node-fetch');
 const chalk = require('chalk');
 
-const { extractComponentDocs, extractStoryExamples, parseStoryFile, generateUsageExample } = require('./parsers');
+const { parseCsfFile } = require('./csf');
+const { toStorySummary, buildStory, buildDocs, buildKindPayload } = require('./payloads');
 const { detectFramework } = require('./utils');
+const { StoryCache, StorybookNotReadyError, conditionalGet } = require('./cache');
+const { queryStories, needsComponent, toList, QueryError } = require('./query');
+const { SearchIndex, MAX_LIMIT: SEARCH_MAX_LIMIT } = require('./search');
+const { buildTree, findSubtree, pruneTree } = require('./tree');
+const { buildOpenApiSpec, listEndpoints } = require('./openapi');
+const { renderExplorerPage } = require('./explorer');
+const { FederatedCache, normalizeSources } = require('./sources');
+const { RenderPool, RenderError, MAX_TIMEOUT: RENDER_MAX_TIMEOUT } = require('./render');
+const { StoryEvents, attachEventSocket, toSseMessage, EVENT_TYPES } = require('./events');
+const { createSchema, runQuery } = require('./graphql');
+const { renderGraphiqlPage } = require('./graphiql');
+const { readStoryComponent, buildComponents, findComponents } = require('./components');
+const { validateArgs } = require('./validate');
+const { mountMcp, startMcpStdio } = require('./mcp');
+const { Authenticator, requireAuth, requireRouteScope, authorizeUpgrade } = require('./auth');
+const { PluginHost } = require('./plugins');
+const { resolveStorybookCommand } = require('./launcher');
+const { StorybookSupervisor } = require('./supervisor');
+const { renderStatusPage } = require('./status-page');
+const { cors } = require('./cors');
+const packageJson = require('../package.json');
+
+/**
+ * Read `project.json` from a `storybook build` output, if present
+ */
+function readProjectJson(staticDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(staticDir, 'project.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the URL of another page of the current list request
+ */
+function buildPageUrl(req, cursor) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === 'cursor') continue;
+    [].concat(value).forEach(item => params.append(key, item));
+  }
+  params.set('cursor', cursor);
+  return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+/**
+ * Read an integer query parameter within bounds
+ *
+ * @throws {QueryError}
+ */
+function readIntegerParam(query, name, min, max) {
+  if (query[name] === undefined) return undefined;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new QueryError(`"${name}" must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Read the args, globals and timeout of the render and screenshot routes
+ *
+ * `args` and `globals` are JSON or Storybook's URL format (`key:value;key2:value2`);
+ * `theme` is a shortcut for the `theme` global of theme switcher addons.
+ *
+ * @throws {QueryError}
+ */
+function readRenderOptions(query) {
+  const parseParam = (name) => {
+    if (query[name] === undefined) return undefined;
+    const raw = String(query[name]);
+    try {
+      return raw.trim().startsWith('{') ? JSON.parse(raw) : raw;
+    } catch (error) {
+      throw new QueryError(`"${name}" must be a JSON object or Storybook ${name} (key:value;key2:value2)`);
+    }
+  };
+
+  let globals = parseParam('globals');
+  if (query.theme !== undefined) {
+    globals = typeof globals === 'string'
+      ? [globals, `theme:${query.theme}`].filter(Boolean).join(';')
+      : { ...globals, theme: String(query.theme) };
+  }
+  return {
+    args: parseParam('args'),
+    globals,
+    timeout: readIntegerParam(query, 'timeout', 1, RENDER_MAX_TIMEOUT),
+  };
+}
+
+/**
+ * Send an error response, mapping Storybook availability errors to 503
+ */
+function sendError(res, error) {
+  if (error instanceof StorybookNotReadyError) {
+    return res.status(503).json({
+      success: false,
+      error: 'Storybook is not ready. Please wait...',
+      hint: error.hint,
+    });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
 
 /**
  * Create and configure the Express app
  */
 function createApp(config) {
   const app = express();
-  const { storybookUrl, projectDir, version } = config;
+  const { storybookUrl, projectDir, staticDir } = config;
   const framework = detectFramework(projectDir);
+  const project = staticDir ? readProjectJson(staticDir) : null;
+  const version = config.version || (project?.storybookVersion ? parseInt(project.storybookVersion, 10) : null);
+  const sources = config.sources ? normalizeSources(config.sources, projectDir) : null;
+  const cache = config.cache || (sources
+    ? new FederatedCache({ sources, watch: config.watch !== false, indexTtl: config.indexTtl })
+    : new StoryCache({
+      storybookUrl,
+      indexFile: staticDir ? path.join(staticDir, 'index.json') : undefined,
+      projectDir,
+      watch: config.watch !== false,
+      indexTtl: config.indexTtl,
+    }));
+
+  app.locals.cache = cache;
+
+  const plugins = new PluginHost(config.plugins);
+  const { extractors } = plugins;
+  app.locals.plugins = plugins;
+
+  const renderer = config.renderer || new RenderPool(config.render);
+  app.locals.renderer = renderer;
+  // Storybook the renderer loads stories from: the local static build is served by this app
+  const renderUrl = config.renderUrl || (staticDir && config.port ? `http://localhost:${config.port}` : storybookUrl);
+
+  // Where the files of an entry live: its own source when federated, the project otherwise.
+  // Federated entries are resolved with their original ID so the CSF lookup matches.
+  const resolveEntry = (entry) => {
+    const source = entry.source && cache.getSource ? cache.getSource(entry.source) : null;
+    if (!source) {
+      return { local: entry, projectDir, framework };
+    }
+    return {
+      local: { ...entry, id: entry.sourceId },
+      projectDir: source.projectDir,
+      framework: source.framework,
+    };
+  };
+
+  // Docs payload of an index entry, shared by the docs route and the search index
+  const getDocs = (entry) => cache.memo(`docs:${entry.id}`, () => {
+    const { local, projectDir: dir, framework: fw } = resolveEntry(entry);
+    const built = buildDocs(local, dir, fw, { extractors });
+    const docs = entry.source ? { ...built, storyId: entry.id, source: entry.source } : built;
+    return plugins.extendDocs(docs, { entry, projectDir: dir, framework: fw });
+  });
+  const search = new SearchIndex({ cache, getDocs });
+  app.locals.search = search;
+
+  // Story payload of an index entry, shared by the story route and the event stream
+  const getStory = (entry) => cache.memo(`story:${entry.id}`, () => {
+    const { local, projectDir: dir } = resolveEntry(entry);
+    const built = buildStory(local, dir, { extractors });
+    const story = entry.source ? { ...built, id: entry.id } : built;
+    return plugins.extendStory(story, { entry, projectDir: dir });
+  });
+  const events = new StoryEvents({ cache, getStory, getDocs, ...config.events });
+  app.locals.events = events;
+
+  // CORS and auth cover the API and the static or proxied Storybook mounted after it
+  const corsMiddleware = cors(config.cors);
+  if (corsMiddleware) {
+    app.use(corsMiddleware);
+  }
+  const authenticator = new Authenticator(config.auth);
+  app.locals.auth = authenticator;
+  if (authenticator.enabled) {
+    app.use(requireAuth(authenticator));
+  }
 
   app.use(express.json());
+  // Malformed JSON bodies are client errors, not HTML error pages
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({ success: false, error: `Invalid JSON body: ${error.message}` });
+    }
+    next(error);
+  });
+
+  // Component name of a story entry, read from the story file's meta
+  const getComponentName = (entry) => {
+    if (!entry.importPath || entry.importPath.endsWith('.mdx')) return null;
+    const dir = resolveEntry(entry).projectDir;
+    if (!dir) return null;
+    return cache.memo(`component:${entry.source || ''}:${entry.importPath}`, () => {
+      const csf = parseCsfFile(path.join(dir, entry.importPath.replace(/^\.\//, '')));
+      return csf?.meta?.component || null;
+    });
+  };
+
+  // Story summaries filtered, sorted and paginated by `/api/stories` query parameters
+  const listStories = async (query) => {
+    const sourceNames = toList(query.source);
+    const unknown = sourceNames.find(name => !sources?.some(source => source.name === name));
+    if (unknown) {
+      throw new QueryError(`Unknown source "${unknown}"`);
+    }
+
+    const data = await cache.getIndex();
+    const withComponent = needsComponent(query);
+    const stories = await Promise.all(Object.values(data.entries || {}).map(async entry => {
+      const story = toStorySummary(entry);
+      if (withComponent) {
+        story.component = await getComponentName(entry);
+      }
+      return story;
+    }));
+
+    return queryStories(stories, query);
+  };
+
+  // Components with their stories and docs pages, grouped from the whole index
+  const getComponents = async () => {
+    const data = await cache.getIndex();
+    return cache.memo('components', () => buildComponents(Object.values(data.entries || {}), {
+      getComponent: entry => cache.memo(`component-docs:${entry.source || ''}:${entry.importPath}`, () => {
+        const { local, projectDir: dir } = resolveEntry(entry);
+        return readStoryComponent(local, dir, { extractors });
+      }),
+      getStory,
+    }));
+  };
+
+  // Operations shared by the REST routes and the MCP tools
+  app.locals.operations = {
+    getIndex: () => cache.getIndex(),
+    listStories,
+    getStory,
+    getDocs,
+    getComponents,
+    search,
+  };
 
   // ============================================
   // API Routes
@@ -35,54 +269,110 @@ function createApp(config) {
     res.json({
       success: true,
       name: 'Storybook API',
-      version: '1.0.0',
+      version: packageJson.version,
       storybookVersion: version || 'unknown',
       framework,
-      endpoints: {
-        'GET /api': 'This documentation',
-        'GET /api/stories': 'Get all stories',
-        'GET /api/stories/:storyId': 'Get a specific story with details',
-        'GET /api/docs/:storyId': 'Get full documentation with code examples',
-        'GET /api/stories/kind/:kind': 'Get stories filtered by kind/category',
-      },
+      mode: sources ? 'federated' : staticDir ? 'static' : 'dev',
+      ...(project ? { project } : {}),
+      endpoints: listEndpoints(buildOpenApiSpec({ extraPaths: plugins.paths })),
       examples: {
         'List stories': '/api/stories',
         'Get story': '/api/stories/example-button--primary',
         'Get docs': '/api/docs/example-button--docs',
+        'List components': '/api/components',
+        'OpenAPI document': '/api/openapi.json',
+        'API explorer': '/api/explorer',
       },
     });
   });
 
+  // OpenAPI document
+  app.get('/api/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec({
+      serverUrl: `${req.protocol}://${req.get('host')}`,
+      security: authenticator.securitySchemes(),
+      extraPaths: plugins.paths,
+    }));
+  });
+
+  // Interactive API explorer
+  app.get('/api/explorer', (req, res) => {
+    res.type('html').send(renderExplorerPage({ specUrl: '/api/openapi.json' }));
+  });
+
+  // Liveness and readiness, for load balancers and orchestrators. The Storybook
+  // process is only known when `startServer` supervises it.
+  app.locals.storybook = null;
+  const checkHealth = async () => {
+    const index = { entries: null, error: null };
+    try {
+      const data = await cache.getIndex();
+      index.entries = Object.keys(data.entries || {}).length;
+    } catch (error) {
+      index.error = error.hint ? `${error.message}. ${error.hint}` : error.message;
+    }
+    const storybook = app.locals.storybook ? app.locals.storybook.status() : null;
+    const ready = index.entries > 0 && (!storybook || storybook.state === 'ready');
+    return {
+      ready,
+      status: ready ? 'ok' : 'degraded',
+      mode: sources ? 'federated' : staticDir ? 'static' : 'dev',
+      uptime: Math.round(process.uptime()),
+      storybook,
+      index,
+    };
+  };
+
+  app.get('/api/health', async (req, res) => {
+    const health = await checkHealth();
+    res.set('Cache-Control', 'no-store').json({ success: true, ...health });
+  });
+
+  app.get('/api/ready', async (req, res) => {
+    const health = await checkHealth();
+    res.set('Cache-Control', 'no-store');
+    if (!health.ready) {
+      return res.status(503).json({ success: false, error: 'Storybook is not ready', ...health });
+    }
+    res.json({ success: true, ...health });
+  });
+
+  // Health of each composed Storybook
+  app.get('/api/sources', async (req, res) => {
+    if (!sources) {
+      return res.json({ success: true, count: 0, sources: [] });
+    }
+    const health = await cache.getHealth();
+    res.json({ success: true, count: health.length, sources: health });
+  });
+
+  // Conditional GET support for everything backed by the index
+  app.use(['/api/stories', '/api/docs', '/api/components', '/api/tree', '/api/search'], conditionalGet(cache));
+
   // Get all stories
   app.get('/api/stories', async (req, res) => {
     try {
-      const response = await fetch(`${storybookUrl}/index.json`);
-      if (!response.ok) {
-        return res.status(503).json({ 
-          success: false, 
-          error: 'Storybook is not ready. Please wait...',
-          hint: `Make sure Storybook is running at ${storybookUrl}` 
-        });
+      const result = await listStories(req.query);
+      const response = {
+        success: true,
+        count: result.stories.length,
+        total: result.total,
+        stories: result.stories,
+      };
+
+      if (result.limit !== null) {
+        response.nextCursor = result.nextCursor;
+        response.links = {
+          next: result.nextCursor ? buildPageUrl(req, result.nextCursor) : null,
+        };
       }
 
-      const data = await response.json();
-      const stories = Object.values(data.entries || {}).map(entry => ({
-        id: entry.id,
-        name: entry.name,
-        title: entry.title,
-        kind: entry.kind || entry.title,
-        importPath: entry.importPath,
-        tags: entry.tags || [],
-        type: entry.type,
-      }));
-
-      res.json({
-        success: true,
-        count: stories.length,
-        stories,
-      });
+      res.json(response);
     } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
+      if (error instanceof QueryError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      sendError(res, error);
     }
   });
 
@@ -90,46 +380,47 @@ function createApp(config) {
   app.get('/api/stories/:storyId', async (req, res) => {
     try {
       const { storyId } = req.params;
-      const response = await fetch(`${storybookUrl}/index.json`);
-      if (!response.ok) {
-        return res.status(503).json({ success: false, error: 'Storybook is not ready' });
-      }
-
-      const data = await response.json();
+      const data = await cache.getIndex();
       const entry = data.entries?.[storyId];
 
       if (!entry) {
         return res.status(404).json({ success: false, error: `Story "${storyId}" not found` });
       }
 
-      const story = {
-        id: entry.id,
-        name: entry.name,
-        title: entry.title,
-        kind: entry.kind || entry.title,
-        importPath: entry.importPath,
-        tags: entry.tags || [],
-        type: entry.type,
-      };
+      const story = await getStory(entry);
+      res.json({ success: true, story });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
 
-      // Parse story file for additional details
-      if (entry.importPath) {
-        const cleanPath = entry.importPath.replace(/^\.\//, '');
-        const storyFilePath = path.join(projectDir, cleanPath);
-        const parsed = parseStoryFile(storyFilePath, storyId, projectDir);
-        if (parsed) {
-          story.component = parsed.component;
-          story.args = parsed.args || {};
-          story.argTypes = parsed.argTypes || {};
-          if (parsed.componentDocs) {
-            story.docs = parsed.componentDocs;
-          }
-        }
+  // Validate args against the story's argTypes and the component's property types
+  app.post('/api/stories/:storyId/validate', async (req, res) => {
+    try {
+      const { storyId } = req.params;
+      const args = req.body?.args;
+      if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return res.status(400).json({ success: false, error: 'Request body must be a JSON object with an "args" object' });
       }
 
-      res.json({ success: true, story });
+      const data = await cache.getIndex();
+      const entry = data.entries?.[storyId];
+      if (!entry) {
+        return res.status(404).json({ success: false, error: `Story "${storyId}" not found` });
+      }
+      if (entry.type === 'docs') {
+        return res.status(400).json({ success: false, error: `"${storyId}" is a docs entry, not a story` });
+      }
+
+      const story = await getStory(entry);
+      const result = validateArgs(args, {
+        argTypes: story.argTypes,
+        properties: story.docs?.properties,
+        storyArgs: story.args,
+      });
+      res.json({ success: true, storyId, ...result });
     } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error);
     }
   });
 
@@ -137,179 +428,295 @@ function createApp(config) {
   app.get('/api/docs/:storyId', async (req, res) => {
     try {
       const { storyId } = req.params;
-      const response = await fetch(`${storybookUrl}/index.json`);
-      if (!response.ok) {
-        return res.status(503).json({ success: false, error: 'Storybook is not ready' });
+      const data = await cache.getIndex();
+      const entry = data.entries?.[storyId];
+
+      if (!entry) {
+        return res.status(404).json({ success: false, error: `Story "${storyId}" not found` });
       }
 
-      const data = await response.json();
-      const entry = data.entries?.[storyId];
+      const docs = await getDocs(entry);
+      res.json({ success: true, docs });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // List components with their props, events, stories and docs pages
+  app.get('/api/components', async (req, res) => {
+    try {
+      const sourceNames = toList(req.query.source);
+      const unknown = sourceNames.find(name => !sources?.some(source => source.name === name));
+      if (unknown) {
+        return res.status(400).json({ success: false, error: `Unknown source "${unknown}"` });
+      }
 
+      const components = (await getComponents())
+        .filter(component => !sourceNames.length || sourceNames.includes(component.source));
+      res.json({ success: true, count: components.length, components });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Get a component by name, selector or tag name
+  app.get('/api/components/:name', async (req, res) => {
+    try {
+      const { name } = req.params;
+      const sourceNames = toList(req.query.source);
+      const matches = findComponents(await getComponents(), name)
+        .filter(component => !sourceNames.length || sourceNames.includes(component.source));
+
+      if (!matches.length) {
+        return res.status(404).json({ success: false, error: `Component "${name}" not found` });
+      }
+      if (matches.length > 1) {
+        const where = matches.map(component => component.source || component.filePath).join(', ');
+        const hint = sources ? '; pass "source" to pick one' : '';
+        return res.status(409).json({ success: false, error: `Component "${name}" is ambiguous (${where})${hint}` });
+      }
+
+      res.json({ success: true, component: matches[0] });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Storybook URL and story ID to load for an index entry (its own source when federated)
+  const resolveRenderTarget = (entry) => {
+    const source = entry.source ? cache.getSource(entry.source) : null;
+    const baseUrl = source ? source.url : renderUrl;
+    if (!baseUrl) {
+      throw new RenderError(`Source "${entry.source}" has no Storybook URL to render from`, 501);
+    }
+    return { baseUrl, id: source ? entry.sourceId : entry.id };
+  };
+
+  const sendRenderError = (res, error) => {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error instanceof RenderError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.details ? { details: error.details } : {}),
+      });
+    }
+    sendError(res, error);
+  };
+
+  // Render a story to HTML in a headless browser
+  app.get('/api/render/:storyId', requireRouteScope(authenticator, '/api/render'), async (req, res) => {
+    try {
+      const { storyId } = req.params;
+      const { args, globals, timeout } = readRenderOptions(req.query);
+
+      const data = await cache.getIndex();
+      const entry = data.entries?.[storyId];
       if (!entry) {
         return res.status(404).json({ success: false, error: `Story "${storyId}" not found` });
       }
 
-      const docs = {
-        storyId,
-        title: entry.title,
-        name: entry.name,
-        type: entry.type,
-        framework,
-      };
+      const { baseUrl, id } = resolveRenderTarget(entry);
+      const css = req.query.css === 'true';
+      const render = await renderer.render(baseUrl, id, { args, globals, css, timeout });
+      render.storyId = storyId;
 
-      if (entry.importPath && !entry.importPath.endsWith('.mdx')) {
-        const cleanPath = entry.importPath.replace(/^\.\//, '');
-        const storyFilePath = path.join(projectDir, cleanPath);
-
-        if (fs.existsSync(storyFilePath)) {
-          const content = fs.readFileSync(storyFilePath, 'utf8');
-
-          // Get component info
-          const componentMatch = content.match(/component:\s*(\w+)/);
-          if (componentMatch) {
-            docs.component = componentMatch[1];
-
-            const importMatch = content.match(new RegExp(`import\\s*\\{[^}]*${componentMatch[1]}[^}]*\\}\\s*from\\s*['"]([^'"]+)['"]`));
-            if (importMatch) {
-              const storyDir = path.dirname(storyFilePath);
-              let componentFilePath = path.resolve(storyDir, importMatch[1]);
-              
-              // Try different extensions
-              const extensions = ['', '.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
-              for (const ext of extensions) {
-                const fullPath = componentFilePath + ext;
-                if (fs.existsSync(fullPath)) {
-                  const componentDocs = extractComponentDocs(fullPath);
-                  if (componentDocs) {
-                    docs.selector = componentDocs.selector;
-                    docs.template = componentDocs.template;
-                    docs.componentCode = componentDocs.componentCode;
-                    docs.properties = componentDocs.properties;
-                    docs.componentDescription = componentDocs.description;
-                  }
-                  break;
-                }
-              }
-            }
-          }
+      if (req.query.format === 'html') {
+        return res.type('html').send(css ? `<style>\n${render.css}\n</style>\n${render.html}` : render.html);
+      }
+      res.json({ success: true, render });
+    } catch (error) {
+      sendRenderError(res, error);
+    }
+  });
 
-          // Get story examples
-          const storyExamples = extractStoryExamples(storyFilePath);
-          if (storyExamples) {
-            docs.imports = storyExamples.imports;
-            docs.metaCode = storyExamples.meta;
-            docs.storyExamples = storyExamples.stories;
-
-            if (docs.selector && storyExamples.stories) {
-              docs.usageExamples = {};
-              Object.entries(storyExamples.stories).forEach(([name, story]) => {
-                docs.usageExamples[name] = generateUsageExample(docs.selector, story.args, name, framework);
-              });
-            }
-          }
-        }
-      } else if (entry.importPath && entry.importPath.endsWith('.mdx')) {
-        // MDX documentation file
-        const cleanPath = entry.importPath.replace(/^\.\//, '');
-        const mdxPath = path.join(projectDir, cleanPath);
-        if (fs.existsSync(mdxPath)) {
-          docs.mdxContent = fs.readFileSync(mdxPath, 'utf8');
-        }
+  // PNG screenshot of a story
+  app.get('/api/screenshot/:storyId', requireRouteScope(authenticator, '/api/screenshot'), async (req, res) => {
+    try {
+      const { storyId } = req.params;
+      const { args, globals, timeout } = readRenderOptions(req.query);
+      const viewport = {
+        width: readIntegerParam(req.query, 'width', 1, 4096),
+        height: readIntegerParam(req.query, 'height', 1, 4096),
+        deviceScaleFactor: readIntegerParam(req.query, 'scale', 1, 4),
+      };
+      Object.keys(viewport).forEach(key => viewport[key] === undefined && delete viewport[key]);
+
+      const data = await cache.getIndex();
+      const entry = data.entries?.[storyId];
+      if (!entry) {
+        return res.status(404).json({ success: false, error: `Story "${storyId}" not found` });
       }
 
-      res.json({ success: true, docs });
+      const { baseUrl, id } = resolveRenderTarget(entry);
+      const png = await renderer.screenshot(baseUrl, id, {
+        args,
+        globals,
+        viewport,
+        fullPage: req.query.fullPage === 'true',
+        timeout,
+      });
+      res.type('png').send(png);
     } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
+      sendRenderError(res, error);
     }
   });
 
+  // Stream of story index and docs changes (also served as a WebSocket by startServer)
+  app.get('/api/events', (req, res) => {
+    const types = toList(req.query.type);
+    const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length) {
+      return res.status(400).json({ success: false, error: `Unknown event type "${unknown[0]}". Types: ${EVENT_TYPES.join(', ')}` });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const send = (event) => {
+      if (!types.length || types.includes(event.type)) {
+        res.write(toSseMessage(event));
+      }
+    };
+
+    // Replay what a reconnecting client missed
+    const lastEventId = Number(req.get('Last-Event-ID'));
+    if (lastEventId) {
+      events.since(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = events.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
   // Get stories by kind/category
   app.get('/api/stories/kind/:kind', async (req, res) => {
     try {
       const { kind } = req.params;
-      const response = await fetch(`${storybookUrl}/index.json`);
-      if (!response.ok) {
-        return res.status(503).json({ success: false, error: 'Storybook is not ready' });
+      const data = await cache.getIndex();
+      res.json(buildKindPayload(data.entries, kind));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Full-text search across stories, components, props and MDX
+  app.get('/api/search', async (req, res) => {
+    try {
+      const q = String(req.query.q || '').trim();
+      if (!q) {
+        return res.status(400).json({ success: false, error: 'Missing search query "q"' });
+      }
+
+      let limit;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+          return res.status(400).json({ success: false, error: `"limit" must be an integer between 1 and ${SEARCH_MAX_LIMIT}` });
+        }
+      }
+
+      await search.ensure();
+      const { total, results } = search.search(q, { types: toList(req.query.type), limit });
+      res.json({ success: true, query: q, count: results.length, total, results });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Get the sidebar tree (optionally a subtree: /api/tree/Example/Button)
+  app.get(['/api/tree', '/api/tree/*'], async (req, res) => {
+    try {
+      const subPath = req.params[0] || '';
+      const data = await cache.getIndex();
+      const tree = await cache.memo('tree', () => buildTree(data.entries));
+      const node = findSubtree(tree, subPath);
+
+      if (!node) {
+        return res.status(404).json({ success: false, error: `Tree node "${subPath}" not found` });
       }
 
-      const data = await response.json();
-      const stories = Object.values(data.entries || {})
-        .filter(entry => entry.kind === kind || entry.title === kind)
-        .map(entry => ({
-          id: entry.id,
-          name: entry.name,
-          title: entry.title,
-          kind: entry.kind || entry.title,
-          type: entry.type,
-        }));
-
-      res.json({ success: true, count: stories.length, kind, stories });
+      let depth;
+      if (req.query.depth !== undefined) {
+        depth = Number(req.query.depth);
+        if (!Number.isInteger(depth) || depth < 0) {
+          return res.status(400).json({ success: false, error: '"depth" must be a non-negative integer' });
+        }
+      }
+
+      res.json({ success: true, tree: pruneTree(node, depth) });
     } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
+      sendError(res, error);
     }
   });
 
+  // GraphQL over stories, components and docs
+  const graphqlSchema = createSchema();
+  const handleGraphql = async (res, { query, variables, operationName }) => {
+    try {
+      const index = await cache.getIndex();
+      const { status, body } = await runQuery({
+        schema: graphqlSchema, index, resolveEntry, query, variables, operationName, extractors,
+      });
+      res.status(status).json(body);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  app.get('/graphql', (req, res) => {
+    // Browsers get the playground
+    if (!req.query.query && req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderGraphiqlPage({ endpoint: '/graphql' }));
+    }
+
+    let variables;
+    try {
+      variables = req.query.variables ? JSON.parse(req.query.variables) : undefined;
+    } catch (error) {
+      return res.status(400).json({ errors: [{ message: '"variables" must be JSON' }] });
+    }
+    handleGraphql(res, { query: req.query.query, variables, operationName: req.query.operationName });
+  });
+
+  app.post('/graphql', (req, res) => handleGraphql(res, req.body || {}));
+
+  // Model Context Protocol (streamable HTTP)
+  mountMcp(app, app.locals.operations);
+
+  // Plugin routes, after the built-in ones so they cannot shadow them
+  plugins.routes(app, { config, cache, operations: app.locals.operations });
+
   return app;
 }
 
 /**
  * Start Storybook process
+ *
+ * Project files such as angular.json are left untouched: see `launcher.js`.
  */
 function startStorybookProcess(config) {
-  const { storybookPort, projectDir, version, framework } = config;
-
-  console.log(chalk.blue('→') + ` Starting Storybook (internal)...`);
-
-  let cmd = 'npx';
-  let args = ['storybook', 'dev', '-p', storybookPort.toString(), '--no-open'];
-
-  // For Angular projects with Storybook 8+, try Angular builder first, fallback to standard CLI
-  if (framework === 'angular' && version >= 8) {
-    const angularJsonPath = path.join(projectDir, 'angular.json');
-    if (fs.existsSync(angularJsonPath)) {
-      try {
-        const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
-        // Find the project with storybook target
-        for (const [projectName, project] of Object.entries(angularJson.projects || {})) {
-          if (project.architect?.storybook) {
-            // Ensure compodoc is disabled to avoid -e option conflicts
-            if (!angularJson.projects[projectName].architect.storybook.options) {
-              angularJson.projects[projectName].architect.storybook.options = {};
-            }
-            angularJson.projects[projectName].architect.storybook.options.compodoc = false;
-            angularJson.projects[projectName].architect.storybook.options.port = storybookPort;
-            fs.writeFileSync(angularJsonPath, JSON.stringify(angularJson, null, 2));
-            
-            // Try using npm script if it exists
-            const packageJsonPath = path.join(projectDir, 'package.json');
-            if (fs.existsSync(packageJsonPath)) {
-              const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-              if (packageJson.scripts?.storybook && packageJson.scripts.storybook.includes('ng run')) {
-                // Use npm script
-                cmd = 'npm';
-                args = ['run', 'storybook'];
-                console.log(chalk.dim(`   Using npm script for Angular builder`));
-                break;
-              }
-            }
-            // Use npm run instead of direct ng command to avoid npx issues
-            cmd = 'npm';
-            args = ['run', 'storybook'];
-            console.log(chalk.dim(`   Using Angular builder via npm script`));
-            break;
-          }
-        }
-      } catch (error) {
-        console.log(chalk.yellow('⚠️  Could not read angular.json, falling back to standard Storybook CLI'));
-      }
-    } else {
-      console.log(chalk.yellow('⚠️  No angular.json found. Using standard Storybook CLI...'));
-    }
-  }
+  const { storybookPort, projectDir, framework } = config;
+  const { command, args, description, notes } = resolveStorybookCommand(config);
+
+  console.log(chalk.blue('→') + ` Starting Storybook (internal, ${description})...`);
+  console.log(chalk.dim(`   ${[command, ...args].join(' ')}`));
+  notes.forEach(note => console.log(chalk.yellow('⚠️  ') + note));
 
-  const storybook = spawn(cmd, args, {
+  const storybook = spawn(command, args, {
     cwd: projectDir,
-    shell: true, // Use shell: true for npm scripts
+    shell: true, // Custom commands are full command lines
     stdio: 'pipe',
     env: {
       ...process.env,
@@ -336,14 +743,14 @@ function startStorybookProcess(config) {
       // Provide helpful messages for specific errors
       if (msg.includes('not supported') || msg.includes('deprecated') || msg.includes('AngularLegacyBuildOptionsError')) {
         console.log(chalk.yellow('\n⚠️  Angular projects with Storybook 8+ require Angular builder configuration.'));
-        console.log(chalk.dim('   Make sure your angular.json has a storybook target configured.'));
+        console.log(chalk.dim('   Make sure your angular.json has a target with the @storybook/angular:start-storybook builder.'));
         console.log(chalk.dim('   You may need to run: npx storybook@latest automigrate\n'));
       }
       
       if (msg.includes('unknown option') && framework === 'angular') {
         console.log(chalk.yellow('\n⚠️  Angular CLI error detected.'));
         console.log(chalk.dim('   Try running Storybook manually first: npm run storybook'));
-        console.log(chalk.dim('   Or use: npx storybook dev -p 6010 (if your setup supports it)\n'));
+        console.log(chalk.dim(`   Or pass your own: --storybook-command "npm run storybook -- --port {port}"\n`));
       }
     }
   });
@@ -361,69 +768,103 @@ function startStorybookProcess(config) {
  * Start the server
  */
 async function startServer(config) {
-  const { port, storybookPort, storybookUrl, projectDir, proxy } = config;
+  const { port, storybookPort, storybookUrl, projectDir, staticDir } = config;
+  // Static builds and composed Storybooks are served without a local Storybook
+  const proxy = config.proxy && !staticDir && !config.sources;
 
   const app = createApp(config);
-  let storybookProcess = null;
+  let supervisor = null;
+  let storybookProxy = null;
+  let eventSocket = null;
+
+  if (staticDir) {
+    // Serve the `storybook build` output next to the API, no Storybook process needed
+    app.use(express.static(staticDir));
+  }
 
   if (proxy) {
-    // Start Storybook
-    storybookProcess = startStorybookProcess(config);
+    // Start Storybook, restarting it when it exits
+    supervisor = new StorybookSupervisor({
+      start: () => startStorybookProcess(config),
+      storybookUrl,
+      ...config.supervisor,
+    });
+    app.locals.storybook = supervisor;
+    supervisor.on('exit', ({ restartIn }) => {
+      console.log(chalk.yellow(restartIn === null
+        ? '[Storybook] Giving up after too many restarts. See /api/health'
+        : `[Storybook] Restarting in ${Math.round(restartIn / 1000)}s...`));
+    });
+    supervisor.on('ready', () => {
+      if (supervisor.restarts) {
+        console.log(chalk.green(`[Storybook] Ready again after ${supervisor.restarts} restart${supervisor.restarts > 1 ? 's' : ''}`));
+      }
+    });
+    supervisor.start();
 
     // Add proxy middleware for all non-API requests
-    app.use('/', createProxyMiddleware({
+    storybookProxy = createProxyMiddleware({
       target: storybookUrl,
       changeOrigin: true,
-      ws: true,
-      onError: (err, req, res) => {
-        if (res.writeHead) {
-          res.writeHead(503, { 'Content-Type': 'text/html' });
-          res.end(`
-            <html>
-              <head><title>Storybook Starting...</title></head>
-              <body style="font-family: sans-serif; padding: 40px; text-align: center;">
-                <h1>⏳ Storybook is starting...</h1>
-                <p>Please wait a moment and refresh this page.</p>
-                <script>setTimeout(() => location.reload(), 3000);</script>
-              </body>
-            </html>
-          `);
-        }
+      // WebSocket upgrades (Storybook HMR) are forwarded below, once authorized
+      ws: false,
+      // The event WebSocket is served by the API itself
+      pathFilter: (pathname) => pathname !== '/api/events',
+      on: {
+        error: (err, req, res) => {
+          // `res` is a socket for failed WebSocket upgrades
+          if (res.writeHead && !res.headersSent) {
+            res.writeHead(503, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(renderStatusPage(supervisor.status(), supervisor.logs(40)));
+          } else if (res.destroy) {
+            res.destroy();
+          }
+        },
       },
-    }));
+    });
+    app.use('/', storybookProxy);
   }
 
   // Start the server
-  return new Promise((resolve) => {
-    const server = app.listen(port, async () => {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      onListening().then(() => resolve(server), (error) => {
+        close();
+        reject(error);
+      });
+    });
+    server.on('error', reject);
+
+    const onListening = async () => {
       console.log('');
       console.log(chalk.blue('═══════════════════════════════════════════════════════════'));
-      console.log(chalk.blue('  ⏳ API server started, waiting for Storybook...'));
+      console.log(chalk.blue(staticDir
+        ? '  ⏳ API server started, serving a static Storybook build...'
+        : '  ⏳ API server started, waiting for Storybook...'));
       console.log(chalk.blue('═══════════════════════════════════════════════════════════'));
       console.log('');
 
-      // Wait for Storybook to be ready
-      if (proxy && storybookProcess) {
-        let storybookReady = false;
-        const maxWaitTime = 120000; // 2 minutes
-        const startTime = Date.now();
-        const checkInterval = 2000; // Check every 2 seconds
-
-        while (!storybookReady && (Date.now() - startTime) < maxWaitTime) {
-          try {
-            const response = await fetch(`${storybookUrl}/index.json`);
-            if (response.ok) {
-              const data = await response.json();
-              if (data.entries && Object.keys(data.entries).length > 0) {
-                storybookReady = true;
-                break;
-              }
-            }
-          } catch (error) {
-            // Storybook not ready yet, continue waiting
+      eventSocket = attachEventSocket(server, app.locals.events, { authenticator: app.locals.auth });
+      if (storybookProxy) {
+        server.on('upgrade', (req, socket, head) => {
+          if (new URL(req.url, 'http://localhost').pathname === '/api/events') return;
+          if (authorizeUpgrade(app.locals.auth, req, socket)) {
+            storybookProxy.upgrade(req, socket, head);
           }
-          await new Promise(resolve => setTimeout(resolve, checkInterval));
-        }
+        });
+      }
+
+      // MCP over stdio, next to the HTTP endpoints. Started before Storybook is
+      // ready so the assistant's handshake does not time out
+      if (config.mcp) {
+        await startMcpStdio(app.locals.operations, { stdout: config.mcp.stdout, onClose: shutdown });
+      }
+
+      await app.locals.plugins.onStart({ app, server, config, url: `http://localhost:${port}` });
+
+      // Wait for Storybook to be ready
+      if (supervisor) {
+        const storybookReady = await supervisor.waitUntilReady(120000);
 
         if (storybookReady) {
           console.log('');
@@ -440,7 +881,9 @@ async function startServer(config) {
         } else {
           console.log('');
           console.log(chalk.yellow('═══════════════════════════════════════════════════════════'));
-          console.log(chalk.yellow('  ⚠️  Storybook is taking longer than expected to start'));
+          console.log(chalk.yellow(supervisor.state === 'failed'
+            ? '  ❌ Storybook failed to start'
+            : '  ⚠️  Storybook is taking longer than expected to start'));
           console.log(chalk.yellow('═══════════════════════════════════════════════════════════'));
           console.log('');
           console.log(`  ${chalk.bold('URL:')}          ${chalk.cyan(`http://localhost:${port}`)}`);
@@ -448,7 +891,7 @@ async function startServer(config) {
           console.log(`  ${chalk.bold('Stories:')}      ${chalk.cyan(`http://localhost:${port}/api/stories`)}`);
           console.log('');
           console.log(chalk.dim('  The API server is running, but Storybook may still be starting.'));
-          console.log(chalk.dim('  Check the Storybook logs above for any errors.'));
+          console.log(chalk.dim(`  Check the Storybook logs above or http://localhost:${port}/api/health for errors.`));
           console.log(chalk.dim('  Press Ctrl+C to stop'));
           console.log('');
         }
@@ -467,16 +910,32 @@ async function startServer(config) {
         console.log('');
       }
 
-      resolve(server);
-    });
+      // Build the search index up front so the first search is fast
+      app.locals.search.ensure().catch(() => {});
+    };
+
+    // Stop Storybook and release everything the server holds
+    const close = (callback) => {
+      if (supervisor) {
+        supervisor.stop();
+      }
+      app.locals.cache.close();
+      app.locals.renderer.close();
+      app.locals.events.close();
+      // Event streams never end on their own
+      if (eventSocket) {
+        eventSocket.clients.forEach(client => client.terminate());
+      }
+      server.close(callback);
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    };
 
     // Handle shutdown
     const shutdown = () => {
       console.log(chalk.yellow('\n  Shutting down...'));
-      if (storybookProcess) {
-        storybookProcess.kill();
-      }
-      server.close(() => {
+      close(() => {
         process.exit(0);
       });
     };
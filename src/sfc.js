@@ -0,0 +1,549 @@
+/**
+ * Vue and Svelte single-file component docs
+ *
+ * The `<script>` blocks are parsed with the TypeScript compiler API and turned
+ * into the same docs shape as Angular components: `properties` keyed by name,
+ * with `type` set to `input` (props), `output` (emits/events) or `slot`.
+ *
+ * Vue: `<script setup>` `defineProps` (type-based, runtime, `withDefaults`,
+ * destructured defaults), `defineEmits`, `defineSlots`, `defineModel`, and the
+ * Options API `props`/`emits`. Svelte: `export let` props (Svelte 4), `$props()`
+ * runes (Svelte 5) and `createEventDispatcher` events. Slots are also read from
+ * `<slot>` elements of the template.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const { createSourceFile, unwrap, getPropertyName } = require('./csf');
+
+/**
+ * Vue runtime prop constructors and their TypeScript types
+ */
+const RUNTIME_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Boolean: 'boolean',
+  Array: 'unknown[]',
+  Object: 'object',
+  Function: 'Function',
+  Date: 'Date',
+  Symbol: 'symbol',
+  BigInt: 'bigint',
+};
+
+/**
+ * Read the top-level `<script>` blocks and the template of a component file
+ */
+function readBlocks(content) {
+  const scripts = [];
+  const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+  let match;
+  while ((match = scriptRegex.exec(content)) !== null) {
+    const attrs = match[1];
+    scripts.push({
+      setup: /\bsetup\b/.test(attrs),
+      module: /\bcontext=["']module["']|\bmodule\b/.test(attrs),
+      lang: (attrs.match(/\blang=["'](\w+)["']/) || [])[1] || 'js',
+      content: match[2],
+    });
+  }
+
+  // Vue wraps markup in <template>, Svelte markup is everything else
+  const templateMatch = content.match(/<template\b[^>]*>([\s\S]*)<\/template>/);
+  const markup = content
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '')
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/g, '')
+    .trim();
+
+  return { scripts, template: templateMatch ? templateMatch[1].trim() : null, markup };
+}
+
+/**
+ * Description and tags of the JSDoc attached to a node
+ */
+function readJsDoc(node) {
+  const result = { description: '', tags: {} };
+  for (const doc of ts.getJSDocCommentsAndTags(node)) {
+    if (!ts.isJSDoc(doc)) continue;
+    const comment = ts.getTextOfJSDocComment(doc.comment);
+    if (comment) result.description = comment.trim();
+    for (const tag of doc.tags || []) {
+      result.tags[tag.tagName.text] = (ts.getTextOfJSDocComment(tag.comment) || '').trim();
+    }
+  }
+  return result;
+}
+
+/**
+ * Build a property entry in the shared docs shape
+ */
+function toProperty(kind, { description = '', tags = {}, tsType, required = false, defaultValue }) {
+  const property = {
+    description: description.replace(/@required/g, '').trim(),
+    type: kind,
+    required: required || 'required' in tags,
+  };
+  if (tsType) property.tsType = tsType;
+  const value = defaultValue !== undefined ? defaultValue : (tags.default ?? tags.defaultValue);
+  if (value !== undefined) property.defaultValue = value;
+  return property;
+}
+
+/**
+ * Index top-level interfaces and type aliases of a script
+ */
+function collectTypes(sourceFile) {
+  const types = new Map();
+  for (const statement of sourceFile.statements) {
+    if (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement)) {
+      types.set(statement.name.text, statement);
+    }
+  }
+  return types;
+}
+
+/**
+ * Members of a type literal, local interface/alias or intersection of those
+ */
+function getTypeMembers(typeNode, types, seen = new Set()) {
+  if (!typeNode) return [];
+  if (ts.isTypeLiteralNode(typeNode)) return [...typeNode.members];
+  if (ts.isParenthesizedTypeNode(typeNode)) return getTypeMembers(typeNode.type, types, seen);
+  if (ts.isIntersectionTypeNode(typeNode)) {
+    return typeNode.types.flatMap(type => getTypeMembers(type, types, seen));
+  }
+  if (ts.isTypeReferenceNode(typeNode) && ts.isIdentifier(typeNode.typeName)) {
+    const name = typeNode.typeName.text;
+    const declaration = types.get(name);
+    if (!declaration || seen.has(name)) return [];
+    seen.add(name);
+    if (ts.isTypeAliasDeclaration(declaration)) return getTypeMembers(declaration.type, types, seen);
+
+    const inherited = (declaration.heritageClauses || [])
+      .flatMap(clause => clause.types)
+      .flatMap(type => getTypeMembers(ts.factory.createTypeReferenceNode(type.expression.getText()), types, seen));
+    return [...inherited, ...declaration.members];
+  }
+  return [];
+}
+
+/**
+ * Props from type members (`defineProps<Props>()`, `$props()` annotations)
+ */
+function propsFromTypeMembers(members, defaults = {}) {
+  const properties = {};
+  for (const member of members) {
+    if (!ts.isPropertySignature(member) && !ts.isMethodSignature(member)) continue;
+    const name = getPropertyName(member.name);
+    if (!name) continue;
+    const tsType = ts.isMethodSignature(member)
+      ? `(${member.parameters.map(param => param.getText()).join(', ')}) => ${member.type ? member.type.getText() : 'void'}`
+      : member.type?.getText();
+    properties[name] = toProperty('input', {
+      ...readJsDoc(member),
+      tsType,
+      required: !member.questionToken,
+      defaultValue: defaults[name],
+    });
+  }
+  return properties;
+}
+
+/**
+ * Type of a Vue runtime prop declaration (`String`, `[String, Number]`, `Array as PropType<T[]>`)
+ */
+function runtimeType(node) {
+  if (!node) return undefined;
+  if (ts.isAsExpression(node) && ts.isTypeReferenceNode(node.type) && node.type.typeArguments?.length) {
+    return node.type.typeArguments[0].getText();
+  }
+  node = unwrap(node);
+  if (ts.isIdentifier(node)) return RUNTIME_TYPES[node.text] || node.text;
+  if (ts.isArrayLiteralExpression(node)) return node.elements.map(runtimeType).filter(Boolean).join(' | ');
+  return undefined;
+}
+
+/**
+ * Initializers of an options object literal, keyed by name
+ */
+function readOptions(node) {
+  const options = {};
+  node = unwrap(node);
+  if (!node || !ts.isObjectLiteralExpression(node)) return options;
+  for (const property of node.properties) {
+    if (ts.isPropertyAssignment(property)) options[getPropertyName(property.name)] = property.initializer;
+  }
+  return options;
+}
+
+/**
+ * Props from a runtime declaration (`defineProps({...})`, `props: [...]`)
+ */
+function propsFromRuntime(node, defaults = {}) {
+  const properties = {};
+  node = unwrap(node);
+  if (!node) return properties;
+
+  if (ts.isArrayLiteralExpression(node)) {
+    for (const element of node.elements) {
+      if (ts.isStringLiteralLike(element)) {
+        properties[element.text] = toProperty('input', { defaultValue: defaults[element.text] });
+      }
+    }
+    return properties;
+  }
+
+  if (!ts.isObjectLiteralExpression(node)) return properties;
+
+  for (const property of node.properties) {
+    if (!ts.isPropertyAssignment(property) && !ts.isShorthandPropertyAssignment(property)) continue;
+    const name = getPropertyName(property.name);
+    if (!name) continue;
+    const jsDoc = readJsDoc(property);
+    const value = ts.isPropertyAssignment(property) ? unwrap(property.initializer) : null;
+
+    if (value && ts.isObjectLiteralExpression(value)) {
+      const options = readOptions(value);
+      properties[name] = toProperty('input', {
+        ...jsDoc,
+        tsType: runtimeType(options.type),
+        required: options.required?.kind === ts.SyntaxKind.TrueKeyword,
+        defaultValue: defaults[name] ?? options.default?.getText(),
+      });
+    } else {
+      properties[name] = toProperty('input', {
+        ...jsDoc,
+        tsType: runtimeType(ts.isPropertyAssignment(property) ? property.initializer : null),
+        defaultValue: defaults[name],
+      });
+    }
+  }
+  return properties;
+}
+
+/**
+ * Events from `defineEmits`/`emits`: call signatures, named tuples, arrays or objects
+ */
+function emitsFrom(typeNode, runtimeNode, types) {
+  const properties = {};
+
+  for (const member of getTypeMembers(typeNode, types)) {
+    if (ts.isCallSignatureDeclaration(member)) {
+      // (e: 'change', id: number): void
+      const [event, ...payload] = member.parameters;
+      const eventType = event?.type;
+      const names = eventType && ts.isLiteralTypeNode(eventType) && ts.isStringLiteral(eventType.literal)
+        ? [eventType.literal.text]
+        : (eventType && ts.isUnionTypeNode(eventType) ? eventType.types : [])
+          .filter(type => ts.isLiteralTypeNode(type) && ts.isStringLiteral(type.literal))
+          .map(type => type.literal.text);
+      for (const name of names) {
+        properties[name] = toProperty('output', {
+          ...readJsDoc(member),
+          tsType: `(${payload.map(param => param.getText()).join(', ')}) => void`,
+        });
+      }
+    } else if (ts.isPropertySignature(member)) {
+      // change: [id: number]
+      const name = getPropertyName(member.name);
+      const payload = member.type && ts.isTupleTypeNode(member.type)
+        ? member.type.elements.map(element => element.getText()).join(', ')
+        : member.type?.getText() || '';
+      if (name) properties[name] = toProperty('output', { ...readJsDoc(member), tsType: `(${payload}) => void` });
+    }
+  }
+
+  const runtime = unwrap(runtimeNode);
+  if (runtime && ts.isArrayLiteralExpression(runtime)) {
+    for (const element of runtime.elements) {
+      if (ts.isStringLiteralLike(element)) properties[element.text] = toProperty('output', {});
+    }
+  } else if (runtime && ts.isObjectLiteralExpression(runtime)) {
+    for (const property of runtime.properties) {
+      const name = getPropertyName(property.name);
+      if (name) properties[name] = toProperty('output', readJsDoc(property));
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Slots from `defineSlots<{ default(props: {...}): any }>()`
+ */
+function slotsFromType(typeNode, types) {
+  const properties = {};
+  for (const member of getTypeMembers(typeNode, types)) {
+    const name = getPropertyName(member.name);
+    if (!name) continue;
+    const param = (member.parameters || member.type?.parameters || [])[0];
+    properties[name] = toProperty('slot', {
+      ...readJsDoc(member),
+      tsType: param?.type ? param.type.getText() : undefined,
+      required: !member.questionToken,
+    });
+  }
+  return properties;
+}
+
+/**
+ * Slots used in a template (`<slot />`, `<slot name="footer">`)
+ */
+function slotsFromTemplate(template) {
+  const properties = {};
+  const slotRegex = /<slot\b([^>]*)>/g;
+  let match;
+  while ((match = slotRegex.exec(template || '')) !== null) {
+    const name = (match[1].match(/\bname=["']([^"']+)["']/) || [])[1] || 'default';
+    properties[name] = properties[name] || toProperty('slot', {});
+  }
+  return properties;
+}
+
+/**
+ * Defaults from an object literal (`withDefaults(..., {...})`)
+ */
+function defaultsFromObject(node) {
+  return Object.fromEntries(Object.entries(readOptions(node)).map(([name, value]) => [name, value.getText()]));
+}
+
+/**
+ * Defaults from destructuring (`const { size = 'medium' } = defineProps<...>()`)
+ */
+function defaultsFromBinding(bindingName) {
+  const defaults = {};
+  if (!bindingName || !ts.isObjectBindingPattern(bindingName)) return defaults;
+  for (const element of bindingName.elements) {
+    if (element.dotDotDotToken) continue;
+    const name = getPropertyName(element.propertyName || element.name);
+    if (!name) continue;
+    let initializer = element.initializer;
+    // Svelte 5: `value = $bindable(0)`
+    if (initializer && ts.isCallExpression(initializer) && ts.isIdentifier(initializer.expression)
+      && initializer.expression.text === '$bindable') {
+      defaults[name] = { bindable: true, value: initializer.arguments[0]?.getText() };
+      continue;
+    }
+    if (initializer) defaults[name] = initializer.getText();
+  }
+  return defaults;
+}
+
+/**
+ * Visit every call expression of a script
+ */
+function forEachCall(sourceFile, callback) {
+  const visit = (node) => {
+    if (ts.isCallExpression(node)) callback(node);
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+}
+
+function calleeName(call) {
+  return ts.isIdentifier(call.expression) ? call.expression.text : null;
+}
+
+/**
+ * Extract docs from a Vue single-file component
+ */
+function extractVueComponentDocs(content, filePath) {
+  const { scripts, template } = readBlocks(content);
+  const docs = {
+    properties: {},
+    description: '',
+    selector: path.basename(filePath, path.extname(filePath)),
+  };
+  if (template) docs.template = template;
+
+  for (const script of scripts) {
+    const sourceFile = createSourceFile(script.content, `component.${script.lang === 'ts' ? 'ts' : 'js'}`);
+    const types = collectTypes(sourceFile);
+
+    if (script.setup) {
+      forEachCall(sourceFile, (call) => {
+        const name = calleeName(call);
+
+        if (name === 'defineProps') {
+          // withDefaults(defineProps<Props>(), { size: 'medium' })
+          const wrapper = ts.isCallExpression(call.parent) && calleeName(call.parent) === 'withDefaults' ? call.parent : null;
+          const declaration = (wrapper || call).parent;
+          const defaults = {
+            ...defaultsFromBinding(ts.isVariableDeclaration(declaration) ? declaration.name : null),
+            ...(wrapper ? defaultsFromObject(wrapper.arguments[1]) : {}),
+          };
+          Object.assign(docs.properties, call.typeArguments?.length
+            ? propsFromTypeMembers(getTypeMembers(call.typeArguments[0], types), defaults)
+            : propsFromRuntime(call.arguments[0], defaults));
+        } else if (name === 'defineEmits') {
+          Object.assign(docs.properties, emitsFrom(call.typeArguments?.[0], call.arguments[0], types));
+        } else if (name === 'defineSlots') {
+          Object.assign(docs.properties, slotsFromType(call.typeArguments?.[0], types));
+        } else if (name === 'defineModel') {
+          // defineModel('count', { required: true }) or defineModel<string>()
+          const first = unwrap(call.arguments[0]);
+          const named = Boolean(first) && ts.isStringLiteralLike(first);
+          const modelName = named ? first.text : 'modelValue';
+          const options = readOptions(call.arguments[named ? 1 : 0]);
+          docs.properties[modelName] = {
+            ...toProperty('input', {
+              ...readJsDoc(ts.findAncestor(call, ts.isVariableStatement) || call),
+              tsType: call.typeArguments?.[0]?.getText() || runtimeType(options.type),
+              required: options.required?.kind === ts.SyntaxKind.TrueKeyword,
+              defaultValue: options.default?.getText(),
+            }),
+            twoWayBinding: true,
+          };
+          docs.properties[`update:${modelName}`] = toProperty('output', {});
+        }
+      });
+    } else {
+      // Options API: export default { props, emits } / defineComponent({ props, emits })
+      for (const statement of sourceFile.statements) {
+        if (!ts.isExportAssignment(statement)) continue;
+        let options = unwrap(statement.expression);
+        if (ts.isCallExpression(options) && calleeName(options) === 'defineComponent') {
+          options = unwrap(options.arguments[0]);
+        }
+        if (!options || !ts.isObjectLiteralExpression(options)) continue;
+
+        const description = readJsDoc(statement).description;
+        if (description) docs.description = description;
+        for (const property of options.properties) {
+          if (!ts.isPropertyAssignment(property)) continue;
+          const name = getPropertyName(property.name);
+          if (name === 'props') Object.assign(docs.properties, propsFromRuntime(property.initializer));
+          if (name === 'emits') Object.assign(docs.properties, emitsFrom(null, property.initializer, types));
+          if (name === 'name' && ts.isStringLiteralLike(property.initializer)) docs.selector = property.initializer.text;
+        }
+      }
+    }
+
+    // Leading `/** ... */` of a `<script setup>` describes the component
+    if (script.setup && !docs.description) {
+      const leading = script.content.match(/^\s*\/\*\*([\s\S]*?)\*\//);
+      if (leading) docs.description = leading[1].replace(/^\s*\*\s?/gm, '').trim();
+    }
+  }
+
+  for (const [name, slot] of Object.entries(slotsFromTemplate(docs.template))) {
+    if (!docs.properties[name]) docs.properties[name] = slot;
+  }
+
+  docs.componentCode = scripts.map(script => script.content.trim()).filter(Boolean).join('\n\n');
+  return docs;
+}
+
+/**
+ * Extract docs from a Svelte component
+ */
+function extractSvelteComponentDocs(content, filePath) {
+  const { scripts, markup } = readBlocks(content);
+  const docs = {
+    properties: {},
+    description: '',
+    selector: path.basename(filePath, path.extname(filePath)),
+    template: markup,
+  };
+
+  // Svelte documents components with a `<!-- @component ... -->` comment
+  const componentComment = content.match(/<!--\s*@component\s*([\s\S]*?)-->/);
+  if (componentComment) docs.description = componentComment[1].trim();
+
+  for (const script of scripts.filter(item => !item.module)) {
+    const sourceFile = createSourceFile(script.content, `component.${script.lang === 'ts' ? 'ts' : 'js'}`);
+    const types = collectTypes(sourceFile);
+
+    for (const statement of sourceFile.statements) {
+      if (!ts.isVariableStatement(statement)) continue;
+      const exported = (ts.getModifiers(statement) || []).some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword);
+      const isLet = (statement.declarationList.flags & ts.NodeFlags.Let) !== 0;
+
+      for (const declaration of statement.declarationList.declarations) {
+        const initializer = unwrap(declaration.initializer);
+
+        // Svelte 5: let { a, b = 1 }: Props = $props();
+        if (initializer && ts.isCallExpression(initializer) && calleeName(initializer) === '$props') {
+          const defaults = defaultsFromBinding(declaration.name);
+          const plainDefaults = Object.fromEntries(Object.entries(defaults)
+            .map(([name, value]) => [name, typeof value === 'object' ? value.value : value]));
+          const typeNode = declaration.type || initializer.typeArguments?.[0];
+          const props = typeNode
+            ? propsFromTypeMembers(getTypeMembers(typeNode, types), plainDefaults)
+            : {};
+
+          // Untyped runes: props are only known from destructuring
+          if (ts.isObjectBindingPattern(declaration.name)) {
+            for (const element of declaration.name.elements) {
+              const name = element.dotDotDotToken ? null : getPropertyName(element.propertyName || element.name);
+              if (name && !props[name]) {
+                props[name] = toProperty('input', { defaultValue: plainDefaults[name] });
+              }
+            }
+          }
+          for (const [name, value] of Object.entries(defaults)) {
+            if (typeof value === 'object' && props[name]) props[name].twoWayBinding = true;
+          }
+          Object.assign(docs.properties, props);
+          continue;
+        }
+
+        // Svelte 4: export let label: string = 'Button';
+        if (exported && isLet && ts.isIdentifier(declaration.name)) {
+          docs.properties[declaration.name.text] = toProperty('input', {
+            ...readJsDoc(statement),
+            tsType: declaration.type?.getText(),
+            required: !declaration.initializer,
+            defaultValue: declaration.initializer?.getText(),
+          });
+        }
+
+        // createEventDispatcher<{ change: string }>()
+        if (initializer && ts.isCallExpression(initializer) && calleeName(initializer) === 'createEventDispatcher') {
+          for (const member of getTypeMembers(initializer.typeArguments?.[0], types)) {
+            const name = getPropertyName(member.name);
+            if (name) {
+              docs.properties[name] = toProperty('output', { ...readJsDoc(member), tsType: member.type ? `CustomEvent<${member.type.getText()}>` : undefined });
+            }
+          }
+        }
+      }
+    }
+
+    // Untyped dispatchers: dispatch('change', ...)
+    forEachCall(sourceFile, (call) => {
+      const first = unwrap(call.arguments[0]);
+      if (calleeName(call) === 'dispatch' && first && ts.isStringLiteralLike(first) && !docs.properties[first.text]) {
+        docs.properties[first.text] = toProperty('output', {});
+      }
+    });
+  }
+
+  for (const [name, slot] of Object.entries(slotsFromTemplate(markup))) {
+    if (!docs.properties[name]) docs.properties[name] = slot;
+  }
+
+  docs.componentCode = scripts.map(script => script.content.trim()).filter(Boolean).join('\n\n');
+  return docs;
+}
+
+/**
+ * Extract docs from a `.vue` or `.svelte` file, or null for other files
+ */
+function extractSfcComponentDocs(componentFilePath) {
+  const ext = path.extname(componentFilePath).toLowerCase();
+  if (ext !== '.vue' && ext !== '.svelte') return null;
+
+  const content = fs.readFileSync(componentFilePath, 'utf8');
+  return ext === '.vue'
+    ? extractVueComponentDocs(content, componentFilePath)
+    : extractSvelteComponentDocs(content, componentFilePath);
+}
+
+module.exports = {
+  extractSfcComponentDocs,
+  extractVueComponentDocs,
+  extractSvelteComponentDocs,
+};
@@ -0,0 +1,280 @@
+/**
+ * Usage snippets for a story, in the syntax of each framework
+ *
+ *   angular         <app-button label="Go" [size]="'large'" (onClick)="handleClick($event)">
+ *   react           <Button label="Go" size="large" onClick={handleClick} />
+ *   vue             <Button label="Go" :items="['a']" @click="handleClick" v-model:query="query">
+ *   svelte          <Button label="Go" items={['a']} bind:value={value}>
+ *   html            <my-button label="Go" .items=${['a']} @press=${handlePress}>
+ *
+ * Args are classified with the component docs: `output` properties and `onX`
+ * handlers become event bindings, `twoWayBinding` properties two-way bindings,
+ * and `children`/slot args element content. Storybook mocks (`fn()`,
+ * `action('x')`) are replaced by a handler name.
+ */
+
+const { isExpression, EXPRESSION_KEY } = require('./csf');
+
+const FRAMEWORKS = ['angular', 'react', 'vue', 'svelte', 'html'];
+
+/**
+ * Render a value as a source literal
+ */
+function formatValue(value) {
+  if (isExpression(value)) return value[EXPRESSION_KEY];
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, val]) => {
+      const safeKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+      return `${safeKey}: ${formatValue(val)}`;
+    });
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function toKebabCase(name) {
+  return name.replace(/([a-z\d])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * `onClick` -> `handleClick`, `update:query` -> `handleUpdateQuery`
+ */
+function toHandlerName(name) {
+  const words = name.replace(/^on(?=[A-Z])/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return `handle${words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}`;
+}
+
+/**
+ * Storybook spies and actions stand for "some handler"
+ */
+function isMockFunction(value) {
+  return isExpression(value) && /^(?:fn|action|vi\.fn|jest\.fn)\s*\(/.test(value[EXPRESSION_KEY].trim());
+}
+
+/**
+ * Source text of an event handler arg
+ */
+function formatHandler(value, name) {
+  return isMockFunction(value) || !isExpression(value) ? toHandlerName(name) : value[EXPRESSION_KEY];
+}
+
+/**
+ * Sort args into props, events, two-way bindings and content
+ */
+function classifyArgs(args, properties = {}) {
+  const items = [];
+
+  for (const [key, value] of Object.entries(args || {})) {
+    if (value === undefined) continue;
+    const property = properties[key];
+
+    if (key === 'children' || (property && property.type === 'slot')) {
+      items.push({ kind: 'content', key, slot: key === 'children' || key === 'default' ? null : key, value });
+    } else if (property && property.type === 'output') {
+      items.push({ kind: 'event', key, event: key, value, declared: true });
+    } else if (/^on[A-Z]/.test(key) && (isExpression(value) || typeof value === 'function')) {
+      // onPress -> press, matching a declared output when there is one
+      const event = key.charAt(2).toLowerCase() + key.slice(3);
+      const declared = Boolean(properties[event] && properties[event].type === 'output');
+      items.push({ kind: 'event', key, event, value, declared });
+    } else if (property && property.twoWayBinding) {
+      items.push({ kind: 'model', key, value });
+    } else {
+      items.push({ kind: 'prop', key, value });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Element content (children or default slot), rendered per framework
+ */
+function formatContent(value, framework) {
+  if (typeof value === 'string') return value;
+  const code = formatValue(value);
+  if (framework === 'react' || framework === 'svelte') return `{${code}}`;
+  if (framework === 'html') return `\${${code}}`;
+  return `{{ ${code} }}`;
+}
+
+/**
+ * Lay out an element, one attribute per line when it gets long
+ */
+function renderElement(tag, attrs, content, { selfClosing = false } = {}) {
+  const inline = attrs.length <= 3 && attrs.join(' ').length + tag.length <= 72;
+  const opening = inline
+    ? [`<${tag}`, ...attrs].join(' ')
+    : `<${tag}\n  ${attrs.join('\n  ')}\n`;
+
+  if (!content.length) {
+    return selfClosing ? `${opening}${inline ? ' ' : ''}/>` : `${opening}></${tag}>`;
+  }
+
+  const body = content.join('\n').split('\n').map(line => `  ${line}`).join('\n');
+  return `${opening}>\n${body}\n</${tag}>`;
+}
+
+const renderers = {
+  angular(tag, items) {
+    const attrs = [];
+    const content = [];
+    for (const item of items) {
+      const { kind, key, value } = item;
+      if (kind === 'content') {
+        content.push(item.slot ? `<div ${item.slot}>${formatContent(value, 'angular')}</div>` : formatContent(value, 'angular'));
+      } else if (kind === 'event') {
+        // Templates cannot hold inline functions, so Angular always calls a handler method
+        const name = item.declared ? item.event : key;
+        attrs.push(`(${name})="${toHandlerName(key)}($event)"`);
+      } else if (kind === 'model') {
+        attrs.push(`[(${key})]="${key}"`);
+      } else if (typeof value === 'string') {
+        attrs.push(`${key}="${escapeAttribute(value)}"`);
+      } else {
+        attrs.push(`[${key}]="${escapeAttribute(formatValue(value))}"`);
+      }
+    }
+    return renderElement(tag, attrs, content);
+  },
+
+  react(tag, items) {
+    const attrs = [];
+    const content = [];
+    for (const item of items) {
+      const { kind, key, value } = item;
+      if (kind === 'content' && !item.slot) {
+        content.push(formatContent(value, 'react'));
+      } else if (kind === 'event') {
+        attrs.push(`${key}={${formatHandler(value, key)}}`);
+      } else if (value === true) {
+        attrs.push(key);
+      } else if (typeof value === 'string' && !/["\n{}]/.test(value)) {
+        attrs.push(`${key}="${value}"`);
+      } else {
+        attrs.push(`${key}={${formatValue(value)}}`);
+      }
+    }
+    return renderElement(tag, attrs, content, { selfClosing: true });
+  },
+
+  vue(tag, items) {
+    const attrs = [];
+    const content = [];
+    for (const item of items) {
+      const { kind, key, value } = item;
+      if (kind === 'content') {
+        const text = formatContent(value, 'vue');
+        content.push(item.slot ? `<template #${item.slot}>${text}</template>` : text);
+      } else if (kind === 'event') {
+        attrs.push(`@${item.declared ? item.event : toKebabCase(item.event)}="${escapeAttribute(formatHandler(value, key))}"`);
+      } else if (kind === 'model') {
+        attrs.push(key === 'modelValue' ? 'v-model="modelValue"' : `v-model:${key}="${key}"`);
+      } else if (typeof value === 'string') {
+        attrs.push(`${toKebabCase(key)}="${escapeAttribute(value)}"`);
+      } else {
+        attrs.push(`:${toKebabCase(key)}="${escapeAttribute(formatValue(value))}"`);
+      }
+    }
+    return renderElement(tag, attrs, content, { selfClosing: true });
+  },
+
+  svelte(tag, items) {
+    const attrs = [];
+    const content = [];
+    for (const item of items) {
+      const { kind, key, value } = item;
+      if (kind === 'content') {
+        const text = formatContent(value, 'svelte');
+        content.push(item.slot ? `<svelte:fragment slot="${item.slot}">${text}</svelte:fragment>` : text);
+      } else if (kind === 'event') {
+        // Svelte 4 dispatched events use on:, Svelte 5 events are callback props
+        attrs.push(item.declared
+          ? `on:${item.event}={${formatHandler(value, key)}}`
+          : `${key}={${formatHandler(value, key)}}`);
+      } else if (kind === 'model') {
+        attrs.push(`bind:${key}={${key}}`);
+      } else if (typeof value === 'string' && !/["{}]/.test(value)) {
+        attrs.push(`${key}="${value}"`);
+      } else {
+        attrs.push(`${key}={${formatValue(value)}}`);
+      }
+    }
+    return renderElement(tag, attrs, content, { selfClosing: true });
+  },
+
+  html(tag, items, properties = {}) {
+    const attrs = [];
+    const content = [];
+    for (const item of items) {
+      const { kind, key, value } = item;
+      if (kind === 'content') {
+        const text = formatContent(value, 'html');
+        content.push(item.slot ? `<span slot="${item.slot}">${text}</span>` : text);
+        continue;
+      }
+      if (kind === 'event') {
+        attrs.push(`@${item.event}=\${${formatHandler(value, key)}}`);
+        continue;
+      }
+
+      // Primitives become attributes (named as in the manifest), the rest lit property bindings
+      const property = properties[key];
+      const attribute = property ? property.attribute : toKebabCase(key);
+      if (attribute && !isExpression(value) && (value === null || typeof value !== 'object')) {
+        if (value === true) attrs.push(attribute);
+        else if (value !== false && value !== null) attrs.push(`${attribute}="${escapeAttribute(value)}"`);
+      } else {
+        attrs.push(`.${key}=\${${formatValue(value)}}`);
+      }
+    }
+    return renderElement(tag, attrs, content);
+  },
+};
+
+/**
+ * Framework used for snippets of a component
+ */
+function resolveSnippetFramework(framework, componentDocs) {
+  if (framework === 'web-components' || componentDocs?.source === 'custom-elements') return 'html';
+  if (FRAMEWORKS.includes(framework)) return framework;
+  if (componentDocs?.source === 'react-docgen') return 'react';
+  return null;
+}
+
+/**
+ * Generate a usage snippet for a story
+ *
+ * @param {object} options
+ * @param {string} options.framework - `angular`, `react`, `vue`, `svelte`, `web-components` or `html`
+ * @param {object} [options.args] - Story args
+ * @param {string} [options.component] - Component name used as JSX/Vue/Svelte tag
+ * @param {string} [options.selector] - Angular selector or custom element tag
+ * @param {object} [options.componentDocs] - Component docs (`properties` drive events and bindings)
+ * @returns {string|null}
+ */
+function generateSnippet({ framework, args, component, selector, componentDocs } = {}) {
+  const target = resolveSnippetFramework(framework, componentDocs);
+  if (!target) return null;
+
+  const tag = target === 'angular' || target === 'html'
+    ? selector || componentDocs?.tagName
+    : component || componentDocs?.name;
+  // Angular selectors may be attribute selectors (`[appTooltip]`); only element tags render as snippets
+  if (!tag || !/^[A-Za-z][\w.:-]*$/.test(tag)) return null;
+
+  const properties = componentDocs?.properties || {};
+  return renderers[target](tag, classifyArgs(args, properties), properties);
+}
+
+module.exports = {
+  generateSnippet,
+  resolveSnippetFramework,
+  formatValue,
+};
@@ -0,0 +1,233 @@
+/**
+ * Multi-Storybook composition
+ *
+ * Several named Storybooks (sources) are merged into one index, like
+ * Storybook composition `refs`. Entry IDs are namespaced with the source name
+ * (`forms_example-button--primary`) and every entry remembers its source, so
+ * docs are resolved against that source's own project directory.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const { StoryCache, StorybookNotReadyError } = require('./cache');
+const { detectFramework } = require('./utils');
+
+/**
+ * Separator between the source name and the story ID, as used by composition refs
+ */
+const SOURCE_SEPARATOR = '_';
+
+/**
+ * Normalize the `sources` option of `createApp`/`startServer`
+ *
+ * Each source is either a Storybook URL, a project directory, or an object:
+ *
+ *   {
+ *     forms: 'http://localhost:6007',
+ *     buttons: '../buttons',
+ *     layout: { url: 'https://layout.example.com', projectDir: '../layout' },
+ *   }
+ *
+ * @returns {Array<{ name: string, url?: string, projectDir?: string, staticDir?: string, framework: string }>}
+ */
+function normalizeSources(sources, baseDir = process.cwd()) {
+  return Object.entries(sources || {}).map(([name, value]) => {
+    if (!/^[a-z0-9-]+$/i.test(name)) {
+      throw new Error(`Invalid source name "${name}": use letters, digits and dashes only`);
+    }
+
+    const options = typeof value === 'string'
+      ? (/^https?:\/\//.test(value) ? { url: value } : { projectDir: value })
+      : { ...value };
+
+    if (!options.url && !options.projectDir && !options.staticDir) {
+      throw new Error(`Source "${name}" needs a url, projectDir or staticDir`);
+    }
+
+    const source = { name, url: options.url ? options.url.replace(/\/$/, '') : undefined };
+    if (options.projectDir) {
+      source.projectDir = path.resolve(baseDir, options.projectDir);
+    }
+    if (!source.url) {
+      // Without a running Storybook, read the index of its `storybook build`
+      source.staticDir = path.resolve(baseDir, options.staticDir || path.join(source.projectDir, 'storybook-static'));
+    }
+    source.framework = options.framework || (source.projectDir ? detectFramework(source.projectDir) : 'unknown');
+    return source;
+  });
+}
+
+function toNamespacedId(sourceName, id) {
+  return `${sourceName}${SOURCE_SEPARATOR}${id}`;
+}
+
+/**
+ * Cache merging the indexes of several sources
+ *
+ * Exposes the same interface as `StoryCache` so routes, the search index and
+ * conditional GETs work unchanged.
+ */
+class FederatedCache extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Array<object>} options.sources - Normalized sources (see `normalizeSources`)
+   * @param {boolean} [options.watch=true] - Watch each source's project files
+   * @param {number} [options.indexTtl] - Max age of each cached index in ms
+   */
+  constructor({ sources, watch = true, indexTtl } = {}) {
+    super();
+    this.sources = sources.map(source => ({
+      ...source,
+      cache: new StoryCache({
+        storybookUrl: source.url,
+        indexFile: source.url ? undefined : path.join(source.staticDir, 'index.json'),
+        projectDir: source.projectDir,
+        watch: watch && Boolean(source.projectDir),
+        indexTtl,
+      }),
+      health: { status: 'unknown', error: null, storyCount: 0, lastChecked: null },
+    }));
+    this.index = null;
+    this.indexKey = null;
+    this.entries = new Map();
+    this.generation = 0;
+    this.lastModified = new Date();
+
+    for (const source of this.sources) {
+      source.cache.on('invalidate', (details) => {
+        this.invalidate({ ...details, source: source.name, previousIndex: this.index || undefined });
+      });
+    }
+  }
+
+  /**
+   * Get a source by name
+   */
+  getSource(name) {
+    return this.sources.find(source => source.name === name) || null;
+  }
+
+  /**
+   * Get the merged index. Sources that are down keep their last known entries;
+   * only when no source has an index at all is the error thrown.
+   *
+   * @throws {StorybookNotReadyError}
+   */
+  async getIndex() {
+    const results = await Promise.all(this.sources.map(async source => {
+      try {
+        const index = await source.cache.getIndex();
+        source.health = {
+          status: 'ready',
+          error: null,
+          storyCount: Object.keys(index.entries || {}).length,
+          lastChecked: new Date().toISOString(),
+        };
+        return index;
+      } catch (error) {
+        source.health = {
+          status: 'error',
+          error: error.hint || error.message,
+          storyCount: Object.keys(source.cache.index?.entries || {}).length,
+          lastChecked: new Date().toISOString(),
+          ...(source.cache.index ? { stale: true } : {}),
+        };
+        return source.cache.index;
+      }
+    }));
+
+    if (results.every(index => !index)) {
+      throw new StorybookNotReadyError(
+        `None of the sources is available (${this.sources.map(source => source.name).join(', ')}). See /api/sources`,
+        503,
+      );
+    }
+
+    // Re-merge only when one of the source indexes changed
+    const key = this.sources.map((source, idx) => (results[idx] ? source.cache.indexHash : 'none')).join(':');
+    if (key !== this.indexKey) {
+      const entries = {};
+      this.sources.forEach((source, idx) => {
+        for (const entry of Object.values(results[idx]?.entries || {})) {
+          const id = toNamespacedId(source.name, entry.id);
+          entries[id] = { ...entry, id, source: source.name, sourceId: entry.id };
+        }
+      });
+      this.index = { v: 5, entries };
+      this.indexKey = key;
+    }
+
+    return this.index;
+  }
+
+  /**
+   * Health of every source, like the status of composition refs in the UI
+   */
+  async getHealth() {
+    try {
+      await this.getIndex();
+    } catch (error) {
+      // Reported per source
+    }
+    return this.sources.map(source => ({
+      name: source.name,
+      url: source.url || null,
+      projectDir: source.projectDir || null,
+      staticDir: source.staticDir || null,
+      framework: source.framework,
+      ...source.health,
+    }));
+  }
+
+  async memo(key, compute) {
+    if (this.entries.has(key)) {
+      return this.entries.get(key);
+    }
+    // The pending computation is cached so concurrent callers share it
+    const generation = this.generation;
+    const pending = Promise.resolve().then(compute);
+    this.entries.set(key, pending);
+    try {
+      const value = await pending;
+      // Computed from data an invalidation replaced meanwhile: returned, not kept
+      if (this.generation !== generation && this.entries.get(key) === pending) {
+        this.entries.delete(key);
+      }
+      return value;
+    } catch (error) {
+      if (this.entries.get(key) === pending) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  invalidate(details = {}) {
+    this.entries.clear();
+    this.generation += 1;
+    this.lastModified = new Date();
+    if (!details.source) {
+      this.sources.forEach(source => source.cache.invalidate(details));
+      return;
+    }
+    this.emit('invalidate', details);
+  }
+
+  getVersion() {
+    const versions = this.sources.map(source => source.cache.getVersion()).join('|');
+    return `${crypto.createHash('sha1').update(versions).digest('hex')}:${this.generation}`;
+  }
+
+  async close() {
+    await Promise.all(this.sources.map(source => source.cache.close()));
+  }
+}
+
+module.exports = {
+  FederatedCache,
+  normalizeSources,
+  toNamespacedId,
+  SOURCE_SEPARATOR,
+};
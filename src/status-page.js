@@ -0,0 +1,66 @@
+/**
+ * Page shown in place of Storybook while it is starting or down
+ *
+ * Reports the state of the supervised process and, after a crash, the error
+ * and the last lines Storybook printed. Reloads itself until Storybook is
+ * back, unless the supervisor gave up.
+ */
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const HEADINGS = {
+  starting: '⏳ Storybook is starting...',
+  restarting: '⚠️ Storybook stopped, restarting...',
+  failed: '❌ Storybook failed',
+  stopped: 'Storybook is stopped',
+  ready: '⏳ Storybook is not answering...',
+};
+
+/**
+ * Render the status page HTML
+ *
+ * @param {object} [status] - `StorybookSupervisor#status()`, or none when not supervised
+ * @param {object[]} [logs] - Last output lines
+ */
+function renderStatusPage(status, logs = []) {
+  const state = status ? status.state : 'starting';
+  const crashed = Boolean(status?.lastExit) && state !== 'ready';
+  const reload = state !== 'failed' && state !== 'stopped';
+
+  const details = [];
+  if (status?.restarts) {
+    details.push(`Restarts: ${status.restarts}`);
+  }
+  if (status?.nextRestartAt) {
+    details.push(`Next attempt: ${new Date(status.nextRestartAt).toLocaleTimeString('en-US')}`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Storybook ${escapeHtml(state)}</title>
+  <style>
+    body { font-family: sans-serif; padding: 40px; max-width: 960px; margin: 0 auto; }
+    h1 { text-align: center; }
+    .error { color: #b00020; font-weight: bold; }
+    pre { background: #f6f8fa; padding: 12px; overflow-x: auto; font-size: 12px; }
+    .stderr { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(HEADINGS[state] || HEADINGS.starting)}</h1>
+  <p style="text-align: center">${reload ? 'This page reloads when Storybook is back.' : 'Fix the error and restart the server.'}</p>
+  ${details.length ? `<p style="text-align: center">${escapeHtml(details.join(' · '))}</p>` : ''}
+  ${crashed && status.lastError ? `<p class="error">${escapeHtml(status.lastError.message)}</p>` : ''}
+  ${crashed && logs.length ? `<pre>${logs.map(line => `<span class="${line.stream}">${escapeHtml(line.text)}</span>`).join('\n')}</pre>` : ''}
+  ${reload ? '<script>setTimeout(() => location.reload(), 3000);</script>' : ''}
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderStatusPage,
+};
@@ -0,0 +1,242 @@
+/**
+ * Supervision of the internal Storybook process
+ *
+ * Restarts Storybook when it exits, waiting longer after each crash in a row
+ * (1s, 2s, 4s... up to 30s by default; back to 1s once it was ready again).
+ * Keeps the last lines of its output and the last error it printed, for
+ * `/api/health` and the page shown while Storybook is down.
+ *
+ * States: `starting` (process running, index not served yet), `ready`,
+ * `restarting` (waiting to restart after an exit), `failed` (no restarts
+ * left) and `stopped`.
+ */
+
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+
+const DEFAULT_BACKOFF = { initial: 1000, max: 30000, factor: 2 };
+
+// Terminal colors and cursor codes
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+const ERROR_PATTERN = /\b(error|ERR!|failed to|cannot find module)\b/i;
+const IGNORED_PATTERN = /ExperimentalWarning|punycode/;
+
+class StorybookSupervisor extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function} options.start - Spawns Storybook, returning the child process
+   * @param {string} options.storybookUrl - Polled for `/index.json` until Storybook is ready
+   * @param {object} [options.backoff] - `{ initial, max, factor }` restart delays in ms
+   * @param {number} [options.maxRestarts=Infinity] - Restarts in a row before giving up
+   * @param {number} [options.logSize=500] - Output lines kept
+   * @param {number} [options.pollInterval=2000] - Readiness check interval in ms
+   */
+  constructor({ start, storybookUrl, backoff = {}, maxRestarts = Infinity, logSize = 500, pollInterval = 2000 }) {
+    super();
+    this.startProcess = start;
+    this.storybookUrl = storybookUrl;
+    this.backoff = { ...DEFAULT_BACKOFF, ...backoff };
+    this.maxRestarts = maxRestarts;
+    this.logSize = logSize;
+    this.pollInterval = pollInterval;
+
+    this.state = 'stopped';
+    this.process = null;
+    this.startedAt = null;
+    this.readyAt = null;
+    this.restarts = 0;
+    this.failures = 0;
+    this.lastExit = null;
+    this.lastError = null;
+    this.nextRestartAt = null;
+    this.lines = [];
+    this.pollTimer = null;
+    this.restartTimer = null;
+    this.stopping = false;
+  }
+
+  /**
+   * Spawn Storybook. Errors of the first spawn are thrown.
+   */
+  start() {
+    this.stopping = false;
+    this.spawn();
+  }
+
+  spawn() {
+    this.nextRestartAt = null;
+    this.setState('starting');
+    const child = this.startProcess();
+    this.process = child;
+    this.startedAt = new Date();
+    this.readyAt = null;
+
+    child.stdout?.on('data', data => this.record('stdout', data));
+    child.stderr?.on('data', data => this.record('stderr', data));
+    child.on('error', (error) => {
+      this.lastError = { message: error.message, time: new Date().toISOString() };
+    });
+    child.on('exit', (code, signal) => this.handleExit(child, code, signal));
+
+    this.poll(child);
+  }
+
+  /**
+   * Check the index until Storybook serves it
+   */
+  poll(child) {
+    this.pollTimer = setTimeout(async () => {
+      if (this.process !== child || this.state !== 'starting') return;
+      try {
+        const response = await fetch(`${this.storybookUrl}/index.json`);
+        if (response.ok) {
+          const data = await response.json();
+          if (this.process === child && this.state === 'starting' && Object.keys(data.entries || {}).length > 0) {
+            this.readyAt = new Date();
+            this.failures = 0;
+            this.setState('ready');
+            this.emit('ready');
+            return;
+          }
+        }
+      } catch (error) {
+        // Not listening yet
+      }
+      if (this.process === child) {
+        this.poll(child);
+      }
+    }, this.pollInterval);
+  }
+
+  handleExit(child, code, signal) {
+    if (this.process !== child) return;
+    this.process = null;
+    clearTimeout(this.pollTimer);
+    this.lastExit = { code, signal, time: new Date().toISOString() };
+    if (this.stopping) {
+      this.setState('stopped');
+      return;
+    }
+
+    const reason = signal ? `signal ${signal}` : `code ${code}`;
+    if (!this.lastError || new Date(this.lastError.time) < this.startedAt) {
+      this.lastError = { message: `Storybook exited with ${reason}`, time: this.lastExit.time };
+    }
+
+    this.failures += 1;
+    if (this.failures > this.maxRestarts) {
+      this.setState('failed');
+      this.emit('exit', { code, signal, restartIn: null });
+      return;
+    }
+
+    const delay = Math.min(this.backoff.max, this.backoff.initial * this.backoff.factor ** (this.failures - 1));
+    this.nextRestartAt = new Date(Date.now() + delay);
+    this.setState('restarting');
+    this.emit('exit', { code, signal, restartIn: delay });
+
+    this.restartTimer = setTimeout(() => {
+      this.restarts += 1;
+      try {
+        this.spawn();
+        this.emit('restart', { restarts: this.restarts });
+      } catch (error) {
+        this.lastError = { message: error.message, time: new Date().toISOString() };
+        this.setState('failed');
+      }
+    }, delay);
+  }
+
+  /**
+   * Keep output lines and the last error line
+   */
+  record(stream, data) {
+    const time = new Date().toISOString();
+    for (const raw of data.toString().split(/\r?\n/)) {
+      const text = raw.replace(ANSI_PATTERN, '').trimEnd();
+      if (!text || IGNORED_PATTERN.test(text)) continue;
+
+      this.lines.push({ time, stream, text });
+      if (ERROR_PATTERN.test(text)) {
+        this.lastError = { message: text.trim(), time };
+      }
+    }
+    if (this.lines.length > this.logSize) {
+      this.lines.splice(0, this.lines.length - this.logSize);
+    }
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  /**
+   * Last output lines, oldest first
+   *
+   * @param {number} [limit]
+   */
+  logs(limit = this.logSize) {
+    return this.lines.slice(-limit);
+  }
+
+  /**
+   * Process state, as reported by `/api/health`
+   */
+  status() {
+    const running = Boolean(this.process);
+    return {
+      state: this.state,
+      pid: running ? this.process.pid : null,
+      startedAt: running ? this.startedAt.toISOString() : null,
+      uptime: running ? Math.round((Date.now() - this.startedAt) / 1000) : null,
+      readyAt: this.readyAt ? this.readyAt.toISOString() : null,
+      restarts: this.restarts,
+      nextRestartAt: this.nextRestartAt ? this.nextRestartAt.toISOString() : null,
+      lastExit: this.lastExit,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Resolve once Storybook is ready
+   *
+   * @param {number} timeout - In ms
+   * @returns {Promise<boolean>} False when it was not ready in time or gave up
+   */
+  waitUntilReady(timeout) {
+    if (this.state === 'ready') return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const done = (ready) => {
+        clearTimeout(timer);
+        this.off('state', onState);
+        resolve(ready);
+      };
+      const onState = (state) => {
+        if (state === 'ready') done(true);
+        if (state === 'failed' || state === 'stopped') done(false);
+      };
+      const timer = setTimeout(() => done(false), timeout);
+      this.on('state', onState);
+    });
+  }
+
+  /**
+   * Stop Storybook without restarting it
+   */
+  stop() {
+    this.stopping = true;
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.restartTimer);
+    if (this.process) {
+      this.process.kill();
+    } else {
+      this.setState('stopped');
+    }
+  }
+}
+
+module.exports = {
+  StorybookSupervisor,
+};
@@ -0,0 +1,154 @@
+/**
+ * Sidebar tree built from the Storybook index
+ *
+ * Titles like `Example/Forms/Input` become nested nodes:
+ * group (`Example`) -> group (`Forms`) -> component (`Input`) -> stories/docs
+ *
+ * In federated mode each source is a top-level `source` node (`forms/Example/...`).
+ */
+
+const { sanitize } = require('./csf');
+
+function createGroup(name, titlePath, type = 'group') {
+  return {
+    type,
+    id: sanitize(titlePath),
+    name,
+    path: titlePath,
+    tags: [],
+    counts: { groups: 0, components: 0, stories: 0, docs: 0 },
+    children: [],
+  };
+}
+
+function addTags(node, tags) {
+  for (const tag of tags || []) {
+    if (!node.tags.includes(tag)) node.tags.push(tag);
+  }
+}
+
+/**
+ * Build the tree from index entries
+ *
+ * @param {object} entries - `index.json` entries keyed by ID
+ * @returns {object} Root node with nested groups, components and stories/docs
+ */
+function buildTree(entries) {
+  const root = createGroup('root', '', 'root');
+  root.id = 'root';
+  const nodes = new Map([['', root]]);
+
+  for (const entry of Object.values(entries || {})) {
+    if (!entry.title) continue;
+    // Composed Storybooks get their own top-level node, like refs in the sidebar
+    const parts = [
+      ...(entry.source ? [entry.source] : []),
+      ...entry.title.split('/').map(part => part.trim()).filter(Boolean),
+    ];
+    let parent = root;
+
+    parts.forEach((part, index) => {
+      const titlePath = parts.slice(0, index + 1).join('/');
+      const isSource = index === 0 && Boolean(entry.source);
+      const isComponent = index === parts.length - 1;
+      let node = nodes.get(titlePath);
+
+      if (!node) {
+        node = createGroup(part, titlePath, isSource ? 'source' : isComponent ? 'component' : 'group');
+        nodes.set(titlePath, node);
+        parent.children.push(node);
+      } else if (isComponent && node.type === 'group') {
+        // A title can be both a component and the parent of deeper titles
+        node.type = 'component';
+      }
+
+      if (isComponent) {
+        if (!node.importPath && entry.importPath && entry.type === 'story') {
+          node.importPath = entry.importPath;
+        }
+        if (!node.componentPath && entry.componentPath) {
+          node.componentPath = entry.componentPath;
+        }
+      }
+
+      addTags(node, entry.tags);
+      parent = node;
+    });
+
+    const leaf = {
+      type: entry.type || 'story',
+      id: entry.id,
+      name: entry.name,
+      title: entry.title,
+      importPath: entry.importPath,
+      tags: entry.tags || [],
+    };
+    if (entry.componentPath) leaf.componentPath = entry.componentPath;
+    parent.children.push(leaf);
+  }
+
+  computeCounts(root);
+  return root;
+}
+
+/**
+ * Compute counts bottom-up
+ */
+function computeCounts(node) {
+  const counts = { groups: 0, components: 0, stories: 0, docs: 0 };
+  for (const child of node.children || []) {
+    if (child.type === 'story') counts.stories += 1;
+    else if (child.type === 'docs') counts.docs += 1;
+    else {
+      if (child.type === 'group') counts.groups += 1;
+      if (child.type === 'component') counts.components += 1;
+      const childCounts = computeCounts(child);
+      counts.groups += childCounts.groups;
+      counts.components += childCounts.components;
+      counts.stories += childCounts.stories;
+      counts.docs += childCounts.docs;
+    }
+  }
+  node.counts = counts;
+  return counts;
+}
+
+/**
+ * Find a subtree by title path (`Example/Button`) or node ID (`example-button`)
+ */
+function findSubtree(tree, subPath) {
+  const wanted = subPath.split('/').map(part => part.trim()).filter(Boolean).join('/');
+  if (!wanted) return tree;
+
+  const lowerPath = wanted.toLowerCase();
+  const sanitized = sanitize(wanted);
+  const stack = [...tree.children];
+  let byId = null;
+
+  while (stack.length) {
+    const node = stack.shift();
+    if (!node.children) continue;
+    if (node.path.toLowerCase() === lowerPath) return node;
+    if (!byId && node.id === sanitized) byId = node;
+    stack.push(...node.children);
+  }
+  return byId;
+}
+
+/**
+ * Limit the depth of a tree (children below `depth` are dropped)
+ */
+function pruneTree(node, depth) {
+  if (!node.children || depth === undefined || depth === null) return node;
+  if (depth <= 0) {
+    const { children, ...rest } = node;
+    return rest;
+  }
+  return { ...node, children: node.children.map(child => pruneTree(child, depth - 1)) };
+}
+
+module.exports = {
+  buildTree,
+  findSubtree,
+  pruneTree,
+};
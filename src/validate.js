@@ -0,0 +1,340 @@
+/**
+ * Args validation
+ *
+ * Checks args meant for a story against what is known about them: the
+ * story's `argTypes` (controls, options, `type`) and the extracted component
+ * properties (`tsType`, literal `options`, `required`). Each problem is
+ * reported per field:
+ *
+ *   { field, code, message, expected?, received? }
+ *
+ * with `code` one of `required`, `type`, `enum` or `range`. Args the story and
+ * the component know nothing about are reported as `unknown` warnings, since
+ * Storybook passes them through anyway.
+ *
+ * Types that cannot be checked from JSON (functions, event emitters, named
+ * interfaces) are accepted.
+ */
+
+const { isExpression } = require('./csf');
+
+const CHECKED_CONTROLS = {
+  boolean: 'boolean',
+  number: 'number',
+  range: 'number',
+  text: 'string',
+  color: 'string',
+  object: 'object',
+};
+
+const MULTI_CONTROLS = ['multi-select', 'check', 'inline-check'];
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Split a type at top-level separators (`|` or `&`), ignoring nested brackets and strings
+ */
+function splitTopLevel(type, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < type.length; i++) {
+    const char = type[i];
+    if (quote) {
+      if (char === quote && type[i - 1] !== '\\') quote = null;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if ('([{<'.includes(char)) {
+      depth += 1;
+    } else if (')]}>'.includes(char) && !(char === '>' && type[i - 1] === '=')) {
+      depth -= 1;
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Strip parentheses wrapping the whole type: `(a | b)` -> `a | b`, but not `(a) => b`
+ */
+function unwrapParens(type) {
+  while (type.startsWith('(') && type.endsWith(')')) {
+    let depth = 0;
+    let closing = -1;
+    for (let i = 0; i < type.length; i++) {
+      if (type[i] === '(') depth += 1;
+      if (type[i] === ')') depth -= 1;
+      if (depth === 0) {
+        closing = i;
+        break;
+      }
+    }
+    if (closing !== type.length - 1) break;
+    type = type.slice(1, -1).trim();
+  }
+  return type;
+}
+
+/**
+ * Combine member results: any match wins, then any unknown
+ */
+function anyOf(results) {
+  if (results.includes(true)) return true;
+  if (results.includes(null)) return null;
+  return false;
+}
+
+function allOf(results) {
+  if (results.includes(false)) return false;
+  if (results.includes(null)) return null;
+  return true;
+}
+
+/**
+ * Whether a JSON value matches a TypeScript type string
+ *
+ * @returns {boolean|null} null when the type cannot be checked
+ */
+function matchesTsType(value, type) {
+  type = unwrapParens(String(type).trim());
+  if (!type) return null;
+
+  const members = splitTopLevel(type, '|');
+  if (members.length > 1) {
+    return anyOf(members.map(member => matchesTsType(value, member)));
+  }
+  if (splitTopLevel(type, '&').length > 1) {
+    return isPlainObject(value) ? null : false;
+  }
+
+  // Functions and emitters cannot be passed as JSON, handlers are mocked by Storybook
+  if (/=>/.test(type) || /^(Function|EventEmitter|OutputEmitterRef|OutputRef)\b/.test(type)) {
+    return null;
+  }
+
+  const literal = type.match(/^(['"`])(.*)\1$/);
+  if (literal) return value === literal[2];
+  if (/^-?\d+(\.\d+)?$/.test(type)) return value === Number(type);
+  if (type === 'true' || type === 'false') return value === (type === 'true');
+
+  const array = type.match(/^(.*)\[\]$/) || type.match(/^(?:Readonly)?Array<(.*)>$/);
+  if (array) {
+    return Array.isArray(value) ? allOf(value.map(item => matchesTsType(item, array[1]))) : false;
+  }
+  if (/^(readonly\s+)?\[.*\]$/.test(type)) {
+    return Array.isArray(value) ? null : false;
+  }
+
+  switch (type) {
+    case 'any':
+    case 'unknown':
+      return true;
+    case 'string':
+    case 'String':
+      return typeof value === 'string';
+    case 'number':
+    case 'Number':
+    case 'bigint':
+      return typeof value === 'number';
+    case 'boolean':
+    case 'Boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'undefined':
+    case 'void':
+    case 'never':
+      return false;
+    case 'object':
+    case 'Object':
+      return isPlainObject(value) || Array.isArray(value);
+    case 'Date':
+      return typeof value === 'number' || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+    default:
+      break;
+  }
+
+  if (type.startsWith('{') || /^(Record|Partial|Required|Readonly|Pick|Omit)</.test(type)) {
+    return isPlainObject(value) ? null : false;
+  }
+
+  // Named interfaces, enums and generics are not resolved here
+  return null;
+}
+
+/**
+ * Values of a union of literals (`'small' | 'large'`), or null
+ */
+function literalOptions(type) {
+  const members = splitTopLevel(unwrapParens(String(type).trim()), '|');
+  const options = [];
+  for (const member of members) {
+    const literal = member.match(/^(['"`])(.*)\1$/);
+    if (literal) options.push(literal[2]);
+    else if (/^-?\d+(\.\d+)?$/.test(member)) options.push(Number(member));
+    else return null;
+  }
+  return options.length > 1 ? options : null;
+}
+
+/**
+ * Control type of an argType: `control: 'color'` or `control: { type: 'range' }`
+ */
+function controlOf(argType) {
+  const { control } = argType;
+  if (typeof control === 'string') return { type: control };
+  if (isPlainObject(control) && !isExpression(control)) return control;
+  return null;
+}
+
+/**
+ * Storybook `type` of an argType: `type: 'string'` or `type: { name: 'string', required: true }`
+ */
+function sbTypeOf(argType) {
+  const { type } = argType;
+  if (typeof type === 'string') return { name: type };
+  if (isPlainObject(type) && !isExpression(type)) return type;
+  return null;
+}
+
+function checkArgType(field, value, argType) {
+  const errors = [];
+  const control = controlOf(argType);
+  const sbType = sbTypeOf(argType);
+  const options = Array.isArray(argType.options) && !argType.options.some(isExpression) ? argType.options : null;
+
+  if (options) {
+    const multiple = control && MULTI_CONTROLS.includes(control.type);
+    const values = multiple && Array.isArray(value) ? value : [value];
+    const invalid = values.filter(item => !options.some(option => JSON.stringify(option) === JSON.stringify(item)));
+    if (multiple && !Array.isArray(value)) {
+      errors.push({ field, code: 'type', message: `"${field}" must be an array`, expected: 'array', received: describeValue(value) });
+    } else if (invalid.length) {
+      errors.push({
+        field,
+        code: 'enum',
+        message: `"${field}" must be one of ${options.map(option => JSON.stringify(option)).join(', ')}`,
+        expected: options,
+        received: multiple ? invalid : value,
+      });
+    }
+    return errors;
+  }
+
+  const expected = (control && CHECKED_CONTROLS[control.type])
+    || (sbType && ['string', 'number', 'boolean', 'object', 'array'].includes(sbType.name) ? sbType.name : null);
+  if (expected) {
+    const received = describeValue(value);
+    const matches = expected === 'object' && !sbType ? received === 'object' || received === 'array' : received === expected;
+    if (!matches) {
+      errors.push({ field, code: 'type', message: `"${field}" must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}`, expected, received });
+      return errors;
+    }
+  }
+
+  if (control && typeof value === 'number') {
+    if (typeof control.min === 'number' && value < control.min) {
+      errors.push({ field, code: 'range', message: `"${field}" must be at least ${control.min}`, expected: { min: control.min }, received: value });
+    }
+    if (typeof control.max === 'number' && value > control.max) {
+      errors.push({ field, code: 'range', message: `"${field}" must be at most ${control.max}`, expected: { max: control.max }, received: value });
+    }
+  }
+
+  return errors;
+}
+
+function checkProperty(field, value, property) {
+  const options = Array.isArray(property.options) && property.options.length
+    ? property.options
+    : property.tsType && literalOptions(property.tsType);
+  if (options) {
+    if (!options.includes(value)) {
+      return [{
+        field,
+        code: 'enum',
+        message: `"${field}" must be one of ${options.map(option => JSON.stringify(option)).join(', ')}`,
+        expected: options,
+        received: value,
+      }];
+    }
+    return [];
+  }
+
+  if (property.tsType && matchesTsType(value, property.tsType) === false) {
+    return [{
+      field,
+      code: 'type',
+      message: `"${field}" must be of type ${property.tsType}`,
+      expected: property.tsType,
+      received: describeValue(value),
+    }];
+  }
+  return [];
+}
+
+/**
+ * Validate args against a story's argTypes and component properties
+ *
+ * @param {object} args - Args to validate
+ * @param {object} [options]
+ * @param {object} [options.argTypes] - Story argTypes (meta and story merged)
+ * @param {object} [options.properties] - Component properties from the component docs
+ * @param {object} [options.storyArgs] - Args the story already sets, counted for `required`
+ * @returns {{ valid: boolean, errors: object[], warnings: object[] }}
+ */
+function validateArgs(args, { argTypes = {}, properties = {}, storyArgs = {} } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [field, value] of Object.entries(args)) {
+    const argType = isPlainObject(argTypes[field]) ? argTypes[field] : null;
+    const property = properties[field];
+
+    if (!argType && !property) {
+      warnings.push({ field, code: 'unknown', message: `"${field}" is not an argType or a property of the component` });
+      continue;
+    }
+    if (value === null && property && !property.required) continue;
+
+    // argTypes are the story author's intent and override the component type
+    const fieldErrors = argType ? checkArgType(field, value, argType) : [];
+    const checkedByArgType = argType && (argType.options || controlOf(argType) || sbTypeOf(argType));
+    if (!fieldErrors.length && property && !checkedByArgType) {
+      fieldErrors.push(...checkProperty(field, value, property));
+    }
+    errors.push(...fieldErrors);
+  }
+
+  const required = new Set([
+    ...Object.entries(properties).filter(([, property]) => property.required && property.type !== 'output').map(([name]) => name),
+    ...Object.entries(argTypes).filter(([, argType]) => isPlainObject(argType) && sbTypeOf(argType)?.required).map(([name]) => name),
+  ]);
+  for (const field of required) {
+    if (args[field] === undefined && storyArgs[field] === undefined) {
+      errors.push({ field, code: 'required', message: `"${field}" is required` });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  validateArgs,
+  matchesTsType,
+};
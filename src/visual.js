@@ -0,0 +1,360 @@
+/**
+ * Visual regression testing against a screenshot baseline
+ *
+ * `captureBaseline` screenshots every story of the index:
+ *
+ *   <baseline>/baseline.json     viewport, globals and the captured stories
+ *   <baseline>/<storyId>.png
+ *
+ * `compareWithBaseline` captures the stories again with the same settings and
+ * diffs them pixel by pixel (pixelmatch). The report directory gets:
+ *
+ *   report.json                  summary and status of every story
+ *   report.html                  baseline / current / diff side by side
+ *   current/<storyId>.png
+ *   diff/<storyId>.png           for changed stories
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const { RenderPool, DEFAULT_VIEWPORT } = require('./render');
+const { readIndex } = require('./export');
+
+const BASELINE_FILE = 'baseline.json';
+
+/**
+ * Storybook to capture from: a running instance, or a build served on a random local port
+ */
+async function openStorybook({ storybookUrl, staticDir }) {
+  if (storybookUrl) {
+    return { url: storybookUrl.replace(/\/$/, ''), close: async () => {} };
+  }
+  if (!fs.existsSync(path.join(staticDir, 'index.json'))) {
+    throw new Error(`Storybook index not found at ${path.join(staticDir, 'index.json')}. Run \`storybook build\` first.`);
+  }
+
+  const app = express();
+  app.use(express.static(staticDir));
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
+
+/**
+ * Run `fn` over `items` with at most `concurrency` calls at once
+ */
+async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next;
+      next += 1;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Screenshot every story of a Storybook
+ *
+ * @returns {Promise<Array<{ entry: object, png?: Buffer, error?: string }>>}
+ */
+async function captureStories(options, onCapture = () => {}) {
+  const { viewport, globals, timeout, concurrency = 2, launchOptions } = options;
+  const storybook = await openStorybook(options);
+  const pool = new RenderPool({ size: concurrency, timeout, launchOptions });
+
+  try {
+    const index = await readIndex({ storybookUrl: storybook.url });
+    const entries = Object.values(index.entries || {}).filter(entry => entry.type === 'story');
+
+    return await mapConcurrent(entries, concurrency, async (entry) => {
+      let result;
+      try {
+        const png = await pool.screenshot(storybook.url, entry.id, { viewport, globals });
+        result = { entry, png };
+      } catch (error) {
+        // Without puppeteer nothing can be captured, stop right away
+        if (error.status === 501) throw error;
+        result = { entry, error: error.message };
+      }
+      onCapture(result);
+      return result;
+    });
+  } finally {
+    await pool.close();
+    await storybook.close();
+  }
+}
+
+function writeFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, data);
+}
+
+/**
+ * Capture the baseline screenshots of every story
+ *
+ * @param {object} options
+ * @param {string} options.outDir - Baseline directory
+ * @param {string} [options.storybookUrl] - Running Storybook to capture from
+ * @param {string} [options.staticDir] - Or a `storybook build` output, served locally
+ * @param {{ width?: number, height?: number, deviceScaleFactor?: number }} [options.viewport]
+ * @param {object|string} [options.globals] - e.g. `{ theme: 'dark' }`
+ * @param {number} [options.timeout] - Timeout per story in ms
+ * @param {number} [options.concurrency=2] - Stories captured at once
+ * @param {function} [options.onCapture] - Called with `{ entry, png?, error? }` after each story
+ * @returns {Promise<{ outDir: string, captured: number, failed: Array<{ id: string, error: string }> }>}
+ */
+async function captureBaseline(options) {
+  const { outDir } = options;
+  const viewport = { ...DEFAULT_VIEWPORT, ...options.viewport };
+  const results = await captureStories({ ...options, viewport }, options.onCapture);
+
+  // Drop the screenshots of the previous baseline, stories may have been removed
+  const previous = readBaselineManifest(outDir);
+  for (const story of Object.values(previous?.stories || {})) {
+    fs.rmSync(path.join(outDir, story.file), { force: true });
+  }
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    viewport,
+    globals: options.globals || null,
+    stories: {},
+  };
+  const failed = [];
+  for (const { entry, png, error } of results) {
+    if (error) {
+      failed.push({ id: entry.id, error });
+      continue;
+    }
+    const file = `${entry.id}.png`;
+    writeFile(path.join(outDir, file), png);
+    manifest.stories[entry.id] = { title: entry.title, name: entry.name, file };
+  }
+  writeFile(path.join(outDir, BASELINE_FILE), JSON.stringify(manifest, null, 2));
+
+  return { outDir, captured: Object.keys(manifest.stories).length, failed };
+}
+
+function readBaselineManifest(baselineDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(baselineDir, BASELINE_FILE), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Copy a PNG onto a transparent canvas of the given size
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Diff two PNGs. Images of different sizes are compared on the larger canvas,
+ * so the added or removed area counts as changed pixels.
+ *
+ * @param {Buffer} baseline
+ * @param {Buffer} current
+ * @param {object} [options]
+ * @param {number} [options.threshold=0.1] - Color distance (0-1) under which pixels are equal
+ * @returns {{ diffPixels: number, totalPixels: number, sizeChanged: boolean, diff: Buffer }}
+ */
+function comparePngs(baseline, current, { threshold = 0.1 } = {}) {
+  const before = PNG.sync.read(baseline);
+  const after = PNG.sync.read(current);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const diff = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padImage(before, width, height).data,
+    padImage(after, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold },
+  );
+
+  return {
+    diffPixels,
+    totalPixels: width * height,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    diff: PNG.sync.write(diff),
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Self-contained HTML report, images referenced relative to the report directory
+ */
+function renderReportHtml(report) {
+  const order = ['changed', 'failed', 'removed', 'added', 'unchanged'];
+  const stories = [...report.stories].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+  const image = (src) => (src ? `<a href="${escapeHtml(src)}"><img src="${escapeHtml(src)}" loading="lazy" alt=""></a>` : '');
+
+  const rows = stories.map(story => `
+      <tr class="${story.status}">
+        <td><strong>${escapeHtml(story.title || '')}</strong><br>${escapeHtml(story.name || story.id)}<br><code>${escapeHtml(story.id)}</code></td>
+        <td><span class="status">${story.status}</span>${story.diffPixels ? `<br>${story.diffPixels} px (${(story.diffRatio * 100).toFixed(2)}%)` : ''}${story.sizeChanged ? '<br>size changed' : ''}${story.error ? `<br>${escapeHtml(story.error)}` : ''}</td>
+        <td>${image(story.baseline)}</td>
+        <td>${image(story.current)}</td>
+        <td>${image(story.diff)}</td>
+      </tr>`).join('');
+
+  const summary = order.map(status => `<li class="${status}">${status}: <strong>${report.summary[status]}</strong></li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Visual regression report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }
+    ul { display: flex; gap: 16px; padding: 0; list-style: none; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+    img { max-width: 320px; max-height: 240px; background: repeating-conic-gradient(#eee 0 25%, #fff 0 50%) 0 0 / 16px 16px; }
+    .status { font-weight: bold; text-transform: uppercase; font-size: 12px; }
+    .changed .status, .failed .status, .removed .status { color: #c62828; }
+    .added .status { color: #1565c0; }
+    .unchanged .status { color: #2e7d32; }
+  </style>
+</head>
+<body>
+  <h1>Visual regression report</h1>
+  <p>${report.passed ? 'No visual changes.' : 'Visual changes found.'} Compared to the baseline of ${escapeHtml(report.baselineCreatedAt || 'unknown date')} (threshold ${report.threshold}, max ${report.maxDiffPixels} different pixels).</p>
+  <ul>${summary}</ul>
+  <table>
+    <thead><tr><th>Story</th><th>Status</th><th>Baseline</th><th>Current</th><th>Diff</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Compare the current stories with a baseline and write a JSON and HTML report
+ *
+ * A story is `unchanged` when at most `maxDiffPixels` pixels differ, otherwise
+ * `changed`; stories missing from the baseline are `added`, baseline stories
+ * missing from the index `removed`, and stories that fail to render `failed`.
+ *
+ * @param {object} options
+ * @param {string} options.baselineDir - Directory written by `captureBaseline`
+ * @param {string} options.outDir - Report directory
+ * @param {string} [options.storybookUrl] - Running Storybook to capture from
+ * @param {string} [options.staticDir] - Or a `storybook build` output, served locally
+ * @param {number} [options.threshold=0.1] - pixelmatch color threshold (0-1)
+ * @param {number} [options.maxDiffPixels=0] - Different pixels tolerated per story
+ * @param {object} [options.viewport] - Defaults to the viewport of the baseline
+ * @param {object|string} [options.globals] - Defaults to the globals of the baseline
+ * @param {number} [options.timeout] - Timeout per story in ms
+ * @param {number} [options.concurrency=2]
+ * @param {function} [options.onCapture]
+ * @returns {Promise<object>} The report (also written to `report.json`)
+ */
+async function compareWithBaseline(options) {
+  const { baselineDir, outDir, threshold = 0.1, maxDiffPixels = 0 } = options;
+  const manifest = readBaselineManifest(baselineDir);
+  if (!manifest) {
+    throw new Error(`No baseline found in ${baselineDir}. Capture one with \`storybook-rest-api baseline\` first.`);
+  }
+
+  const results = await captureStories({
+    ...options,
+    viewport: { ...manifest.viewport, ...options.viewport },
+    globals: options.globals || manifest.globals || undefined,
+  }, options.onCapture);
+
+  const relative = (filePath) => path.relative(outDir, filePath).split(path.sep).join('/');
+  const stories = [];
+
+  for (const { entry, png, error } of results) {
+    const story = { id: entry.id, title: entry.title, name: entry.name };
+    const known = manifest.stories[entry.id];
+    const baselineFile = known && path.join(baselineDir, known.file);
+    if (known) story.baseline = relative(baselineFile);
+
+    if (error) {
+      stories.push({ ...story, status: 'failed', error });
+      continue;
+    }
+
+    const currentFile = path.join(outDir, 'current', `${entry.id}.png`);
+    writeFile(currentFile, png);
+    story.current = relative(currentFile);
+
+    if (!known || !fs.existsSync(baselineFile)) {
+      stories.push({ ...story, status: 'added' });
+      continue;
+    }
+
+    const result = comparePngs(fs.readFileSync(baselineFile), png, { threshold });
+    const changed = result.sizeChanged || result.diffPixels > maxDiffPixels;
+    if (changed) {
+      const diffFile = path.join(outDir, 'diff', `${entry.id}.png`);
+      writeFile(diffFile, result.diff);
+      story.diff = relative(diffFile);
+    }
+    stories.push({
+      ...story,
+      status: changed ? 'changed' : 'unchanged',
+      diffPixels: result.diffPixels,
+      diffRatio: result.diffPixels / result.totalPixels,
+      ...(result.sizeChanged ? { sizeChanged: true } : {}),
+    });
+  }
+
+  const seen = new Set(results.map(({ entry }) => entry.id));
+  for (const [id, known] of Object.entries(manifest.stories)) {
+    if (!seen.has(id)) {
+      stories.push({ id, title: known.title, name: known.name, status: 'removed', baseline: relative(path.join(baselineDir, known.file)) });
+    }
+  }
+
+  const summary = { total: stories.length, unchanged: 0, changed: 0, added: 0, removed: 0, failed: 0 };
+  stories.forEach(story => { summary[story.status] += 1; });
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    baselineCreatedAt: manifest.createdAt,
+    threshold,
+    maxDiffPixels,
+    passed: summary.changed + summary.removed + summary.failed === 0,
+    summary,
+    stories,
+  };
+  writeFile(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+  writeFile(path.join(outDir, 'report.html'), renderReportHtml(report));
+  return report;
+}
+
+module.exports = {
+  captureBaseline,
+  compareWithBaseline,
+  comparePngs,
+};
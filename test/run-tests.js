@@ -11,6 +11,8 @@ const TIMEOUT = 120000; // 2 minutes per test
 const args = process.argv.slice(2);
 const onlyIndex = args.indexOf('--only');
 const onlyExample = onlyIndex !== -1 ? args[onlyIndex + 1] : null;
+// Only the checks that need no example Storybook
+const onlyChecks = args.includes('--checks');
 
 let examples = [
   { name: 'test-sb8', expectedVersion: 8, port: 6006 },
@@ -18,7 +20,9 @@ let examples = [
   { name: 'test-sb10', expectedVersion: 10, port: 6008 },
 ];
 
-if (onlyExample) {
+if (onlyChecks) {
+  examples = [];
+} else if (onlyExample) {
   examples = examples.filter(e => e.name === onlyExample);
   if (examples.length === 0) {
     console.error(`Example not found: ${onlyExample}`);
@@ -32,10 +36,10 @@ async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function fetch(url, retries = 3) {
+async function fetch(url, options = {}, retries = 3) {
   for (let i = 0; i < retries; i++) {
     try {
-      const response = await import('node-fetch').then(m => m.default(url));
+      const response = await import('node-fetch').then(m => m.default(url, options));
       return response;
     } catch (error) {
       if (i === retries - 1) throw error;
@@ -44,6 +48,1426 @@ async function fetch(url, retries = 3) {
   }
 }
 
+// ============================================
+// Checks without a Storybook: pure functions and in-process apps
+// ============================================
+
+const checkResults = [];
+
+function expect(errors, condition, message) {
+  if (!condition) {
+    errors.push(message);
+  }
+}
+
+/**
+ * Start `createApp` on a free port, pass its URL, the app and the HTTP server
+ * to `callback`, then close it
+ */
+async function withApp(config, callback) {
+  const { createApp } = require('../src/server');
+  const app = createApp({
+    storybookUrl: 'http://127.0.0.1:9',
+    projectDir: path.join(EXAMPLES_DIR, 'test-sb10'),
+    watch: false,
+    ...config,
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  try {
+    return await callback(`http://localhost:${server.address().port}`, app, server);
+  } finally {
+    server.close();
+    app.locals.cache.close();
+    app.locals.renderer.close();
+    app.locals.events.close();
+  }
+}
+
+/**
+ * Write `files` (relative path -> content) to a temporary project directory,
+ * pass its path to `callback`, then remove it
+ */
+async function withProject(files, callback) {
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'storybook-rest-api-'));
+  try {
+    for (const [filePath, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(projectDir, filePath)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, filePath), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return await callback(projectDir);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Serve `getIndex()` as `/index.json`, like a running Storybook, pass its URL
+ * to `callback`, then stop it
+ */
+async function withStorybook(getIndex, callback) {
+  const http = require('http');
+  const server = http.createServer((req, res) => {
+    if (req.url === '/index.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(getIndex()));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    return await callback(`http://localhost:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * index.json of a `storybook build` of test-sb10, with the Button stories
+ */
+function exampleIndex() {
+  const entry = (name, type = 'story') => ({
+    id: `example-button--${name.toLowerCase()}`,
+    title: 'Example/Button',
+    name,
+    importPath: './src/stories/button.stories.ts',
+    type,
+    tags: ['dev', 'autodocs'],
+    ...(type === 'story' ? { componentPath: './src/stories/button.component.ts' } : {}),
+  });
+  const entries = [entry('Docs', 'docs'), entry('Primary'), entry('Secondary')];
+  return { v: 5, entries: Object.fromEntries(entries.map(item => [item.id, item])) };
+}
+
+const checks = [];
+
+// user-001: CSF parsing from the AST
+checks.push(['CSF parser (user-001)', async (errors) => {
+  const { parseCsf, findStory, isExpression } = require('../src/csf');
+  const csf = parseCsf(`
+import type { Meta, StoryObj } from '@storybook/angular';
+import { fn } from '@storybook/test';
+import { ButtonComponent } from './button.component';
+
+const meta = {
+  title: 'Forms/Button',
+  component: ButtonComponent,
+  tags: ['autodocs'],
+  args: { onClick: fn() },
+  argTypes: { size: { control: 'select', options: ['small', 'large'] } },
+} satisfies Meta<ButtonComponent>;
+export default meta;
+type Story = StoryObj<ButtonComponent>;
+
+export const Primary: Story = {
+  args: { label: 'Hello, world', items: [1, { a: 'b,c' }] },
+  parameters: { layout: 'centered' },
+  play: async ({ canvasElement }) => {},
+};
+
+export const Derived: Story = {
+  args: { ...Primary.args, label: 'Other' },
+  tags: ['!autodocs'],
+  name: 'Custom name',
+};
+`, 'button.stories.ts');
+
+  expect(errors, csf.meta.title === 'Forms/Button', 'Title should be read through `satisfies`');
+  expect(errors, csf.meta.component === 'ButtonComponent', 'Component should be the identifier name');
+  expect(errors, isExpression(csf.meta.args.onClick), 'fn() should be kept as an expression');
+  expect(errors, csf.meta.argTypes.size.options.join() === 'small,large', 'argTypes should be parsed');
+  expect(errors, Object.keys(csf.stories).join() === 'Primary,Derived', 'Every named story should be found');
+
+  const primary = csf.stories.Primary;
+  expect(errors, primary.args.label === 'Hello, world', 'Strings with commas should stay whole');
+  expect(errors, JSON.stringify(primary.args.items) === '[1,{"a":"b,c"}]', 'Nested arrays and objects should be parsed');
+  expect(errors, primary.parameters.layout === 'centered', 'Parameters should be parsed');
+  expect(errors, typeof primary.play === 'string' && primary.play.includes('canvasElement'), 'Play function source should be kept');
+  expect(errors, primary.id === 'forms-button--primary', `Story ID should follow Storybook, got ${primary.id}`);
+
+  const derived = csf.stories.Derived;
+  expect(errors, derived.args.label === 'Other' && derived.args.items?.length === 2, 'Spread args should be merged');
+  expect(errors, derived.name === 'Custom name', 'Story name should be read');
+  expect(errors, derived.tags.join() === '!autodocs', 'Story tags should be read');
+  expect(errors, findStory(csf, 'forms-button--derived')?.exportName === 'Derived', 'findStory should match the story ID');
+}]);
+
+// user-002: Angular docs from Compodoc, scraping only as a fallback
+checks.push(['Compodoc docs (user-002)', async (errors) => {
+  const { resolveComponentDocs } = require('../src/parsers');
+  const component = `import { Component, Input } from '@angular/core';
+@Component({ selector: 'app-field', template: '' })
+export class FieldComponent {
+  /** Field label */
+  @Input() label: string = 'Name';
+}
+`;
+  const documentation = {
+    components: [{
+      name: 'FieldComponent',
+      file: 'src/field.component.ts',
+      selector: 'app-field',
+      extends: ['BaseField'],
+      inputsClass: [
+        { name: 'label', type: 'InputSignal<string>', defaultValue: 'input.required<string>()', rawdescription: 'Field label' },
+        { name: 'value', type: 'ModelSignal<string>', defaultValue: "model('')" },
+      ],
+      outputsClass: [{ name: 'value', type: 'ModelSignal<string>', defaultValue: "model('')" }],
+      methodsClass: [{ name: 'focus', args: [], returnType: 'void' }],
+    }],
+    classes: [{ name: 'BaseField', inputsClass: [{ name: 'disabled', type: 'boolean', defaultValue: 'false' }] }],
+  };
+
+  await withProject({ 'src/field.component.ts': component }, async (projectDir) => {
+    const docs = resolveComponentDocs(path.join(projectDir, 'src/field.component.ts'), { projectDir, componentName: 'FieldComponent' });
+    expect(errors, docs?.source === 'source', `Without documentation.json the source should be scraped, got ${docs?.source}`);
+    expect(errors, docs?.properties?.label?.type === 'input', 'Scraped @Input() should be listed');
+  });
+
+  await withProject({ 'src/field.component.ts': component, 'documentation.json': documentation }, async (projectDir) => {
+    const docs = resolveComponentDocs(path.join(projectDir, 'src/field.component.ts'), { projectDir, componentName: 'FieldComponent' });
+    const { label, value, disabled } = docs?.properties || {};
+    expect(errors, docs?.source === 'compodoc', `documentation.json should be used, got ${docs?.source}`);
+    expect(errors, label?.signal && label.required && label.tsType === 'string', 'input.required() should be a required signal input');
+    expect(errors, value?.twoWayBinding && value.tsType === 'string', 'model() should be a two-way binding');
+    expect(errors, disabled?.inheritedFrom === 'BaseField', 'Inherited inputs should be listed');
+    expect(errors, docs?.methods?.[0]?.name === 'focus', 'Methods should be listed');
+  });
+}]);
+
+// user-003: index cache, file-watch invalidation and conditional requests
+checks.push(['Index cache (user-003)', async (errors) => {
+  const { StoryCache } = require('../src/cache');
+  let index = exampleIndex();
+
+  await withStorybook(() => index, async (storybookUrl) => {
+    await withProject({ 'src/button.stories.ts': '' }, async (projectDir) => {
+      const cache = new StoryCache({ storybookUrl, projectDir, watch: true });
+      try {
+        const first = await cache.getIndex();
+        expect(errors, Object.keys(first.entries).length === 3, 'The index should be fetched');
+        index = { v: 5, entries: {} };
+        expect(errors, (await cache.getIndex()) === first, 'The index should be cached');
+
+        let computed = 0;
+        const compute = async () => ++computed;
+        await cache.memo('docs', compute);
+        await cache.memo('docs', compute);
+        expect(errors, computed === 1, 'Memoized values should be computed once');
+
+        // chokidar needs a moment before it reports changes
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const invalidated = new Promise((resolve) => {
+          const timer = setTimeout(() => resolve(null), 5000);
+          cache.once('invalidate', (details) => {
+            clearTimeout(timer);
+            resolve(details);
+          });
+        });
+        fs.writeFileSync(path.join(projectDir, 'src/button.stories.ts'), 'export default {};');
+        const details = await invalidated;
+        expect(errors, details?.files?.some(item => item.file === path.join('src', 'button.stories.ts')), 'Changing a story file should invalidate the cache');
+        await cache.memo('docs', compute);
+        expect(errors, computed === 2, 'Memoized values should be dropped on invalidation');
+        expect(errors, Object.keys((await cache.getIndex()).entries).length === 0, 'The index should be fetched again after an invalidation');
+      } finally {
+        await cache.close();
+      }
+    });
+
+    index = exampleIndex();
+    await withApp({ storybookUrl }, async (baseUrl, app) => {
+      const first = await fetch(`${baseUrl}/api/stories`);
+      const etag = first.headers.get('etag');
+      expect(errors, Boolean(etag) && Boolean(first.headers.get('last-modified')), 'ETag and Last-Modified should be set');
+      const cached = await fetch(`${baseUrl}/api/stories`, { headers: { 'If-None-Match': etag } });
+      expect(errors, cached.status === 304, `Matching If-None-Match should give 304, got ${cached.status}`);
+      app.locals.cache.invalidate();
+      const changed = await fetch(`${baseUrl}/api/stories`, { headers: { 'If-None-Match': etag } });
+      expect(errors, changed.status === 200 && changed.headers.get('etag') !== etag, 'The ETag should change after an invalidation');
+    });
+  });
+}]);
+
+// user-003: memoized values computed across an invalidation are not kept
+checks.push(['Memo during invalidation (user-003)', async (errors) => {
+  const { StoryCache } = require('../src/cache');
+  const { FederatedCache } = require('../src/sources');
+  const caches = [
+    ['StoryCache', new StoryCache({ storybookUrl: 'http://127.0.0.1:9', watch: false })],
+    ['FederatedCache', new FederatedCache({ sources: [{ name: 'design', url: 'http://127.0.0.1:9', framework: 'react' }], watch: false })],
+  ];
+  for (const [name, cache] of caches) {
+    try {
+      let computed = 0;
+      let finish;
+      const slow = () => {
+        computed += 1;
+        return new Promise(resolve => {
+          finish = resolve;
+        });
+      };
+      const first = cache.memo('docs', slow);
+      const second = cache.memo('docs', slow);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(errors, computed === 1, `${name}: concurrent callers should share one computation, got ${computed}`);
+
+      cache.invalidate();
+      finish('stale');
+      expect(errors, (await first) === 'stale' && (await second) === 'stale', `${name}: the pending callers should get their value`);
+      const fresh = await cache.memo('docs', async () => {
+        computed += 1;
+        return 'fresh';
+      });
+      expect(errors, fresh === 'fresh' && computed === 2, `${name}: a value computed before an invalidation should not be kept, got ${fresh}`);
+
+      await cache.memo('broken', () => Promise.reject(new Error('boom'))).catch(() => {});
+      const retried = await cache.memo('broken', () => 'ok');
+      expect(errors, retried === 'ok', `${name}: a failed computation should not be kept`);
+    } finally {
+      await cache.close();
+    }
+  }
+}]);
+
+// user-004: filters, sorting, cursor pagination and projection on /api/stories
+checks.push(['Story queries (user-004)', async (errors) => {
+  const index = exampleIndex();
+  index.entries['example-header--logged-in'] = {
+    id: 'example-header--logged-in',
+    title: 'Example/Header',
+    name: 'Logged In',
+    importPath: './src/stories/header.stories.ts',
+    type: 'story',
+    tags: ['dev', 'autodocs', 'layout'],
+  };
+
+  await withStorybook(() => index, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      const ids = async (query) => {
+        const body = await (await fetch(`${baseUrl}/api/stories?${query}`)).json();
+        return (body.stories || []).map(story => story.id).join();
+      };
+
+      expect(errors, (await ids('tag=layout')) === 'example-header--logged-in', '?tag= should keep stories with the tag');
+      expect(errors, !(await ids('tag=autodocs&tag=!layout')).includes('header'), '?tag=! should exclude stories with the tag');
+      expect(errors, (await ids('type=docs')) === 'example-button--docs', '?type= should filter by entry type');
+      expect(errors, (await ids('title=**/Header')) === 'example-header--logged-in', '?title= globs should match the title');
+      expect(errors, (await ids('component=HeaderComponent')) === 'example-header--logged-in', '?component= should match the meta component');
+      expect(errors, (await ids('q=logged')) === 'example-header--logged-in', '?q= should search the story names');
+
+      const first = await (await fetch(`${baseUrl}/api/stories?type=story&sort=-name&limit=2&fields=id,name`)).json();
+      expect(errors, first.count === 2 && first.total === 3, `The first page should have 2 of 3 stories, got ${first.count} of ${first.total}`);
+      expect(errors, first.stories?.map(story => story.name).join() === 'Secondary,Primary', 'Stories should be sorted by name, descending');
+      expect(errors, Object.keys(first.stories?.[0] || {}).join() === 'id,name', '?fields= should project the stories');
+      expect(errors, Boolean(first.nextCursor) && first.links?.next?.includes(`cursor=${first.nextCursor}`), 'The next page should be linked');
+
+      const second = await (await fetch(`${baseUrl}${first.links.next}`)).json();
+      expect(errors, second.stories?.map(story => story.name).join() === 'Logged In', 'The cursor should continue after the first page');
+      expect(errors, second.nextCursor === null && second.links?.next === null, 'The last page should have no next cursor');
+
+      for (const query of ['sort=bogus', 'limit=0', 'cursor=nope']) {
+        const response = await fetch(`${baseUrl}/api/stories?${query}`);
+        const body = await response.json();
+        expect(errors, response.status === 400 && body.success === false && Boolean(body.error), `?${query} should give 400, got ${response.status}`);
+      }
+    });
+  });
+}]);
+
+// user-005: sidebar tree built from the story titles
+checks.push(['Sidebar tree (user-005)', async (errors) => {
+  const { buildTree, findSubtree, pruneTree } = require('../src/tree');
+  const entry = (id, title, type = 'story', tags = []) => ({ id, title, name: id.split('--')[1], type, tags, importPath: `./${id}.stories.ts` });
+  const tree = buildTree({
+    a: entry('forms-input--docs', 'Forms/Input', 'docs'),
+    b: entry('forms-input--default', 'Forms/Input', 'story', ['beta']),
+    c: entry('forms-input-masked--default', 'Forms/Input/Masked'),
+    d: entry('layout-grid--default', 'Layout/Grid'),
+  });
+
+  const forms = findSubtree(tree, 'Forms');
+  expect(errors, tree.counts.stories === 3 && tree.counts.docs === 1, 'Root counts should include every entry');
+  expect(errors, forms?.type === 'group' && forms.counts.components === 2, `Forms should be a group of two components, got ${JSON.stringify(forms?.counts)}`);
+  const input = findSubtree(tree, 'forms/input');
+  expect(errors, input?.type === 'component' && input.children.some(child => child.type === 'group' || child.type === 'component'), 'A title with deeper titles should be a component with children');
+  expect(errors, input?.tags.includes('beta') && input.importPath === './forms-input--default.stories.ts', 'Components should collect tags and the story file');
+  expect(errors, findSubtree(tree, 'layout-grid')?.path === 'Layout/Grid', 'Subtrees should be found by node ID');
+  expect(errors, pruneTree(tree, 1).children.every(child => !child.children), 'depth=1 should drop the grandchildren');
+
+  await withStorybook(exampleIndex, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      const button = await (await fetch(`${baseUrl}/api/tree/Example/Button`)).json();
+      expect(errors, button.tree?.type === 'component' && button.tree.counts.stories === 2 && button.tree.counts.docs === 1, 'The Button subtree should be served');
+      const root = await (await fetch(`${baseUrl}/api/tree?depth=1`)).json();
+      expect(errors, root.tree?.children?.[0]?.name === 'Example' && !root.tree.children[0].children, '?depth= should limit the tree');
+      expect(errors, (await fetch(`${baseUrl}/api/tree/Missing`)).status === 404, 'Unknown subtrees should give 404');
+      expect(errors, (await fetch(`${baseUrl}/api/tree?depth=-1`)).status === 400, 'Invalid depths should give 400');
+    });
+  });
+}]);
+
+// user-006: search ranking, prefix matching, type filters and highlights
+checks.push(['Search ranking (user-006)', async (errors) => {
+  const EventEmitter = require('events');
+  const { SearchIndex, tokenize, highlight } = require('../src/search');
+  const entries = {
+    'forms-input--docs': { id: 'forms-input--docs', title: 'Forms/Input', name: 'Docs', type: 'docs', importPath: './input.mdx' },
+    'forms-input--colored': { id: 'forms-input--colored', title: 'Forms/Input', name: 'Colored', type: 'story', importPath: './input.stories.ts' },
+    'forms-color-picker--default': { id: 'forms-color-picker--default', title: 'Forms/Color Picker', name: 'Default', type: 'story', importPath: './picker.stories.ts' },
+  };
+  const docs = {
+    './input.mdx': { mdxContent: 'import { Meta } from "@storybook/blocks";\n\n# Input\n\nPick a <strong>color</strong> {props.theme} for the border.' },
+    './input.stories.ts': { component: 'InputComponent', properties: { backgroundColor: { description: 'Background <color>' } } },
+    './picker.stories.ts': { component: 'ColorPickerComponent', properties: { value: { description: 'Picked value' } } },
+  };
+  const cache = Object.assign(new EventEmitter(), { getIndex: async () => ({ entries }) });
+  const search = new SearchIndex({ cache, getDocs: async entry => docs[entry.importPath] });
+  await search.ensure();
+
+  expect(errors, tokenize('backgroundColor').join() === 'background,color', 'camelCase should be split into words');
+  expect(errors, highlight('a <b> color', ['color']) === 'a &lt;b&gt; <mark>color</mark>', 'Highlights should be HTML-escaped');
+
+  const ranked = search.search('picker').results.map(result => result.type).join();
+  expect(errors, ranked.startsWith('component') && ranked.endsWith('story'), `A component name match should rank above a title match, got ${ranked}`);
+  const { results } = search.search('color');
+  expect(errors, results.some(result => result.type === 'prop' && result.name === 'backgroundColor'), 'Props should match on camelCase words');
+  const mdx = results.find(result => result.type === 'mdx');
+  expect(errors, mdx && !JSON.stringify(mdx.highlights).includes('props.theme') && !JSON.stringify(mdx.highlights).includes('import'), 'MDX should be indexed without imports and JSX');
+  expect(errors, search.search('col').total === search.search('color').total, 'Words should match by prefix');
+  expect(errors, search.search('color border').results.every(result => result.type === 'mdx'), 'All words should have to match');
+  expect(errors, search.search('color', { types: ['prop'] }).results.every(result => result.type === 'prop'), 'Results should be filtered by type');
+
+  await withStorybook(exampleIndex, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      const body = await (await fetch(`${baseUrl}/api/search?q=label&type=prop`)).json();
+      expect(errors, body.results?.[0]?.name === 'label' && body.results[0].component, `/api/search should find the Button label prop, got ${JSON.stringify(body.results?.[0])}`);
+      expect(errors, (await fetch(`${baseUrl}/api/search`)).status === 400, 'A search without q should give 400');
+    });
+  });
+}]);
+
+// user-007: OpenAPI document covering every route, and the offline explorer
+checks.push(['OpenAPI and explorer (user-007)', async (errors) => {
+  const packageJson = require('../package.json');
+
+  await withApp({}, async (baseUrl, app) => {
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+    expect(errors, spec.openapi === '3.1.0' && spec.info?.version === packageJson.version, 'The document should be OpenAPI 3.1 with the package version');
+    expect(errors, spec.servers?.[0]?.url === baseUrl, `servers should point at the request host, got ${spec.servers?.[0]?.url}`);
+
+    // Every /api route of the app, as an OpenAPI path
+    const routes = app._router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => [].concat(layer.route.path).flatMap(routePath => Object.keys(layer.route.methods)
+        .map(method => [method, routePath.replace(/:(\w+)/g, '{$1}').replace('*', '{path}')])))
+      .filter(([, routePath]) => routePath.startsWith('/api'));
+    for (const [method, routePath] of routes) {
+      expect(errors, Boolean(spec.paths?.[routePath]?.[method]), `${method.toUpperCase()} ${routePath} should be in the OpenAPI document`);
+    }
+
+    const refs = JSON.stringify(spec).match(/"#\/components\/schemas\/[^"]+"/g) || [];
+    for (const ref of new Set(refs)) {
+      const name = ref.slice(1, -1).split('/').pop();
+      expect(errors, Boolean(spec.components?.schemas?.[name]), `${ref} should resolve`);
+    }
+
+    const info = await (await fetch(`${baseUrl}/api`)).json();
+    expect(errors, info.endpoints?.['GET /api/stories/:storyId'] === spec.paths['/api/stories/{storyId}']?.get?.summary, '/api should list the endpoints of the document');
+
+    const explorer = await fetch(`${baseUrl}/api/explorer`);
+    const html = await explorer.text();
+    expect(errors, explorer.ok && (explorer.headers.get('content-type') || '').startsWith('text/html'), '/api/explorer should be an HTML page');
+    expect(errors, html.includes('/api/openapi.json') && !/(src|href)="(https?:)?\/\//.test(html), 'The explorer should load the document without external assets');
+  });
+}]);
+
+// user-008: static JSON export mirroring the live routes
+checks.push(['Static export (user-008)', async (errors) => {
+  const { exportApi } = require('../src/export');
+  const projectDir = path.join(EXAMPLES_DIR, 'test-sb10');
+  const readJson = (dir, file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+  await withProject({ 'index.json': exampleIndex() }, async (staticDir) => {
+    const outDir = path.join(staticDir, 'api');
+    const plugins = [{ name: 'owners', extendDocs: docs => ({ ...docs, owner: 'design-system' }) }];
+    const result = await exportApi({ projectDir, outDir, staticDir, plugins });
+    expect(errors, result.stories === 3, `Three entries should be exported, got ${result.stories}`);
+
+    const list = readJson(outDir, 'stories.json');
+    expect(errors, list.count === 3, 'stories.json should list every entry');
+    for (const file of ['stories/example-button--primary.json', 'docs/example-button--primary.json', 'kinds/example-button.json', 'components.json', 'tree.json']) {
+      expect(errors, fs.existsSync(path.join(outDir, file)), `${file} should be written`);
+    }
+    const docs = readJson(outDir, 'docs/example-button--primary.json').docs;
+    expect(errors, docs.owner === 'design-system', 'Plugins should extend the exported docs');
+
+    await withStorybook(exampleIndex, async (storybookUrl) => {
+      await withApp({ storybookUrl }, async (baseUrl) => {
+        const live = await (await fetch(`${baseUrl}/api/stories/example-button--primary`)).json();
+        const exported = readJson(outDir, 'stories/example-button--primary.json');
+        expect(errors, JSON.stringify(exported.story.args) === JSON.stringify(live.story.args), 'Exported story should match the live route');
+        const liveKind = await (await fetch(`${baseUrl}/api/stories/kind/Example%2FButton`)).json();
+        expect(errors, readJson(outDir, 'kinds/example-button.json').count === liveKind.count, 'Exported kind should match the live route');
+      });
+    });
+  });
+}]);
+
+// user-009: the API served from a `storybook build` output, without Storybook running
+checks.push(['Static build mode (user-009)', async (errors) => {
+  const files = { 'index.json': exampleIndex(), 'project.json': { framework: 'angular', storybookVersion: '10.0.0' } };
+  await withProject(files, async (staticDir) => {
+    await withApp({ staticDir }, async (baseUrl) => {
+      const info = await (await fetch(`${baseUrl}/api`)).json();
+      expect(errors, info.mode === 'static', `Mode should be static, got ${info.mode}`);
+      expect(errors, info.project?.storybookVersion === '10.0.0', 'project.json should be reported');
+
+      const list = await (await fetch(`${baseUrl}/api/stories`)).json();
+      expect(errors, list.count === 3, `Stories should come from the build index, got ${list.count}`);
+      const docs = await fetch(`${baseUrl}/api/docs/example-button--primary`);
+      expect(errors, docs.status === 200, `Docs should be read from the project sources, got ${docs.status}`);
+      const health = await (await fetch(`${baseUrl}/api/health`)).json();
+      expect(errors, health.ready && health.index.entries === 3, 'Static mode should be ready without a Storybook process');
+    });
+  });
+
+  await withProject({}, async (staticDir) => {
+    await withApp({ staticDir }, async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/api/stories`);
+      const body = await response.json();
+      expect(errors, response.status === 503 && /storybook build/.test(body.hint), `A build without index.json should give 503 with a hint, got ${response.status}`);
+    });
+  });
+}]);
+
+// user-010: several Storybooks merged under namespaced IDs
+checks.push(['Composition (user-010)', async (errors) => {
+  const { normalizeSources } = require('../src/sources');
+  const projectDir = path.join(EXAMPLES_DIR, 'test-sb10');
+  const { entries } = exampleIndex();
+  const primaryOnly = { v: 5, entries: { 'example-button--primary': entries['example-button--primary'] } };
+
+  let invalid = false;
+  try {
+    normalizeSources({ 'bad name': 'http://localhost:6006' });
+  } catch (error) {
+    invalid = true;
+  }
+  expect(errors, invalid, 'Invalid source names should be refused');
+
+  await withProject({ 'forms/index.json': exampleIndex(), 'buttons/index.json': primaryOnly }, async (dir) => {
+    const sources = {
+      forms: { projectDir, staticDir: path.join(dir, 'forms') },
+      buttons: { projectDir, staticDir: path.join(dir, 'buttons') },
+      down: 'http://127.0.0.1:9',
+    };
+    await withApp({ sources }, async (baseUrl) => {
+      const all = await (await fetch(`${baseUrl}/api/stories`)).json();
+      expect(errors, all.total === 4, `Entries of the available sources should be merged, got ${all.total}`);
+      expect(errors, all.stories.some(story => story.id === 'forms_example-button--primary'), 'IDs should be namespaced with the source');
+      const filtered = await (await fetch(`${baseUrl}/api/stories?source=buttons`)).json();
+      expect(errors, filtered.total === 1, `?source= should filter by source, got ${filtered.total}`);
+
+      const docs = await fetch(`${baseUrl}/api/docs/buttons_example-button--primary`);
+      const body = await docs.json();
+      expect(errors, docs.status === 200 && body.docs?.docsSource === 'compodoc' && body.docs.source === 'buttons', 'Docs should be resolved in the source project');
+
+      const health = await (await fetch(`${baseUrl}/api/sources`)).json();
+      const byName = Object.fromEntries(health.sources.map(source => [source.name, source]));
+      expect(errors, byName.forms?.status === 'ready' && byName.forms.storyCount === 3, 'Available sources should be ready');
+      expect(errors, byName.down?.status === 'error' && Boolean(byName.down.error), 'Unreachable sources should report an error');
+    });
+  });
+}]);
+
+// user-011: React props through the TypeScript compiler
+checks.push(['React props (user-011)', async (errors) => {
+  const { getReactComponentDocs } = require('../src/react-docgen');
+  const files = {
+    'Button.tsx': `import React, { forwardRef } from 'react';
+
+type Base = {
+  /** Visible text */
+  label: string;
+};
+
+export type ButtonProps = Base & {
+  /** How large the button is */
+  size?: 'small' | 'medium' | 'large';
+  primary?: boolean;
+  onClick?: () => void;
+};
+
+/** Primary UI component */
+export const Button = forwardRef<HTMLButtonElement, ButtonProps>(({ label, size = 'medium', primary = false, ...props }, ref) => (
+  <button ref={ref} {...props}>{label}</button>
+));
+`,
+    'Card.tsx': `import React from 'react';
+
+interface CardProps {
+  title: string;
+  variant?: 'flat' | 'raised';
+}
+
+export const Card: React.FC<CardProps> = ({ title, variant = 'flat' }) => <div className={variant}>{title}</div>;
+`,
+  };
+
+  await withProject(files, async (projectDir) => {
+    const button = getReactComponentDocs(path.join(projectDir, 'Button.tsx'), { componentName: 'Button' });
+    const { label, size, primary, onClick } = button?.properties || {};
+    expect(errors, button?.source === 'react-docgen' && button.description === 'Primary UI component', 'forwardRef component should be documented');
+    expect(errors, label?.required && label.tsType === 'string' && label.description === 'Visible text', 'Props of an intersection should be resolved with their JSDoc');
+    expect(errors, size?.options?.join() === 'small,medium,large' && size.defaultValue === "'medium'", 'Union options and destructuring defaults should be read');
+    expect(errors, primary?.required === false && primary.defaultValue === 'false', 'Optional props should not be required');
+    expect(errors, onClick?.tsType === '() => void', 'Function props should keep their type');
+
+    const card = getReactComponentDocs(path.join(projectDir, 'Card.tsx'), { componentName: 'Card' });
+    expect(errors, card?.properties?.title?.required === true, 'React.FC<Props> props should be resolved');
+    expect(errors, card?.properties?.variant?.options?.join() === 'flat,raised', 'Interface union options should be read');
+  });
+}]);
+
+// user-012: Vue and Svelte component docs
+checks.push(['Vue and Svelte docs (user-012)', async (errors) => {
+  const { resolveComponentDocs } = require('../src/parsers');
+  const files = {
+    'Button.vue': `<script setup lang="ts">
+const props = withDefaults(defineProps<{ label: string; size?: 'small' | 'large' }>(), { size: 'small' });
+const emit = defineEmits<{ (e: 'click', event: MouseEvent): void }>();
+const value = defineModel<string>('value');
+</script>
+<template><button @click="emit('click', $event)"><slot name="icon" />{{ label }}</button></template>
+`,
+    'Card.vue': `<script>
+export default {
+  props: { title: { type: String, required: true }, count: { type: Number, default: 0 } },
+  emits: ['close'],
+};
+</script>
+<template><div><slot /></div></template>
+`,
+    'Panel.svelte': `<script lang="ts">
+  import { createEventDispatcher } from 'svelte';
+  /** Heading text */
+  export let title: string;
+  export let open = false;
+  const dispatch = createEventDispatcher<{ toggle: boolean }>();
+</script>
+<div><slot /></div>
+`,
+    'Badge.svelte': `<script lang="ts">
+  let { label, variant = 'primary' }: { label: string; variant?: 'primary' | 'secondary' } = $props();
+</script>
+<span class={variant}>{label}</span>
+`,
+  };
+
+  await withProject(files, async (projectDir) => {
+    const docs = name => resolveComponentDocs(path.join(projectDir, name), { projectDir })?.properties || {};
+
+    const button = docs('Button.vue');
+    expect(errors, button.label?.required && button.size?.defaultValue === "'small'", 'Vue defineProps with withDefaults should be read');
+    expect(errors, button.click?.type === 'output', 'Vue defineEmits should give outputs');
+    expect(errors, button.value?.twoWayBinding && button['update:value']?.type === 'output', 'Vue defineModel should be a two-way binding');
+    expect(errors, button.icon?.type === 'slot', 'Vue named slots should be listed');
+
+    const card = docs('Card.vue');
+    expect(errors, card.title?.required && card.title.tsType === 'string', 'Vue Options API props should be read');
+    expect(errors, card.count?.defaultValue === '0' && card.close?.type === 'output', 'Options API defaults and emits should be read');
+
+    const panel = docs('Panel.svelte');
+    expect(errors, panel.title?.required && panel.title.description === 'Heading text', 'Svelte export let props should be read with their JSDoc');
+    expect(errors, panel.open?.required === false && panel.toggle?.type === 'output', 'Svelte defaults and dispatched events should be read');
+    expect(errors, panel.default?.type === 'slot', 'Svelte default slot should be listed');
+
+    const badge = docs('Badge.svelte');
+    expect(errors, badge.label?.required && badge.variant?.defaultValue === "'primary'", 'Svelte 5 $props() should be read');
+  });
+}]);
+
+// user-013: web component docs from a Custom Elements Manifest
+checks.push(['Custom Elements Manifest (user-013)', async (errors) => {
+  const { getCustomElementDocs } = require('../src/custom-elements');
+  const { generateUsageExample } = require('../src/parsers');
+  const manifest = {
+    schemaVersion: '1.0.0',
+    modules: [{
+      kind: 'javascript-module',
+      path: 'src/my-button.ts',
+      declarations: [{
+        kind: 'class',
+        name: 'MyButton',
+        customElement: true,
+        tagName: 'my-button',
+        description: 'A button',
+        attributes: [{ name: 'max-count', fieldName: 'maxCount', type: { text: 'number' } }, { name: 'disabled', fieldName: 'disabled' }],
+        members: [
+          { kind: 'field', name: 'maxCount', type: { text: 'number' }, default: '1' },
+          { kind: 'field', name: 'disabled', type: { text: 'boolean' } },
+          { kind: 'field', name: 'items', type: { text: 'string[]' } },
+          { kind: 'field', name: 'secret', privacy: 'private' },
+        ],
+        events: [{ name: 'press', type: { text: 'CustomEvent' } }],
+        slots: [{ name: '', description: 'Label' }],
+        cssParts: [{ name: 'label' }],
+        cssProperties: [{ name: '--my-button-bg', default: 'blue' }],
+      }],
+      exports: [{ kind: 'custom-element-definition', name: 'my-button', declaration: { name: 'MyButton', module: 'src/my-button.ts' } }],
+    }],
+  };
+
+  await withProject({ 'package.json': { customElements: 'dist/custom-elements.json' }, 'dist/custom-elements.json': manifest }, async (projectDir) => {
+    const docs = getCustomElementDocs(projectDir, { componentName: 'my-button' });
+    expect(errors, docs?.source === 'custom-elements' && docs.tagName === 'my-button', 'The manifest of package.json `customElements` should be used');
+    expect(errors, docs?.properties.maxCount?.attribute === 'max-count' && docs.properties.maxCount.defaultValue === '1', 'Fields should be mapped to their attributes');
+    expect(errors, !docs?.properties.secret, 'Private fields should be left out');
+    expect(errors, docs?.properties.press?.type === 'output' && docs.properties.default?.type === 'slot', 'Events and slots should be listed');
+    expect(errors, docs?.cssParts[0]?.name === 'label' && docs.cssProperties[0]?.defaultValue === 'blue', 'CSS parts and custom properties should be listed');
+    expect(errors, getCustomElementDocs(projectDir, { componentName: 'MyButton' })?.tagName === 'my-button', 'Elements should be found by class name');
+
+    const example = generateUsageExample('my-button', { disabled: true, maxCount: 3, items: ['a'], onPress: { __expression: 'fn()' } }, 'Primary', 'web-components', docs);
+    const expected = '<!-- Primary Example -->\n<my-button\n    disabled\n    max-count="3"\n    .items=${[\'a\']}\n    @press=${fn()}>\n</my-button>';
+    expect(errors, example === expected, `Web component example should use attributes, properties and events:\n${example}`);
+  });
+}]);
+
+// user-014: usage snippets per framework
+checks.push(['Usage snippets (user-014)', async (errors) => {
+  const { generateSnippet } = require('../src/snippets');
+  const componentDocs = {
+    name: 'Button',
+    properties: { label: { type: 'input' }, open: { type: 'input', twoWayBinding: true }, icon: { type: 'slot' } },
+  };
+  const args = { label: 'Save', options: { size: 2 }, onClick: { __expression: 'fn()' }, open: false, children: 'Hi' };
+  const snippet = framework => generateSnippet({ framework, args, component: 'Button', selector: 'app-button', componentDocs });
+  const lines = (...items) => items.join('\n');
+
+  expect(errors, snippet('react') === lines('<Button', '  label="Save"', '  options={{ size: 2 }}', '  onClick={handleClick}', '  open={false}', '>', '  Hi', '</Button>'),
+    `React snippet should use JSX expressions and handlers:\n${snippet('react')}`);
+  expect(errors, snippet('vue') === lines('<Button', '  label="Save"', '  :options="{ size: 2 }"', '  @click="handleClick"', '  v-model:open="open"', '>', '  Hi', '</Button>'),
+    `Vue snippet should use :prop, @event and v-model:\n${snippet('vue')}`);
+  expect(errors, snippet('svelte').includes('bind:open={open}') && snippet('svelte').includes('onClick={handleClick}'),
+    `Svelte snippet should use bind: and callback props:\n${snippet('svelte')}`);
+  expect(errors, snippet('angular').includes('[(open)]="open"') && snippet('angular').includes('(onClick)="handleClick($event)"'),
+    `Angular snippet should use two-way and event bindings:\n${snippet('angular')}`);
+
+  const slotted = generateSnippet({ framework: 'vue', args: { icon: 'star' }, component: 'Button', componentDocs });
+  expect(errors, slotted === lines('<Button>', '  <template #icon>star</template>', '</Button>'), `Named slots should become templates:\n${slotted}`);
+  expect(errors, generateSnippet({ framework: 'angular', args, selector: '[appTooltip]' }) === null, 'Attribute selectors should give no snippet');
+  expect(errors, generateSnippet({ framework: 'unknown', args }) === null, 'Unknown frameworks should give no snippet');
+
+  await withProject({ 'index.json': exampleIndex() }, async (staticDir) => {
+    await withApp({ staticDir }, async (baseUrl) => {
+      const { docs } = await (await fetch(`${baseUrl}/api/docs/example-button--primary`)).json();
+      const usage = JSON.stringify(docs?.usageExamples || '');
+      expect(errors, usage.includes('<storybook-button'), `/api/docs should expose the usage example, got ${usage.slice(0, 200)}`);
+    });
+  });
+}]);
+
+// user-014: generateUsageExample keeps the output it had before the snippets
+checks.push(['generateUsageExample output (user-014)', async (errors) => {
+  const { generateUsageExample } = require('../src/parsers');
+  const angular = generateUsageExample('app-button', { label: 'Save "now"', primary: true, size: 2 }, 'Primary');
+  const expected = '<!-- Primary Example -->\n<app-button\n    label="Save &quot;now&quot;"\n    [primary]="true"\n    [size]="2">\n</app-button>';
+  expect(errors, angular === expected, `Angular example changed:\n${angular}`);
+  const react = generateUsageExample('Button', { primary: false, items: [1] }, 'Empty', 'react');
+  expect(errors, react === '<!-- Empty Example -->\n<Button\n    primary={false}\n    items={[1]}>\n</Button>', `React example changed:\n${react}`);
+  const element = generateUsageExample('my-tag', { disabled: true, maxCount: 3 }, 'Tag', 'web-components');
+  expect(errors, element === '<!-- Tag Example -->\n<my-tag\n    disabled\n    max-count="3">\n</my-tag>', `Web component example changed:\n${element}`);
+  expect(errors, generateUsageExample(null, {}, 'None') === null, 'No selector should give null');
+}]);
+
+// user-015: render pool slots survive a browser crash
+checks.push(['Render pool after a browser crash (user-015)', async (errors) => {
+  const EventEmitter = require('events');
+  const { RenderPool } = require('../src/render');
+  const browser = new EventEmitter();
+  browser.newPage = async () => Object.assign(new EventEmitter(), { close: async () => {} });
+  browser.close = async () => {};
+  const pool = new RenderPool({ size: 2 });
+  pool.launchBrowser = async () => browser;
+
+  const deadline = Date.now() + 1000;
+  const first = await pool.acquire(deadline);
+  const second = await pool.acquire(deadline);
+  expect(errors, pool.pageCount === 2, `Two pages should be open, got ${pool.pageCount}`);
+
+  browser.emit('disconnected');
+  pool.release(first, true);
+  pool.release(second);
+  expect(errors, pool.pageCount === 0, `No page should be counted after the crash, got ${pool.pageCount}`);
+  expect(errors, pool.idle.length === 0, 'Pages of the crashed browser should not be reused');
+
+  const pages = [await pool.acquire(deadline), await pool.acquire(deadline)];
+  expect(errors, pool.pageCount === 2, `The pool should open two new pages, got ${pool.pageCount}`);
+  const queued = await pool.acquire(Date.now() + 100).then(() => 'acquired', error => error.status);
+  expect(errors, queued === 503, `A third page should wait and time out, got ${queued}`);
+  pages.forEach(page => pool.release(page));
+  await pool.close();
+}]);
+
+// user-017: event WebSocket
+checks.push(['Event WebSocket (user-017)', async (errors) => {
+  const WebSocket = require('ws');
+  const { attachEventSocket } = require('../src/events');
+  // Resolves with how the connection ended: 'open', a close code, or 'error'
+  const connect = url => new Promise((resolve) => {
+    const ws = new WebSocket(url);
+    const timer = setTimeout(() => resolve('timeout'), 5000);
+    ws.on('open', () => setTimeout(() => {
+      clearTimeout(timer);
+      resolve('open');
+      ws.terminate();
+    }, 200));
+    ws.on('close', (code) => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+    ws.on('error', () => {
+      clearTimeout(timer);
+      resolve('error');
+    });
+  });
+
+  await withApp({}, async (baseUrl, app, server) => {
+    const wss = attachEventSocket(server, app.locals.events);
+    const wsUrl = baseUrl.replace('http', 'ws');
+    try {
+      const valid = await connect(`${wsUrl}/api/events?type=story-added,docs-updated`);
+      expect(errors, valid === 'open', `Known event types should connect, got ${valid}`);
+      const unknown = await connect(`${wsUrl}/api/events?type=story-added,bogus`);
+      expect(errors, unknown === 1008, `Unknown event type should close with 1008, got ${unknown}`);
+      const stray = await connect(`${wsUrl}/other`);
+      expect(errors, stray === 'error', `Upgrade to another path should be refused, got ${stray}`);
+    } finally {
+      wss.clients.forEach(client => client.terminate());
+    }
+  });
+}]);
+
+// user-018: GraphQL over stories, components and docs, one parse per file per request, limited depth
+checks.push(['GraphQL (user-018)', async (errors) => {
+  const storyFile = path.join(EXAMPLES_DIR, 'test-sb10', 'src/stories/button.stories.ts');
+  const query = async (baseUrl, body) => {
+    const response = await fetch(`${baseUrl}/graphql`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, ...(await response.json()) };
+  };
+  // How often a query reads the Button story file
+  const countReads = async (baseUrl, body) => {
+    const readFileSync = fs.readFileSync;
+    let reads = 0;
+    fs.readFileSync = (file, ...rest) => {
+      if (file === storyFile) reads += 1;
+      return readFileSync(file, ...rest);
+    };
+    try {
+      await query(baseUrl, body);
+    } finally {
+      fs.readFileSync = readFileSync;
+    }
+    return reads;
+  };
+
+  await withStorybook(exampleIndex, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      const { data } = await query(baseUrl, {
+        query: 'query ($id: ID!) { story(id: $id) { name args kind { title } component { name selector props { name } required: props(required: true) { name } stories { id } } } }',
+        variables: { id: 'example-button--primary' },
+      });
+      const story = data?.story;
+      expect(errors, story?.name === 'Primary' && story.args?.label === 'Button', 'A story should resolve with its args');
+      expect(errors, story?.kind?.title === 'Example/Button', 'The story kind should resolve');
+      expect(errors, story?.component?.name === 'ButtonComponent' && story.component.selector === 'storybook-button', 'The story component should resolve with its docs');
+      expect(errors, story?.component?.props?.some(prop => prop.name === 'primary') && story.component.stories.length === 2, 'Component props and stories should resolve');
+      expect(errors, story?.component?.required?.map(prop => prop.name).join() === 'label', `props(required: true) should keep the required props, got ${story?.component?.required?.map(prop => prop.name)}`);
+
+      const components = await query(baseUrl, { query: '{ components(kind: "Example") { name stories(name: "Primary") { usageExample } } }' });
+      expect(errors, components.data?.components?.[0]?.stories?.[0]?.usageExample?.includes('<storybook-button'), 'Usage examples should resolve through the components');
+
+      const one = await countReads(baseUrl, { query: '{ story(id: "example-button--primary") { args component { name props { name } } } }' });
+      const all = await countReads(baseUrl, { query: '{ stories(kind: "Example") { args code component { name props { name } } } }' });
+      expect(errors, one > 0 && all === one, `Each story file should be read once per request, read ${all} times for all stories and ${one} for one`);
+
+      const invalid = await query(baseUrl, { query: '{ story(id: "example-button--primary") { bogus } }' });
+      expect(errors, invalid.status === 400 && invalid.errors?.[0]?.message.includes('bogus'), `Invalid queries should give 400, got ${invalid.status}`);
+      const syntax = await query(baseUrl, { query: '{ story(' });
+      expect(errors, syntax.status === 400, `Syntax errors should give 400, got ${syntax.status}`);
+      const get = await (await fetch(`${baseUrl}/graphql?query=${encodeURIComponent('{ stories(type: docs) { id } }')}`)).json();
+      expect(errors, get.data?.stories?.map(item => item.id).join() === 'example-button--docs', 'GET /graphql should run the query');
+
+      // story > component > stories > component > ... with `depth` fields nested
+      const nested = depth => `{ story(id: "example-button--primary") { ${Array.from({ length: depth - 2 }, (_, level) => (level % 2 ? 'stories {' : 'component {')).join(' ')} name ${'}'.repeat(depth - 1)} }`;
+      const deepest = await query(baseUrl, { query: nested(10) });
+      expect(errors, deepest.status === 200 && !deepest.errors, `A query 10 fields deep should run, got ${deepest.status}`);
+      const tooDeep = await query(baseUrl, { query: nested(11) });
+      expect(errors, tooDeep.status === 400 && tooDeep.errors?.[0]?.message.includes('11'), `A query 11 fields deep should give 400, got ${tooDeep.status}`);
+      const spread = await query(baseUrl, {
+        query: 'query { stories { ...Deep } } fragment Deep on Story { component { stories { component { stories { component { stories { component { stories { component { name } } } } } } } } } }',
+      });
+      expect(errors, spread.status === 400, `Depth should count fragment spreads, got ${spread.status}`);
+      const introspection = await query(baseUrl, { query: '{ __schema { types { name fields { name type { name ofType { name ofType { name ofType { name ofType { name ofType { name } } } } } } } } } }' });
+      expect(errors, introspection.status === 200, `Introspection should not count towards the depth, got ${introspection.status}`);
+    });
+  });
+}]);
+
+// user-019: stories grouped by component, with props, events and docs pages
+checks.push(['Components (user-019)', async (errors) => {
+  const { buildComponents, findComponents } = require('../src/components');
+  const entry = (id, importPath, type = 'story', extra = {}) => ({ id, title: 'Forms/Input', name: id.split('--')[1], importPath, type, ...extra });
+  const entries = [
+    entry('forms-input--default', './input.stories.ts'),
+    entry('forms-input-legacy--default', './legacy.stories.ts', 'story', { title: 'Legacy/Input' }),
+    entry('forms-input--docs', './input.mdx', 'docs', { storiesImports: ['./input.stories.ts'] }),
+    entry('forms-icon--default', './icon.stories.ts'),
+  ];
+  const docs = {
+    source: 'compodoc',
+    selector: 'app-input',
+    properties: { value: { type: 'input' }, changed: { type: 'output', description: 'New value' } },
+  };
+  const components = await buildComponents(entries, {
+    getComponent: item => (item.importPath === './icon.stories.ts'
+      ? { name: 'IconComponent', filePath: 'icon.ts', docs: null }
+      : { name: 'InputComponent', filePath: 'input.ts', docs }),
+    getStory: async item => ({ exportName: 'Default', args: { value: item.id } }),
+  });
+
+  const input = components.find(component => component.name === 'InputComponent');
+  expect(errors, components.map(component => component.name).join() === 'IconComponent,InputComponent', 'Components should be sorted by name');
+  expect(errors, input?.stories.length === 2 && input.titles.join() === 'Forms/Input,Legacy/Input', 'Story files sharing a component file should be grouped');
+  expect(errors, input?.stories[0]?.args?.value === 'forms-input--default', 'Stories should come with their args');
+  expect(errors, Object.keys(input?.props || {}).join() === 'value' && input.events[0]?.name === 'changed', 'Outputs should be listed as events, not props');
+  expect(errors, input?.docs[0]?.type === 'mdx', 'MDX pages attached to the story file should be listed');
+  expect(errors, findComponents(components, 'APP-INPUT')[0] === input, 'Components should be found by selector');
+
+  const index = exampleIndex();
+  index.entries['example-header--logged-in'] = {
+    id: 'example-header--logged-in',
+    title: 'Example/Header',
+    name: 'Logged In',
+    importPath: './src/stories/header.stories.ts',
+    type: 'story',
+    tags: [],
+  };
+  await withStorybook(() => index, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      const list = await (await fetch(`${baseUrl}/api/components`)).json();
+      expect(errors, list.count === 2 && list.components?.map(component => component.name).join() === 'ButtonComponent,HeaderComponent', `/api/components should list the Button and Header, got ${list.components?.map(component => component.name)}`);
+      const button = await (await fetch(`${baseUrl}/api/components/storybook-button`)).json();
+      expect(errors, button.component?.name === 'ButtonComponent' && button.component.stories.length === 2, 'A component should be found by selector with its stories');
+      expect(errors, button.component?.docs?.[0]?.type === 'autodocs' && button.component.props.label, 'The component should have its autodocs page and props');
+      expect(errors, (await fetch(`${baseUrl}/api/components/Missing`)).status === 404, 'Unknown components should give 404');
+    });
+  });
+}]);
+
+// user-020: args validated against argTypes, then the component's property types
+checks.push(['Args validation (user-020)', async (errors) => {
+  const { validateArgs, matchesTsType } = require('../src/validate');
+  const codes = result => result.errors.map(error => `${error.field}:${error.code}`).sort().join();
+
+  const argTypes = {
+    size: { control: 'select', options: ['small', 'large'] },
+    tags: { control: 'multi-select', options: ['a', 'b'] },
+    opacity: { control: { type: 'range', min: 0, max: 1 } },
+    title: { type: { name: 'string', required: true } },
+  };
+  const properties = {
+    label: { type: 'input', tsType: 'string', required: true },
+    variant: { type: 'input', tsType: "'flat' | 'raised' | null" },
+    items: { type: 'input', tsType: 'Array<{ id: number }>' },
+    onClick: { type: 'output', tsType: 'EventEmitter<MouseEvent>' },
+  };
+
+  const valid = validateArgs({ size: 'large', tags: ['a'], opacity: 0.5, variant: null, items: [{ id: 1 }] }, { argTypes, properties, storyArgs: { label: 'Save', title: 'T' } });
+  expect(errors, valid.valid && valid.errors.length === 0, `Valid args should pass, got ${codes(valid)}`);
+
+  const invalid = validateArgs({ size: 'huge', tags: ['c'], opacity: 2, variant: 'round', items: 'x', extra: 1 }, { argTypes, properties });
+  expect(errors, !invalid.valid && codes(invalid) === 'items:type,label:required,opacity:range,size:enum,tags:enum,title:required,variant:type',
+    `Invalid args should be reported per field, got ${codes(invalid)}`);
+  expect(errors, invalid.warnings.map(warning => `${warning.field}:${warning.code}`).join() === 'extra:unknown', 'Undeclared args should only be warnings');
+  expect(errors, matchesTsType(() => {}, 'SomeInterface') === null, 'Unresolved types should not be checked');
+  expect(errors, matchesTsType([1, 'a'], 'Array<number | string>') === true && matchesTsType([true], 'number[]') === false, 'Array element types should be checked');
+
+  await withStorybook(exampleIndex, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      const validate = (storyId, body) => fetch(`${baseUrl}/api/stories/${storyId}/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      });
+      const result = await (await validate('example-button--primary', { args: { label: 'Save', primary: 'yes' } })).json();
+      expect(errors, result.success && result.valid === false && codes(result) === 'primary:type', `The Button primary arg should be a boolean, got ${codes(result)}`);
+      expect(errors, (await validate('example-button--primary', '{ "args": ')).status === 400, 'Malformed JSON should give 400');
+      expect(errors, (await validate('example-button--primary', { args: [] })).status === 400, 'args should have to be an object');
+      expect(errors, (await validate('example-button--docs', { args: {} })).status === 400, 'Docs entries should not be validated');
+      expect(errors, (await validate('example-button--missing', { args: {} })).status === 404, 'Unknown stories should give 404');
+    });
+  });
+}]);
+
+// user-021: MCP tools over streamable HTTP
+checks.push(['MCP tools (user-021)', async (errors) => {
+  // The MCP SDK needs Node.js 18, older versions serve the rest of the API without /mcp
+  if (Number(process.versions.node.split('.')[0]) < 18) {
+    await withApp({}, async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/mcp`, { method: 'POST' });
+      expect(errors, response.status === 404, `/mcp should not be served on Node.js ${process.versions.node}, got ${response.status}`);
+    });
+    return;
+  }
+  await withStorybook(exampleIndex, async (storybookUrl) => {
+    await withApp({ storybookUrl }, async (baseUrl) => {
+      let id = 0;
+      const rpc = async (method, params) => {
+        const response = await fetch(`${baseUrl}/mcp`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+          body: JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params }),
+        });
+        return (await response.json()).result;
+      };
+      const call = async (name, args) => {
+        const result = await rpc('tools/call', { name, arguments: args });
+        return { isError: Boolean(result?.isError), text: result?.content?.[0]?.text || '' };
+      };
+
+      const tools = (await rpc('tools/list', {}))?.tools?.map(tool => tool.name).sort().join();
+      expect(errors, tools === 'get_component_docs,get_story,get_usage_example,list_stories,search_components,validate_args', `Every tool should be listed, got ${tools}`);
+
+      const list = JSON.parse((await call('list_stories', { type: 'story' })).text || '{}');
+      expect(errors, list.total === 2, `list_stories should filter like /api/stories, got ${list.total}`);
+      const usage = JSON.parse((await call('get_usage_example', { storyId: 'example-button--primary', args: { label: 'Go' } })).text || '{}');
+      expect(errors, usage.snippet?.includes('<storybook-button') && usage.snippet.includes('label="Go"'), `get_usage_example should apply the args, got ${usage.snippet}`);
+      const docs = JSON.parse((await call('get_component_docs', { component: 'ButtonComponent' })).text || '{}');
+      expect(errors, docs.selector === 'storybook-button' && docs.stories?.length === 2, 'get_component_docs should find the component by name');
+      const validation = JSON.parse((await call('validate_args', { storyId: 'example-button--primary', args: { primary: 'yes' } })).text || '{}');
+      expect(errors, validation.valid === false && validation.errors?.[0]?.field === 'primary', 'validate_args should report invalid args');
+
+      const missing = await call('get_story', { storyId: 'nope--missing' });
+      expect(errors, missing.isError && missing.text.includes('list_stories'), 'Unknown stories should be tool errors with a hint');
+      expect(errors, (await fetch(`${baseUrl}/mcp`)).status === 405, 'GET /mcp should give 405');
+    });
+  });
+}]);
+
+// user-022: API keys, Basic users and scopes per route, whatever the case or encoding of the path
+checks.push(['Auth scopes (user-022)', async (errors) => {
+  const { Authenticator, AuthError } = require('../src/auth');
+  const authenticator = new Authenticator({
+    apiKeys: [{ key: 'reader', scopes: ['read'] }, { key: 'renderer', scopes: ['read', 'render'] }],
+    basic: { admin: { password: 'secret', scopes: ['read', 'render'] } },
+    public: ['/api/openapi.json'],
+  });
+  const status = (url, headers = {}) => {
+    try {
+      authenticator.authorize({ url, headers });
+      return 200;
+    } catch (error) {
+      return error instanceof AuthError ? error.status : 500;
+    }
+  };
+  const basic = `Basic ${Buffer.from('admin:secret').toString('base64')}`;
+
+  expect(errors, status('/api/stories') === 401, 'No credentials should give 401');
+  expect(errors, status('/api/stories', { 'x-api-key': 'wrong' }) === 401, 'Unknown API key should give 401');
+  expect(errors, status('/api/stories', { 'x-api-key': 'reader' }) === 200, 'read scope should list stories');
+  expect(errors, status('/api/stories?api_key=reader') === 200, 'api_key query parameter should be accepted');
+  expect(errors, status('/api/render/a--b', { 'x-api-key': 'reader' }) === 403, 'read scope should not render');
+  expect(errors, status('/API/Render/a--b', { 'x-api-key': 'reader' }) === 403, 'Mixed-case render path should need render scope');
+  expect(errors, status('/api/render/a--b', { 'x-api-key': 'renderer' }) === 200, 'render scope should render');
+  expect(errors, status('/api/screenshot/a--b', { authorization: basic }) === 200, 'Basic user with render scope should take screenshots');
+  expect(errors, status('/api/openapi.json') === 200, 'Configured public path should need no credentials');
+  expect(errors, status('/api/health') === 200, '/api/health should be public');
+
+  await withApp({ auth: { apiKeys: [{ key: 'reader', scopes: ['read'] }], public: ['/api/openapi.json'] } }, async (baseUrl) => {
+    for (const route of ['/api/render/a--b', '/API/render/a--b', '/api/Render/a--b', '/Api/Screenshot/a--b']) {
+      const response = await fetch(`${baseUrl}${route}`, { headers: { 'X-API-Key': 'reader' } });
+      expect(errors, response.status === 403, `${route} with read scope returned ${response.status}, expected 403`);
+    }
+    const anonymous = await fetch(`${baseUrl}/API/Stories`);
+    expect(errors, anonymous.status === 401, `/API/Stories without credentials returned ${anonymous.status}, expected 401`);
+    expect(errors, Boolean(anonymous.headers.get('www-authenticate')), '401 should have a WWW-Authenticate challenge');
+    const spec = await fetch(`${baseUrl}/api/openapi.json`);
+    expect(errors, spec.status === 200, `Public /api/openapi.json without credentials returned ${spec.status}`);
+    const health = await fetch(`${baseUrl}/api/health`);
+    expect(errors, health.status === 200, `/api/health without credentials returned ${health.status}`);
+  });
+
+  // Public prefixes must not reach files next to them once the static handler decodes the path
+  expect(errors, status('/api/health/..%2f..%2fsecret.txt') === 400, 'Encoded slashes should give 400');
+  expect(errors, status('/api/ready/..%5csecret.txt') === 400, 'Encoded backslashes should give 400');
+  expect(errors, status('/api/health/%2e%2e/render/a--b', { 'x-api-key': 'reader' }) === 403, 'Encoded dot segments should be resolved before matching');
+  expect(errors, status('/api/health/%E0%A4%A') === 400, 'Malformed escapes should give 400');
+  await withProject({ 'secret.txt': 'secret' }, async (dir) => {
+    await withApp({ auth: { apiKeys: ['reader'] } }, async (baseUrl, app) => {
+      app.use(require('express').static(dir));
+      for (const route of ['/api/health/..%2f..%2fsecret.txt', '/api/ready/..%2F..%2Fsecret.txt', '/api/health/..%5c..%5csecret.txt']) {
+        const response = await fetch(`${baseUrl}${route}`);
+        expect(errors, response.status === 400, `${route} without credentials returned ${response.status}, expected 400`);
+      }
+      const secret = await fetch(`${baseUrl}/secret.txt`, { headers: { 'X-API-Key': 'reader' } });
+      expect(errors, secret.status === 200, `Static files should still be served with a key, got ${secret.status}`);
+    });
+  });
+}]);
+
+// user-022: JWT bearer tokens and authorized WebSocket upgrades
+checks.push(['JWT auth (user-022)', async (errors) => {
+  const crypto = require('crypto');
+  const WebSocket = require('ws');
+  const { Authenticator, AuthError } = require('../src/auth');
+  const { attachEventSocket } = require('../src/events');
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'RS256' }] };
+  const sign = (payload, key = privateKey) => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const data = `${encode({ alg: 'RS256', kid: 'test', typ: 'JWT' })}.${encode(payload)}`;
+    return `${data}.${crypto.sign('sha256', Buffer.from(data), key).toString('base64url')}`;
+  };
+  const now = Math.floor(Date.now() / 1000);
+  const authenticator = new Authenticator({ jwt: { jwks, issuer: 'https://issuer.example', audience: 'storybook' } });
+  const status = (token, url = '/api/render/a--b') => {
+    try {
+      authenticator.authorize({ url, headers: { authorization: `Bearer ${token}` } });
+      return 200;
+    } catch (error) {
+      return error instanceof AuthError ? error.status : 500;
+    }
+  };
+  const claims = { iss: 'https://issuer.example', aud: 'storybook', exp: now + 60 };
+
+  expect(errors, status(sign({ ...claims, scope: 'read render' })) === 200, 'A valid token with the render scope should render');
+  expect(errors, status(sign({ ...claims, scope: 'read' })) === 403, 'A token without the render scope should give 403');
+  expect(errors, status(sign({ ...claims, exp: now - 3600 })) === 401, 'Expired tokens should give 401');
+  expect(errors, status(sign({ ...claims, iss: 'https://other.example' })) === 401, 'Other issuers should give 401');
+  expect(errors, status(sign({ ...claims, aud: 'other' })) === 401, 'Other audiences should give 401');
+  const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  expect(errors, status(sign(claims, otherKey)) === 401, 'Tokens signed by another key should give 401');
+
+  await withApp({ auth: { apiKeys: ['secret'] } }, async (baseUrl, app, server) => {
+    const wss = attachEventSocket(server, app.locals.events, { authenticator: app.locals.auth });
+    const upgrade = url => new Promise((resolve) => {
+      const ws = new WebSocket(url);
+      ws.on('open', () => {
+        resolve(101);
+        ws.terminate();
+      });
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => resolve('error'));
+    });
+    const wsUrl = `${baseUrl.replace('http', 'ws')}/api/events`;
+    try {
+      expect(errors, (await upgrade(wsUrl)) === 401, 'Event socket without credentials should get 401');
+      expect(errors, (await upgrade(`${wsUrl}?api_key=secret`)) === 101, 'Event socket with an API key should connect');
+    } finally {
+      wss.clients.forEach(client => client.terminate());
+    }
+  });
+}]);
+
+// user-022: CORS origins, and no credentials for any origin
+checks.push(['CORS options (user-022)', async (errors) => {
+  const { normalizeCorsOptions } = require('../src/cors');
+  const throws = (options) => {
+    try {
+      normalizeCorsOptions(options);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  };
+
+  expect(errors, normalizeCorsOptions(false) === null, 'CORS should be off by default');
+  expect(errors, normalizeCorsOptions(true).origins === '*', 'true should allow any origin');
+  const list = normalizeCorsOptions('https://a.example/, https://*.corp.example');
+  expect(errors, list.origins.join() === 'https://a.example,https://*.corp.example', 'Origin list should be split and trimmed');
+  expect(errors, list.patterns[1].test('https://app.corp.example'), 'Wildcard should match a subdomain');
+  expect(errors, !list.patterns[1].test('https://corp.example.evil'), 'Wildcard should not match another domain');
+  expect(errors, throws({ origin: '*', credentials: true }), 'Credentials with any origin should be refused');
+  expect(errors, throws({ credentials: true }), 'Credentials with the default origin should be refused');
+  expect(errors, !throws({ origin: ['https://a.example'], credentials: true }), 'Credentials with explicit origins should be allowed');
+
+  await withApp({ cors: { origin: 'https://a.example', credentials: true } }, async (baseUrl) => {
+    const allowed = await fetch(`${baseUrl}/api/health`, { headers: { Origin: 'https://a.example' } });
+    expect(errors, allowed.headers.get('access-control-allow-origin') === 'https://a.example', 'Listed origin should be allowed');
+    expect(errors, allowed.headers.get('access-control-allow-credentials') === 'true', 'Credentials header should be sent');
+    const other = await fetch(`${baseUrl}/api/health`, { headers: { Origin: 'https://evil.example' } });
+    expect(errors, !other.headers.get('access-control-allow-origin'), 'Other origins should get no CORS headers');
+  });
+}]);
+
+// user-023: config file discovery and plugin hooks
+checks.push(['Config file and plugins (user-023)', async (errors) => {
+  const { loadConfig, findConfigFile } = require('../src/config');
+  const { PluginHost } = require('../src/plugins');
+  const loadError = async (projectDir, options) => {
+    try {
+      await loadConfig(projectDir, options);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const files = {
+    'storybook-rest-api.config.js': `module.exports = { port: 7000, plugins: [['./tools/owners.js', { team: 'ui' }]] };`,
+    'tools/owners.js': `module.exports = ({ team }) => ({
+  name: 'owners',
+  extendStory(story) { story.owner = team; },
+  extendDocs: async docs => ({ ...docs, owner: team }),
+  routes(app) { app.get('/api/owners', (req, res) => res.json({ success: true, owners: [team] })); },
+  paths: { '/api/owners': { get: { summary: 'Owners', responses: { 200: { description: 'Owners' } } } } },
+});`,
+    'esm/storybook-rest-api.config.mjs': 'export default async () => ({ indexTtl: 500 });',
+    'unknown/storybook-rest-api.config.json': { port: 7000, prot: 7001 },
+    'invalid/storybook-rest-api.config.json': '{ port: ',
+    'static/index.json': exampleIndex(),
+  };
+
+  await withProject(files, async (projectDir) => {
+    expect(errors, findConfigFile(projectDir) === path.join(projectDir, 'storybook-rest-api.config.js'), 'The config file should be discovered');
+    expect(errors, (await loadConfig(path.join(projectDir, 'tools'))) === null, 'No config file should give null');
+    const esm = await loadConfig(path.join(projectDir, 'esm'));
+    expect(errors, esm?.config.indexTtl === 500, 'An ES module exporting an async function should be loaded');
+    expect(errors, /Unknown options.*prot/.test(await loadError(path.join(projectDir, 'unknown'))), 'Unknown options should be refused');
+    expect(errors, /Invalid JSON/.test(await loadError(path.join(projectDir, 'invalid'))), 'Invalid JSON should be reported');
+    expect(errors, /not found/.test(await loadError(projectDir, { configFile: 'missing.json' })), 'A missing explicit config file should be reported');
+
+    const { config } = await loadConfig(projectDir);
+    expect(errors, config.port === 7000 && config.plugins[0]?.name === 'owners', 'Plugins should be resolved relative to the config file');
+
+    let invalid = null;
+    try {
+      new PluginHost([{ name: 'typo', extendStroy() {} }]);
+    } catch (error) {
+      invalid = error.message;
+    }
+    expect(errors, /unknown hooks: extendStroy/.test(invalid || ''), 'Unknown plugin hooks should be refused');
+
+    const staticDir = path.join(projectDir, 'static');
+    await withApp({ staticDir, plugins: config.plugins }, async (baseUrl) => {
+      const { story } = await (await fetch(`${baseUrl}/api/stories/example-button--primary`)).json();
+      expect(errors, story?.owner === 'ui', 'extendStory should add to the story payload');
+      const { docs } = await (await fetch(`${baseUrl}/api/docs/example-button--primary`)).json();
+      expect(errors, docs?.owner === 'ui', 'extendDocs should add to the docs payload');
+      const owners = await (await fetch(`${baseUrl}/api/owners`)).json();
+      expect(errors, owners.owners?.[0] === 'ui', 'Plugin routes should be served');
+      const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+      expect(errors, Boolean(spec.paths['/api/owners']), 'Plugin paths should be in the OpenAPI document');
+    });
+
+    await withApp({ staticDir, plugins: config.plugins, auth: { apiKeys: ['secret'] } }, async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/api/owners`);
+      expect(errors, response.status === 401, `Plugin routes should be behind auth, got ${response.status}`);
+    });
+  });
+}]);
+
+// user-023: a throwing docs extractor falls through to the built-in ones
+checks.push(['Failing plugin extractor (user-023)', async (errors) => {
+  const { parseStoryFile } = require('../src/parsers');
+  const { PluginHost } = require('../src/plugins');
+  const projectDir = path.join(EXAMPLES_DIR, 'test-sb10');
+  const host = new PluginHost([{ name: 'broken', extractComponentDocs() { throw new Error('boom'); } }]);
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  let story;
+  try {
+    story = parseStoryFile(path.join(projectDir, 'src/stories/button.stories.ts'), 'example-button--primary', projectDir, {
+      extractors: host.extractors,
+    });
+  } finally {
+    console.warn = warn;
+  }
+
+  expect(errors, Boolean(story), 'The story should still parse');
+  expect(errors, story?.componentDocs?.source === 'compodoc', `Built-in docs should be used, got ${story?.componentDocs?.source}`);
+  expect(errors, warnings.some(message => message.includes('"broken"') && message.includes('boom')), 'The error should be logged with the plugin name');
+}]);
+
+// user-024: how Storybook is started, without touching angular.json
+checks.push(['Storybook command (user-024)', async (errors) => {
+  const { resolveStorybookCommand, selectAngularTarget } = require('../src/launcher');
+  const resolveError = (config) => {
+    try {
+      resolveStorybookCommand(config);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  const storybookTarget = { builder: '@storybook/angular:start-storybook', options: { compodoc: true } };
+  const angularJson = {
+    defaultProject: 'app',
+    projects: {
+      lib: { architect: { storybook: storybookTarget } },
+      app: { architect: { build: { builder: '@angular-devkit/build-angular:browser' }, storybook: storybookTarget, 'storybook-docs': storybookTarget } },
+    },
+  };
+
+  const custom = resolveStorybookCommand({ storybookPort: 6010, storybookCommand: 'pnpm sb dev -p {port}' });
+  expect(errors, custom.command === 'pnpm sb dev -p 6010' && custom.notes.length === 0, '--storybook-command should get the port');
+  const noPort = resolveStorybookCommand({ storybookPort: 6010, storybookCommand: 'pnpm storybook' });
+  expect(errors, noPort.notes.some(note => note.includes('6010')), 'A command without {port} should come with a note');
+  const react = resolveStorybookCommand({ storybookPort: 6010, framework: 'react', version: 8 });
+  expect(errors, react.args.join(' ') === 'storybook dev -p 6010 --no-open', 'Other frameworks should use the Storybook CLI');
+
+  const targets = [
+    { project: 'lib', target: 'storybook', isDefault: false },
+    { project: 'app', target: 'storybook', isDefault: true },
+    { project: 'app', target: 'storybook-docs', isDefault: true },
+  ];
+  expect(errors, selectAngularTarget(targets).project === 'app', 'The default project should be preferred');
+  expect(errors, selectAngularTarget(targets, 'app:storybook-docs').target === 'storybook-docs', 'project:target should select the target');
+  expect(errors, selectAngularTarget(targets, 'lib').others.length === 0, 'A project name should select its target');
+
+  await withProject({ 'angular.json': angularJson }, async (projectDir) => {
+    const before = fs.readFileSync(path.join(projectDir, 'angular.json'), 'utf8');
+    const angular = resolveStorybookCommand({ storybookPort: 6010, projectDir, framework: 'angular', version: 8 });
+    expect(errors, angular.args.join(' ') === 'ng run app:storybook --port=6010', `The Angular builder should get the port as a flag, got ${angular.args.join(' ')}`);
+    expect(errors, angular.notes.some(note => note.includes('lib:storybook')), 'Other targets should be listed in a note');
+    const lib = resolveStorybookCommand({ storybookPort: 6010, projectDir, angularProject: 'lib' });
+    expect(errors, lib.args.includes('lib:storybook'), '--angular-project should pick the project');
+    expect(errors, /No Storybook target.*found: lib:storybook/.test(resolveError({ storybookPort: 6010, projectDir, angularProject: 'shop' }) || ''), 'Unknown projects should list the targets');
+    expect(errors, fs.readFileSync(path.join(projectDir, 'angular.json'), 'utf8') === before, 'angular.json should not be modified');
+  });
+
+  await withProject({}, async (projectDir) => {
+    expect(errors, /No angular.json/.test(resolveError({ storybookPort: 6010, projectDir, angularProject: 'app' }) || ''), '--angular-project without angular.json should fail');
+    const fallback = resolveStorybookCommand({ storybookPort: 6010, projectDir, framework: 'angular', version: 8 });
+    expect(errors, fallback.args[0] === 'storybook', 'Angular without angular.json should fall back to the Storybook CLI');
+  });
+}]);
+
+// user-025: Storybook supervision with backoff restarts, health and readiness
+checks.push(['Storybook supervisor (user-025)', async (errors) => {
+  const EventEmitter = require('events');
+  const { StorybookSupervisor } = require('../src/supervisor');
+
+  // Fake timers: they only run when the check calls `tick()`
+  const timers = new Map();
+  let nextTimer = 1;
+  const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout } = global;
+  const tick = async () => {
+    const [id, timer] = [...timers.entries()].sort(([, a], [, b]) => a.delay - b.delay)[0] || [];
+    if (!timer) return null;
+    timers.delete(id);
+    await timer.callback();
+    return timer.delay;
+  };
+  // Fake Storybook processes
+  const children = [];
+  const start = () => {
+    const child = Object.assign(new EventEmitter(), { pid: 1000 + children.length, stdout: new EventEmitter(), stderr: new EventEmitter() });
+    child.kill = () => child.emit('exit', null, 'SIGTERM');
+    children.push(child);
+    return child;
+  };
+  const crash = () => children[children.length - 1].emit('exit', 1, null);
+
+  global.setTimeout = (callback, delay) => {
+    timers.set(nextTimer, { callback, delay });
+    return nextTimer++;
+  };
+  global.clearTimeout = id => timers.delete(id);
+  try {
+    const supervisor = new StorybookSupervisor({
+      start,
+      storybookUrl: 'http://127.0.0.1:9',
+      backoff: { initial: 1000, max: 3000, factor: 2 },
+      maxRestarts: 3,
+      logSize: 3,
+      pollInterval: 100,
+    });
+    supervisor.start();
+    expect(errors, supervisor.state === 'starting' && supervisor.status().pid === 1000, 'The first process should be starting');
+
+    children[0].stdout.emit('data', '\u001b[32minfo\u001b[39m => Starting manager\n(node) ExperimentalWarning: punycode\n');
+    children[0].stderr.emit('data', 'Error: Cannot find module \'@storybook/angular\'\nline 3\nline 4\n');
+    expect(errors, supervisor.logs().map(line => line.text).join('|') === 'Error: Cannot find module \'@storybook/angular\'|line 3|line 4', `Only the last logSize lines should be kept, without colors and noise, got ${supervisor.logs().map(line => line.text)}`);
+    expect(errors, supervisor.logs(1)[0]?.stream === 'stderr', 'Lines should keep their stream');
+    expect(errors, supervisor.status().lastError?.message === 'Error: Cannot find module \'@storybook/angular\'', 'Error lines should be kept as the last error');
+
+    // Restarts only replace an error logged before they started, keep them in a later millisecond
+    await new Promise(resolve => realSetTimeout(resolve, 5));
+    const delays = [];
+    for (let restart = 1; restart <= 3; restart++) {
+      crash();
+      expect(errors, supervisor.state === 'restarting' && Boolean(supervisor.status().nextRestartAt), `Crash ${restart} should schedule a restart`);
+      delays.push(await tick());
+      expect(errors, supervisor.state === 'starting' && supervisor.restarts === restart, `Restart ${restart} should start a new process`);
+      // Drop the readiness poll, this Storybook never answers
+      timers.clear();
+    }
+    expect(errors, delays.join() === '1000,2000,3000', `Restarts should back off up to the max, got ${delays}`);
+    expect(errors, supervisor.status().lastError?.message === 'Storybook exited with code 1', 'An exit without error output should be the last error');
+
+    crash();
+    expect(errors, supervisor.state === 'failed' && timers.size === 0, `After maxRestarts it should give up, got ${supervisor.state}`);
+    expect(errors, supervisor.restarts === 3 && supervisor.status().pid === null, 'No process should be left after giving up');
+
+    await withStorybook(exampleIndex, async (storybookUrl) => {
+      await withApp({ storybookUrl }, async (baseUrl, app) => {
+        const ready = new StorybookSupervisor({ start, storybookUrl, pollInterval: 100 });
+        app.locals.storybook = ready;
+        ready.start();
+        try {
+          const starting = await fetch(`${baseUrl}/api/ready`);
+          expect(errors, starting.status === 503 && (await starting.json()).storybook?.state === 'starting', '/api/ready should give 503 while Storybook starts');
+
+          await tick();
+          const health = await (await fetch(`${baseUrl}/api/health`)).json();
+          expect(errors, ready.state === 'ready' && health.ready && health.status === 'ok', `Serving the index should make Storybook ready, got ${ready.state}`);
+          expect(errors, (await fetch(`${baseUrl}/api/ready`)).status === 200, '/api/ready should give 200 once ready');
+
+          crash();
+          const down = await (await fetch(`${baseUrl}/api/health`)).json();
+          expect(errors, !down.ready && down.status === 'degraded' && down.storybook?.state === 'restarting', 'A crash should make the health degraded');
+          expect(errors, down.storybook?.lastExit?.code === 1 && down.index?.entries === 3, 'Health should report the exit and the index');
+        } finally {
+          ready.stop();
+        }
+      });
+    });
+  } finally {
+    global.setTimeout = realSetTimeout;
+    global.clearTimeout = realClearTimeout;
+  }
+}]);
+
+async function runChecks() {
+  console.log(`\n${'='.repeat(60)}`);
+  console.log('Checks (no Storybook needed)');
+  console.log(`${'='.repeat(60)}`);
+
+  for (const [name, check] of checks) {
+    const errors = [];
+    try {
+      await check(errors);
+    } catch (error) {
+      errors.push(error.stack || error.message);
+    }
+    checkResults.push({ name, errors });
+    console.log(errors.length ? `✗ ${name}` : `✓ ${name}`);
+  }
+}
+
 async function testExample(example) {
   const { name, expectedVersion, port } = example;
   const exampleDir = path.join(EXAMPLES_DIR, name);
@@ -161,6 +1585,26 @@ async function testExample(example) {
       result.errors.push(`Story details endpoint failed: ${error.message}`);
     }
 
+    // Test /api/stories/:id/validate
+    console.log('✅ Testing /api/stories/:id/validate...');
+    try {
+      const validateResponse = await fetch(`http://localhost:${port}/api/stories/example-button--primary/validate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ args: { label: 'Save', primary: 'yes' } }),
+      });
+      const validateData = await validateResponse.json();
+
+      if (validateData.success && validateData.valid === false
+        && validateData.errors.some(error => error.field === 'primary' && error.code === 'type')) {
+        console.log(`✓ Args validation working (${validateData.errors.length} errors)`);
+      } else {
+        result.errors.push(`Args validation returned an unexpected result: ${JSON.stringify(validateData)}`);
+      }
+    } catch (error) {
+      result.errors.push(`Args validation failed: ${error.message}`);
+    }
+
     // Test /api/docs/:id
     console.log('📚 Testing /api/docs/:id...');
     try {
@@ -177,6 +1621,192 @@ async function testExample(example) {
       result.errors.push(`Docs endpoint failed: ${error.message}`);
     }
 
+    // Test /api/stories query parameters
+    console.log('🔎 Testing /api/stories query parameters...');
+    try {
+      const pageResponse = await fetch(`http://localhost:${port}/api/stories?type=story&sort=-name&limit=2&fields=id,name`);
+      const pageData = await pageResponse.json();
+
+      if (pageData.success && pageData.count === 2 && pageData.total > 2 && pageData.nextCursor
+        && Object.keys(pageData.stories[0]).join(',') === 'id,name') {
+        console.log(`✓ Query parameters working (${pageData.count} of ${pageData.total})`);
+      } else {
+        result.errors.push('Query parameters on /api/stories returned an unexpected page');
+      }
+    } catch (error) {
+      result.errors.push(`Stories query failed: ${error.message}`);
+    }
+
+    // Test /api/tree
+    console.log('🌳 Testing /api/tree...');
+    try {
+      const treeResponse = await fetch(`http://localhost:${port}/api/tree/Example/Button`);
+      const treeData = await treeResponse.json();
+
+      if (treeData.success && treeData.tree.type === 'component' && treeData.tree.counts.stories > 0) {
+        console.log(`✓ Tree endpoint working (${treeData.tree.counts.stories} Button stories)`);
+      } else {
+        result.errors.push('Tree endpoint returned an unexpected subtree');
+      }
+    } catch (error) {
+      result.errors.push(`Tree endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/search
+    console.log('🔍 Testing /api/search...');
+    try {
+      const searchResponse = await fetch(`http://localhost:${port}/api/search?q=label`);
+      const searchData = await searchResponse.json();
+
+      if (searchData.success && searchData.results.some(item => item.type === 'prop' && item.name === 'label')) {
+        console.log(`✓ Search endpoint working (${searchData.total} results for "label")`);
+      } else {
+        result.errors.push('Search for "label" did not find the Button label prop');
+      }
+    } catch (error) {
+      result.errors.push(`Search endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/events
+    console.log('📡 Testing /api/events...');
+    try {
+      const eventsResponse = await fetch(`http://localhost:${port}/api/events?type=story-added`);
+      const contentType = eventsResponse.headers.get('content-type') || '';
+      eventsResponse.body.destroy();
+
+      if (eventsResponse.ok && contentType.startsWith('text/event-stream')) {
+        console.log('✓ Events endpoint streaming');
+      } else {
+        result.errors.push(`Events endpoint returned ${eventsResponse.status} ${contentType}`);
+      }
+    } catch (error) {
+      result.errors.push(`Events endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/render (puppeteer is optional, 501 without it)
+    console.log('🖼️  Testing /api/render...');
+    try {
+      const renderResponse = await fetch(`http://localhost:${port}/api/render/example-button--primary?args=label:Rendered`);
+      const renderData = await renderResponse.json();
+
+      if (renderResponse.status === 501) {
+        console.log('✓ Render endpoint skipped (puppeteer not installed)');
+      } else if (renderData.success && renderData.render.html.includes('Rendered')) {
+        console.log(`✓ Render endpoint working (${renderData.render.durationMs}ms)`);
+      } else {
+        result.errors.push(`Render endpoint failed: ${renderData.error || 'args were not applied'}`);
+      }
+    } catch (error) {
+      result.errors.push(`Render endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/screenshot
+    console.log('📸 Testing /api/screenshot...');
+    try {
+      const screenshotResponse = await fetch(`http://localhost:${port}/api/screenshot/example-button--primary?width=400`);
+      const body = Buffer.from(await screenshotResponse.arrayBuffer());
+
+      if (screenshotResponse.status === 501) {
+        console.log('✓ Screenshot endpoint skipped (puppeteer not installed)');
+      } else if (screenshotResponse.ok && body.slice(1, 4).toString() === 'PNG') {
+        console.log(`✓ Screenshot endpoint working (${body.length} bytes)`);
+      } else {
+        result.errors.push(`Screenshot endpoint returned ${screenshotResponse.status}`);
+      }
+    } catch (error) {
+      result.errors.push(`Screenshot endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/components
+    console.log('🧩 Testing /api/components...');
+    try {
+      const componentsResponse = await fetch(`http://localhost:${port}/api/components`);
+      const componentsData = await componentsResponse.json();
+      const button = componentsData.success
+        && componentsData.components.find(component => component.stories.some(story => story.id === 'example-button--primary'));
+
+      if (button && Object.keys(button.props).length > 0 && button.docs.length > 0) {
+        console.log(`✓ Components endpoint working (${componentsData.count} components, ${button.name}: ${button.stories.length} stories)`);
+      } else {
+        result.errors.push('Components endpoint did not group the Button stories');
+      }
+    } catch (error) {
+      result.errors.push(`Components endpoint failed: ${error.message}`);
+    }
+
+    // Test /graphql
+    console.log('🔗 Testing /graphql...');
+    try {
+      const query = '{ story(id: "example-button--primary") { name args component { name props { name } } } }';
+      const graphqlResponse = await fetch(`http://localhost:${port}/graphql?query=${encodeURIComponent(query)}`);
+      const graphqlData = await graphqlResponse.json();
+      const story = graphqlData.data && graphqlData.data.story;
+
+      if (story && story.name === 'Primary' && story.component && story.component.props.length > 0) {
+        console.log(`✓ GraphQL endpoint working (${story.component.name}, ${story.component.props.length} props)`);
+      } else {
+        result.errors.push(`GraphQL query failed: ${JSON.stringify(graphqlData.errors || graphqlData)}`);
+      }
+    } catch (error) {
+      result.errors.push(`GraphQL endpoint failed: ${error.message}`);
+    }
+
+    // Test /mcp
+    console.log('🤖 Testing /mcp...');
+    try {
+      const mcpResponse = await fetch(`http://localhost:${port}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'tools/call',
+          params: { name: 'get_usage_example', arguments: { storyId: 'example-button--primary' } },
+        }),
+      });
+      const mcpData = await mcpResponse.json();
+      const content = mcpData.result && !mcpData.result.isError && JSON.parse(mcpData.result.content[0].text);
+
+      if (content && content.snippet) {
+        console.log(`✓ MCP endpoint working (${content.snippet.split('\n')[0]})`);
+      } else {
+        result.errors.push(`MCP get_usage_example failed: ${JSON.stringify(mcpData)}`);
+      }
+    } catch (error) {
+      result.errors.push(`MCP endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/openapi.json
+    console.log('📜 Testing /api/openapi.json...');
+    try {
+      const specResponse = await fetch(`http://localhost:${port}/api/openapi.json`);
+      const spec = await specResponse.json();
+      const packageJson = require('../package.json');
+
+      if (spec.openapi === '3.1.0' && spec.info.version === packageJson.version && spec.paths['/api/docs/{storyId}']) {
+        console.log(`✓ OpenAPI document working (${Object.keys(spec.paths).length} paths)`);
+      } else {
+        result.errors.push('OpenAPI document is missing paths or has the wrong version');
+      }
+    } catch (error) {
+      result.errors.push(`OpenAPI endpoint failed: ${error.message}`);
+    }
+
+    // Test /api/health
+    console.log('💓 Testing /api/health...');
+    try {
+      const healthResponse = await fetch(`http://localhost:${port}/api/health`);
+      const health = await healthResponse.json();
+
+      if (health.ready && health.storybook && health.storybook.state === 'ready' && health.index.entries > 0) {
+        console.log(`✓ Health endpoint working (${health.index.entries} entries, ${health.storybook.restarts} restarts)`);
+      } else {
+        result.errors.push(`Health endpoint reports not ready: ${JSON.stringify(health)}`);
+      }
+    } catch (error) {
+      result.errors.push(`Health endpoint failed: ${error.message}`);
+    }
+
   } catch (error) {
     if (!result.errors.length) {
       result.errors.push(error.message);
@@ -203,6 +1833,8 @@ async function runTests() {
   console.log('║           Storybook REST API - Integration Tests           ║');
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
+  await runChecks();
+
   for (const example of examples) {
     await testExample(example);
   }
@@ -227,15 +1859,21 @@ async function runTests() {
     
     console.log(`│ ${r.name.padEnd(11)} │ ${versionStr.padEnd(7)} │ ${versionOk.padEnd(11)} │ ${apiOk.padEnd(9)} │ ${storiesOk.padEnd(7)} │ ${docsOk.padEnd(8)} │`);
     
-    if (!r.versionMatch || !r.apiWorking || !r.storyDetailsWorking || !r.docsWorking) {
+    if (!r.versionMatch || !r.apiWorking || !r.storyDetailsWorking || !r.docsWorking || r.errors.length > 0) {
       allPassed = false;
     }
   }
 
   console.log('└─────────────┴─────────┴─────────────┴───────────┴─────────┴──────────┘\n');
 
+  const failedChecks = checkResults.filter(r => r.errors.length > 0);
+  console.log(`Checks: ${checkResults.length - failedChecks.length}/${checkResults.length} passed`);
+  if (failedChecks.length > 0) {
+    allPassed = false;
+  }
+
   // Print errors if any
-  const failedTests = results.filter(r => r.errors.length > 0);
+  const failedTests = [...failedChecks, ...results.filter(r => r.errors.length > 0)];
   if (failedTests.length > 0) {
     console.log('\n❌ Errors:');
     for (const r of failedTests) {